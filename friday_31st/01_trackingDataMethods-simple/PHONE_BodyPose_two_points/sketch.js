@@ -22,7 +22,7 @@ Key Functions:
 - getKeypoint(): Helper function to safely get keypoint data
 - measureDistance(point1, point2): Calculates and shows distance between two points in pixels
 - measureAngle(basePoint, endPoint): Calculates and shows angle from horizontal in degrees
-- measureVelocity(current, previous): Calculates and shows velocity in x, y directions and speed
+- measureVelocity(current, previous, elapsed): Calculates and shows velocity in pixels per second and speed
 
 BodyPose (BlazePose) Keypoint Indices (33 points total):
 Body structure:
@@ -48,7 +48,11 @@ Example - Using the two-variable method with global measurements:
 bodyPointData1 = getKeypoint(bodyPointIndex1, 0);
 distance1_2 = measureDistance(bodyPointData1, bodyPointData2);
 angle1_2 = measureAngle(bodyPointData1, bodyPointData2);
-velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev);
+velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev, bodyPointTime5 - bodyPointTime5Prev);
+
+Velocity is in pixels per SECOND, measured between ML5 results (not draw frames),
+so a 30fps phone and a 120Hz phone give the same numbers. Set velocityPerFrame
+to true for the old pixels-per-frame values.
 
 Controls:
 - Touch screen: Toggle video visibility
@@ -79,7 +83,9 @@ let bodyPointData4 = null;  // Stores mapped right wrist data
 
 let bodyPointIndex5 = 0;    // Nose
 let bodyPointData5 = null;  // Stores mapped nose data
-let bodyPointData5Prev = null; // Previous frame data for velocity
+let bodyPointData5Prev = null; // Previous ML5 result for velocity
+let bodyPointTime5 = 0;        // When bodyPointData5 was detected (ms)
+let bodyPointTime5Prev = 0;    // When bodyPointData5Prev was detected (ms)
 
 // Global measurement variables
 let distance1_2 = 0;  // Distance between shoulders
@@ -88,6 +94,10 @@ let distance3_4 = 0;  // Distance between wrists
 let angle3_4 = 0;     // Angle between wrists
 let velocity5 = { x: 0, y: 0, speed: 0 }; // Nose velocity
 
+// Timing
+let resultsTime = 0;          // millis() when ML5 last delivered results
+let velocityPerFrame = false; // true = old pixels-per-frame velocity (depends on frame rate)
+
 // ==============================================
 // SETUP - Runs once when page loads
 // ==============================================
@@ -141,15 +151,20 @@ function draw() {
     bodyPointData4 = getKeypoint(bodyPointIndex4, 0);
     
     // Store previous nose position for velocity calculation
-    bodyPointData5Prev = bodyPointData5;
-    bodyPointData5 = getKeypoint(bodyPointIndex5, 0);
+    // Only when ML5 has new results - draw() runs faster than ML5
+    if (resultsTime !== bodyPointTime5) {
+      bodyPointData5Prev = bodyPointData5;
+      bodyPointTime5Prev = bodyPointTime5;
+      bodyPointData5 = getKeypoint(bodyPointIndex5, 0);
+      bodyPointTime5 = resultsTime;
+    }
     
     // Calculate global measurements
     distance1_2 = measureDistance(bodyPointData1, bodyPointData2);
     angle1_2 = measureAngle(bodyPointData1, bodyPointData2);
     distance3_4 = measureDistance(bodyPointData3, bodyPointData4);
     angle3_4 = measureAngle(bodyPointData3, bodyPointData4);
-    velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev);
+    velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev, bodyPointTime5 - bodyPointTime5Prev);
     
     // Shoulders: Check if points are valid and display
     if (bodyPointData1 && bodyPointData2) {
@@ -181,6 +196,7 @@ function draw() {
 // ==============================================
 function gotPoses(results) {
   poses = results || [];
+  resultsTime = millis();  // Timestamp for velocity
 }
 
 // ==============================================
@@ -299,26 +315,34 @@ function measureAngle(basePoint, endPoint) {
 // ==============================================
 // MEASURE - Velocity in x and y directions
 // ==============================================
-function measureVelocity(currentPoint, previousPoint) {
-  // Return zero velocity if either point is missing
-  if (!currentPoint || !previousPoint) {
+function measureVelocity(currentPoint, previousPoint, elapsed) {
+  // Return zero velocity if either point or the time between them is missing
+  if (!currentPoint || !previousPoint || !(elapsed > 0)) {
     return { x: 0, y: 0, speed: 0 };
   }
   
-  // Calculate velocity components
-  const vx = currentPoint.x - previousPoint.x;
-  const vy = currentPoint.y - previousPoint.y;
+  // Calculate velocity components in pixels per second
+  const seconds = elapsed / 1000;
+  let vx = (currentPoint.x - previousPoint.x) / seconds;
+  let vy = (currentPoint.y - previousPoint.y) / seconds;
+
+  // Compatibility: pixels per frame at the current frame rate
+  if (velocityPerFrame) {
+    vx *= deltaTime / 1000;
+    vy *= deltaTime / 1000;
+  }
   const speed = Math.sqrt(vx * vx + vy * vy);
+  const units = velocityPerFrame ? 'px/frame' : 'px/s';
   
   // Draw visualization only if showData is true
   if (showData) {
     // Draw velocity vector from current point
-    if (speed > 1) { // Only draw if there's noticeable movement
+    if (speed > (velocityPerFrame ? 1 : 60)) { // Only draw if there's noticeable movement
       stroke(255, 255, 0);
       strokeWeight(3);
       
-      // Draw velocity arrow (scaled for visibility)
-      const scale = 2;
+      // Draw velocity arrow (scaled for visibility: about 2 frames at 60fps)
+      const scale = velocityPerFrame ? 2 : 0.033;
       const endX = currentPoint.x + vx * scale;
       const endY = currentPoint.y + vy * scale;
       
@@ -340,7 +364,7 @@ function measureVelocity(currentPoint, previousPoint) {
     fill(255, 255, 0);
     textAlign(CENTER, BOTTOM);
     textSize(12);
-    text(`vx: ${vx.toFixed(1)} vy: ${vy.toFixed(1)} speed: ${speed.toFixed(1)}`, 
+    text(`vx: ${vx.toFixed(1)} vy: ${vy.toFixed(1)} speed: ${speed.toFixed(1)} ${units}`, 
          currentPoint.x, currentPoint.y - 20);
   }
   
@@ -22,7 +22,7 @@ Key Functions:
 - getKeypoint(): Helper function to safely get keypoint data
 - measureDistance(point1, point2): Calculates and shows distance between two points in pixels
 - measureAngle(basePoint, endPoint): Calculates and shows angle from horizontal in degrees
-- measureVelocity(current, previous): Calculates and shows velocity in x, y directions and speed
+- measureVelocity(current, previous, elapsed): Calculates and shows velocity in pixels per second and speed
 
 Common FaceMesh Keypoint Indices (468 points total):
 Key landmarks:
@@ -40,7 +40,11 @@ Example - Using the two-variable method with global measurements:
 facePointData1 = getKeypoint(facePointIndex1, 0);
 distance1_2 = measureDistance(facePointData1, facePointData2);
 angle1_2 = measureAngle(facePointData1, facePointData2);
-velocity5 = measureVelocity(facePointData5, facePointData5Prev);
+velocity5 = measureVelocity(facePointData5, facePointData5Prev, facePointTime5 - facePointTime5Prev);
+
+Velocity is in pixels per SECOND, measured between ML5 results (not draw frames),
+so a 30fps phone and a 120Hz phone give the same numbers. Set velocityPerFrame
+to true for the old pixels-per-frame values.
 
 Controls:
 - Touch screen: Toggle video visibility
@@ -71,7 +75,9 @@ let facePointData4 = null;  // Stores mapped lower lip data
 
 let facePointIndex5 = 4;    // Nose tip
 let facePointData5 = null;  // Stores mapped nose data
-let facePointData5Prev = null; // Previous frame data for velocity
+let facePointData5Prev = null; // Previous ML5 result for velocity
+let facePointTime5 = 0;        // When facePointData5 was detected (ms)
+let facePointTime5Prev = 0;    // When facePointData5Prev was detected (ms)
 
 // Global measurement variables
 let distance1_2 = 0;  // Distance between eyes
@@ -80,6 +86,10 @@ let distance3_4 = 0;  // Distance between lips
 let angle3_4 = 0;     // Angle between lips
 let velocity5 = { x: 0, y: 0, speed: 0 }; // Nose velocity
 
+// Timing
+let resultsTime = 0;          // millis() when ML5 last delivered results
+let velocityPerFrame = false; // true = old pixels-per-frame velocity (depends on frame rate)
+
 // ==============================================
 // SETUP - Runs once when page loads
 // ==============================================
@@ -131,15 +141,20 @@ function draw() {
     facePointData4 = getKeypoint(facePointIndex4, 0);
     
     // Store previous nose position for velocity calculation
-    facePointData5Prev = facePointData5;
-    facePointData5 = getKeypoint(facePointIndex5, 0);
+    // Only when ML5 has new results - draw() runs faster than ML5
+    if (resultsTime !== facePointTime5) {
+      facePointData5Prev = facePointData5;
+      facePointTime5Prev = facePointTime5;
+      facePointData5 = getKeypoint(facePointIndex5, 0);
+      facePointTime5 = resultsTime;
+    }
     
     // Calculate global measurements
     distance1_2 = measureDistance(facePointData1, facePointData2);
     angle1_2 = measureAngle(facePointData1, facePointData2);
     distance3_4 = measureDistance(facePointData3, facePointData4);
     angle3_4 = measureAngle(facePointData3, facePointData4);
-    velocity5 = measureVelocity(facePointData5, facePointData5Prev);
+    velocity5 = measureVelocity(facePointData5, facePointData5Prev, facePointTime5 - facePointTime5Prev);
     
     // Eyes: Check if both points are valid and display
     if (facePointData1 && facePointData2) {
@@ -171,6 +186,7 @@ function draw() {
 // ==============================================
 function gotFaces(results) {
   faces = results || [];
+  resultsTime = millis();  // Timestamp for velocity
 }
 
 // ==============================================
@@ -289,26 +305,34 @@ function measureAngle(basePoint, endPoint) {
 // ==============================================
 // MEASURE - Velocity in x and y directions
 // ==============================================
-function measureVelocity(currentPoint, previousPoint) {
-  // Return zero velocity if either point is missing
-  if (!currentPoint || !previousPoint) {
+function measureVelocity(currentPoint, previousPoint, elapsed) {
+  // Return zero velocity if either point or the time between them is missing
+  if (!currentPoint || !previousPoint || !(elapsed > 0)) {
     return { x: 0, y: 0, speed: 0 };
   }
   
-  // Calculate velocity components
-  const vx = currentPoint.x - previousPoint.x;
-  const vy = currentPoint.y - previousPoint.y;
+  // Calculate velocity components in pixels per second
+  const seconds = elapsed / 1000;
+  let vx = (currentPoint.x - previousPoint.x) / seconds;
+  let vy = (currentPoint.y - previousPoint.y) / seconds;
+
+  // Compatibility: pixels per frame at the current frame rate
+  if (velocityPerFrame) {
+    vx *= deltaTime / 1000;
+    vy *= deltaTime / 1000;
+  }
   const speed = Math.sqrt(vx * vx + vy * vy);
+  const units = velocityPerFrame ? 'px/frame' : 'px/s';
   
   // Draw visualization only if showData is true
   if (showData) {
     // Draw velocity vector from current point
-    if (speed > 1) { // Only draw if there's noticeable movement
+    if (speed > (velocityPerFrame ? 1 : 60)) { // Only draw if there's noticeable movement
       stroke(255, 255, 0);
       strokeWeight(3);
       
-      // Draw velocity arrow (scaled for visibility)
-      const scale = 2;
+      // Draw velocity arrow (scaled for visibility: about 2 frames at 60fps)
+      const scale = velocityPerFrame ? 2 : 0.033;
       const endX = currentPoint.x + vx * scale;
       const endY = currentPoint.y + vy * scale;
       
@@ -330,7 +354,7 @@ function measureVelocity(currentPoint, previousPoint) {
     fill(255, 255, 0);
     textAlign(CENTER, BOTTOM);
     textSize(12);
-    text(`vx: ${vx.toFixed(1)} vy: ${vy.toFixed(1)} speed: ${speed.toFixed(1)}`, 
+    text(`vx: ${vx.toFixed(1)} vy: ${vy.toFixed(1)} speed: ${speed.toFixed(1)} ${units}`, 
          currentPoint.x, currentPoint.y - 20);
   }
   
@@ -18,28 +18,28 @@ Functions are organized by category:
 // ==============================================
 
 /**
- * Handle window resize
- * Updates renderer and camera to maintain aspect ratio
+ * Follow the window size - CameraView calls this on resize and rotation
+ * Keeps the Three.js camera, renderer and HUD the size of the canvas, so
+ * the HUD switches between its portrait and landscape layouts
  */
 function onWindowResize() {
-  // For now, we keep a fixed canvas size
-  // Could be extended to handle responsive sizing
+  canvasWidth = cameraView.width;
+  canvasHeight = cameraView.height;
+  
+  camera.right = canvasWidth;
+  camera.top = canvasHeight;
+  camera.updateProjectionMatrix();
   renderer.setSize(canvasWidth, canvasHeight);
+  hud.setSize(canvasWidth, canvasHeight);
 }
 
 /**
- * Clear dynamic objects from scene
- * Removes all objects except video background and text sprite
+ * Start a new frame of points and measurements
+ * Hides last frame's shapes so the draw functions can reuse them
+ * (the video background and HUD are separate objects and stay as they are)
  */
 function clearScene() {
-  // Remove all objects except video background and text sprite
-  const objectsToRemove = [];
-  scene.children.forEach(child => {
-    if (child !== videoBackground && child !== textSprite) {
-      objectsToRemove.push(child);
-    }
-  });
-  objectsToRemove.forEach(obj => scene.remove(obj));
+  overlay.clear();
 }
 
 // ==============================================
@@ -52,6 +52,7 @@ function clearScene() {
  */
 function gotPoses(results) {
   poses = results || [];
+  resultsTime = performance.now();  // Timestamp for velocity
 }
 
 // ==============================================
@@ -85,49 +86,24 @@ function getKeypoint(index, poseNumber = 0) {
  * @param {number} index - Keypoint index for reference
  * @returns {Object} Mapped keypoint with canvas coordinates
  * 
- * Coordinate transformation process:
- * NOTE: BodyPose keypoints are already in pixel coordinates (like FaceMesh, not normalized like HandPose)
+ * CameraView does the same steps as p5-phone's cam.mapKeypoint():
  * 1. ML5 keypoint: pixel coordinates relative to video dimensions
- * 2. Apply fitHeight scaling: scale to match canvas height
- * 3. Center horizontally: adjust X to center the scaled video
- * 4. Mirror X coordinate: flip horizontally for front camera
- * 5. Invert Y coordinate: flip vertically for Three.js coordinate system
+ * 2. Scale for the display mode (fitHeight, fitWidth, cover, contain, fixed)
+ * 3. Center the scaled video on the canvas
+ * 4. Mirror X coordinate when mirroring is on (front camera)
+ * 5. Invert Y coordinate for the Three.js coordinate system (yUp)
  * 
- * Example:
+ * Example (fitHeight, mirrored):
  * ML5 keypoint:     {x: 320, y: 240, z: 0}        (center of 640x480 video)
- * Scaled:           {x: 480, y: 360, z: 0}        (scaled by 720/480 = 1.5)
- * Centered:         {x: 442.5, y: 360, z: 0}      (centered: 480 - (480-405)/2)
- * Mirrored X:       {x: -37.5, y: 360, z: 0}      (405 - 442.5)
- * Inverted Y:       {x: -37.5, y: 360, z: 0}      (720 - 360)
+ * Mapped:           {x: 202.5, y: 360, z: 0}      (center of 405x720 canvas)
  */
 function mapKeypointToCanvas(keypoint, index) {
-  // Step 1: BodyPose coordinates are already in pixels, no conversion needed
-  const videoX = keypoint.x;
-  const videoY = keypoint.y;
-  
-  // Step 2: Apply fitHeight scaling
-  // Scale to match canvas height, may crop width
-  const scale = canvasHeight / videoHeight;
-  const scaledX = videoX * scale;
-  const scaledY = videoY * scale;
-  
-  // Step 3: Center horizontally
-  // Calculate how much width is cropped
-  const scaledVideoWidth = videoWidth * scale;
-  const cropOffset = (scaledVideoWidth - canvasWidth) / 2;
-  const centeredX = scaledX - cropOffset;
-  
-  // Step 4: Mirror X coordinate (front camera effect)
-  const mirroredX = canvasWidth - centeredX;
-  
-  // Step 5: Invert Y coordinate for Three.js coordinate system
-  // Three.js uses bottom-left origin, we want top-left
-  const invertedY = canvasHeight - scaledY;
+  const mapped = cameraView.mapKeypoint(keypoint);
   
   return {
-    x: mirroredX,
-    y: invertedY,
-    z: keypoint.z,
+    x: mapped.x,
+    y: mapped.y,
+    z: mapped.z,
     index: index,
     confidence: keypoint.confidence || keypoint.score || 1.0
   };
@@ -172,15 +148,24 @@ function measureAngle(basePoint, endPoint) {
  * Measure velocity between current and previous point
  * @param {Object} currentPoint - Current point position
  * @param {Object} previousPoint - Previous point position
- * @returns {Object} Velocity object with x, y components and speed
+ * @param {number} elapsed - Time between the two points in ms
+ * @returns {Object} Velocity object with x, y components and speed, in pixels per second
+ *                   (pixels per frame if velocityPerFrame is true)
  */
-function measureVelocity(currentPoint, previousPoint) {
-  if (!currentPoint || !previousPoint) {
+function measureVelocity(currentPoint, previousPoint, elapsed) {
+  if (!currentPoint || !previousPoint || !(elapsed > 0)) {
     return { x: 0, y: 0, speed: 0 };
   }
   
-  const vx = currentPoint.x - previousPoint.x;
-  const vy = currentPoint.y - previousPoint.y;
+  const seconds = elapsed / 1000;
+  let vx = (currentPoint.x - previousPoint.x) / seconds;
+  let vy = (currentPoint.y - previousPoint.y) / seconds;
+  
+  // Compatibility: pixels per frame at the current frame rate
+  if (velocityPerFrame) {
+    vx *= frameDeltaTime / 1000;
+    vy *= frameDeltaTime / 1000;
+  }
   const speed = Math.sqrt(vx * vx + vy * vy);
   
   return { x: vx, y: vy, speed: speed };
@@ -277,8 +262,8 @@ function drawMeasurements() {
   }
   
   // Velocity arrow for nose
-  if (bodyPointData5 && velocity5 && velocity5.speed > 1) {
-    const scale = 2;
+  if (bodyPointData5 && velocity5 && velocity5.speed > (velocityPerFrame ? 1 : 60)) {
+    const scale = velocityPerFrame ? 2 : 0.033;  // About 2 frames at 60fps
     const endX = bodyPointData5.x + velocity5.x * scale;
     const endY = bodyPointData5.y + velocity5.y * scale;
     
@@ -293,6 +278,9 @@ function drawMeasurements() {
 // ==============================================
 // DRAWING PRIMITIVES
 // ==============================================
+// Thin wrappers around the ThreeOverlay made in setupThreeJS().
+// The shapes are built once and reused every frame, so nothing is
+// allocated (or leaked) while tracking.
 
 /**
  * Draw a circle at specified position
@@ -302,11 +290,7 @@ function drawMeasurements() {
  * @param {number} color - Hex color value
  */
 function drawCircle(x, y, radius, color) {
-  const geometry = new THREE.CircleGeometry(radius, 32);
-  const material = new THREE.MeshBasicMaterial({ color: color });
-  const circle = new THREE.Mesh(geometry, material);
-  circle.position.set(x, y, 1);
-  scene.add(circle);
+  overlay.circle(x, y, radius, color);
 }
 
 /**
@@ -319,18 +303,7 @@ function drawCircle(x, y, radius, color) {
  * @param {number} opacity - Line opacity (default: 1)
  */
 function drawLine(x1, y1, x2, y2, color, opacity = 1) {
-  const points = [];
-  points.push(new THREE.Vector3(x1, y1, 1));
-  points.push(new THREE.Vector3(x2, y2, 1));
-  
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({ 
-    color: color,
-    transparent: opacity < 1,
-    opacity: opacity
-  });
-  const line = new THREE.Line(geometry, material);
-  scene.add(line);
+  overlay.line(x1, y1, x2, y2, color, opacity);
 }
 
 /**
@@ -343,21 +316,7 @@ function drawLine(x1, y1, x2, y2, color, opacity = 1) {
  * @param {number} color - Hex color value
  */
 function drawArc(x, y, radius, startAngle, endAngle, color) {
-  const curve = new THREE.EllipseCurve(
-    0, 0,              // Center offset (we'll position the whole curve)
-    radius, radius,    // X radius, Y radius
-    startAngle,        // Start angle
-    endAngle,          // End angle
-    false,             // Clockwise
-    0                  // Rotation
-  );
-  
-  const points = curve.getPoints(50);
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({ color: color });
-  const arc = new THREE.Line(geometry, material);
-  arc.position.set(x, y, 1);
-  scene.add(arc);
+  overlay.arc(x, y, radius, startAngle, endAngle, color);
 }
 
 /**
@@ -369,34 +328,7 @@ function drawArc(x, y, radius, startAngle, endAngle, color) {
  * @param {number} color - Hex color value
  */
 function drawArrow(x1, y1, x2, y2, color) {
-  // Draw main line
-  drawLine(x1, y1, x2, y2, color);
-  
-  // Calculate arrow head
-  const angle = Math.atan2(y2 - y1, x2 - x1);
-  const arrowLength = 10;
-  const arrowAngle = Math.PI / 6;
-  
-  // Arrow head point 1
-  const ax1 = x2 - arrowLength * Math.cos(angle - arrowAngle);
-  const ay1 = y2 - arrowLength * Math.sin(angle - arrowAngle);
-  
-  // Arrow head point 2
-  const ax2 = x2 - arrowLength * Math.cos(angle + arrowAngle);
-  const ay2 = y2 - arrowLength * Math.sin(angle + arrowAngle);
-  
-  // Draw arrow head triangle
-  const shape = new THREE.Shape();
-  shape.moveTo(0, 0);
-  shape.lineTo(ax1 - x2, ay1 - y2);
-  shape.lineTo(ax2 - x2, ay2 - y2);
-  shape.lineTo(0, 0);
-  
-  const geometry = new THREE.ShapeGeometry(shape);
-  const material = new THREE.MeshBasicMaterial({ color: color });
-  const arrowHead = new THREE.Mesh(geometry, material);
-  arrowHead.position.set(x2, y2, 1);
-  scene.add(arrowHead);
+  overlay.arrow(x1, y1, x2, y2, color);
 }
 
 // ==============================================
@@ -404,21 +336,12 @@ function drawArrow(x1, y1, x2, y2, color) {
 // ==============================================
 
 /**
- * Update text overlay with status and measurements
- * Uses Canvas 2D API to render text, then updates Three.js texture
+ * Update the HUD with status and measurements
+ * ThreeHUD only redraws a panel or label when its text changes -
+ * labels that just move with their point cost nothing
  */
 function updateTextOverlay() {
-  // Clear canvas
-  textContext.clearRect(0, 0, textCanvas.width, textCanvas.height);
-  
-  // Set text style
-  textContext.font = '16px Arial';
-  textContext.textAlign = 'center';
-  textContext.fillStyle = 'white';
-  textContext.strokeStyle = 'black';
-  textContext.lineWidth = 3;
-  
-  // Draw status at top
+  // Status at top
   let statusText = '';
   if (!videoElement || !videoElement.srcObject) {
     statusText = 'Starting camera...';
@@ -427,91 +350,57 @@ function updateTextOverlay() {
   } else {
     statusText = 'Tracking 5 body points';
   }
+  hud.setPanel('status', statusText);
   
-  textContext.strokeText(statusText, canvasWidth / 2, 20);
-  textContext.fillText(statusText, canvasWidth / 2, 20);
-  
-  // Draw instructions at bottom
-  textContext.font = '14px Arial';
-  textContext.strokeText('Click canvas to toggle video', canvasWidth / 2, canvasHeight - 40);
-  textContext.fillText('Click canvas to toggle video', canvasWidth / 2, canvasHeight - 40);
+  // Point coordinates and measurements only if showData is true
+  if (!showData || poses.length === 0) {
+    hud.hideLabels();
+    return;
+  }
   
-  // Draw point coordinates and measurements if showData is true
-  if (showData && poses.length > 0) {
-    textContext.font = '8px Arial';
-    textContext.textAlign = 'center';
-    textContext.fillStyle = 'yellow';
-    
-    // Point coordinates for visible points
-    const visiblePoints = [
-      bodyPointData1, bodyPointData2, bodyPointData3, 
-      bodyPointData4, bodyPointData5
-    ];
-    
-    visiblePoints.forEach(point => {
-      if (point) {
-        const text = `(${Math.round(point.x)}, ${Math.round(point.y)})`;
-        const y = canvasHeight - point.y + 15;
-        textContext.strokeText(text, point.x, y);
-        textContext.fillText(text, point.x, y);
-      }
-    });
-    
-    // Distance measurements
-    textContext.font = '12px Arial';
-    textContext.fillStyle = 'orange';
-    
-    if (bodyPointData1 && bodyPointData2 && distance1_2) {
-      const midX = (bodyPointData1.x + bodyPointData2.x) / 2;
-      const midY = (bodyPointData1.y + bodyPointData2.y) / 2;
-      const text = `${Math.round(distance1_2)}px`;
-      const y = canvasHeight - midY;
-      textContext.strokeText(text, midX, y);
-      textContext.fillText(text, midX, y);
-    }
-    
-    if (bodyPointData3 && bodyPointData4 && distance3_4) {
-      const midX = (bodyPointData3.x + bodyPointData4.x) / 2;
-      const midY = (bodyPointData3.y + bodyPointData4.y) / 2;
-      const text = `${Math.round(distance3_4)}px`;
-      const y = canvasHeight - midY;
-      textContext.strokeText(text, midX, y);
-      textContext.fillText(text, midX, y);
-    }
-    
-    // Angle measurements
-    if (bodyPointData1 && angle1_2 !== null) {
-      const text = `${Math.round(angle1_2)}°`;
-      const x = bodyPointData1.x + 35;
-      const y = canvasHeight - bodyPointData1.y;
-      textContext.textAlign = 'left';
-      textContext.strokeText(text, x, y);
-      textContext.fillText(text, x, y);
-      textContext.textAlign = 'center';
-    }
-    
-    if (bodyPointData3 && angle3_4 !== null) {
-      const text = `${Math.round(angle3_4)}°`;
-      const x = bodyPointData3.x + 35;
-      const y = canvasHeight - bodyPointData3.y;
-      textContext.textAlign = 'left';
-      textContext.strokeText(text, x, y);
-      textContext.fillText(text, x, y);
-      textContext.textAlign = 'center';
-    }
-    
-    // Velocity measurement
-    if (bodyPointData5 && velocity5 && velocity5.speed > 0) {
-      textContext.fillStyle = 'yellow';
-      const text = `vx: ${velocity5.x.toFixed(1)} vy: ${velocity5.y.toFixed(1)} speed: ${velocity5.speed.toFixed(1)}`;
-      const y = canvasHeight - bodyPointData5.y - 20;
-      textContext.strokeText(text, bodyPointData5.x, y);
-      textContext.fillText(text, bodyPointData5.x, y);
+  // Point coordinates, just below each point
+  [bodyPointData1, bodyPointData2, bodyPointData3, bodyPointData4, bodyPointData5].forEach((point, i) => {
+    const name = `point${i + 1}`;
+    if (point) {
+      hud.setLabel(name, `(${Math.round(point.x)}, ${Math.round(point.y)})`, point.x, point.y - 15);
+    } else {
+      hud.hideLabel(name);
     }
+  });
+  
+  // Distance measurements at the midpoints
+  if (bodyPointData1 && bodyPointData2 && distance1_2) {
+    hud.setLabel('distance1_2', `${Math.round(distance1_2)}px`, (bodyPointData1.x + bodyPointData2.x) / 2, (bodyPointData1.y + bodyPointData2.y) / 2);
+  } else {
+    hud.hideLabel('distance1_2');
   }
   
-  // Update texture
-  textSprite.material.map.needsUpdate = true;
+  if (bodyPointData3 && bodyPointData4 && distance3_4) {
+    hud.setLabel('distance3_4', `${Math.round(distance3_4)}px`, (bodyPointData3.x + bodyPointData4.x) / 2, (bodyPointData3.y + bodyPointData4.y) / 2);
+  } else {
+    hud.hideLabel('distance3_4');
+  }
+  
+  // Angle measurements to the right of the base points
+  if (bodyPointData1 && angle1_2 !== null) {
+    hud.setLabel('angle1_2', `${Math.round(angle1_2)}°`, bodyPointData1.x, bodyPointData1.y);
+  } else {
+    hud.hideLabel('angle1_2');
+  }
+  
+  if (bodyPointData3 && angle3_4 !== null) {
+    hud.setLabel('angle3_4', `${Math.round(angle3_4)}°`, bodyPointData3.x, bodyPointData3.y);
+  } else {
+    hud.hideLabel('angle3_4');
+  }
+  
+  // Velocity measurement above the nose
+  if (bodyPointData5 && velocity5 && velocity5.speed > 0) {
+    const text = `vx: ${velocity5.x.toFixed(1)} vy: ${velocity5.y.toFixed(1)} speed: ${velocity5.speed.toFixed(1)} ${velocityPerFrame ? 'px/frame' : 'px/s'}`;
+    hud.setLabel('velocity5', text, bodyPointData5.x, bodyPointData5.y + 20);
+  } else {
+    hud.hideLabel('velocity5');
+  }
 }
 
 // ==============================================
@@ -3,7 +3,8 @@ ML5 BodyPose Detection - Multiple Points with Velocity (Three.js)
 
 This script uses ML5 BodyPose (BlazePose) with Three.js for body tracking visualization.
 It tracks 5 body points: shoulders, wrists, and nose with velocity tracking.
-Works on both phone and desktop with portrait orientation.
+Works on both phone and desktop. The canvas fills the window, and the
+text panels re-lay themselves when the phone rotates (ThreeHUD.setSize()).
 
 Key Variables:
 - videoElement: HTML video element for camera feed
@@ -18,9 +19,10 @@ Key Variables:
 Key Functions:
 - init(): Initializes Three.js, camera, and ML5 model
 - loadBodyPoseModel(): Creates ML5 BodyPose and starts detection
-- setupCamera(): Sets up native WebRTC camera access
+- setupCamera(): Opens the camera with CameraView (shared CameraSettings choice)
 - setupThreeJS(): Creates Three.js scene, camera, renderer
 - createVideoBackground(): Sets up video texture for background
+- layoutVideoBackground(): Places the video for the display mode and mirror
 - animate(): Main animation loop
 - gotPoses(): Callback when poses are detected (in functions.js)
 
@@ -48,10 +50,21 @@ Example - Using the two-variable method with global measurements:
 bodyPointData1 = getKeypoint(bodyPointIndex1, 0);
 distance1_2 = measureDistance(bodyPointData1, bodyPointData2);
 angle1_2 = measureAngle(bodyPointData1, bodyPointData2);
-velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev);
+velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev, bodyPointTime5 - bodyPointTime5Prev);
+
+Velocity is in pixels per SECOND, measured between ML5 results (not animation
+frames), so every device gives the same numbers. Set velocityPerFrame to true
+for the old pixels-per-frame values.
+
+Camera and mapping come from CameraView (wednesday_19th/classes/20_camera_view),
+so display modes, mirroring and camera switching behave like p5-phone's
+cam.mapKeypoint() in the p5 versions.
 
 Controls:
 - Click canvas: Toggle video visibility
+- C key: Switch camera
+- M key: Next display mode (fitHeight, fitWidth, cover, contain, fixed)
+- F key: Toggle mirror
 */
 
 // ==============================================
@@ -60,6 +73,7 @@ Controls:
 
 // Video and ML5
 let videoElement;           // HTML video element
+let cameraView;             // CameraView (camera, display mode, mapping)
 let bodypose;               // ML5 BodyPose model
 let poses = [];             // Detected bodies
 
@@ -68,22 +82,18 @@ let scene, camera, renderer;
 let videoBackground;        // Video texture mesh
 let videoTexture;           // Three.js VideoTexture
 
-// Canvas dimensions (portrait orientation)
-const canvasWidth = 405;
-const canvasHeight = 720;
+// Canvas dimensions - the whole window (portrait on a phone, landscape when rotated)
+let canvasWidth = window.innerWidth;
+let canvasHeight = window.innerHeight;
 
-// Video dimensions (will be set after camera starts)
-let videoWidth = 640;
-let videoHeight = 480;
 
 // Display settings
 let showVideo = true;       // Toggle video display
 let showData = true;        // Toggle measurement visualization
 
 // Text overlay
-let textSprite;             // Three.js sprite for text overlay
-let textCanvas;             // Canvas for rendering text
-let textContext;            // 2D context for text rendering
+let hud;                    // ThreeHUD - status panel and measurement labels
+let overlay;                // ThreeOverlay - points and measurements, reused every frame
 
 // Two-variable method: Define which points to track and store their data
 let bodyPointIndex1 = 11;       // Left shoulder
@@ -100,7 +110,9 @@ let bodyPointData4 = null;      // Stores mapped right wrist data
 
 let bodyPointIndex5 = 0;        // Nose
 let bodyPointData5 = null;      // Stores mapped nose data
-let bodyPointData5Prev = null;  // Previous frame data for velocity
+let bodyPointData5Prev = null;  // Previous ML5 result for velocity
+let bodyPointTime5 = 0;         // When bodyPointData5 was detected (ms)
+let bodyPointTime5Prev = 0;     // When bodyPointData5Prev was detected (ms)
 
 // Global measurement variables
 let distance1_2 = 0;            // Distance between shoulders
@@ -109,6 +121,12 @@ let distance3_4 = 0;            // Distance between wrists
 let angle3_4 = 0;               // Angle between wrists
 let velocity5 = { x: 0, y: 0, speed: 0 }; // Nose velocity
 
+// Timing
+let resultsTime = 0;             // performance.now() when ML5 last delivered results
+let lastFrameTime = 0;           // performance.now() at the previous animation frame
+let frameDeltaTime = 1000 / 60;  // ms since the previous animation frame
+let velocityPerFrame = false;    // true = old pixels-per-frame velocity (depends on frame rate)
+
 // ==============================================
 // INITIALIZATION
 // ==============================================
@@ -160,50 +178,47 @@ async function loadBodyPoseModel() {
 }
 
 /**
- * Setup native WebRTC camera
+ * Open the camera with CameraView
  * Returns a promise that resolves when camera is ready
  */
-function setupCamera() {
-  return new Promise((resolve, reject) => {
-    console.log('Setting up camera...');
-    
-    // Create video element
-    videoElement = document.createElement('video');
-    videoElement.setAttribute('playsinline', '');
-    videoElement.style.display = 'none';
-    document.body.appendChild(videoElement);
-    
-    // Request camera access (front camera)
-    navigator.mediaDevices.getUserMedia({
-      video: {
-        facingMode: 'user',
-        width: { ideal: 640 },
-        height: { ideal: 480 }
-      },
-      audio: false
-    })
-    .then(stream => {
-      videoElement.srcObject = stream;
-      
-      // Wait for video metadata to load
-      videoElement.onloadedmetadata = () => {
-        videoElement.play();
-        
-        // Update video dimensions
-        videoWidth = videoElement.videoWidth;
-        videoHeight = videoElement.videoHeight;
-        console.log(`Camera ready: ${videoWidth}x${videoHeight}`);
-        
-        // Create video background after video is ready
-        createVideoBackground();
-        
-        resolve();
-      };
-    })
-    .catch(err => {
-      console.error('Error accessing camera:', err);
-      reject(err);
-    });
+async function setupCamera() {
+  console.log('Setting up camera...');
+  
+  // Device, resolution and frame rate come from the shared CameraSettings
+  // choice (PHONE_01_camera-selector); yUp matches the Three.js camera
+  cameraView = new CameraView({
+    width: canvasWidth,
+    height: canvasHeight,
+    mode: 'fitHeight',
+    yUp: true,
+    fillWindow: true,   // Canvas follows resizes and rotation
+    autoStart: false
+  });
+  videoElement = cameraView.video;
+  
+  // Keep the canvas and video placed when the camera, orientation, mode or
+  // mirror changes - registered before start() so its first layout is caught too
+  cameraView.onResize((layout) => {
+    onWindowResize();               // Three.js camera, renderer and HUD panels
+    layoutVideoBackground(layout);
+  });
+  
+  try {
+    await cameraView.start();
+  } catch (err) {
+    console.error('Error accessing camera:', err);
+    throw err;
+  }
+  console.log(`Camera ready: ${cameraView.videoWidth}x${cameraView.videoHeight}`);
+  
+  // Create video background after video is ready
+  createVideoBackground();
+  
+  // Keyboard: C = switch camera, M = display mode, F = mirror
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'c') cameraView.switchCamera();
+    if (event.key === 'm') cameraView.nextMode();
+    if (event.key === 'f') cameraView.mirror = !cameraView.mirror;
   });
 }
 
@@ -216,7 +231,7 @@ function setupThreeJS() {
   scene.background = new THREE.Color(0x000000);
   
   // Create orthographic camera for 2D-style rendering
-  // Using portrait orientation: width=405, height=720
+  // Sized to the canvas; onWindowResize() follows rotation and resizes
   camera = new THREE.OrthographicCamera(
     0,              // left
     canvasWidth,    // right
@@ -232,25 +247,23 @@ function setupThreeJS() {
   renderer.setSize(canvasWidth, canvasHeight);
   document.body.appendChild(renderer.domElement);
   
-  // Create text overlay sprite
-  textCanvas = document.createElement('canvas');
-  textCanvas.width = canvasWidth;
-  textCanvas.height = canvasHeight;
-  textContext = textCanvas.getContext('2d');
-  
-  const textTexture = new THREE.CanvasTexture(textCanvas);
-  const textMaterial = new THREE.SpriteMaterial({ 
-    map: textTexture,
-    transparent: true,
-    depthTest: false
-  });
-  textSprite = new THREE.Sprite(textMaterial);
-  textSprite.scale.set(canvasWidth, canvasHeight, 1);
-  textSprite.position.set(canvasWidth / 2, canvasHeight / 2, 2);
-  scene.add(textSprite);
+  // Text: panels pinned to the edges, labels that follow the points
+  hud = new ThreeHUD(scene, { width: canvasWidth, height: canvasHeight, z: 2 });
+  hud.addPanel('status', { anchor: 'top', background: null, fontSize: 16 });
+  hud.addPanel('help', { anchor: 'bottom', background: null });
+  hud.setPanel('help', 'Click canvas to toggle video');
+  
+  // Label styles (same colors as the p5 version)
+  ['point1', 'point2', 'point3', 'point4', 'point5'].forEach(label => hud.addLabel(label, { color: 'yellow', fontSize: 8 }));
+  hud.addLabel('distance1_2', { color: 'orange' });
+  hud.addLabel('distance3_4', { color: 'orange' });
+  hud.addLabel('angle1_2', { color: 'orange', align: 'left', offsetX: 35 });
+  hud.addLabel('angle3_4', { color: 'orange', align: 'left', offsetX: 35 });
+  hud.addLabel('velocity5', { color: 'yellow' });
+  
+  // Points, lines, arcs and arrows - built once, updated every frame
+  overlay = new ThreeOverlay(scene);
   
-  // Handle window resize
-  window.addEventListener('resize', onWindowResize);
   
   // Handle canvas click to toggle video
   renderer.domElement.addEventListener('click', toggleVideoVisibility);
@@ -259,8 +272,8 @@ function setupThreeJS() {
 }
 
 /**
- * Create video background with fitHeight scaling
- * Matches p5-phone's fitHeight behavior
+ * Create video background
+ * A 1x1 plane that layoutVideoBackground() scales to the display mode
  */
 function createVideoBackground() {
   console.log('Creating video background...');
@@ -270,35 +283,35 @@ function createVideoBackground() {
   videoTexture.minFilter = THREE.LinearFilter;
   videoTexture.magFilter = THREE.LinearFilter;
   
-  // Calculate scale to fit video height to canvas height (fitHeight mode)
-  const videoAspect = videoWidth / videoHeight;
-  const canvasAspect = canvasWidth / canvasHeight;
-  
-  // Scale to fit height, crop width if needed
-  const scale = canvasHeight / videoHeight;
-  const scaledWidth = videoWidth * scale;
-  const scaledHeight = canvasHeight;
-  
-  // Create plane geometry
-  const geometry = new THREE.PlaneGeometry(scaledWidth, scaledHeight);
+  // Create plane geometry (sized by layoutVideoBackground)
+  const geometry = new THREE.PlaneGeometry(1, 1);
   const material = new THREE.MeshBasicMaterial({ 
     map: videoTexture,
     side: THREE.DoubleSide
   });
   
   videoBackground = new THREE.Mesh(geometry, material);
-  
-  // Position to fill canvas (centered horizontally)
-  videoBackground.position.set(canvasWidth / 2, canvasHeight / 2, 0);
-  
-  // Flip horizontally for mirror effect (front camera)
-  videoBackground.scale.x = -1;
+  layoutVideoBackground(cameraView.getLayout());
   
   scene.add(videoBackground);
   
   console.log('Video background created');
 }
 
+/**
+ * Place the video background for the current display mode
+ * Same size and position as p5-phone draws the camera
+ * @param {Object} layout - From cameraView.getLayout()
+ */
+function layoutVideoBackground(layout) {
+  if (!videoBackground) return;   // Not created until the camera is ready
+  
+  videoBackground.position.set(layout.centerX, layout.centerY, 0);
+  
+  // Negative x scale flips the video for the mirror effect
+  videoBackground.scale.set(layout.mirror ? -layout.width : layout.width, layout.height, 1);
+}
+
 /**
  * Main animation loop
  * Updates and renders the scene
@@ -306,6 +319,11 @@ function createVideoBackground() {
 function animate() {
   requestAnimationFrame(animate);
   
+  // Time since the previous frame (like deltaTime in p5.js)
+  const now = performance.now();
+  if (lastFrameTime > 0) frameDeltaTime = now - lastFrameTime;
+  lastFrameTime = now;
+  
   // Update video texture
   if (videoTexture) {
     videoTexture.needsUpdate = true;
@@ -316,7 +334,7 @@ function animate() {
     videoBackground.visible = showVideo;
   }
   
-  // Clear previous drawings
+  // Start a new frame of drawings (reuses last frame's shapes)
   clearScene();
   
   // Update global point data and measure between specified points
@@ -328,22 +346,27 @@ function animate() {
     bodyPointData4 = getKeypoint(bodyPointIndex4, 0);
     
     // Store previous nose position for velocity calculation
-    bodyPointData5Prev = bodyPointData5;
-    bodyPointData5 = getKeypoint(bodyPointIndex5, 0);
+    // Only when ML5 has new results - animate() runs faster than ML5
+    if (resultsTime !== bodyPointTime5) {
+      bodyPointData5Prev = bodyPointData5;
+      bodyPointTime5Prev = bodyPointTime5;
+      bodyPointData5 = getKeypoint(bodyPointIndex5, 0);
+      bodyPointTime5 = resultsTime;
+    }
     
     // Calculate global measurements
     distance1_2 = measureDistance(bodyPointData1, bodyPointData2);
     angle1_2 = measureAngle(bodyPointData1, bodyPointData2);
     distance3_4 = measureDistance(bodyPointData3, bodyPointData4);
     angle3_4 = measureAngle(bodyPointData3, bodyPointData4);
-    velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev);
+    velocity5 = measureVelocity(bodyPointData5, bodyPointData5Prev, bodyPointTime5 - bodyPointTime5Prev);
     
     // Draw points and measurements
     drawPoints();
     drawMeasurements();
   }
   
-  // Update text overlay
+  // Update HUD text (only changed text is redrawn)
   updateTextOverlay();
   
   // Render the scene
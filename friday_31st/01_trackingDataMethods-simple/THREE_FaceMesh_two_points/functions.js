@@ -8,6 +8,7 @@ Functions are organized by category:
 - Coordinate mapping
 - Measurement functions
 - Visualization functions
+- Head pose mask
 - Drawing primitives
 - Text overlay
 - UI functions
@@ -18,28 +19,28 @@ Functions are organized by category:
 // ==============================================
 
 /**
- * Handle window resize
- * Updates renderer and camera to maintain aspect ratio
+ * Follow the window size - CameraView calls this on resize and rotation
+ * Keeps the Three.js camera, renderer and HUD the size of the canvas, so
+ * the HUD switches between its portrait and landscape layouts
  */
 function onWindowResize() {
-  // For now, we keep a fixed canvas size
-  // Could be extended to handle responsive sizing
+  canvasWidth = cameraView.width;
+  canvasHeight = cameraView.height;
+  
+  camera.right = canvasWidth;
+  camera.top = canvasHeight;
+  camera.updateProjectionMatrix();
   renderer.setSize(canvasWidth, canvasHeight);
+  hud.setSize(canvasWidth, canvasHeight);
 }
 
 /**
- * Clear dynamic objects from scene
- * Removes all objects except video background and text sprite
+ * Start a new frame of points and measurements
+ * Hides last frame's shapes so the draw functions can reuse them
+ * (the video background, HUD and head mask are separate objects and stay as they are)
  */
 function clearScene() {
-  // Remove all objects except video background and text sprite
-  const objectsToRemove = [];
-  scene.children.forEach(child => {
-    if (child !== videoBackground && child !== textSprite) {
-      objectsToRemove.push(child);
-    }
-  });
-  objectsToRemove.forEach(obj => scene.remove(obj));
+  overlay.clear();
 }
 
 // ==============================================
@@ -52,6 +53,7 @@ function clearScene() {
  */
 function gotFaces(results) {
   faces = results || [];
+  resultsTime = performance.now();  // Timestamp for velocity
 }
 
 // ==============================================
@@ -85,49 +87,24 @@ function getKeypoint(index, faceNumber = 0) {
  * @param {number} index - Keypoint index for reference
  * @returns {Object} Mapped keypoint with canvas coordinates
  * 
- * Coordinate transformation process:
- * NOTE: FaceMesh keypoints are already in pixel coordinates (not normalized [0,1])
+ * CameraView does the same steps as p5-phone's cam.mapKeypoint():
  * 1. ML5 keypoint: pixel coordinates relative to video dimensions
- * 2. Apply fitHeight scaling: scale to match canvas height
- * 3. Center horizontally: adjust X to center the scaled video
- * 4. Mirror X coordinate: flip horizontally for front camera
- * 5. Invert Y coordinate: flip vertically for Three.js coordinate system
+ * 2. Scale for the display mode (fitHeight, fitWidth, cover, contain, fixed)
+ * 3. Center the scaled video on the canvas
+ * 4. Mirror X coordinate when mirroring is on (front camera)
+ * 5. Invert Y coordinate for the Three.js coordinate system (yUp)
  * 
- * Example:
+ * Example (fitHeight, mirrored):
  * ML5 keypoint:     {x: 320, y: 240, z: 0}        (center of 640x480 video)
- * Scaled:           {x: 480, y: 360, z: 0}        (scaled by 720/480 = 1.5)
- * Centered:         {x: 442.5, y: 360, z: 0}      (centered: 480 - (480-405)/2)
- * Mirrored X:       {x: -37.5, y: 360, z: 0}      (405 - 442.5)
- * Inverted Y:       {x: -37.5, y: 360, z: 0}      (720 - 360)
+ * Mapped:           {x: 202.5, y: 360, z: 0}      (center of 405x720 canvas)
  */
 function mapKeypointToCanvas(keypoint, index) {
-  // Step 1: FaceMesh coordinates are already in pixels, no conversion needed
-  const videoX = keypoint.x;
-  const videoY = keypoint.y;
-  
-  // Step 2: Apply fitHeight scaling
-  // Scale to match canvas height, may crop width
-  const scale = canvasHeight / videoHeight;
-  const scaledX = videoX * scale;
-  const scaledY = videoY * scale;
-  
-  // Step 3: Center horizontally
-  // Calculate how much width is cropped
-  const scaledVideoWidth = videoWidth * scale;
-  const cropOffset = (scaledVideoWidth - canvasWidth) / 2;
-  const centeredX = scaledX - cropOffset;
-  
-  // Step 4: Mirror X coordinate (front camera effect)
-  const mirroredX = canvasWidth - centeredX;
-  
-  // Step 5: Invert Y coordinate for Three.js coordinate system
-  // Three.js uses bottom-left origin, we want top-left
-  const invertedY = canvasHeight - scaledY;
+  const mapped = cameraView.mapKeypoint(keypoint);
   
   return {
-    x: mirroredX,
-    y: invertedY,
-    z: keypoint.z,
+    x: mapped.x,
+    y: mapped.y,
+    z: mapped.z,
     index: index
   };
 }
@@ -171,15 +148,24 @@ function measureAngle(basePoint, endPoint) {
  * Measure velocity between current and previous point
  * @param {Object} currentPoint - Current point position
  * @param {Object} previousPoint - Previous point position
- * @returns {Object} Velocity object with x, y components and speed
+ * @param {number} elapsed - Time between the two points in ms
+ * @returns {Object} Velocity object with x, y components and speed, in pixels per second
+ *                   (pixels per frame if velocityPerFrame is true)
  */
-function measureVelocity(currentPoint, previousPoint) {
-  if (!currentPoint || !previousPoint) {
+function measureVelocity(currentPoint, previousPoint, elapsed) {
+  if (!currentPoint || !previousPoint || !(elapsed > 0)) {
     return { x: 0, y: 0, speed: 0 };
   }
   
-  const vx = currentPoint.x - previousPoint.x;
-  const vy = currentPoint.y - previousPoint.y;
+  const seconds = elapsed / 1000;
+  let vx = (currentPoint.x - previousPoint.x) / seconds;
+  let vy = (currentPoint.y - previousPoint.y) / seconds;
+  
+  // Compatibility: pixels per frame at the current frame rate
+  if (velocityPerFrame) {
+    vx *= frameDeltaTime / 1000;
+    vy *= frameDeltaTime / 1000;
+  }
   const speed = Math.sqrt(vx * vx + vy * vy);
   
   return { x: vx, y: vy, speed: speed };
@@ -276,8 +262,8 @@ function drawMeasurements() {
   }
   
   // Velocity arrow for nose
-  if (facePointData5 && velocity5 && velocity5.speed > 1) {
-    const scale = 2;
+  if (facePointData5 && velocity5 && velocity5.speed > (velocityPerFrame ? 1 : 60)) {
+    const scale = velocityPerFrame ? 2 : 0.033;  // About 2 frames at 60fps
     const endX = facePointData5.x + velocity5.x * scale;
     const endY = facePointData5.y + velocity5.y * scale;
     
@@ -289,9 +275,65 @@ function drawMeasurements() {
   }
 }
 
+// ==============================================
+// HEAD POSE MASK
+// ==============================================
+
+/**
+ * Create the wireframe mask that follows the head
+ * Built once and kept in the scene - updateHeadMask() moves and rotates it
+ */
+function createHeadMask() {
+  headMask = new THREE.Group();
+  
+  // Box around the head: 1 unit = 1 face width
+  // depthTest off so it draws over the video even where it pokes "behind" it
+  const boxGeometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1.2, 0.7));
+  const boxMaterial = new THREE.LineBasicMaterial({ color: 0x00ffff, depthTest: false });
+  const box = new THREE.LineSegments(boxGeometry, boxMaterial);
+  box.position.z = -0.15;
+  headMask.add(box);
+  
+  // Forward line from the nose
+  const noseGeometry = new THREE.BufferGeometry().setFromPoints([
+    new THREE.Vector3(0, 0, 0),
+    new THREE.Vector3(0, 0, 0.6)
+  ]);
+  const noseMaterial = new THREE.LineBasicMaterial({ color: 0xff0000, depthTest: false });
+  headMask.add(new THREE.Line(noseGeometry, noseMaterial));
+  
+  headMask.renderOrder = 1;
+  headMask.visible = false;
+  scene.add(headMask);
+}
+
+/**
+ * Move, scale and rotate the mask to match the head
+ * Position comes from the mapped nose, size from the eye distance,
+ * rotation from HeadPose
+ */
+function updateHeadMask() {
+  if (!headMask) return;
+  
+  const nose = getKeypoint(facePointIndex5, 0);
+  const eyes = measureDistance(getKeypoint(facePointIndex1, 0), getKeypoint(facePointIndex2, 0));
+  
+  headMask.visible = showData && headPose.isValid() && nose !== null && eyes !== null;
+  if (!headMask.visible) return;
+  
+  // Points 234/454 are about one face width apart
+  // z = -100 keeps the whole box inside the camera's near/far range
+  headMask.position.set(nose.x, nose.y, -100);
+  headMask.scale.setScalar(eyes);
+  headPose.applyToObject(headMask);
+}
+
 // ==============================================
 // DRAWING PRIMITIVES
 // ==============================================
+// Thin wrappers around the ThreeOverlay made in setupThreeJS().
+// The shapes are built once and reused every frame, so nothing is
+// allocated (or leaked) while tracking.
 
 /**
  * Draw a circle at specified position
@@ -301,11 +343,7 @@ function drawMeasurements() {
  * @param {number} color - Hex color value
  */
 function drawCircle(x, y, radius, color) {
-  const geometry = new THREE.CircleGeometry(radius, 32);
-  const material = new THREE.MeshBasicMaterial({ color: color });
-  const circle = new THREE.Mesh(geometry, material);
-  circle.position.set(x, y, 1);
-  scene.add(circle);
+  overlay.circle(x, y, radius, color);
 }
 
 /**
@@ -318,18 +356,7 @@ function drawCircle(x, y, radius, color) {
  * @param {number} opacity - Line opacity (default: 1)
  */
 function drawLine(x1, y1, x2, y2, color, opacity = 1) {
-  const points = [];
-  points.push(new THREE.Vector3(x1, y1, 1));
-  points.push(new THREE.Vector3(x2, y2, 1));
-  
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({ 
-    color: color,
-    transparent: opacity < 1,
-    opacity: opacity
-  });
-  const line = new THREE.Line(geometry, material);
-  scene.add(line);
+  overlay.line(x1, y1, x2, y2, color, opacity);
 }
 
 /**
@@ -342,21 +369,7 @@ function drawLine(x1, y1, x2, y2, color, opacity = 1) {
  * @param {number} color - Hex color value
  */
 function drawArc(x, y, radius, startAngle, endAngle, color) {
-  const curve = new THREE.EllipseCurve(
-    0, 0,              // Center offset (we'll position the whole curve)
-    radius, radius,    // X radius, Y radius
-    startAngle,        // Start angle
-    endAngle,          // End angle
-    false,             // Clockwise
-    0                  // Rotation
-  );
-  
-  const points = curve.getPoints(50);
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({ color: color });
-  const arc = new THREE.Line(geometry, material);
-  arc.position.set(x, y, 1);
-  scene.add(arc);
+  overlay.arc(x, y, radius, startAngle, endAngle, color);
 }
 
 /**
@@ -368,34 +381,7 @@ function drawArc(x, y, radius, startAngle, endAngle, color) {
  * @param {number} color - Hex color value
  */
 function drawArrow(x1, y1, x2, y2, color) {
-  // Draw main line
-  drawLine(x1, y1, x2, y2, color);
-  
-  // Calculate arrow head
-  const angle = Math.atan2(y2 - y1, x2 - x1);
-  const arrowLength = 10;
-  const arrowAngle = Math.PI / 6;
-  
-  // Arrow head point 1
-  const ax1 = x2 - arrowLength * Math.cos(angle - arrowAngle);
-  const ay1 = y2 - arrowLength * Math.sin(angle - arrowAngle);
-  
-  // Arrow head point 2
-  const ax2 = x2 - arrowLength * Math.cos(angle + arrowAngle);
-  const ay2 = y2 - arrowLength * Math.sin(angle + arrowAngle);
-  
-  // Draw arrow head triangle
-  const shape = new THREE.Shape();
-  shape.moveTo(0, 0);
-  shape.lineTo(ax1 - x2, ay1 - y2);
-  shape.lineTo(ax2 - x2, ay2 - y2);
-  shape.lineTo(0, 0);
-  
-  const geometry = new THREE.ShapeGeometry(shape);
-  const material = new THREE.MeshBasicMaterial({ color: color });
-  const arrowHead = new THREE.Mesh(geometry, material);
-  arrowHead.position.set(x2, y2, 1);
-  scene.add(arrowHead);
+  overlay.arrow(x1, y1, x2, y2, color);
 }
 
 // ==============================================
@@ -403,21 +389,12 @@ function drawArrow(x1, y1, x2, y2, color) {
 // ==============================================
 
 /**
- * Update text overlay with status and measurements
- * Uses Canvas 2D API to render text, then updates Three.js texture
+ * Update the HUD with status and measurements
+ * ThreeHUD only redraws a panel or label when its text changes -
+ * labels that just move with their point cost nothing
  */
 function updateTextOverlay() {
-  // Clear canvas
-  textContext.clearRect(0, 0, textCanvas.width, textCanvas.height);
-  
-  // Set text style
-  textContext.font = '16px Arial';
-  textContext.textAlign = 'center';
-  textContext.fillStyle = 'white';
-  textContext.strokeStyle = 'black';
-  textContext.lineWidth = 3;
-  
-  // Draw status at top
+  // Status at top
   let statusText = '';
   if (!videoElement || !videoElement.srcObject) {
     statusText = 'Starting camera...';
@@ -426,98 +403,70 @@ function updateTextOverlay() {
   } else {
     statusText = 'Tracking 5 face points';
   }
+  hud.setPanel('status', statusText);
   
-  textContext.strokeText(statusText, canvasWidth / 2, 20);
-  textContext.fillText(statusText, canvasWidth / 2, 20);
+  // Head pose angles in their own panel
+  if (showData && headPose && headPose.isValid()) {
+    const angles = headPose.getAngles();
+    hud.setPanel('headPose', [
+      { label: 'Yaw', value: `${Math.round(angles.yaw)}°` },
+      { label: 'Pitch', value: `${Math.round(angles.pitch)}°` },
+      { label: 'Roll', value: `${Math.round(angles.roll)}°` }
+    ]);
+  } else {
+    hud.setPanel('headPose', []);
+  }
   
-  // Draw instructions at bottom
-  textContext.font = '14px Arial';
-  textContext.strokeText('Click canvas to toggle video', canvasWidth / 2, canvasHeight - 40);
-  textContext.fillText('Click canvas to toggle video', canvasWidth / 2, canvasHeight - 40);
+  // Point coordinates and measurements only if showData is true
+  if (!showData || faces.length === 0) {
+    hud.hideLabels();
+    return;
+  }
   
-  // Draw point coordinates and measurements if showData is true
-  if (showData && faces.length > 0) {
-    textContext.font = '8px Arial';
-    textContext.textAlign = 'center';
-    textContext.fillStyle = 'yellow';
-    
-    // Point coordinates
-    if (facePointData3) {
-      const text = `(${Math.round(facePointData3.x)}, ${Math.round(facePointData3.y)})`;
-      const y = canvasHeight - facePointData3.y + 15;
-      textContext.strokeText(text, facePointData3.x, y);
-      textContext.fillText(text, facePointData3.x, y);
-    }
-    
-    if (facePointData4) {
-      const text = `(${Math.round(facePointData4.x)}, ${Math.round(facePointData4.y)})`;
-      const y = canvasHeight - facePointData4.y + 15;
-      textContext.strokeText(text, facePointData4.x, y);
-      textContext.fillText(text, facePointData4.x, y);
-    }
-    
-    if (facePointData5) {
-      const text = `(${Math.round(facePointData5.x)}, ${Math.round(facePointData5.y)})`;
-      const y = canvasHeight - facePointData5.y + 15;
-      textContext.strokeText(text, facePointData5.x, y);
-      textContext.fillText(text, facePointData5.x, y);
-    }
-    
-    // Distance measurements
-    textContext.font = '12px Arial';
-    textContext.fillStyle = 'orange';
-    
-    if (facePointData1 && facePointData2 && distance1_2) {
-      const midX = (facePointData1.x + facePointData2.x) / 2;
-      const midY = (facePointData1.y + facePointData2.y) / 2;
-      const text = `${Math.round(distance1_2)}px`;
-      const y = canvasHeight - midY;
-      textContext.strokeText(text, midX, y);
-      textContext.fillText(text, midX, y);
-    }
-    
-    if (facePointData3 && facePointData4 && distance3_4) {
-      const midX = (facePointData3.x + facePointData3.x) / 2;
-      const midY = (facePointData3.y + facePointData4.y) / 2;
-      const text = `${Math.round(distance3_4)}px`;
-      const y = canvasHeight - midY;
-      textContext.strokeText(text, midX, y);
-      textContext.fillText(text, midX, y);
-    }
-    
-    // Angle measurements
-    if (facePointData1 && angle1_2 !== null) {
-      const text = `${Math.round(angle1_2)}°`;
-      const x = facePointData1.x + 35;
-      const y = canvasHeight - facePointData1.y;
-      textContext.textAlign = 'left';
-      textContext.strokeText(text, x, y);
-      textContext.fillText(text, x, y);
-      textContext.textAlign = 'center';
-    }
-    
-    if (facePointData3 && angle3_4 !== null) {
-      const text = `${Math.round(angle3_4)}°`;
-      const x = facePointData3.x + 35;
-      const y = canvasHeight - facePointData3.y;
-      textContext.textAlign = 'left';
-      textContext.strokeText(text, x, y);
-      textContext.fillText(text, x, y);
-      textContext.textAlign = 'center';
-    }
-    
-    // Velocity measurement
-    if (facePointData5 && velocity5 && velocity5.speed > 0) {
-      textContext.fillStyle = 'yellow';
-      const text = `vx: ${velocity5.x.toFixed(1)} vy: ${velocity5.y.toFixed(1)} speed: ${velocity5.speed.toFixed(1)}`;
-      const y = canvasHeight - facePointData5.y - 20;
-      textContext.strokeText(text, facePointData5.x, y);
-      textContext.fillText(text, facePointData5.x, y);
+  // Point coordinates, just below each point
+  // (the eye corners already show the distance between them)
+  [facePointData3, facePointData4, facePointData5].forEach((point, i) => {
+    const name = `point${i + 3}`;
+    if (point) {
+      hud.setLabel(name, `(${Math.round(point.x)}, ${Math.round(point.y)})`, point.x, point.y - 15);
+    } else {
+      hud.hideLabel(name);
     }
+  });
+  
+  // Distance measurements at the midpoints
+  if (facePointData1 && facePointData2 && distance1_2) {
+    hud.setLabel('distance1_2', `${Math.round(distance1_2)}px`, (facePointData1.x + facePointData2.x) / 2, (facePointData1.y + facePointData2.y) / 2);
+  } else {
+    hud.hideLabel('distance1_2');
+  }
+  
+  if (facePointData3 && facePointData4 && distance3_4) {
+    hud.setLabel('distance3_4', `${Math.round(distance3_4)}px`, (facePointData3.x + facePointData4.x) / 2, (facePointData3.y + facePointData4.y) / 2);
+  } else {
+    hud.hideLabel('distance3_4');
   }
   
-  // Update texture
-  textSprite.material.map.needsUpdate = true;
+  // Angle measurements to the right of the base points
+  if (facePointData1 && angle1_2 !== null) {
+    hud.setLabel('angle1_2', `${Math.round(angle1_2)}°`, facePointData1.x, facePointData1.y);
+  } else {
+    hud.hideLabel('angle1_2');
+  }
+  
+  if (facePointData3 && angle3_4 !== null) {
+    hud.setLabel('angle3_4', `${Math.round(angle3_4)}°`, facePointData3.x, facePointData3.y);
+  } else {
+    hud.hideLabel('angle3_4');
+  }
+  
+  // Velocity measurement above the nose
+  if (facePointData5 && velocity5 && velocity5.speed > 0) {
+    const text = `vx: ${velocity5.x.toFixed(1)} vy: ${velocity5.y.toFixed(1)} speed: ${velocity5.speed.toFixed(1)} ${velocityPerFrame ? 'px/frame' : 'px/s'}`;
+    hud.setLabel('velocity5', text, facePointData5.x, facePointData5.y + 20);
+  } else {
+    hud.hideLabel('velocity5');
+  }
 }
 
 // ==============================================
@@ -3,7 +3,8 @@ ML5 FaceMesh Detection - Multiple Points with Velocity (Three.js)
 
 This script uses ML5 FaceMesh with Three.js for face tracking visualization.
 It tracks 5 face points: eyes, lips, and nose with velocity tracking.
-Works on both phone and desktop with portrait orientation.
+Works on both phone and desktop. The canvas fills the window, and the
+text panels re-lay themselves when the phone rotates (ThreeHUD.setSize()).
 
 Key Variables:
 - videoElement: HTML video element for camera feed
@@ -14,15 +15,19 @@ Key Variables:
 - distance1_2, angle1_2: Global measurement variables for eyes
 - distance3_4, angle3_4: Global measurement variables for lips
 - velocity5: Global velocity data for nose (x, y, speed)
+- headPose: HeadPose instance (yaw, pitch, roll from the 3D keypoints)
+- headMask: Wireframe box that turns with the head
 
 Key Functions:
 - init(): Initializes Three.js, camera, and ML5 model
 - loadFaceMeshModel(): Creates ML5 FaceMesh and starts detection
-- setupCamera(): Sets up native WebRTC camera access
+- setupCamera(): Opens the camera with CameraView (shared CameraSettings choice)
 - setupThreeJS(): Creates Three.js scene, camera, renderer
 - createVideoBackground(): Sets up video texture for background
+- layoutVideoBackground(): Places the video for the display mode and mirror
 - animate(): Main animation loop
 - gotFaces(): Callback when faces are detected (in functions.js)
+- createHeadMask() / updateHeadMask(): 3D mask driven by HeadPose (in functions.js)
 
 Common FaceMesh Keypoint Indices (468 points total):
 Key landmarks:
@@ -40,10 +45,26 @@ Example - Using the two-variable method with global measurements:
 facePointData1 = getKeypoint(facePointIndex1, 0);
 distance1_2 = measureDistance(facePointData1, facePointData2);
 angle1_2 = measureAngle(facePointData1, facePointData2);
-velocity5 = measureVelocity(facePointData5, facePointData5Prev);
+velocity5 = measureVelocity(facePointData5, facePointData5Prev, facePointTime5 - facePointTime5Prev);
+
+Velocity is in pixels per SECOND, measured between ML5 results (not animation
+frames), so every device gives the same numbers. Set velocityPerFrame to true
+for the old pixels-per-frame values.
+
+Head pose:
+headPose.update(faces[0]) reads the RAW keypoints (x, y and z) and
+headPose.applyToObject(headMask) rotates the mask to match. The same call
+works on the camera for an orbit: headPose.applyToObject(camera).
+
+Camera and mapping come from CameraView (wednesday_19th/classes/20_camera_view),
+so display modes, mirroring and camera switching behave like p5-phone's
+cam.mapKeypoint() in the p5 versions.
 
 Controls:
 - Click canvas: Toggle video visibility
+- C key: Switch camera
+- M key: Next display mode (fitHeight, fitWidth, cover, contain, fixed)
+- F key: Toggle mirror
 */
 
 // ==============================================
@@ -52,6 +73,7 @@ Controls:
 
 // Video and ML5
 let videoElement;           // HTML video element
+let cameraView;             // CameraView (camera, display mode, mapping)
 let faceMesh;               // ML5 FaceMesh model
 let faces = [];             // Detected faces
 
@@ -60,22 +82,18 @@ let scene, camera, renderer;
 let videoBackground;        // Video texture mesh
 let videoTexture;           // Three.js VideoTexture
 
-// Canvas dimensions (portrait orientation)
-const canvasWidth = 405;
-const canvasHeight = 720;
+// Canvas dimensions - the whole window (portrait on a phone, landscape when rotated)
+let canvasWidth = window.innerWidth;
+let canvasHeight = window.innerHeight;
 
-// Video dimensions (will be set after camera starts)
-let videoWidth = 640;
-let videoHeight = 480;
 
 // Display settings
 let showVideo = true;       // Toggle video display
 let showData = true;        // Toggle measurement visualization
 
 // Text overlay
-let textSprite;             // Three.js sprite for text overlay
-let textCanvas;             // Canvas for rendering text
-let textContext;            // 2D context for text rendering
+let hud;                    // ThreeHUD - status panel and measurement labels
+let overlay;                // ThreeOverlay - points and measurements, reused every frame
 
 // Two-variable method: Define which points to track and store their data
 let facePointIndex1 = 234;      // Left eye outer corner
@@ -92,7 +110,9 @@ let facePointData4 = null;      // Stores mapped lower lip data
 
 let facePointIndex5 = 4;        // Nose tip
 let facePointData5 = null;      // Stores mapped nose data
-let facePointData5Prev = null;  // Previous frame data for velocity
+let facePointData5Prev = null;  // Previous ML5 result for velocity
+let facePointTime5 = 0;         // When facePointData5 was detected (ms)
+let facePointTime5Prev = 0;     // When facePointData5Prev was detected (ms)
 
 // Global measurement variables
 let distance1_2 = 0;            // Distance between eyes
@@ -101,6 +121,16 @@ let distance3_4 = 0;            // Distance between lips
 let angle3_4 = 0;               // Angle between lips
 let velocity5 = { x: 0, y: 0, speed: 0 }; // Nose velocity
 
+// Head pose (from ../../../wednesday_19th/classes/14_head_pose/HeadPose.js)
+let headPose;                   // HeadPose instance
+let headMask;                   // Wireframe mask that follows the head
+
+// Timing
+let resultsTime = 0;             // performance.now() when ML5 last delivered results
+let lastFrameTime = 0;           // performance.now() at the previous animation frame
+let frameDeltaTime = 1000 / 60;  // ms since the previous animation frame
+let velocityPerFrame = false;    // true = old pixels-per-frame velocity (depends on frame rate)
+
 // ==============================================
 // INITIALIZATION
 // ==============================================
@@ -115,6 +145,10 @@ async function init() {
   // Setup Three.js scene, camera, and renderer
   setupThreeJS();
   
+  // Head pose mirrored like the video
+  headPose = new HeadPose({ mirror: true });
+  createHeadMask();
+  
   // Setup camera and load model
   await setupCamera();
   await loadFaceMeshModel();
@@ -150,50 +184,47 @@ async function loadFaceMeshModel() {
 }
 
 /**
- * Setup native WebRTC camera
+ * Open the camera with CameraView
  * Returns a promise that resolves when camera is ready
  */
-function setupCamera() {
-  return new Promise((resolve, reject) => {
-    console.log('Setting up camera...');
-    
-    // Create video element
-    videoElement = document.createElement('video');
-    videoElement.setAttribute('playsinline', '');
-    videoElement.style.display = 'none';
-    document.body.appendChild(videoElement);
-    
-    // Request camera access (front camera)
-    navigator.mediaDevices.getUserMedia({
-      video: {
-        facingMode: 'user',
-        width: { ideal: 640 },
-        height: { ideal: 480 }
-      },
-      audio: false
-    })
-    .then(stream => {
-      videoElement.srcObject = stream;
-      
-      // Wait for video metadata to load
-      videoElement.onloadedmetadata = () => {
-        videoElement.play();
-        
-        // Update video dimensions
-        videoWidth = videoElement.videoWidth;
-        videoHeight = videoElement.videoHeight;
-        console.log(`Camera ready: ${videoWidth}x${videoHeight}`);
-        
-        // Create video background after video is ready
-        createVideoBackground();
-        
-        resolve();
-      };
-    })
-    .catch(err => {
-      console.error('Error accessing camera:', err);
-      reject(err);
-    });
+async function setupCamera() {
+  console.log('Setting up camera...');
+  
+  // Device, resolution and frame rate come from the shared CameraSettings
+  // choice (PHONE_01_camera-selector); yUp matches the Three.js camera
+  cameraView = new CameraView({
+    width: canvasWidth,
+    height: canvasHeight,
+    mode: 'fitHeight',
+    yUp: true,
+    fillWindow: true,   // Canvas follows resizes and rotation
+    autoStart: false
+  });
+  videoElement = cameraView.video;
+  
+  // Keep the canvas and video placed when the camera, orientation, mode or
+  // mirror changes - registered before start() so its first layout is caught too
+  cameraView.onResize((layout) => {
+    onWindowResize();               // Three.js camera, renderer and HUD panels
+    layoutVideoBackground(layout);
+  });
+  
+  try {
+    await cameraView.start();
+  } catch (err) {
+    console.error('Error accessing camera:', err);
+    throw err;
+  }
+  console.log(`Camera ready: ${cameraView.videoWidth}x${cameraView.videoHeight}`);
+  
+  // Create video background after video is ready
+  createVideoBackground();
+  
+  // Keyboard: C = switch camera, M = display mode, F = mirror
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'c') cameraView.switchCamera();
+    if (event.key === 'm') cameraView.nextMode();
+    if (event.key === 'f') cameraView.mirror = !cameraView.mirror;
   });
 }
 
@@ -206,7 +237,7 @@ function setupThreeJS() {
   scene.background = new THREE.Color(0x000000);
   
   // Create orthographic camera for 2D-style rendering
-  // Using portrait orientation: width=405, height=720
+  // Sized to the canvas; onWindowResize() follows rotation and resizes
   camera = new THREE.OrthographicCamera(
     0,              // left
     canvasWidth,    // right
@@ -222,25 +253,25 @@ function setupThreeJS() {
   renderer.setSize(canvasWidth, canvasHeight);
   document.body.appendChild(renderer.domElement);
   
-  // Create text overlay sprite
-  textCanvas = document.createElement('canvas');
-  textCanvas.width = canvasWidth;
-  textCanvas.height = canvasHeight;
-  textContext = textCanvas.getContext('2d');
-  
-  const textTexture = new THREE.CanvasTexture(textCanvas);
-  const textMaterial = new THREE.SpriteMaterial({ 
-    map: textTexture,
-    transparent: true,
-    depthTest: false
-  });
-  textSprite = new THREE.Sprite(textMaterial);
-  textSprite.scale.set(canvasWidth, canvasHeight, 1);
-  textSprite.position.set(canvasWidth / 2, canvasHeight / 2, 2);
-  scene.add(textSprite);
+  // Text: panels pinned to the edges, labels that follow the points
+  hud = new ThreeHUD(scene, { width: canvasWidth, height: canvasHeight, z: 2 });
+  hud.addPanel('status', { anchor: 'top', background: null, fontSize: 16 });
+  hud.addPanel('headPose', { anchor: 'top', title: 'Head pose', color: 'cyan' });
+  hud.addPanel('help', { anchor: 'bottom', background: null });
+  hud.setPanel('help', 'Click canvas to toggle video');
+  
+  // Label styles (same colors as the p5 version)
+  // Points 1 and 2 (eye corners) show their distance instead of coordinates
+  ['point3', 'point4', 'point5'].forEach(label => hud.addLabel(label, { color: 'yellow', fontSize: 8 }));
+  hud.addLabel('distance1_2', { color: 'orange' });
+  hud.addLabel('distance3_4', { color: 'orange' });
+  hud.addLabel('angle1_2', { color: 'orange', align: 'left', offsetX: 35 });
+  hud.addLabel('angle3_4', { color: 'orange', align: 'left', offsetX: 35 });
+  hud.addLabel('velocity5', { color: 'yellow' });
+  
+  // Points, lines, arcs and arrows - built once, updated every frame
+  overlay = new ThreeOverlay(scene);
   
-  // Handle window resize
-  window.addEventListener('resize', onWindowResize);
   
   // Handle canvas click to toggle video
   renderer.domElement.addEventListener('click', toggleVideoVisibility);
@@ -249,8 +280,8 @@ function setupThreeJS() {
 }
 
 /**
- * Create video background with fitHeight scaling
- * Matches p5-phone's fitHeight behavior
+ * Create video background
+ * A 1x1 plane that layoutVideoBackground() scales to the display mode
  */
 function createVideoBackground() {
   console.log('Creating video background...');
@@ -260,35 +291,38 @@ function createVideoBackground() {
   videoTexture.minFilter = THREE.LinearFilter;
   videoTexture.magFilter = THREE.LinearFilter;
   
-  // Calculate scale to fit video height to canvas height (fitHeight mode)
-  const videoAspect = videoWidth / videoHeight;
-  const canvasAspect = canvasWidth / canvasHeight;
-  
-  // Scale to fit height, crop width if needed
-  const scale = canvasHeight / videoHeight;
-  const scaledWidth = videoWidth * scale;
-  const scaledHeight = canvasHeight;
-  
-  // Create plane geometry
-  const geometry = new THREE.PlaneGeometry(scaledWidth, scaledHeight);
+  // Create plane geometry (sized by layoutVideoBackground)
+  const geometry = new THREE.PlaneGeometry(1, 1);
   const material = new THREE.MeshBasicMaterial({ 
     map: videoTexture,
     side: THREE.DoubleSide
   });
   
   videoBackground = new THREE.Mesh(geometry, material);
-  
-  // Position to fill canvas (centered horizontally)
-  videoBackground.position.set(canvasWidth / 2, canvasHeight / 2, 0);
-  
-  // Flip horizontally for mirror effect (front camera)
-  videoBackground.scale.x = -1;
+  layoutVideoBackground(cameraView.getLayout());
   
   scene.add(videoBackground);
   
   console.log('Video background created');
 }
 
+/**
+ * Place the video background for the current display mode
+ * Same size and position as p5-phone draws the camera
+ * @param {Object} layout - From cameraView.getLayout()
+ */
+function layoutVideoBackground(layout) {
+  if (!videoBackground) return;   // Not created until the camera is ready
+  
+  videoBackground.position.set(layout.centerX, layout.centerY, 0);
+  
+  // Negative x scale flips the video for the mirror effect
+  videoBackground.scale.set(layout.mirror ? -layout.width : layout.width, layout.height, 1);
+
+  // Head pose follows the mirror setting
+  if (headPose) headPose.mirror = layout.mirror;
+}
+
 /**
  * Main animation loop
  * Updates and renders the scene
@@ -296,6 +330,11 @@ function createVideoBackground() {
 function animate() {
   requestAnimationFrame(animate);
   
+  // Time since the previous frame (like deltaTime in p5.js)
+  const now = performance.now();
+  if (lastFrameTime > 0) frameDeltaTime = now - lastFrameTime;
+  lastFrameTime = now;
+  
   // Update video texture
   if (videoTexture) {
     videoTexture.needsUpdate = true;
@@ -306,7 +345,7 @@ function animate() {
     videoBackground.visible = showVideo;
   }
   
-  // Clear previous drawings
+  // Start a new frame of drawings (reuses last frame's shapes)
   clearScene();
   
   // Update global point data and measure between specified points
@@ -318,22 +357,34 @@ function animate() {
     facePointData4 = getKeypoint(facePointIndex4, 0);
     
     // Store previous nose position for velocity calculation
-    facePointData5Prev = facePointData5;
-    facePointData5 = getKeypoint(facePointIndex5, 0);
+    // Only when ML5 has new results - animate() runs faster than ML5
+    if (resultsTime !== facePointTime5) {
+      facePointData5Prev = facePointData5;
+      facePointTime5Prev = facePointTime5;
+      facePointData5 = getKeypoint(facePointIndex5, 0);
+      facePointTime5 = resultsTime;
+    }
     
     // Calculate global measurements
     distance1_2 = measureDistance(facePointData1, facePointData2);
     angle1_2 = measureAngle(facePointData1, facePointData2);
     distance3_4 = measureDistance(facePointData3, facePointData4);
     angle3_4 = measureAngle(facePointData3, facePointData4);
-    velocity5 = measureVelocity(facePointData5, facePointData5Prev);
+    velocity5 = measureVelocity(facePointData5, facePointData5Prev, facePointTime5 - facePointTime5Prev);
+    
+    // Head pose from the raw 3D keypoints
+    headPose.update(faces[0]);
+    updateHeadMask();
     
     // Draw points and measurements
     drawPoints();
     drawMeasurements();
+  } else {
+    headPose.update(null);
+    updateHeadMask();
   }
   
-  // Update text overlay
+  // Update HUD text (only changed text is redrawn)
   updateTextOverlay();
   
   // Render the scene
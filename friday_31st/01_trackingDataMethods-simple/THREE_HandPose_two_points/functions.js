@@ -16,35 +16,26 @@ function updateVideoBackground() {
   }
 }
 
+/**
+ * Follow the window size - CameraView calls this on resize and rotation
+ * Keeps the Three.js camera, renderer and HUD the size of the canvas, so
+ * the HUD switches between its portrait and landscape layouts
+ */
 function onWindowResize() {
-  const container = document.getElementById('canvas-container');
-  const containerWidth = container.clientWidth;
-  const containerHeight = container.clientHeight;
-  
-  // Maintain aspect ratio
-  const canvasAspect = canvasWidth / canvasHeight;
-  const containerAspect = containerWidth / containerHeight;
-  
-  let width, height;
-  if (containerAspect > canvasAspect) {
-    height = containerHeight;
-    width = height * canvasAspect;
-  } else {
-    width = containerWidth;
-    height = width / canvasAspect;
-  }
-  
-  renderer.setSize(width, height);
+  canvasWidth = cameraView.width;
+  canvasHeight = cameraView.height;
+  
+  camera.right = canvasWidth;
+  camera.top = canvasHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(canvasWidth, canvasHeight);
+  hud.setSize(canvasWidth, canvasHeight);
 }
 
 function clearScene() {
-  // Remove all meshes/lines from previous frame (keeps video and text sprite)
-  for (let i = scene.children.length - 1; i >= 0; i--) {
-    const child = scene.children[i];
-    if (child !== textSprite && child !== videoPlane) {
-      scene.remove(child);
-    }
-  }
+  // Hide last frame's points and measurements so they can be reused
+  // (video and HUD are separate objects and stay as they are)
+  overlay.clear();
 }
 
 // ==============================================
@@ -54,6 +45,7 @@ function clearScene() {
 function gotHands(results) {
   // Store detected hands (callback is called automatically by ML5)
   hands = results;
+  resultsTime = performance.now();  // Timestamp for velocity
 }
 
 // ==============================================
@@ -76,53 +68,15 @@ function getKeypoint(index, handNumber) {
 
 /**
  * Map ML5 keypoint coordinates to Three.js canvas coordinates
- * Handles video aspect ratio (fitHeight mode), mirroring, and Y-axis inversion
- * 
- * Process:
- * 1. Get ML5 coordinates (video space: 0-640 x 0-480)
- * 2. Calculate video display size (fitHeight: scale to canvas height, crop width)
- * 3. Scale coordinates to display size
- * 4. Adjust for centering offset
- * 5. Mirror X axis (front camera mirror effect)
- * 6. Invert Y axis (Three.js camera convention)
- * 
- * @param {Object} keypoint - ML5 keypoint with x, y, z properties
- * @returns {Object} Mapped point with x, y, z properties in canvas space
+ * Handles the display mode, mirroring, and Y-axis inversion
+ * CameraView does the same steps as p5-phone's cam.mapKeypoint():
+ * scale for the display mode, center on the canvas, mirror X, invert Y (yUp)
+ * @param {Object} keypoint - ML5 keypoint with x, y, z in video pixels
+ * @returns {Object} Mapped point with x, y, z properties
  */
 function mapKeypointToCanvas(keypoint) {
-  
-  // Step 1: Get ML5 video coordinates (0-640, 0-480)
-  const videoX = keypoint.x;
-  const videoY = keypoint.y;
-  
-  // Step 2: Calculate how the video is displayed (fitHeight mode)
-  const videoAspect = videoWidth / videoHeight;
-  let displayWidth = canvasHeight * videoAspect;
-  let displayHeight = canvasHeight;
-  
-  // If video is narrower than canvas, fit to width instead
-  if (displayWidth < canvasWidth) {
-    displayWidth = canvasWidth;
-    displayHeight = displayWidth / videoAspect;
-  }
-  
-  // Step 3: Scale from video dimensions to display dimensions
-  let x = (videoX / videoWidth) * displayWidth;
-  let y = (videoY / videoHeight) * displayHeight;
-  
-  // Step 4: Adjust for centering (video is centered on canvas)
-  const offsetX = (displayWidth - canvasWidth) / 2;
-  const offsetY = (displayHeight - canvasHeight) / 2;
-  x -= offsetX;
-  y -= offsetY;
-  
-  // Step 5: Mirror X (video plane has scale.x = -1 for front camera mirror effect)
-  x = canvasWidth - x;
-  
-  // Step 6: Invert Y (Three.js camera has inverted Y: top=canvasHeight, bottom=0)
-  y = canvasHeight - y;
-  
-  return { x, y, z: keypoint.z || 0 };
+  const mapped = cameraView.mapKeypoint(keypoint);
+  return { x: mapped.x, y: mapped.y, z: mapped.z };
 }
 
 // ==============================================
@@ -161,15 +115,27 @@ function measureAngle(basePoint, endPoint) {
  * Calculate velocity between current and previous positions
  * @param {Object} current - Current point with x, y properties
  * @param {Object} prev - Previous point with x, y properties
- * @returns {Object} Velocity object with x, y components and speed
+ * @param {number} elapsed - Time between the two points in ms
+ * @returns {Object} Velocity object with x, y components and speed, in pixels per second
+ *                   (pixels per frame if velocityPerFrame is true)
  */
-function measureVelocity(current, prev) {
-  if (!current || !prev) return { x: 0, y: 0, speed: 0 };
+function measureVelocity(current, prev, elapsed) {
+  if (!current || !prev || !(elapsed > 0)) {
+    return { x: 0, y: 0, speed: 0 };
+  }
+  
+  const seconds = elapsed / 1000;
+  let vx = (current.x - prev.x) / seconds;
+  let vy = (current.y - prev.y) / seconds;
   
-  const vx = current.x - prev.x;
-  const vy = current.y - prev.y;
+  // Compatibility: pixels per frame at the current frame rate
+  if (velocityPerFrame) {
+    vx *= frameDeltaTime / 1000;
+    vy *= frameDeltaTime / 1000;
+  }
   const speed = Math.sqrt(vx * vx + vy * vy);
-  return { x: vx, y: vy, speed };
+  
+  return { x: vx, y: vy, speed: speed };
 }
 
 // ==============================================
@@ -257,8 +223,8 @@ function drawMeasurements() {
   }
   
   // Velocity arrow from wrist (5)
-  if (handPointData5 && handPointData5Prev && velocity5.speed > 1) {
-    const scale = 2;
+  if (handPointData5 && handPointData5Prev && velocity5.speed > (velocityPerFrame ? 1 : 60)) {
+    const scale = velocityPerFrame ? 2 : 0.033;  // About 2 frames at 60fps
     const endX = handPointData5.x + velocity5.x * scale;
     const endY = handPointData5.y + velocity5.y * scale;
     
@@ -273,99 +239,25 @@ function drawMeasurements() {
 // ==============================================
 // DRAWING PRIMITIVES
 // ==============================================
+// Thin wrappers around the ThreeOverlay made in setupThreeJS().
+// The shapes are built once and reused every frame, so nothing is
+// allocated (or leaked) while tracking.
+// linewidth is kept for the callers, but WebGL draws lines 1 pixel wide.
 
 function drawCircle(x, y, diameter, color) {
-  const geometry = new THREE.CircleGeometry(diameter / 2, 32);
-  const material = new THREE.MeshBasicMaterial({ 
-    color: color,
-    transparent: true,
-    opacity: 0.9,
-    depthTest: false
-  });
-  const circle = new THREE.Mesh(geometry, material);
-  circle.position.set(x, y, 5);
-  circle.renderOrder = 100;
-  scene.add(circle);
+  overlay.circle(x, y, diameter / 2, color, 0.9);
 }
 
 function drawLine(x1, y1, x2, y2, color, linewidth) {
-  const points = [
-    new THREE.Vector3(x1, y1, 6),
-    new THREE.Vector3(x2, y2, 6)
-  ];
-  
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  const material = new THREE.LineBasicMaterial({ 
-    color: color,
-    depthTest: false,
-    linewidth: linewidth 
-  });
-  const line = new THREE.Line(geometry, material);
-  scene.add(line);
+  overlay.line(x1, y1, x2, y2, color);
 }
 
 function drawArc(x, y, radius, startAngle, endAngle, color, linewidth) {
-  const curve = new THREE.EllipseCurve(
-    x, y,
-    radius, radius,
-    startAngle, endAngle,
-    false,  // clockwise
-    0       // rotation
-  );
-  
-  const points = curve.getPoints(32);
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  
-  // Set z position for all points
-  const positions = geometry.attributes.position.array;
-  for (let i = 0; i < positions.length; i += 3) {
-    positions[i + 2] = 6;
-  }
-  
-  const material = new THREE.LineBasicMaterial({ 
-    color: color,
-    linewidth: linewidth,
-    depthTest: false
-  });
-  const arc = new THREE.Line(geometry, material);
-  scene.add(arc);
+  overlay.arc(x, y, radius, startAngle, endAngle, color);
 }
 
 function drawArrow(x1, y1, x2, y2, color, linewidth) {
-  // Draw main line shaft
-  drawLine(x1, y1, x2, y2, color, linewidth);
-  
-  // Calculate arrowhead geometry
-  const angle = Math.atan2(y2 - y1, x2 - x1);
-  const headLength = 10;
-  const headWidth = 5;
-  
-  // Calculate triangle base point (back from tip)
-  const backX = x2 - headLength * Math.cos(angle);
-  const backY = y2 - headLength * Math.sin(angle);
-  
-  // Calculate left and right points perpendicular to arrow direction
-  const leftX = backX - headWidth * Math.cos(angle + Math.PI / 2);
-  const leftY = backY - headWidth * Math.sin(angle + Math.PI / 2);
-  const rightX = backX - headWidth * Math.cos(angle - Math.PI / 2);
-  const rightY = backY - headWidth * Math.sin(angle - Math.PI / 2);
-  
-  // Create filled triangle for arrowhead
-  const shape = new THREE.Shape();
-  shape.moveTo(x2, y2);
-  shape.lineTo(leftX, leftY);
-  shape.lineTo(rightX, rightY);
-  shape.closePath();
-  
-  const geometry = new THREE.ShapeGeometry(shape);
-  const material = new THREE.MeshBasicMaterial({ 
-    color: color,
-    depthTest: false
-  });
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.position.z = 6;
-  mesh.renderOrder = 100;
-  scene.add(mesh);
+  overlay.arrow(x1, y1, x2, y2, color);
 }
 
 // ==============================================
@@ -373,77 +265,53 @@ function drawArrow(x1, y1, x2, y2, color, linewidth) {
 // ==============================================
 
 function updateTextOverlay() {
-  const ctx = textCanvas.getContext('2d');
+  // Labels follow their points; ThreeHUD only redraws one when its text changes
+  if (!showData || hands.length === 0) {
+    hud.hideLabels();
+    return;
+  }
   
-  // Clear previous frame
-  ctx.clearRect(0, 0, textCanvas.width, textCanvas.height);
+  // Distance 1-2 text at midpoint (thumb to index)
+  if (handPointData1 && handPointData2 && distance1_2 > 0) {
+    const midX = (handPointData1.x + handPointData2.x) / 2;
+    const midY = (handPointData1.y + handPointData2.y) / 2;
+    hud.setLabel('distance1_2', `${Math.round(distance1_2)}px`, midX, midY);
+  } else {
+    hud.hideLabel('distance1_2');
+  }
   
-  if (showData && hands.length > 0) {
-    // Base text style (orange like p5.js version)
-    ctx.font = '12px Arial';
-    ctx.fillStyle = 'rgb(255, 165, 0)';
-    ctx.strokeStyle = 'black';
-    ctx.lineWidth = 3;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    
-    // Distance 1-2 text at midpoint (thumb to index)
-    if (handPointData1 && handPointData2 && distance1_2 > 0) {
-      const midX = (handPointData1.x + handPointData2.x) / 2;
-      const midY = canvasHeight - (handPointData1.y + handPointData2.y) / 2;
-      const text = `${Math.round(distance1_2)}px`;
-      ctx.strokeText(text, midX, midY);
-      ctx.fillText(text, midX, midY);
-    }
-    
-    // Angle 1-2 text near base point (thumb)
-    if (handPointData1 && angle1_2 !== 0) {
-      const degrees = Math.round(angle1_2 * 180 / Math.PI);
-      const text = `${degrees}°`;
-      const textX = handPointData1.x + 40;
-      const textY = canvasHeight - handPointData1.y;
-      ctx.textAlign = 'left';
-      ctx.strokeText(text, textX, textY);
-      ctx.fillText(text, textX, textY);
-      ctx.textAlign = 'center';
-    }
-    
-    // Distance 3-4 text at midpoint (middle to ring)
-    if (handPointData3 && handPointData4 && distance3_4 > 0) {
-      const midX = (handPointData3.x + handPointData4.x) / 2;
-      const midY = canvasHeight - (handPointData3.y + handPointData4.y) / 2;
-      const text = `${Math.round(distance3_4)}px`;
-      ctx.strokeText(text, midX, midY);
-      ctx.fillText(text, midX, midY);
-    }
-    
-    // Angle 3-4 text near base point (middle)
-    if (handPointData3 && angle3_4 !== 0) {
-      const degrees = Math.round(angle3_4 * 180 / Math.PI);
-      const text = `${degrees}°`;
-      const textX = handPointData3.x + 40;
-      const textY = canvasHeight - handPointData3.y;
-      ctx.textAlign = 'left';
-      ctx.strokeText(text, textX, textY);
-      ctx.fillText(text, textX, textY);
-      ctx.textAlign = 'center';
-    }
-    
-    // Velocity text near wrist
-    if (handPointData5 && velocity5.speed > 0) {
-      ctx.fillStyle = 'rgb(255, 255, 0)';  // Yellow for velocity
-      const text = `vx: ${velocity5.x.toFixed(1)} vy: ${velocity5.y.toFixed(1)} speed: ${velocity5.speed.toFixed(1)}`;
-      const textX = handPointData5.x;
-      const textY = canvasHeight - handPointData5.y - 20;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'bottom';
-      ctx.strokeText(text, textX, textY);
-      ctx.fillText(text, textX, textY);
-    }
+  // Angle 1-2 text near base point (thumb)
+  if (handPointData1 && angle1_2 !== 0) {
+    const degrees = Math.round(angle1_2 * 180 / Math.PI);
+    hud.setLabel('angle1_2', `${degrees}°`, handPointData1.x, handPointData1.y);
+  } else {
+    hud.hideLabel('angle1_2');
+  }
+  
+  // Distance 3-4 text at midpoint (middle to ring)
+  if (handPointData3 && handPointData4 && distance3_4 > 0) {
+    const midX = (handPointData3.x + handPointData4.x) / 2;
+    const midY = (handPointData3.y + handPointData4.y) / 2;
+    hud.setLabel('distance3_4', `${Math.round(distance3_4)}px`, midX, midY);
+  } else {
+    hud.hideLabel('distance3_4');
+  }
+  
+  // Angle 3-4 text near base point (middle)
+  if (handPointData3 && angle3_4 !== 0) {
+    const degrees = Math.round(angle3_4 * 180 / Math.PI);
+    hud.setLabel('angle3_4', `${degrees}°`, handPointData3.x, handPointData3.y);
+  } else {
+    hud.hideLabel('angle3_4');
   }
   
-  // Update texture
-  textTexture.needsUpdate = true;
+  // Velocity text above wrist
+  if (handPointData5 && velocity5.speed > 0) {
+    const text = `vx: ${velocity5.x.toFixed(1)} vy: ${velocity5.y.toFixed(1)} speed: ${velocity5.speed.toFixed(1)} ${velocityPerFrame ? 'px/frame' : 'px/s'}`;
+    hud.setLabel('velocity5', text, handPointData5.x, handPointData5.y + 28);
+  } else {
+    hud.hideLabel('velocity5');
+  }
 }
 
 // ==============================================
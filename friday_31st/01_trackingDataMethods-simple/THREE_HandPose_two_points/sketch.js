@@ -3,7 +3,8 @@ THREE.js HandPose Detection - Multiple Points with Velocity
 
 This script uses ML5 HandPose with Three.js for 3D rendering and native WebRTC.
 It tracks 5 hand points: fingertips and wrist with velocity tracking.
-Works on both phone and desktop with portrait orientation.
+Works on both phone and desktop. The canvas fills the window, and the
+text panels re-lay themselves when the phone rotates (ThreeHUD.setSize()).
 
 Key Variables:
 - videoElement: HTML video element for camera feed
@@ -32,13 +33,18 @@ Finger structure: Each finger has 4 keypoints (base to tip)
 - Pinky: 17, 18, 19, 20 (tip)
 
 Key Differences from p5.js version:
-- Uses Three.js OrthographicCamera with inverted Y axis (top=720, bottom=0)
-- Native WebRTC camera access (no p5-phone dependency)
-- Custom coordinate mapping for fitHeight video display
+- Uses Three.js OrthographicCamera with inverted Y axis (top=canvas height, bottom=0)
+- Camera and coordinate mapping from CameraView (no p5-phone dependency),
+  with the same display modes and mirroring as cam.mapKeypoint()
 - Video texture mirroring for front camera
 
+Velocity is in pixels per SECOND, measured between ML5 results (not animation
+frames), so every device gives the same numbers. Set velocityPerFrame to true
+for the old pixels-per-frame values.
+
 Controls:
 - Click "Toggle Video" button to show/hide video
+- "Switch Camera", "Display Mode" and "Mirror" buttons (or C, M, F keys)
 - Change showData variable (true/false) to toggle measurement visualization
 */
 
@@ -46,22 +52,20 @@ Controls:
 // GLOBAL VARIABLES
 // ==============================================
 let videoElement;      // HTML video element
+let cameraView;        // CameraView (camera, display mode, mapping)
 let handPose;          // ML5 HandPose model
 let hands = [];        // Detected hands
 let showData = true;   // Toggle measurement visualization (lines, arcs, text)
 
-// Canvas dimensions (portrait orientation: 9:16 ratio)
-const canvasWidth = 405;
-const canvasHeight = 720;
-
-// Camera dimensions for coordinate mapping
-let videoWidth = 640;
-let videoHeight = 480;
+// Canvas dimensions - the whole window (portrait on a phone, landscape when rotated)
+let canvasWidth = window.innerWidth;
+let canvasHeight = window.innerHeight;
 
 // Three.js core objects
 let scene, camera, renderer;
-let textCanvas, textTexture, textSprite;
+let hud;               // ThreeHUD - measurement labels that follow the points
 let videoTexture, videoPlane;
+let overlay;           // ThreeOverlay - points and measurements, reused every frame
 
 // Two-variable method: Define which points to track and store their data
 let handPointIndex1 = 4;    // Thumb tip
@@ -78,7 +82,9 @@ let handPointData4 = null;  // Stores mapped ring data
 
 let handPointIndex5 = 0;    // Wrist
 let handPointData5 = null;  // Stores mapped wrist data
-let handPointData5Prev = null; // Previous frame data for velocity
+let handPointData5Prev = null; // Previous ML5 result for velocity
+let handPointTime5 = 0;        // When handPointData5 was detected (ms)
+let handPointTime5Prev = 0;    // When handPointData5Prev was detected (ms)
 
 // Global measurement variables
 let distance1_2 = 0;  // Distance between thumb and index
@@ -87,6 +93,12 @@ let distance3_4 = 0;  // Distance between middle and ring
 let angle3_4 = 0;     // Angle between middle and ring
 let velocity5 = { x: 0, y: 0, speed: 0 }; // Wrist velocity
 
+// Timing
+let resultsTime = 0;             // performance.now() when ML5 last delivered results
+let lastFrameTime = 0;           // performance.now() at the previous animation frame
+let frameDeltaTime = 1000 / 60;  // ms since the previous animation frame
+let velocityPerFrame = false;    // true = old pixels-per-frame velocity (depends on frame rate)
+
 // ==============================================
 // INITIALIZATION - Runs once when page loads
 // ==============================================
@@ -94,7 +106,7 @@ async function init() {
   // Set up Three.js scene (without video background yet)
   setupThreeJS();
   
-  // Initialize camera using native WebRTC
+  // Initialize camera with CameraView
   try {
     await setupCamera();
     
@@ -127,47 +139,45 @@ async function loadHandPoseModel() {
   handPose.detectStart(videoElement, gotHands);
   updateStatus('Detection started!', 'status');
   
-  // Set up button
+  // Set up buttons
   document.getElementById('toggleVideo').addEventListener('click', toggleVideoVisibility);
+  document.getElementById('switchCamera').addEventListener('click', () => cameraView.switchCamera());
+  document.getElementById('displayMode').addEventListener('click', () => cameraView.nextMode());
+  document.getElementById('mirror').addEventListener('click', () => cameraView.mirror = !cameraView.mirror);
+  
+  // Same controls on the keyboard: C = switch camera, M = display mode, F = mirror
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'c') cameraView.switchCamera();
+    if (event.key === 'm') cameraView.nextMode();
+    if (event.key === 'f') cameraView.mirror = !cameraView.mirror;
+  });
   
   // Start animation loop
   animate();
 }
 
 async function setupCamera() {
-  // Create video element
-  videoElement = document.createElement('video');
-  videoElement.setAttribute('playsinline', '');
-  videoElement.autoplay = true;
-  videoElement.muted = true;
-  
-  // Request camera access
-  const constraints = {
-    video: {
-      facingMode: 'user',  // Front camera
-      width: { ideal: 640 },
-      height: { ideal: 480 }
-    },
-    audio: false
-  };
+  // Device, resolution and frame rate come from the shared CameraSettings
+  // choice (PHONE_01_camera-selector); yUp matches the Three.js camera
+  cameraView = new CameraView({
+    width: canvasWidth,
+    height: canvasHeight,
+    mode: 'fitHeight',
+    yUp: true,
+    fillWindow: true,   // Canvas follows resizes and rotation
+    autoStart: false
+  });
+  videoElement = cameraView.video;
   
-  const stream = await navigator.mediaDevices.getUserMedia(constraints);
-  videoElement.srcObject = stream;
+  // Keep the video placed when the camera, orientation, mode or mirror changes
+  // (registered before start() so its first layout is caught too)
+  cameraView.onResize((layout) => {
+    onWindowResize();               // Three.js camera, renderer and HUD panels
+    layoutVideoBackground(layout);
+  });
   
   // Wait for video to be ready and start playing
-  return new Promise((resolve) => {
-    videoElement.onloadedmetadata = async () => {
-      videoWidth = videoElement.videoWidth;
-      videoHeight = videoElement.videoHeight;
-      // Explicitly start playing
-      videoElement.play().then(() => {
-        resolve();
-      }).catch(error => {
-        console.error('Error starting video:', error);
-        resolve(); // Resolve anyway to continue
-      });
-    };
-  });
+  await cameraView.start();
 }
 
 function setupThreeJS() {
@@ -197,56 +207,29 @@ function setupThreeJS() {
   renderer.setPixelRatio(window.devicePixelRatio);
   container.appendChild(renderer.domElement);
   
-  // Create text sprite for overlays
-  createTextSprite();
+  // Create text labels for the measurements
+  createHUD();
   
-  // Handle window resize
-  window.addEventListener('resize', onWindowResize);
-  onWindowResize(); // Initial sizing
+  // Points, lines, arcs and arrows - built once, drawn over the video
+  overlay = new ThreeOverlay(scene, { z: 5, depthTest: false, renderOrder: 100, arcSegments: 32 });
 }
 
-function createTextSprite() {
-  // Create a canvas for drawing text
-  textCanvas = document.createElement('canvas');
-  textCanvas.width = canvasWidth;
-  textCanvas.height = canvasHeight;
+function createHUD() {
+  // One small texture per label, redrawn only when its text changes
+  hud = new ThreeHUD(scene, { width: canvasWidth, height: canvasHeight, z: 9 });
   
-  // Create texture from canvas
-  textTexture = new THREE.CanvasTexture(textCanvas);
-  textTexture.needsUpdate = true;
-  
-  // Create sprite with the texture
-  const spriteMaterial = new THREE.SpriteMaterial({ 
-    map: textTexture,
-    transparent: true,
-    depthTest: false
-  });
-  textSprite = new THREE.Sprite(spriteMaterial);
-  textSprite.position.set(canvasWidth / 2, canvasHeight / 2, 9);
-  textSprite.scale.set(canvasWidth, canvasHeight, 1);
-  scene.add(textSprite);
+  // Orange like the p5.js version, velocity in yellow
+  hud.addLabel('distance1_2', { color: 'rgb(255, 165, 0)' });
+  hud.addLabel('distance3_4', { color: 'rgb(255, 165, 0)' });
+  hud.addLabel('angle1_2', { color: 'rgb(255, 165, 0)', align: 'left', offsetX: 40 });
+  hud.addLabel('angle3_4', { color: 'rgb(255, 165, 0)', align: 'left', offsetX: 40 });
+  hud.addLabel('velocity5', { color: 'rgb(255, 255, 0)' });
 }
 
 function createVideoBackground() {
-  // Calculate how to fit video to canvas (matching p5-phone 'fitHeight' mode)
-  // Video is 640x480 (4:3), canvas is 405x720 (9:16)
-  const videoAspect = videoWidth / videoHeight;
-  const canvasAspect = canvasWidth / canvasHeight;
-  
-  let planeWidth, planeHeight;
-  
-  // Fit to height (like p5-phone 'fitHeight')
-  planeHeight = canvasHeight;
-  planeWidth = planeHeight * videoAspect;
-  
-  // If width is less than canvas, fit to width instead
-  if (planeWidth < canvasWidth) {
-    planeWidth = canvasWidth;
-    planeHeight = planeWidth / videoAspect;
-  }
-  
-  // Create a plane geometry with calculated dimensions
-  const geometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
+  // A 1x1 plane that layoutVideoBackground() scales to the display mode
+  // (matching p5-phone: 'fitHeight', 'fitWidth', 'cover', 'contain', 'fixed')
+  const geometry = new THREE.PlaneGeometry(1, 1);
   
   // Create video texture from video element
   videoTexture = new THREE.VideoTexture(videoElement);
@@ -263,31 +246,37 @@ function createVideoBackground() {
   
   // Create mesh
   videoPlane = new THREE.Mesh(geometry, material);
-  
-  // Position the plane at the back (z = 0)
-  videoPlane.position.set(canvasWidth / 2, canvasHeight / 2, 0);
-  
-  // Mirror the video horizontally (flip X scale for front camera)
-  videoPlane.scale.x = -1;
-  
-  // Store the video plane dimensions for coordinate mapping
-  videoPlane.userData.displayWidth = planeWidth;
-  videoPlane.userData.displayHeight = planeHeight;
+  layoutVideoBackground(cameraView.getLayout());
   
   // Add to scene
   scene.add(videoPlane);
 }
 
+function layoutVideoBackground(layout) {
+  if (!videoPlane) return;
+  
+  // Position the plane at the back (z = 0), where CameraView puts the video
+  videoPlane.position.set(layout.centerX, layout.centerY, 0);
+  
+  // Size for the display mode; negative x scale mirrors the video (front camera)
+  videoPlane.scale.set(layout.mirror ? -layout.width : layout.width, layout.height, 1);
+}
+
 // ==============================================
 // ANIMATE - Runs continuously (like draw() in p5.js)
 // ==============================================
 function animate() {
   requestAnimationFrame(animate);
   
+  // Time since the previous frame (like deltaTime in p5.js)
+  const now = performance.now();
+  if (lastFrameTime > 0) frameDeltaTime = now - lastFrameTime;
+  lastFrameTime = now;
+  
   // Update video texture
   updateVideoBackground();
   
-  // Clear scene (remove all meshes/lines from previous frame)
+  // Start a new frame of drawings (reuses last frame's shapes)
   clearScene();
   
   // Update global point data and measure between the specified points
@@ -299,22 +288,27 @@ function animate() {
     handPointData4 = getKeypoint(handPointIndex4, 0);
     
     // Store previous wrist position for velocity calculation
-    handPointData5Prev = handPointData5;
-    handPointData5 = getKeypoint(handPointIndex5, 0);
+    // Only when ML5 has new results - animate() runs faster than ML5
+    if (resultsTime !== handPointTime5) {
+      handPointData5Prev = handPointData5;
+      handPointTime5Prev = handPointTime5;
+      handPointData5 = getKeypoint(handPointIndex5, 0);
+      handPointTime5 = resultsTime;
+    }
     
     // Calculate global measurements
     distance1_2 = measureDistance(handPointData1, handPointData2);
     angle1_2 = measureAngle(handPointData1, handPointData2);
     distance3_4 = measureDistance(handPointData3, handPointData4);
     angle3_4 = measureAngle(handPointData3, handPointData4);
-    velocity5 = measureVelocity(handPointData5, handPointData5Prev);
+    velocity5 = measureVelocity(handPointData5, handPointData5Prev, handPointTime5 - handPointTime5Prev);
     
     // Draw visualization
     drawPoints();
     drawMeasurements();
   }
   
-  // Update text overlay
+  // Update HUD text (only changed text is redrawn)
   updateTextOverlay();
   
   // Render scene
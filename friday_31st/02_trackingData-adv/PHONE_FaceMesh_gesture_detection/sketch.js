@@ -1,8 +1,8 @@
 /*
 ML5 FaceMesh Gesture Detection - Head Gestures (Phone Adapted)
 
-This script uses ML5 FaceMesh with nose velocity tracking to detect head gestures.
-It recognizes three states based on head movement:
+This script uses ML5 FaceMesh with a GestureRecognizer on the nose tip to
+detect head gestures. It recognizes three states based on head movement:
 - YES: Vertical head nod (up and down motion)
 - NO: Horizontal head shake (side to side motion)
 - NOT SURE: No significant movement or mixed motion
@@ -14,26 +14,29 @@ Key Variables:
 - faceMesh: ML5 FaceMesh detection model
 - faces: Array to store detected faces
 - noseIndex: Index of nose point (4)
-- noseData, noseDataPrev: Current and previous nose position
-- velocity: Nose velocity (x, y, speed)
+- gestures: GestureRecognizer watching the nose
 - gestureState: Current detected gesture ("Yes", "No", "Not Sure")
 
-Gesture Detection Logic:
-- YES: Strong vertical motion (vy) with minimal horizontal motion (vx)
-- NO: Strong horizontal motion (vx) with minimal vertical motion (vy)
-- NOT SURE: Low speed or mixed motion patterns
+Gesture Detection Logic (GestureRecognizer, wednesday_19th/classes/10):
+- YES (nod): the nose goes down-up-down, vertical travel dominant
+- NO (shake): the nose goes left-right-left, horizontal travel dominant
+- NOT SURE: no nod or shake in the last STATE_TIME milliseconds
+
+Timing:
+- The recognizer keeps a time-stamped history and measures movement
+  relative to the face width, so the same nod is detected the same way
+  on a 30fps phone, a 120Hz phone and at any distance from the camera
 
 Key Functions:
-- setup(): Initializes canvas and PhoneCamera
+- setup(): Initializes canvas, PhoneCamera and the gesture events
 - gotFaces(): Callback function when faces are detected
 - getKeypoint(): Helper function to safely get keypoint data
-- measureVelocity(): Calculates velocity in x, y directions and speed
-- detectGesture(): Analyzes velocity patterns to determine gesture state
+- getFaceWidth(): Ear to ear distance, the recognizer's reference size
 - drawGestureUI(): Displays current gesture state with visual feedback
 
 Controls:
 - Touch screen: Toggle video visibility
-- Change showData variable (true/false) to toggle measurement visualization
+- Change showData variable (true/false) to show the nose trail
 */
 
 // ==============================================
@@ -43,27 +46,23 @@ let cam;                // PhoneCamera instance
 let faceMesh;           // ML5 FaceMesh model
 let faces = [];         // Detected faces
 let showVideo = true;   // Toggle video display
-let showData = false;   // Toggle measurement visualization (simplified for gesture focus)
+let showData = false;   // Toggle the nose trail the recognizer analyzes
 
 // Nose tracking (two-variable method)
 let noseIndex = 4;          // Nose tip
 let noseData = null;        // Current nose position
-let noseDataPrev = null;    // Previous nose position
-
-// Velocity tracking
-let velocity = { x: 0, y: 0, speed: 0 };
+let earIndices = [234, 454];  // Face edges, for the face width
 
 // Gesture detection
+let gestures;                   // GestureRecognizer for nod/shake
 let gestureState = "Not Sure";  // Current gesture: "Yes", "No", "Not Sure"
-let gestureHistory = [];        // Store recent velocities for pattern detection
 let gestureConfidence = 0;      // Confidence level (0-1)
 
-// Gesture detection thresholds
-const SPEED_THRESHOLD_YES = 2;      // Minimum speed to detect Yes gesture (lower = easier)
-const SPEED_THRESHOLD_NO = 3;       // Minimum speed to detect No gesture
-const VERTICAL_RATIO = 2.0;         // Ratio for vertical dominance (Yes)
-const HORIZONTAL_RATIO = 2.0;       // Ratio for horizontal dominance (No)
-const HISTORY_LENGTH = 10;          // Number of frames to analyze
+// Gesture tuning (see GestureRecognizer for all options)
+const OSCILLATION_AMPLITUDE = 0.08; // Nod/shake size as a fraction of face width (lower = easier)
+const MIN_CONFIDENCE = 0.5;         // Ignore weaker matches (0-1)
+const COOLDOWN = 600;               // Milliseconds between gestures
+const STATE_TIME = 1000;            // Show Yes/No this long after a gesture
 
 // Gesture counter
 let gestureCounter = 0;             // Goes up with Yes, down with No, stays same with Not Sure
@@ -82,6 +81,24 @@ function setup() {
   // Enable camera tap to toggle video
   enableCameraTap();
   
+  // Only nod and shake - the recognizer knows more (tilt, swipes, circle, hold)
+  gestures = new GestureRecognizer({
+    gestures: ['nod', 'shake'],
+    oscillationAmplitude: OSCILLATION_AMPLITUDE,
+    minConfidence: MIN_CONFIDENCE,
+    cooldown: COOLDOWN
+  });
+  gestures.on('nod', (event) => {
+    gestureState = "Yes";
+    gestureConfidence = event.confidence;
+    gestureCounter++;  // Count up
+  });
+  gestures.on('shake', (event) => {
+    gestureState = "No";
+    gestureConfidence = event.confidence;
+    gestureCounter--;  // Count down
+  });
+  
   // Wait for camera to initialize, then create model and start detection
   cam.onReady(() => {
     // Configure ML5 FaceMesh AFTER camera is ready
@@ -112,25 +129,30 @@ function draw() {
   
   // Update nose tracking and gesture detection
   if (faces.length > 0) {
-    // Store previous nose position
-    noseDataPrev = noseData;
     noseData = getKeypoint(noseIndex, 0);
     
-    // Calculate velocity
-    velocity = measureVelocity(noseData, noseDataPrev);
-    
-    // Detect gesture based on velocity patterns
-    detectGesture();
+    // Nose position and face width go to the recognizer every frame
+    gestures.update(noseData, getFaceWidth());
     
     // Show the nose point
     if (noseData) {
       showPoint(noseData, color(255, 255, 0));  // Yellow
     }
   } else {
-    // No face detected - reset to Not Sure
+    // No face detected - breaks any gesture in progress
+    noseData = null;
+    gestures.update(null);
+  }
+  
+  // Back to Not Sure a while after the last nod or shake
+  if (!gestures.wasRecent('nod', STATE_TIME) && !gestures.wasRecent('shake', STATE_TIME)) {
     gestureState = "Not Sure";
     gestureConfidence = 0;
-    gestureHistory = [];  // Clear history
+  }
+  
+  // Show the path the recognizer is analyzing
+  if (showData) {
+    gestures.drawTrail(color(255, 255, 0));
   }
   
   // Draw gesture state UI
@@ -163,6 +185,17 @@ function getKeypoint(index, faceNumber = 0) {
   return cam.mapKeypoint(point);
 }
 
+// ==============================================
+// HELPER - Face width, so gestures work at any distance
+// ==============================================
+function getFaceWidth() {
+  const rightEar = getKeypoint(earIndices[0], 0);
+  const leftEar = getKeypoint(earIndices[1], 0);
+  if (!isValidPoint(rightEar) || !isValidPoint(leftEar)) return null;
+  
+  return dist(rightEar.x, rightEar.y, leftEar.x, leftEar.y);
+}
+
 // ==============================================
 // DISPLAY - Show a point with its coordinates
 // ==============================================
@@ -192,125 +225,6 @@ function showPoint(point, pointColor) {
   }
 }
 
-// ==============================================
-// MEASURE - Velocity in x and y directions
-// ==============================================
-function measureVelocity(currentPoint, previousPoint) {
-  // Return zero velocity if either point is missing
-  if (!currentPoint || !previousPoint) {
-    return { x: 0, y: 0, speed: 0 };
-  }
-  
-  // Calculate velocity components
-  const vx = currentPoint.x - previousPoint.x;
-  const vy = currentPoint.y - previousPoint.y;
-  const speed = Math.sqrt(vx * vx + vy * vy);
-  
-  // Draw visualization only if showData is true
-  if (showData) {
-    // Draw velocity vector from current point
-    if (speed > 1) {
-      stroke(255, 255, 0);
-      strokeWeight(3);
-      
-      // Draw velocity arrow (scaled for visibility)
-      const scale = 2;
-      const endX = currentPoint.x + vx * scale;
-      const endY = currentPoint.y + vy * scale;
-      
-      // Arrow line
-      line(currentPoint.x, currentPoint.y, endX, endY);
-      
-      // Arrow head
-      push();
-      translate(endX, endY);
-      rotate(atan2(vy, vx));
-      fill(255, 255, 0);
-      noStroke();
-      triangle(-10, -5, -10, 5, 0, 0);
-      pop();
-    }
-    
-    // Show velocity text
-    noStroke();
-    fill(255, 255, 0);
-    textAlign(CENTER, BOTTOM);
-    textSize(12);
-    text(`vx: ${vx.toFixed(1)} vy: ${vy.toFixed(1)} speed: ${speed.toFixed(1)}`, 
-         currentPoint.x, currentPoint.y - 20);
-  }
-  
-  return { x: vx, y: vy, speed: speed };
-}
-
-// ==============================================
-// GESTURE - Detect gesture from velocity patterns
-// ==============================================
-function detectGesture() {
-  // Add current velocity to history
-  gestureHistory.push({ 
-    x: velocity.x, 
-    y: velocity.y, 
-    speed: velocity.speed 
-  });
-  
-  // Keep only recent history
-  if (gestureHistory.length > HISTORY_LENGTH) {
-    gestureHistory.shift();
-  }
-  
-  // Need enough history to analyze
-  if (gestureHistory.length < HISTORY_LENGTH) {
-    gestureState = "Not Sure";
-    gestureConfidence = 0;
-    return;
-  }
-  
-  // Analyze velocity patterns for Yes and No separately
-  let totalVx = 0;
-  let totalVy = 0;
-  let totalSpeed = 0;
-  let activeFramesYes = 0;
-  let activeFramesNo = 0;
-  
-  for (let v of gestureHistory) {
-    // Check for Yes gesture (vertical motion with lower threshold)
-    if (v.speed > SPEED_THRESHOLD_YES && Math.abs(v.y) > Math.abs(v.x) * VERTICAL_RATIO) {
-      totalVy += Math.abs(v.y);
-      activeFramesYes++;
-    }
-    // Check for No gesture (horizontal motion)
-    if (v.speed > SPEED_THRESHOLD_NO && Math.abs(v.x) > Math.abs(v.y) * HORIZONTAL_RATIO) {
-      totalVx += Math.abs(v.x);
-      activeFramesNo++;
-    }
-    totalSpeed += v.speed;
-  }
-  
-  // Calculate average motion
-  const avgVy = activeFramesYes > 0 ? totalVy / activeFramesYes : 0;
-  const avgVx = activeFramesNo > 0 ? totalVx / activeFramesNo : 0;
-  const avgSpeed = totalSpeed / gestureHistory.length;
-  
-  // Determine gesture based on which motion is stronger
-  if (activeFramesYes > HISTORY_LENGTH * 0.4 && avgVy > avgVx) {
-    // Strong vertical motion = YES (nodding)
-    gestureState = "Yes";
-    gestureConfidence = Math.min(1, avgSpeed / 15);
-    gestureCounter++;  // Count up
-  } else if (activeFramesNo > HISTORY_LENGTH * 0.4 && avgVx > avgVy) {
-    // Strong horizontal motion = NO (shaking)
-    gestureState = "No";
-    gestureConfidence = Math.min(1, avgSpeed / 15);
-    gestureCounter--;  // Count down
-  } else {
-    // Mixed or low motion = NOT SURE
-    gestureState = "Not Sure";
-    gestureConfidence = 0;
-    // gestureCounter stays the same (no change)
-  }
-}
-
 // ==============================================
 // UI - Display gesture state
 // ==============================================
@@ -11,12 +11,15 @@ How it works:
 - Red chaser sprite follows the leader using moveTo()
 - Statistics track total distance traveled and catches
 - Sprite is always present even when no hand is detected
+- Short tracking drop-outs are bridged by TrackingLoss (hold, predict, fade),
+  and the game pauses when the hand is really gone
 
 Key Concepts:
 - Combining ML5 tracking with p5play sprites
 - Using velocity-based movement for smooth control
 - Using p5play's built-in collision detection
 - PhoneCamera with coordinate mapping
+- TrackingLoss onLost / onFound to pause and resume
 */
 
 // ==============================================
@@ -32,6 +35,8 @@ let showVideo = true;   // Toggle video display
 // Hand tracking
 let fingerIndex = 8;       // Index finger tip
 let fingerData = null;     // Current finger position
+let finger;                // TrackingLoss - bridges short drop-outs
+let paused = false;        // True while the hand is lost
 
 // p5play sprites
 let leader;   // Sprite controlled by finger position
@@ -96,6 +101,11 @@ function setup() {
   
   // Set up collision relationship
   chaser.overlaps(leader);
+  
+  // Hold, predict, then fade the fingertip when the hand goes missing
+  finger = new TrackingLoss({ holdTime: 100, predictTime: 200, fadeTime: 500 });
+  finger.onLost(() => paused = true);
+  finger.onFound(() => paused = false);
 }
 
 // ==============================================
@@ -109,26 +119,25 @@ function draw() {
     image(cam, 0, 0);  // PhoneCamera handles positioning and mirroring
   }
   
-  // Target position for leader (default to center if no hand)
-  let targetX = width / 2;
-  let targetY = height / 2;
+  // Target position for leader (stay where it is if no hand)
+  let targetX = leader.x;
+  let targetY = leader.y;
+  
+  // Finger position - held, predicted and faded through short drop-outs
+  // (null once the hand has been gone for a while)
+  fingerData = finger.update(getKeypoint(fingerIndex, 0));
   
-  // Update finger position if hand is detected
-  if (hands.length > 0) {
-    fingerData = getKeypoint(fingerIndex, 0);
+  // If finger is available, use finger position as target
+  if (fingerData) {
+    targetX = fingerData.x;
+    targetY = fingerData.y;
     
-    // If finger is detected, use finger position as target
-    if (fingerData) {
-      targetX = fingerData.x;
-      targetY = fingerData.y;
-      
-      // Draw finger point visualization
-      push();
-      fill(255, 255, 0, 150);
-      noStroke();
-      circle(fingerData.x, fingerData.y, 20);
-      pop();
-    }
+    // Draw finger point visualization (fades out while the hand is missing)
+    push();
+    fill(255, 255, 0, 150 * fingerData.confidence);
+    noStroke();
+    circle(fingerData.x, fingerData.y, 20);
+    pop();
   }
   
   // Move leader to target position using velocity
@@ -147,8 +156,13 @@ function draw() {
     leader.vel.y = dy * 0.3;
   }
   
-  // Chaser always moves toward leader (whether controlled by finger or not)
-  chaser.moveTo(leader.x, leader.y, 3);
+  // Chaser moves toward leader, and waits while the hand is lost
+  if (paused) {
+    chaser.vel.x = 0;
+    chaser.vel.y = 0;
+  } else {
+    chaser.moveTo(leader.x, leader.y, 3);
+  }
   
   // Check if sprites are currently overlapping
   let isOverlapping = chaser.overlapping(leader);
@@ -201,6 +215,15 @@ function drawUI() {
   textAlign(RIGHT, TOP);
   text(`Distance: ${Math.round(distanceBetween)}px`, width - 20, height - 48);
   
+  // Paused while the hand is lost
+  if (paused) {
+    textAlign(CENTER, CENTER);
+    textSize(20);
+    stroke(0);
+    strokeWeight(3);
+    text('Hand lost - show it to continue', width / 2, height / 2 - 60);
+  }
+  
   pop();
 }
 
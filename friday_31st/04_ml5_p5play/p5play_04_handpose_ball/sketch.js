@@ -11,6 +11,8 @@ How it works:
 - Ball bounces around with gravity and physics
 - Paddle can hit and bounce the ball
 - Paddle is always present even when no hand is detected
+- Short tracking drop-outs are bridged by TrackingLoss (hold, predict, fade),
+  so paddles only glide home when the hand is really gone
 
 Key Concepts:
 - Combining ML5 tracking with p5play physics
@@ -31,6 +33,7 @@ let showVideo = true;   // Toggle video display
 // Hand tracking - track 4 fingertips
 let fingerIndices = [8, 12, 16, 20];  // Index, Middle, Ring, Pinky tips
 let fingerData = [null, null, null, null];  // Current finger positions
+let fingerLoss = [];                        // One TrackingLoss per fingertip
 
 // p5play sprites
 let balls;     // Group of dynamic bouncing balls
@@ -68,6 +71,11 @@ function setup() {
     });
   });
   
+  // Hold, predict, then fade each fingertip when the hand goes missing
+  for (let i = 0; i < 4; i++) {
+    fingerLoss.push(new TrackingLoss({ holdTime: 100, predictTime: 150, fadeTime: 400 }));
+  }
+  
   // Set up world physics
   world.gravity.y = 10;  // Gravity pulls down
   
@@ -148,23 +156,26 @@ function draw() {
   for (let i = 0; i < 4; i++) {
     let targetX = defaultPositions[i].x;
     let targetY = defaultPositions[i].y;
+    let responsiveness = 0.3;
     
-    // Update finger position if hand is detected
-    if (hands.length > 0) {
-      fingerData[i] = getKeypoint(fingerIndices[i], 0);
+    // Finger position - held, predicted and faded through short drop-outs
+    // (null once the hand has been gone for a while)
+    fingerData[i] = fingerLoss[i].update(getKeypoint(fingerIndices[i], 0));
+    
+    // If finger is available, use finger position as target
+    if (fingerData[i]) {
+      targetX = fingerData[i].x;
+      targetY = fingerData[i].y;
       
-      // If finger is detected, use finger position as target
-      if (fingerData[i]) {
-        targetX = fingerData[i].x;
-        targetY = fingerData[i].y;
-        
-        // Draw finger point visualization
-        push();
-        fill(255, 255, 0, 150);
-        noStroke();
-        circle(fingerData[i].x, fingerData[i].y, 15);
-        pop();
-      }
+      // Draw finger point visualization (fades out while the hand is missing)
+      push();
+      fill(255, 255, 0, 150 * fingerData[i].confidence);
+      noStroke();
+      circle(fingerData[i].x, fingerData[i].y, 15);
+      pop();
+    } else {
+      // Hand really gone - glide home slowly instead of jumping
+      responsiveness = 0.05;
     }
     
     // Get the corresponding paddle
@@ -181,8 +192,8 @@ function draw() {
       let dy = targetY - paddle.y;
       
       // Set velocity directly for smooth movement
-      paddle.vel.x = dx * 0.3;
-      paddle.vel.y = dy * 0.3;
+      paddle.vel.x = dx * responsiveness;
+      paddle.vel.y = dy * responsiveness;
     }
   }
   
@@ -8,6 +8,8 @@ This example combines:
 How it works:
 - Tracks ears and nose to calculate gaze position
 - Single sprite follows the gaze smoothly
+- Short face drop-outs are bridged by TrackingLoss (hold, predict, fade)
+  before the sprite goes back to the center
 */
 
 // ==============================================
@@ -32,6 +34,7 @@ let noseData = null;
 // Gaze position
 let gazeX = 0;
 let gazeY = 0;
+let gaze;               // TrackingLoss - bridges short drop-outs
 
 // TUNABLE PARAMETERS
 let SMOOTHING_FACTOR = 0.4;
@@ -103,6 +106,9 @@ function setup() {
   
   // Set up overlap relationship
   gazeSprite.overlaps(targetSprites);
+  
+  // Hold, predict, then fade the gaze when the face goes missing
+  gaze = new TrackingLoss({ holdTime: 200, predictTime: 200, fadeTime: 800 });
 }
 
 // ==============================================
@@ -121,6 +127,7 @@ function draw() {
   let targetY = height / 2;
   
   // Process face data if detected
+  let gazeFound = false;
   if (faces.length > 0) {
     leftEarData = getKeypoint(leftEarIndex, 0);
     rightEarData = getKeypoint(rightEarIndex, 0);
@@ -128,8 +135,7 @@ function draw() {
     
     if (leftEarData && rightEarData && noseData) {
       calculateGaze();
-      targetX = gazeX;
-      targetY = gazeY;
+      gazeFound = true;
       
       // Draw tracking points
       push();
@@ -143,6 +149,14 @@ function draw() {
     }
   }
   
+  // Gaze position - held, predicted and faded through short drop-outs
+  // (null once the face has been gone for a while)
+  let gazePoint = gaze.update(gazeFound ? { x: gazeX, y: gazeY } : null);
+  if (gazePoint) {
+    targetX = gazePoint.x;
+    targetY = gazePoint.y;
+  }
+  
   // Move gaze sprite to target position using velocity
   let dx = targetX - gazeSprite.x;
   let dy = targetY - gazeSprite.y;
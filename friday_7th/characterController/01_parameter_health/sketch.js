@@ -65,7 +65,7 @@ const HEALTH_MIN = 0;           // Minimum health value
 const HEALTH_MAX = 100;         // Maximum health value
 
 // HEALTH FORCES (Environmental + Input)
-const HEALTH_DECAY_RATE = 0.08;     // How fast health depletes over time (negative force)
+const HEALTH_DECAY_RATE = 0.08;     // How fast health depletes per 60fps frame (negative force)
 const HEALTH_CLICK_BOOST = 15;      // Health gained per click/touch (positive input)
 const HEALTH_INERTIA = 0.15;        // How quickly health changes (0-1, lower = more sluggish)
 
@@ -142,15 +142,18 @@ function draw() {
   // ==========================================
   // STEP 1: APPLY ENVIRONMENTAL FORCES
   // ==========================================
+  let frameScale = FrameTime.scale();
+  
   // Health constantly decays (negative environmental force)
-  targetHealth -= HEALTH_DECAY_RATE;
+  // Scaled by frame time so health drains at the same speed on every screen
+  targetHealth -= HEALTH_DECAY_RATE * frameScale;
   
   // Constrain target health to valid range
   targetHealth = constrain(targetHealth, HEALTH_MIN, HEALTH_MAX);
   
   // Apply inertia - smooth transition to target health
   // This creates organic, gradual changes instead of instant jumps
-  health = lerp(health, targetHealth, HEALTH_INERTIA);
+  health = FrameTime.smooth(health, targetHealth, HEALTH_INERTIA);
   
   // ==========================================
   // STEP 2: CONVERT PARAMETER TO OUTPUTS
@@ -182,7 +185,7 @@ function draw() {
     // CHARACTER IS MOVING (has enough health and target is far)
     
     // Move character toward target at health-based speed
-    character.moveTo(targetX, targetY, currentSpeed);
+    character.moveTo(targetX, targetY, FrameTime.perFrame(currentSpeed));
     
     // Switch to walk animation if not already walking
     if (character.ani.name !== 'walk') {
@@ -361,7 +364,7 @@ function drawUI() {
   
   text(`FORCES:`, x, y);
   y += lineHeight;
-  text(`  • Decay: -${HEALTH_DECAY_RATE.toFixed(2)}/frame (environment)`, x, y);
+  text(`  • Decay: -${(HEALTH_DECAY_RATE * 60).toFixed(1)}/sec (environment)`, x, y);
   y += lineHeight;
   text(`  • Click: +${HEALTH_CLICK_BOOST} (input)`, x, y);
   y += lineHeight;
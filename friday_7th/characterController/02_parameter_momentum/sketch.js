@@ -69,8 +69,8 @@ const MOMENTUM_MIN = 0;             // Minimum momentum
 const MOMENTUM_MAX = 100;           // Maximum momentum
 
 // MOMENTUM FORCES
-const MOMENTUM_FRICTION = 0.3;      // Natural decay rate (environmental resistance)
-const MOMENTUM_DRAG = 0.1;          // Decay while moving (effort cost)
+const MOMENTUM_FRICTION = 0.3;      // Natural decay per 60fps frame (environmental resistance)
+const MOMENTUM_DRAG = 0.1;          // Decay per 60fps frame while moving (effort cost)
 const MOMENTUM_CLICK_BOOST = 8;     // Momentum gained per click
 const MOMENTUM_INERTIA = 0.12;      // How quickly momentum changes (very smooth)
 
@@ -157,15 +157,18 @@ function draw() {
   // STEP 1: APPLY ENVIRONMENTAL FORCES
   // ==========================================
   
+  // Forces are scaled by frame time so momentum fades at the same speed on every screen
+  let frameScale = FrameTime.scale();
+  
   // Calculate distance to target
   let distanceToTarget = dist(character.x, character.y, targetX, targetY);
   
   if (distanceToTarget > STOP_DISTANCE) {
     // Moving: Apply drag (movement costs momentum)
-    targetMomentum -= MOMENTUM_DRAG;
+    targetMomentum -= MOMENTUM_DRAG * frameScale;
   } else {
     // Stopped: Apply stronger friction
-    targetMomentum -= MOMENTUM_FRICTION;
+    targetMomentum -= MOMENTUM_FRICTION * frameScale;
   }
   
   // Analyze click history for directional consistency bonus
@@ -174,7 +177,7 @@ function draw() {
     let consistencyBonus = calculateDirectionalConsistency();
     if (consistencyBonus > 0.7) {
       // Consistent direction = less momentum loss
-      targetMomentum -= MOMENTUM_FRICTION * 0.5; // Compensate some friction
+      targetMomentum -= MOMENTUM_FRICTION * 0.5 * frameScale; // Compensate some friction
     }
   }
   
@@ -182,7 +185,7 @@ function draw() {
   targetMomentum = constrain(targetMomentum, MOMENTUM_MIN, MOMENTUM_MAX);
   
   // Apply inertia - very smooth momentum changes
-  momentum = lerp(momentum, targetMomentum, MOMENTUM_INERTIA);
+  momentum = FrameTime.smooth(momentum, targetMomentum, MOMENTUM_INERTIA);
   
   // ==========================================
   // STEP 2: CONVERT PARAMETER TO OUTPUTS
@@ -210,7 +213,7 @@ function draw() {
     // CHARACTER IS MOVING
     
     // Move toward target at momentum-based speed
-    character.moveTo(targetX, targetY, currentSpeed);
+    character.moveTo(targetX, targetY, FrameTime.perFrame(currentSpeed));
     
     // Switch to walk animation
     if (character.ani.name !== 'walk') {
@@ -503,9 +506,9 @@ function drawUI() {
   
   text(`FORCES:`, x, y);
   y += lineHeight;
-  text(`  • Friction: -${MOMENTUM_FRICTION.toFixed(2)}/frame`, x, y);
+  text(`  • Friction: -${(MOMENTUM_FRICTION * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight;
-  text(`  • Drag (moving): -${MOMENTUM_DRAG.toFixed(2)}/frame`, x, y);
+  text(`  • Drag (moving): -${(MOMENTUM_DRAG * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight;
   text(`  • Click: +${MOMENTUM_CLICK_BOOST} (+ bonus if aligned)`, x, y);
   y += lineHeight * 1.3;
@@ -23,7 +23,7 @@ let stress = 0;  // Current stress level (0 = calm, 100 = maximum stress)
 
 // Parameter configuration
 const STRESS_INCREASE = 18;      // How much stress each click adds
-const STRESS_RECOVERY = 0.12;    // How fast stress decreases naturally
+const STRESS_RECOVERY = 0.12;    // How fast stress decreases naturally (per 60fps frame)
 const STRESS_PANIC_THRESHOLD = 70;  // When character cannot walk
 const STRESS_WARNING_THRESHOLD = 40; // When visual effects start
 
@@ -100,7 +100,7 @@ function draw() {
   updateStressParameter();
   
   // Update visual smoothing
-  displayStress = lerp(displayStress, stress, STRESS_VISUAL_INERTIA);
+  displayStress = FrameTime.smooth(displayStress, stress, STRESS_VISUAL_INERTIA);
   
   // Determine walk ability based on stress
   updateWalkAbility();
@@ -156,7 +156,8 @@ function touchStarted() {
 function updateStressParameter() {
   // ENVIRONMENTAL FORCE: Natural stress recovery
   // Stress always decreases over time (like health always decreased)
-  stress -= STRESS_RECOVERY;
+  // Scaled by frame time so recovery takes as long on every screen
+  stress -= STRESS_RECOVERY * FrameTime.scale();
   
   // Keep stress within valid range
   stress = constrain(stress, 0, 100);
@@ -189,8 +190,8 @@ function moveCharacterToTarget() {
   
   // Only move if we can walk and we're not at the target
   if (canWalk && distance > 5) {
-    // Use p5play's moveTo method for smooth movement
-    character.moveTo(targetX, targetY, WALK_SPEED);
+    // Use p5play's moveTo method for smooth movement (speed is per 60fps frame)
+    character.moveTo(targetX, targetY, FrameTime.perFrame(WALK_SPEED));
     
     // Apply stress jitter by offsetting position slightly
     if (jitterX !== 0 || jitterY !== 0) {
@@ -358,7 +359,7 @@ function drawUI() {
   fill(200, 200, 220);
   text(`  Click/Tap: +${STRESS_INCREASE} stress`, x, y);
   y += lineHeight;
-  text(`  Time: -${STRESS_RECOVERY.toFixed(2)}/frame`, x, y);
+  text(`  Time: -${(STRESS_RECOVERY * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight * 1.5;
   
   // Thresholds
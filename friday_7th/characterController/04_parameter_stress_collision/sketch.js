@@ -25,8 +25,8 @@
 let stress = 0;  // Current stress level (0 = calm, 100 = maximum stress)
 
 // Parameter configuration
-const STRESS_TOUCH_INCREASE = 0.8;  // Stress per frame when touched
-const STRESS_RECOVERY = 0.15;       // How fast stress decreases naturally
+const STRESS_TOUCH_INCREASE = 0.8;  // Stress per drag event while touched
+const STRESS_RECOVERY = 0.15;       // How fast stress decreases naturally (per 60fps frame)
 const STRESS_PANIC_THRESHOLD = 70;  // When character behavior becomes erratic
 const STRESS_WARNING_THRESHOLD = 40; // When visual effects start
 
@@ -46,7 +46,7 @@ let walkBackAnimation;
 let targetX = 0;
 let targetY = 0;
 let wanderTimer = 0;
-const WANDER_INTERVAL = 120;  // Frames between choosing new destinations
+const WANDER_INTERVAL = 120;  // 60fps frames between choosing new destinations (2 seconds)
 
 // Movement settings
 let baseSpeed = 1.5;
@@ -118,7 +118,7 @@ function draw() {
   updateStressParameter();
   
   // Update visual smoothing
-  displayStress = lerp(displayStress, stress, STRESS_VISUAL_INERTIA);
+  displayStress = FrameTime.smooth(displayStress, stress, STRESS_VISUAL_INERTIA);
   
   // Update character behavior
   updateCharacterWandering();
@@ -140,7 +140,7 @@ function draw() {
   // Touch indicator
   if (touchIndicator) {
     drawTouchIndicator();
-    touchIndicatorTimer--;
+    touchIndicatorTimer -= FrameTime.scale();
     if (touchIndicatorTimer <= 0) {
       touchIndicator = false;
     }
@@ -220,7 +220,8 @@ function touchMoved() {
 // ==============================================
 function updateStressParameter() {
   // Natural stress recovery (always happening)
-  stress -= STRESS_RECOVERY;
+  // Scaled by frame time so recovery takes as long on every screen
+  stress -= STRESS_RECOVERY * FrameTime.scale();
   stress = constrain(stress, 0, 100);
 }
 
@@ -228,8 +229,8 @@ function updateStressParameter() {
 // CHARACTER AI: Autonomous Wandering
 // ==============================================
 function updateCharacterWandering() {
-  // Timer to choose new destinations
-  wanderTimer++;
+  // Timer to choose new destinations (counts 60fps frames)
+  wanderTimer += FrameTime.scale();
   
   if (wanderTimer >= WANDER_INTERVAL) {
     chooseNewWanderTarget();
@@ -268,8 +269,8 @@ function moveCharacter() {
   let distance = dist(character.x, character.y, targetX, targetY);
   
   if (distance > 10) {
-    // Use p5play's moveTo method for smooth movement
-    character.moveTo(targetX, targetY, currentSpeed);
+    // Use p5play's moveTo method for smooth movement (speed is per 60fps frame)
+    character.moveTo(targetX, targetY, FrameTime.perFrame(currentSpeed));
     
     // Apply stress jitter by offsetting position slightly
     if (jitterX !== 0 || jitterY !== 0) {
@@ -454,7 +455,7 @@ function drawUI() {
   y += lineHeight;
   text(`  Touch Empty: No effect`, x, y);
   y += lineHeight;
-  text(`  Recovery: -${STRESS_RECOVERY.toFixed(2)}/frame`, x, y);
+  text(`  Recovery: -${(STRESS_RECOVERY * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight * 1.5;
   
   // Behavior
@@ -29,7 +29,7 @@ let stress = 0;  // Current stress level (0 = calm, 100 = maximum stress)
 
 // Parameter configuration
 const STRESS_SHAKE_INCREASE = 8;    // How much stress each shake adds (reduced from 25)
-const STRESS_RECOVERY = 0.15;       // How fast stress decreases naturally
+const STRESS_RECOVERY = 0.15;       // How fast stress decreases naturally (per 60fps frame = 9/sec)
 const STRESS_PANIC_THRESHOLD = 70;  // When character becomes very jittery
 const STRESS_WARNING_THRESHOLD = 40; // When visual effects start
 
@@ -55,7 +55,7 @@ let targetY = 0;
 
 // Wandering AI
 let wanderTimer = 0;
-const WANDER_INTERVAL = 120;  // Frames between choosing new destinations (2 seconds at 60fps)
+const WANDER_INTERVAL = 120;  // 60fps frames between choosing new destinations (2 seconds)
 
 // Jitter effect for high stress
 let jitterX = 0;
@@ -164,7 +164,7 @@ function deviceShaken() {
 // ==============================================
 function updateShakeIntensity() {
   // Shake intensity naturally decays over time
-  shakeIntensity *= SHAKE_DECAY;
+  shakeIntensity *= FrameTime.decay(SHAKE_DECAY);
   
   // Clamp to zero if very small
   if (shakeIntensity < 0.01) {
@@ -176,20 +176,22 @@ function updateShakeIntensity() {
 // PARAMETER UPDATE: Stress System
 // ==============================================
 function updateStressParameter() {
+  let frameScale = FrameTime.scale();
+  
   // Natural stress recovery (always happening)
-  stress -= STRESS_RECOVERY;
+  stress -= STRESS_RECOVERY * frameScale;
   stress = constrain(stress, 0, 100);
   
   // Update smooth display value
-  displayStress = lerp(displayStress, stress, STRESS_VISUAL_INERTIA);
+  displayStress = FrameTime.smooth(displayStress, stress, STRESS_VISUAL_INERTIA);
 }
 
 // ==============================================
 // CHARACTER AI: Autonomous Wandering
 // ==============================================
 function updateWandering() {
-  // Timer to choose new destinations
-  wanderTimer++;
+  // Timer to choose new destinations (counts 60fps frames)
+  wanderTimer += FrameTime.scale();
   
   if (wanderTimer >= WANDER_INTERVAL) {
     chooseNewWanderTarget();
@@ -264,8 +266,8 @@ function moveCharacterToTarget() {
   
   // Always keep walking (autonomous wandering)
   if (distance > 10) {
-    // Use p5play's moveTo method for smooth movement
-    character.moveTo(targetX, targetY, currentSpeed);
+    // Use p5play's moveTo method for smooth movement (speed is per 60fps frame)
+    character.moveTo(targetX, targetY, FrameTime.perFrame(currentSpeed));
     
     // Apply stress jitter by offsetting position slightly
     if (jitterX !== 0 || jitterY !== 0) {
@@ -419,7 +421,7 @@ function drawUI() {
   y += lineHeight;
   text(`  Shake adds: +${STRESS_SHAKE_INCREASE} stress`, x, y);
   y += lineHeight;
-  text(`  Recovery: -${STRESS_RECOVERY}/frame`, x, y);
+  text(`  Recovery: -${(STRESS_RECOVERY * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight * 1.3;
   
   // Thresholds
@@ -77,7 +77,7 @@ class StressCharacter {
     // RANDOMIZED PERSONALITY TRAITS (influenced by archetype)
     // These define how each character responds to stress
     this.stressSensitivity = random(2, 20) * this.archetype.stressMod;      // How much stress per shake
-    this.stressRecovery = random(0.05, 0.5) * this.archetype.recoveryMod;   // Recovery rate
+    this.stressRecovery = random(0.05, 0.5) * this.archetype.recoveryMod;   // Recovery per 60fps frame
     this.baseSpeed = random(0.8, 5.0) * this.archetype.speedMod;            // Movement speed
     this.warningThreshold = random(15, 60);      // When jitter starts (15-60) - Some are very sensitive
     this.panicThreshold = random(50, 90);        // When extreme jitter starts (50-90)
@@ -101,6 +101,15 @@ class StressCharacter {
     // Visual effects
     this.jitterX = 0;
     this.jitterY = 0;
+    
+    // Steering - arrives at targets and keeps its distance from the others
+    // (bigger characters need more room, faster ones turn harder)
+    this.steering = new Steering(this.sprite, {
+      maxSpeed: this.currentSpeed,
+      maxForce: this.currentSpeed * 0.08,
+      separation: this.baseScale * 400,
+      frameRateIndependent: FrameTime.enabled
+    });
   }
   
   // ==============================================
@@ -126,19 +135,21 @@ class StressCharacter {
   }
   
   updateStress() {
-    // Natural stress recovery (individual rate)
-    this.stress -= this.stressRecovery;
+    let frameScale = FrameTime.scale();
+    
+    // Natural stress recovery (individual rate, scaled by frame time)
+    this.stress -= this.stressRecovery * frameScale;
     this.stress = constrain(this.stress, 0, 100);
     
     // Smooth display value
-    this.displayStress = lerp(this.displayStress, this.stress, this.visualInertia);
+    this.displayStress = FrameTime.smooth(this.displayStress, this.stress, this.visualInertia);
   }
   
   // ==============================================
   // WANDERING AI
   // ==============================================
   updateWandering() {
-    this.wanderTimer++;
+    this.wanderTimer += FrameTime.scale();  // Counts 60fps frames
     
     if (this.wanderTimer >= this.wanderInterval) {
       this.chooseNewTarget();
@@ -236,8 +247,13 @@ class StressCharacter {
     let distance = dist(this.sprite.x, this.sprite.y, this.targetX, this.targetY);
     
     if (distance > 10) {
-      // Move toward target
-      this.sprite.moveTo(this.targetX, this.targetY, this.currentSpeed);
+      // Steer toward target, keeping away from the other characters
+      this.steering.MAX_SPEED = this.currentSpeed;
+      this.steering.MAX_FORCE = this.currentSpeed * 0.08;
+      this.steering.arrive(this.targetX, this.targetY, 1, 40);
+      this.steering.separate(characters.map((char) => char.steering), 2);
+      this.steering.avoidWalls({ x: 0, y: 0, width: width, height: height }, 2, 40);
+      this.steering.update();
       
       // Apply jitter
       if (this.jitterX !== 0 || this.jitterY !== 0) {
@@ -394,7 +410,7 @@ function deviceShaken() {
 // UPDATE: Shake Intensity
 // ==============================================
 function updateShakeIntensity() {
-  shakeIntensity *= SHAKE_DECAY;
+  shakeIntensity *= FrameTime.decay(SHAKE_DECAY);  // Per-frame decay, once per 60fps frame
   if (shakeIntensity < 0.01) {
     shakeIntensity = 0;
   }
@@ -502,7 +518,7 @@ function drawUI() {
   textSize(11);
   text(`  Stress Sensitivity: ${selectedCharacter.stressSensitivity.toFixed(1)} per shake`, x, y);
   y += lineHeight;
-  text(`  Recovery Rate: ${selectedCharacter.stressRecovery.toFixed(3)}/frame`, x, y);
+  text(`  Recovery Rate: ${(selectedCharacter.stressRecovery * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight;
   text(`  Base Speed: ${selectedCharacter.baseSpeed.toFixed(2)}`, x, y);
   y += lineHeight;
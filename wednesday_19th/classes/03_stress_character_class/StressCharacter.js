@@ -10,51 +10,45 @@
 //
 // This demonstrates how to use a class to organize complex behavior
 // that was previously scattered across many functions.
+//
+// It extends ParameterCharacter (23_parameter_character), which does the
+// parts every parameter character shares: decay, smoothing, saving,
+// wandering and the walk/idle animations. This class only adds what is
+// special about stress - the shake and the thresholds.
 // ==============================================
 
-class StressCharacter {
+class StressCharacter extends ParameterCharacter {
   // ==============================================
   // CONSTRUCTOR - Create a new stress character
   // ==============================================
   constructor(x, y, idleAni, walkAni) {
-    // SPRITE - Create the visual character
-    this.sprite = new Sprite(x, y);
-    this.sprite.scale = 0.2;
-    this.sprite.physics = 'kinematic';
-    this.sprite.collider = 'none';
-    
-    // Add animations to sprite
-    this.sprite.addAni('idle', idleAni);
-    this.sprite.addAni('walk', walkAni);
+    // The stress preset, saved under this example's localStorage key
+    let config = ParameterCharacter.PRESETS.stress;
+    config.parameters.stress.save = 'characterStress';
+    config.stopDistance = 10;
+    
+    // Speed and jitter follow this class's thresholds and the shake
+    config.outputs.speed = (character) => character.getCurrentSpeed();
+    config.outputs.jitter = (character) => character.getStressJitter();
+    
+    // SPRITE, STRESS PARAMETER, WANDERING - set up by ParameterCharacter
+    // (the saved stress is loaded here too)
+    super(x, y, { idle: idleAni, walk: walkAni }, config);
     this.sprite.changeAni('walk');
     
-    // STRESS PARAMETER - Core state
-    this.stress = 0;              // Current stress level (0-100)
-    this.displayStress = 0;       // Smoothed stress for visuals
+    // SHAKE - decays on its own, adds to the jitter
     this.shakeIntensity = 0;      // Current shake intensity
     
     // STRESS CONFIGURATION
+    // Rates are tuned "per frame at 60fps" and scaled by deltaTime (see FrameTime)
+    // Change them after the constructor and update() picks them up
     this.STRESS_SHAKE_INCREASE = 8;
-    this.STRESS_RECOVERY = 0.15;
+    this.STRESS_RECOVERY = 0.15;      // 9 per second
     this.STRESS_PANIC_THRESHOLD = 70;
     this.STRESS_WARNING_THRESHOLD = 40;
     this.SHAKE_DECAY = 0.92;
     this.STRESS_VISUAL_INERTIA = 0.12;
-    
-    // MOVEMENT - Autonomous wandering
     this.BASE_WALK_SPEED = 2.5;
-    this.currentSpeed = this.BASE_WALK_SPEED;
-    this.targetX = random(80, width - 80);
-    this.targetY = random(100, height - 100);
-    this.wanderTimer = 0;
-    this.WANDER_INTERVAL = 120;  // Frames between new destinations
-    
-    // JITTER EFFECT
-    this.jitterX = 0;
-    this.jitterY = 0;
-    
-    // LOAD stress from localStorage
-    this.loadStressFromStorage();
   }
   
   // ==============================================
@@ -62,15 +56,14 @@ class StressCharacter {
   // ==============================================
   update() {
     this.updateShakeIntensity();
-    this.updateStressParameter();
-    this.updateWandering();
-    this.updateCharacterColor();
-    this.updateStressJitter();
-    this.updateMovementSpeed();
-    this.moveToTarget();
     
-    // SAVE stress to localStorage every frame
-    this.saveStressToStorage();
+    // Recovery and smoothing use the current settings
+    let stress = this.getParameter('stress');
+    stress.decay = this.STRESS_RECOVERY;
+    stress.inertia = this.STRESS_VISUAL_INERTIA;
+    
+    // Recovery, smoothing, color, jitter, speed, wandering and saving
+    super.update();
   }
   
   // ==============================================
@@ -90,42 +83,17 @@ class StressCharacter {
     this.shakeIntensity += 1.0;
     this.shakeIntensity = constrain(this.shakeIntensity, 0, 10);
     
-    // Add stress
-    this.stress += this.STRESS_SHAKE_INCREASE;
-    this.stress = constrain(this.stress, 0, 100);
+    // Add stress (kept inside 0-100 by ParameterCharacter)
+    this.add('stress', this.STRESS_SHAKE_INCREASE);
     
     console.log('🔔 SHAKE! Intensity:', this.shakeIntensity.toFixed(2), 'Stress:', this.stress.toFixed(1));
   }
   
-  // ==============================================
-  // LOCAL STORAGE - Load stress from storage
-  // ==============================================
-  loadStressFromStorage() {
-    let savedStress = localStorage.getItem('characterStress');
-    
-    if (savedStress !== null) {
-      this.stress = Number(savedStress);
-      this.displayStress = this.stress;
-      console.log('📦 Loaded stress from storage:', this.stress.toFixed(1));
-    } else {
-      console.log('🆕 First visit - stress starts at 0');
-    }
-  }
-  
-  // ==============================================
-  // LOCAL STORAGE - Save stress to storage
-  // ==============================================
-  saveStressToStorage() {
-    localStorage.setItem('characterStress', this.stress);
-  }
-  
   // ==============================================
   // LOCAL STORAGE - Reset stress and clear storage
   // ==============================================
   resetStress() {
-    localStorage.removeItem('characterStress');
-    this.stress = 0;
-    this.displayStress = 0;
+    this.reset('stress');
     console.log('🔄 Stress reset to 0 and storage cleared!');
   }
   
@@ -135,103 +103,51 @@ class StressCharacter {
   
   updateShakeIntensity() {
     // Shake intensity decays over time
-    this.shakeIntensity *= this.SHAKE_DECAY;
+    this.shakeIntensity *= FrameTime.decay(this.SHAKE_DECAY);
     
     if (this.shakeIntensity < 0.01) {
       this.shakeIntensity = 0;
     }
   }
   
-  updateStressParameter() {
-    // Natural stress recovery
-    this.stress -= this.STRESS_RECOVERY;
-    this.stress = constrain(this.stress, 0, 100);
-    
-    // Smooth display value
-    this.displayStress = lerp(this.displayStress, this.stress, this.STRESS_VISUAL_INERTIA);
-  }
-  
-  updateWandering() {
-    // Timer for choosing new destinations
-    this.wanderTimer++;
-    
-    if (this.wanderTimer >= this.WANDER_INTERVAL) {
-      this.chooseNewWanderTarget();
-      this.wanderTimer = 0;
-    }
-  }
-  
-  chooseNewWanderTarget() {
-    this.targetX = random(80, width - 80);
-    this.targetY = random(100, height - 100);
-  }
-  
-  updateCharacterColor() {
-    // Map stress to color: Green (calm) → Yellow → Red (stressed)
-    let r = map(this.displayStress, 0, 100, 100, 255);
-    let g = map(this.displayStress, 0, 100, 255, 50);
-    let b = 100;
-    
-    this.sprite.color = color(r, g, b);
-  }
+  // ==============================================
+  // OUTPUTS - Read by ParameterCharacter every frame
+  // ==============================================
   
-  updateStressJitter() {
-    // High stress causes position jitter
-    let jitterAmount = 0;
-    
+  getCurrentSpeed() {
+    // Stress affects movement speed
     if (this.stress >= this.STRESS_PANIC_THRESHOLD) {
-      // Panic level - extreme jitter
-      jitterAmount = map(this.stress, this.STRESS_PANIC_THRESHOLD, 100, 3, 8);
-      jitterAmount += this.shakeIntensity * 0.5;
+      return this.BASE_WALK_SPEED * 1.8;
     } else if (this.stress >= this.STRESS_WARNING_THRESHOLD) {
-      // Warning level - mild jitter
-      jitterAmount = map(this.stress, this.STRESS_WARNING_THRESHOLD, this.STRESS_PANIC_THRESHOLD, 0, 3);
-      jitterAmount += this.shakeIntensity * 0.3;
+      return this.BASE_WALK_SPEED * 1.2;
     }
-    
-    this.jitterX = random(-jitterAmount, jitterAmount);
-    this.jitterY = random(-jitterAmount, jitterAmount);
+    return this.BASE_WALK_SPEED;
   }
   
-  updateMovementSpeed() {
-    // Stress affects movement speed
+  getStressJitter() {
+    // High stress causes position jitter, shaking adds more
     if (this.stress >= this.STRESS_PANIC_THRESHOLD) {
-      this.currentSpeed = this.BASE_WALK_SPEED * 1.8;
+      // Panic level - extreme jitter
+      return map(this.stress, this.STRESS_PANIC_THRESHOLD, 100, 3, 8) + this.shakeIntensity * 0.5;
     } else if (this.stress >= this.STRESS_WARNING_THRESHOLD) {
-      this.currentSpeed = this.BASE_WALK_SPEED * 1.2;
-    } else {
-      this.currentSpeed = this.BASE_WALK_SPEED;
-    }
-  }
-  
-  moveToTarget() {
-    // Calculate distance to target
-    let distance = dist(this.sprite.x, this.sprite.y, this.targetX, this.targetY);
-    
-    if (distance > 10) {
-      // Move toward target
-      this.sprite.moveTo(this.targetX, this.targetY, this.currentSpeed);
-      
-      // Apply jitter
-      if (this.jitterX !== 0 || this.jitterY !== 0) {
-        this.sprite.x += this.jitterX;
-        this.sprite.y += this.jitterY;
-      }
-      
-      // Use walk animation
-      if (this.sprite.ani.name !== 'walk') {
-        this.sprite.changeAni('walk');
-      }
-    } else {
-      // Reached target - choose new one
-      this.chooseNewWanderTarget();
+      // Warning level - mild jitter
+      return map(this.stress, this.STRESS_WARNING_THRESHOLD, this.STRESS_PANIC_THRESHOLD, 0, 3) + this.shakeIntensity * 0.3;
     }
+    return 0;
   }
   
   // ==============================================
   // GETTERS - Access internal state
   // ==============================================
   
+  get stress() {
+    return this.get('stress');
+  }
+  
+  get displayStress() {
+    return this.getSmoothed('stress');
+  }
+  
   getStress() {
     return this.stress;
   }
@@ -244,17 +160,12 @@ class StressCharacter {
     return this.shakeIntensity;
   }
   
-  getCurrentSpeed() {
-    return this.currentSpeed;
-  }
-  
   getJitterAmount() {
-    return abs(this.jitterX) + abs(this.jitterY);
+    return this.getOutput('jitter') || 0;
   }
   
   getSavedStress() {
-    let saved = localStorage.getItem('characterStress');
-    return saved !== null ? Number(saved) : null;
+    return this.getSaved('stress');
   }
 }
 
@@ -272,7 +183,7 @@ After: Everything organized in StressCharacter class
 
 DATA PRIVACY:
 -------------
-Internal state (stress, jitter, targets) is contained within the object.
+Internal state (stress, shake, targets) is contained within the object.
 Before: Global variables anyone could accidentally modify
 After: Only this object's methods can modify its own data
 
@@ -290,13 +201,21 @@ ORGANIZATION:
 -------------
 Related code is grouped together:
 - Constructor: Initialization
-- update(): All per-frame updates
+- update(): All per-frame updates (scaled by deltaTime)
 - onShake(): Shake response
-- loadStressFromStorage/saveStressToStorage: Persistence
 - Private methods: Internal logic
+- Outputs: Speed and jitter, read by ParameterCharacter
 - Getters: Safe access to internal state
 
 
+INHERITANCE:
+------------
+StressCharacter extends ParameterCharacter:
+- ParameterCharacter: recovery, smoothing, color, wandering, localStorage
+- StressCharacter: shake, thresholds, speed and jitter
+The same base class runs health, momentum and introversion characters.
+
+
 COMPARISON TO FUNCTION VERSION:
 -------------------------------
 Function version: 550 lines, everything in one file
@@ -257,7 +257,7 @@ function drawUI() {
   y += lineHeight;
   text(`  Shake adds: +${character.STRESS_SHAKE_INCREASE} stress`, x, y);
   y += lineHeight;
-  text(`  Recovery: -${character.STRESS_RECOVERY}/frame`, x, y);
+  text(`  Recovery: -${(character.STRESS_RECOVERY * 60).toFixed(1)}/sec`, x, y);
   y += lineHeight * 1.3;
   
   // Thresholds
@@ -319,7 +319,7 @@ Function Version (02_stress_shake_persistent):
 
 Class Version (03_stress_character_class):
   - 280 lines in sketch.js
-  - 320 lines in StressCharacter.js
+  - 240 lines in StressCharacter.js (extends ParameterCharacter)
   - Clean separation of concerns
   - Easy to see what's character logic vs UI
 
@@ -15,32 +15,32 @@
 // 2. Check threshold to determine state
 // 3. Execute appropriate behavior and animation
 // 4. Save state to localStorage
+//
+// It extends ParameterCharacter (23_parameter_character), which keeps the
+// health inside 0-100, loads and saves it, and fires zone events - so this
+// class is only the parts you change: calculateHealth() and the behaviors.
 // ==============================================
 
-class HealthCharacter {
+class HealthCharacter extends ParameterCharacter {
   // ==============================================
   // CONSTRUCTOR - Create a new health character
   // ==============================================
   constructor(x, y, animation1, animation2) {
-    // SPRITE - Create the visual character
-    this.sprite = new Sprite(x, y);
-    this.sprite.scale = 0.2;
-    this.sprite.physics = 'kinematic';
-    this.sprite.collider = 'none';
-    
-    // Add animations
-    this.sprite.addAni('animation1', animation1);
-    this.sprite.addAni('animation2', animation2);
+    // SPRITE, PARAMETER, PERSISTENCE - set up by ParameterCharacter
+    // (the saved health is loaded here too)
+    super(x, y, { animation1: animation1, animation2: animation2 }, {
+      parameters: {
+        health: {
+          value: 50,                              // Default health (0-100)
+          zones: { low: [0, 50], high: [50, 100] },
+          save: 'characterHealth'
+        }
+      }
+    });
     this.sprite.changeAni('animation1');
     
-    // PARAMETER - Core state
-    this.health = 50;  // Default health (0-100)
-    
     // THRESHOLD - Behavior switch point
     this.HEALTH_THRESHOLD = 50;
-    
-    // LOAD health from localStorage
-    this.loadHealthFromStorage();
   }
   
   // ==============================================
@@ -57,8 +57,8 @@ class HealthCharacter {
       this.behaviour2();  // Low health behavior
     }
     
-    // 3. Save state to localStorage
-    this.saveHealthToStorage();
+    // 3. Save state to localStorage (and update zones)
+    super.update();
   }
   
   // ==============================================
@@ -77,9 +77,8 @@ class HealthCharacter {
     // 
     // OVERRIDE THIS METHOD to implement different behaviors:
     // 
-    // Example 1: Time-based decay
-    //   this.health -= 0.1;
-    //   this.health = constrain(this.health, 0, 100);
+    // Example 1: Time-based decay (per 60fps frame, at any frame rate)
+    //   this.health -= 0.1 * this.getFrameScale();
     //
     // Example 2: Sensor-based (tilt)
     //   if (window.sensorsEnabled) {
@@ -92,7 +91,8 @@ class HealthCharacter {
     //
     // Example 4: Random fluctuation
     //   this.health += random(-0.5, 0.5);
-    //   this.health = constrain(this.health, 0, 100);
+    //
+    // Setting this.health keeps it inside 0-100 for you
     
     // Default: health stays constant unless modified by input
     // (See increaseHealth() and decreaseHealth() methods)
@@ -141,46 +141,22 @@ class HealthCharacter {
   // ==============================================
   
   increaseHealth(amount = 10) {
-    this.health += amount;
-    this.health = constrain(this.health, 0, 100);
+    this.add('health', amount);
   }
   
   decreaseHealth(amount = 10) {
-    this.health -= amount;
-    this.health = constrain(this.health, 0, 100);
+    this.add('health', -amount);
   }
   
   setHealth(value) {
-    this.health = constrain(value, 0, 100);
-  }
-  
-  // ==============================================
-  // LOCAL STORAGE - Load health from storage
-  // ==============================================
-  loadHealthFromStorage() {
-    let savedHealth = localStorage.getItem('characterHealth');
-    
-    if (savedHealth !== null) {
-      this.health = Number(savedHealth);
-      console.log('📦 Loaded health from storage:', this.health.toFixed(1));
-    } else {
-      console.log('🆕 First visit - health starts at 50');
-    }
-  }
-  
-  // ==============================================
-  // LOCAL STORAGE - Save health to storage
-  // ==============================================
-  saveHealthToStorage() {
-    localStorage.setItem('characterHealth', this.health);
+    this.set('health', value);
   }
   
   // ==============================================
   // LOCAL STORAGE - Reset health and clear storage
   // ==============================================
   resetHealth() {
-    localStorage.removeItem('characterHealth');
-    this.health = 50;  // Reset to default
+    this.reset('health');  // Back to the default, storage cleared
     console.log('🔄 Health reset to 50 and storage cleared!');
   }
   
@@ -188,6 +164,14 @@ class HealthCharacter {
   // GETTERS - Access internal state
   // ==============================================
   
+  get health() {
+    return this.get('health');
+  }
+  
+  set health(value) {
+    this.set('health', value);
+  }
+  
   getHealth() {
     return this.health;
   }
@@ -205,8 +189,7 @@ class HealthCharacter {
   }
   
   getSavedHealth() {
-    let saved = localStorage.getItem('characterHealth');
-    return saved !== null ? Number(saved) : null;
+    return this.getSaved('health');
   }
 }
 
@@ -240,8 +223,7 @@ CLASS BENEFITS:
    - Extend class for variants:
      class DecayingCharacter extends HealthCharacter {
        calculateHealth() {
-         this.health -= 0.1;
-         this.health = constrain(this.health, 0, 100);
+         this.health -= 0.1 * this.getFrameScale();
        }
      }
 
@@ -250,6 +232,11 @@ CLASS BENEFITS:
    - Automatic save/load
    - Easy reset
 
+5. INHERITANCE
+   - HealthCharacter extends ParameterCharacter
+   - The base class keeps health in range, saves it and fires
+     onZoneEnter('low' / 'high') when it crosses the threshold
+
 
 USAGE PATTERN:
 --------------
@@ -289,5 +276,7 @@ Copy this class and modify:
 3. Customize behaviour1() and behaviour2()
 4. Add more thresholds if needed
 5. Extend with inheritance for variants
+6. Or skip the template: ParameterCharacter.PRESETS has health, stress,
+   momentum and introversion as configuration
 
 */
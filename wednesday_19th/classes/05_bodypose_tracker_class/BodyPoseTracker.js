@@ -0,0 +1,709 @@
+/**
+ * BodyPoseTracker Class
+ *
+ * A reusable class for full-body tracking using ML5 BodyPose (BlazePose).
+ * Replaces the bodyPointIndex1..5 / bodyPointData1..5 globals and the
+ * camera + model setup copied into every BodyPose sketch.
+ *
+ * WHAT IT DOES:
+ * - Automatically sets up camera and BodyPose (BlazePose) model
+ * - Tracks all 33 BlazePose keypoints
+ * - Name-based point access ('leftWrist') instead of index numbers
+ * - Confidence filtering (uncertain points return null)
+ * - Built-in measurements (distance, angle, joint angle, velocity)
+ * - Automatic velocity tracking in pixels per second
+ * - Optional visualization of points, measurements and skeleton
+ *
+ * HOW TO USE:
+ *
+ *   let tracker;
+ *
+ *   function setup() {
+ *     createCanvas(405, 720);
+ *     tracker = new BodyPoseTracker();
+ *   }
+ *
+ *   function draw() {
+ *     tracker.update();
+ *
+ *     if (tracker.isPoseDetected()) {
+ *       let nose = tracker.getPoint('nose');                         // {x, y, z, confidence}
+ *       let shoulders = tracker.getDistance('leftShoulder', 'rightShoulder');
+ *       let elbow = tracker.getJointAngle('leftElbow');              // degrees (0-180)
+ *
+ *       tracker.drawAll();
+ *     }
+ *   }
+ *
+ * BODY LANDMARK NAMES (33 points):
+ * - Head:  nose, leftEyeInner, leftEye, leftEyeOuter, rightEyeInner, rightEye,
+ *          rightEyeOuter, leftEar, rightEar, leftMouth, rightMouth
+ * - Arms:  leftShoulder, rightShoulder, leftElbow, rightElbow, leftWrist, rightWrist
+ * - Hands: leftPinky, rightPinky, leftIndex, rightIndex, leftThumb, rightThumb
+ * - Torso: leftHip, rightHip
+ * - Legs:  leftKnee, rightKnee, leftAnkle, rightAnkle
+ * - Feet:  leftHeel, rightHeel, leftFootIndex, rightFootIndex
+ * ML5's own names ('left_shoulder') and raw index numbers also work.
+ *
+ * BENEFITS OVER FUNCTION VERSION:
+ * - Setup reduced from 40+ lines to 1 line
+ * - No more "what is index 11?" lookups
+ * - Joint angles (elbow, knee, hip) built in
+ * - Velocity is tracked automatically for every point
+ */
+
+class BodyPoseTracker {
+  /**
+   * Constructor - Initialize the body tracker
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.cameraMode - 'user' (front) or 'environment' (back)
+   * @param {boolean} options.mirror - Mirror the camera feed
+   * @param {string} options.displayMode - 'fitHeight', 'cover', 'contain'
+   * @param {boolean} options.showVideo - Show camera feed
+   * @param {number} options.minConfidence - Ignore points below this score (0-1)
+   * @param {number} options.minPoseScore - Ignore whole poses below this score (0-1)
+   * @param {Object} options.filters - Per-point smoothing, e.g. { rightWrist: { type: 'kalman' } }
+   *                                   (needs KeypointFilter.js, see setFilter)
+   * @param {boolean} options.velocityPerFrame - Old pixels-per-frame velocity (default false = per second)
+   */
+  constructor(options = {}) {
+    // Camera and model
+    this.cam = null;
+    this.bodyPose = null;
+    this.poses = [];
+    this.ready = false;
+
+    // Camera settings
+    this.cameraMode = options.cameraMode || 'user';
+    this.mirror = options.mirror !== undefined ? options.mirror : true;
+    this.displayMode = options.displayMode || 'fitHeight';
+    this.showVideo = options.showVideo !== undefined ? options.showVideo : true;
+
+    // Tunable parameters
+    this.MIN_CONFIDENCE = options.minConfidence !== undefined ? options.minConfidence : 0.3;
+    this.MIN_POSE_SCORE = options.minPoseScore !== undefined ? options.minPoseScore : 0.25;
+    this.velocityPerFrame = options.velocityPerFrame !== undefined ? options.velocityPerFrame : false;
+
+    // Mapped keypoints for each detected pose (rebuilt every frame)
+    // Each entry is an array of 33 {x, y, z, confidence}
+    this.trackedPoses = [];
+    this.previousPoses = [];  // From the previous ML5 result, for velocity
+    this.pointsTime = 0;      // When trackedPoses were detected (ms)
+    this.previousTime = 0;    // When previousPoses were detected (ms)
+
+    // Optional per-point smoothing (see setFilter)
+    this.filterOptions = {};  // {pointIndex: KeypointFilter options}
+    this.filters = {};        // {'0:16': KeypointFilter} keyed by pose and point
+    this.resultsTime = 0;     // When ML5 last delivered results (ms)
+
+    // Initialize camera and model
+    this._initializeCamera();
+
+    for (let name in options.filters || {}) {
+      this.setFilter(name, options.filters[name]);
+    }
+  }
+
+  // ============================================
+  // LANDMARK NAMES - Shared lookup tables
+  // ============================================
+
+  /**
+   * Landmark names in BlazePose index order (0-32)
+   */
+  static get POINT_NAMES() {
+    return [
+      'nose',
+      'leftEyeInner', 'leftEye', 'leftEyeOuter',
+      'rightEyeInner', 'rightEye', 'rightEyeOuter',
+      'leftEar', 'rightEar',
+      'leftMouth', 'rightMouth',
+      'leftShoulder', 'rightShoulder',
+      'leftElbow', 'rightElbow',
+      'leftWrist', 'rightWrist',
+      'leftPinky', 'rightPinky',
+      'leftIndex', 'rightIndex',
+      'leftThumb', 'rightThumb',
+      'leftHip', 'rightHip',
+      'leftKnee', 'rightKnee',
+      'leftAnkle', 'rightAnkle',
+      'leftHeel', 'rightHeel',
+      'leftFootIndex', 'rightFootIndex'
+    ];
+  }
+
+  /**
+   * Joints measured by getJointAngle(): [first, vertex, last]
+   */
+  static get JOINTS() {
+    return {
+      leftElbow: ['leftShoulder', 'leftElbow', 'leftWrist'],
+      rightElbow: ['rightShoulder', 'rightElbow', 'rightWrist'],
+      leftShoulder: ['leftElbow', 'leftShoulder', 'leftHip'],
+      rightShoulder: ['rightElbow', 'rightShoulder', 'rightHip'],
+      leftHip: ['leftShoulder', 'leftHip', 'leftKnee'],
+      rightHip: ['rightShoulder', 'rightHip', 'rightKnee'],
+      leftKnee: ['leftHip', 'leftKnee', 'leftAnkle'],
+      rightKnee: ['rightHip', 'rightKnee', 'rightAnkle']
+    };
+  }
+
+  /**
+   * Bone connections used by drawSkeleton()
+   */
+  static get CONNECTIONS() {
+    return [
+      ['leftShoulder', 'rightShoulder'], ['leftHip', 'rightHip'],
+      ['leftShoulder', 'leftHip'], ['rightShoulder', 'rightHip'],
+      ['leftShoulder', 'leftElbow'], ['leftElbow', 'leftWrist'],
+      ['rightShoulder', 'rightElbow'], ['rightElbow', 'rightWrist'],
+      ['leftHip', 'leftKnee'], ['leftKnee', 'leftAnkle'],
+      ['rightHip', 'rightKnee'], ['rightKnee', 'rightAnkle'],
+      ['leftAnkle', 'leftHeel'], ['leftHeel', 'leftFootIndex'],
+      ['rightAnkle', 'rightHeel'], ['rightHeel', 'rightFootIndex'],
+      ['leftEar', 'leftEye'], ['leftEye', 'nose'],
+      ['rightEar', 'rightEye'], ['rightEye', 'nose']
+    ];
+  }
+
+  /**
+   * Convert a landmark name or number into a keypoint index
+   *
+   * @param {string|number} name - 'leftShoulder', 'left_shoulder' or 11
+   * @returns {number} Keypoint index (0-32) or -1 if unknown
+   */
+  static getPointIndex(name) {
+    if (typeof name === 'number') {
+      return (name >= 0 && name < 33) ? name : -1;
+    }
+
+    // Compare without case or underscores so 'left_shoulder' matches 'leftShoulder'
+    let key = String(name).toLowerCase().replace(/_/g, '');
+
+    // ML5 calls the mouth corners 'mouth_left' / 'mouth_right'
+    if (key === 'mouthleft') return 9;
+    if (key === 'mouthright') return 10;
+
+    return BodyPoseTracker.POINT_NAMES.findIndex((n) => n.toLowerCase() === key);
+  }
+
+  /**
+   * PRIVATE: Initialize camera and BodyPose model
+   * Called automatically by constructor
+   */
+  _initializeCamera() {
+    lockGestures();  // Prevent phone gestures
+
+    // Create phone camera
+    this.cam = createPhoneCamera(this.cameraMode, this.mirror, this.displayMode);
+    enableCameraTap();  // Enable tap to toggle video
+
+    // Wait for camera to be ready before creating model
+    this.cam.onReady(() => {
+      this._initializeBodyPose();
+    });
+  }
+
+  /**
+   * PRIVATE: Initialize BodyPose (BlazePose) model
+   * Called automatically after camera is ready
+   */
+  _initializeBodyPose() {
+    let options = {
+      runtime: 'mediapipe',               // Use MediaPipe runtime
+      modelType: 'MULTIPOSE_LIGHTNING',   // Fast model for phone
+      enableSmoothing: true,              // Smooth tracking
+      minPoseScore: this.MIN_POSE_SCORE,  // Minimum confidence threshold
+      multiPoseMaxDimension: 256,         // Resolution (lower = faster)
+      flipped: false                      // Camera handles mirroring
+    };
+
+    // Create BodyPose model
+    this.bodyPose = ml5.bodyPose('BlazePose', options, () => {
+      // Start detection when model is ready
+      this.bodyPose.detectStart(this.cam.videoElement, (results) => {
+        this.poses = results || [];
+        this.resultsTime = millis();
+      });
+      this.ready = true;
+    });
+  }
+
+  /**
+   * Update the body tracker
+   * Call this in draw() every frame
+   */
+  update() {
+    // Draw video feed if enabled
+    if (this.showVideo && this.cam && this.cam.ready) {
+      image(this.cam, 0, 0);
+    }
+
+    // Remember the last result's points for velocity
+    // Only when ML5 has new results - draw() runs faster than ML5
+    if (this.resultsTime !== this.pointsTime) {
+      this.previousPoses = this.trackedPoses;
+      this.previousTime = this.pointsTime;
+      this.pointsTime = this.resultsTime;
+    }
+
+    // Map every pose into canvas coordinates, keeping each point's confidence
+    this.trackedPoses = [];
+    for (let pose of this.poses) {
+      if (!pose || !pose.keypoints) continue;
+
+      this.trackedPoses.push(pose.keypoints.map((keypoint) => {
+        let mapped = this.cam.mapKeypoint(keypoint);
+        if (!mapped) return null;
+
+        return {
+          x: mapped.x,
+          y: mapped.y,
+          z: keypoint.z !== undefined ? keypoint.z : 0,
+          confidence: keypoint.confidence !== undefined ? keypoint.confidence : 1
+        };
+      }));
+    }
+
+    this._applyFilters();
+  }
+
+  /**
+   * PRIVATE: Smooth the points that have a filter (see setFilter)
+   *
+   * Each filter is timed by when ML5 delivered results, so repeated
+   * frames between detections don't count as "not moving".
+   */
+  _applyFilters() {
+    let active = {};
+
+    for (let poseNumber = 0; poseNumber < this.trackedPoses.length; poseNumber++) {
+      let points = this.trackedPoses[poseNumber];
+
+      for (let index in this.filterOptions) {
+        let point = points[index];
+        if (!point || point.confidence < this.MIN_CONFIDENCE) continue;
+
+        let key = `${poseNumber}:${index}`;
+        if (!this.filters[key]) {
+          this.filters[key] = new KeypointFilter(this.filterOptions[index]);
+        }
+        points[index] = this.filters[key].filter(point, this.resultsTime);
+        active[key] = true;
+      }
+    }
+
+    // Forget filters for poses and points that are no longer tracked
+    for (let key in this.filters) {
+      if (!active[key]) delete this.filters[key];
+    }
+  }
+
+  /**
+   * PRIVATE: Get a point, including ones below the confidence threshold
+   *
+   * @param {string|number} name - Landmark name or index
+   * @param {Array} poseList - trackedPoses or previousPoses
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {Object|null} Point or null
+   */
+  _getRawPoint(name, poseList, poseNumber = 0) {
+    let points = poseList[poseNumber];
+    if (!points) return null;
+
+    let index = BodyPoseTracker.getPointIndex(name);
+    if (index < 0) return null;
+
+    return points[index] || null;
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access body data
+  // ============================================
+
+  /**
+   * Check if the tracker is ready
+   * @returns {boolean} True if camera and model are ready
+   */
+  isReady() {
+    return this.ready && this.cam && this.cam.ready;
+  }
+
+  /**
+   * Check if a body is currently detected
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {boolean} True if the pose is detected
+   */
+  isPoseDetected(poseNumber = 0) {
+    return this.trackedPoses.length > poseNumber;
+  }
+
+  /**
+   * Get the number of bodies currently detected
+   * @returns {number} Number of poses
+   */
+  getPoseCount() {
+    return this.trackedPoses.length;
+  }
+
+  /**
+   * Get a body point by name
+   * Points below the confidence threshold return null
+   *
+   * @param {string|number} name - Landmark name ('leftWrist') or index
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {Object|null} {x, y, z, confidence} in canvas coordinates or null
+   */
+  getPoint(name, poseNumber = 0) {
+    let point = this._getRawPoint(name, this.trackedPoses, poseNumber);
+    if (!point || point.confidence < this.MIN_CONFIDENCE) return null;
+    return point;
+  }
+
+  /**
+   * Get the confidence of a single point
+   * @param {string|number} name - Landmark name
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {number} Confidence 0-1 (0 if not detected)
+   */
+  getConfidence(name, poseNumber = 0) {
+    let point = this._getRawPoint(name, this.trackedPoses, poseNumber);
+    return point ? point.confidence : 0;
+  }
+
+  /**
+   * Get the distance between two points
+   * @param {string|number} name1 - First landmark
+   * @param {string|number} name2 - Second landmark
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {number|null} Distance in pixels or null
+   */
+  getDistance(name1, name2, poseNumber = 0) {
+    let point1 = this.getPoint(name1, poseNumber);
+    let point2 = this.getPoint(name2, poseNumber);
+    if (!point1 || !point2) return null;
+
+    return dist(point1.x, point1.y, point2.x, point2.y);
+  }
+
+  /**
+   * Get the angle from one point to another (from horizontal)
+   * @param {string|number} baseName - Base landmark
+   * @param {string|number} endName - End landmark
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {number|null} Angle in degrees (0-360) or null
+   */
+  getAngle(baseName, endName, poseNumber = 0) {
+    let basePoint = this.getPoint(baseName, poseNumber);
+    let endPoint = this.getPoint(endName, poseNumber);
+    if (!basePoint || !endPoint) return null;
+
+    let angle = Math.atan2(endPoint.y - basePoint.y, endPoint.x - basePoint.x) * 180 / Math.PI;
+    if (angle < 0) angle += 360;
+    return angle;
+  }
+
+  /**
+   * Get the bend angle at a joint
+   *
+   * Either pass a joint name ('leftElbow', 'rightKnee', 'leftHip',
+   * 'rightShoulder') or three landmarks with the vertex in the middle.
+   * A straight limb is 180 degrees, a fully bent one approaches 0.
+   *
+   * @param {string} jointOrFirst - Joint name, or first landmark
+   * @param {string} vertex - Vertex landmark (three-point form only)
+   * @param {string} last - Last landmark (three-point form only)
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {number|null} Angle in degrees (0-180) or null
+   */
+  getJointAngle(jointOrFirst, vertex, last, poseNumber = 0) {
+    let names = [jointOrFirst, vertex, last];
+
+    // Joint-name form: getJointAngle('leftElbow', poseNumber)
+    if (last === undefined && BodyPoseTracker.JOINTS[jointOrFirst]) {
+      names = BodyPoseTracker.JOINTS[jointOrFirst];
+      poseNumber = vertex !== undefined ? vertex : 0;
+    }
+
+    let a = this.getPoint(names[0], poseNumber);
+    let b = this.getPoint(names[1], poseNumber);
+    let c = this.getPoint(names[2], poseNumber);
+    if (!a || !b || !c) return null;
+
+    // Angle between vectors b→a and b→c
+    let angle1 = Math.atan2(a.y - b.y, a.x - b.x);
+    let angle2 = Math.atan2(c.y - b.y, c.x - b.x);
+    let angle = Math.abs(angle1 - angle2) * 180 / Math.PI;
+    if (angle > 180) angle = 360 - angle;
+    return angle;
+  }
+
+  /**
+   * Get the velocity of a point since the previous ML5 result
+   * @param {string|number} name - Landmark name
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {Object} {x, y, speed} in pixels per second
+   *                   (pixels per frame with the velocityPerFrame option)
+   */
+  getVelocity(name, poseNumber = 0) {
+    let current = this.getPoint(name, poseNumber);
+    let previous = this._getRawPoint(name, this.previousPoses, poseNumber);
+    if (!current || !previous) return { x: 0, y: 0, speed: 0 };
+
+    return this._toVelocity(current.x - previous.x, current.y - previous.y);
+  }
+
+  /**
+   * PRIVATE: Turn a movement between two ML5 results into a velocity
+   *
+   * @param {number} dx - Horizontal movement in pixels
+   * @param {number} dy - Vertical movement in pixels
+   * @returns {Object} {x, y, speed} in pixels per second (or per frame, see velocityPerFrame)
+   */
+  _toVelocity(dx, dy) {
+    let elapsed = (this.pointsTime - this.previousTime) / 1000;  // Seconds
+    if (elapsed <= 0) return { x: 0, y: 0, speed: 0 };
+
+    let vx = dx / elapsed;
+    let vy = dy / elapsed;
+
+    // Compatibility: pixels per frame at the current frame rate
+    if (this.velocityPerFrame) {
+      vx *= deltaTime / 1000;
+      vy *= deltaTime / 1000;
+    }
+    return { x: vx, y: vy, speed: Math.sqrt(vx * vx + vy * vy) };
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw a single point
+   * @param {string|number} name - Landmark name
+   * @param {p5.Color} pointColor - Fill color (default yellow)
+   * @param {number} size - Circle diameter (default 20)
+   */
+  drawPoint(name, pointColor = color(255, 255, 0), size = 20) {
+    let point = this.getPoint(name);
+    if (!point) return;
+
+    push();
+    fill(pointColor);
+    noStroke();
+    circle(point.x, point.y, size);
+    pop();
+  }
+
+  /**
+   * Draw a distance line between two points with a label
+   * @param {string|number} name1 - First landmark
+   * @param {string|number} name2 - Second landmark
+   */
+  drawDistance(name1, name2) {
+    let point1 = this.getPoint(name1);
+    let point2 = this.getPoint(name2);
+    if (!point1 || !point2) return;
+
+    let distance = this.getDistance(name1, name2);
+
+    push();
+    stroke(255, 165, 0);  // Orange
+    strokeWeight(2);
+    line(point1.x, point1.y, point2.x, point2.y);
+
+    // Distance text at midpoint
+    noStroke();
+    fill(255, 165, 0);
+    textAlign(CENTER, CENTER);
+    textSize(12);
+    text(`${Math.round(distance)}px`, (point1.x + point2.x) / 2, (point1.y + point2.y) / 2);
+    pop();
+  }
+
+  /**
+   * Draw the bend angle at a joint
+   * @param {string} jointName - 'leftElbow', 'rightKnee', 'leftHip', ...
+   */
+  drawJointAngle(jointName) {
+    let names = BodyPoseTracker.JOINTS[jointName];
+    if (!names) return;
+
+    let a = this.getPoint(names[0]);
+    let b = this.getPoint(names[1]);
+    let c = this.getPoint(names[2]);
+    let angle = this.getJointAngle(jointName);
+    if (!a || !b || !c || angle === null) return;
+
+    let arcRadius = 30;
+    let start = Math.atan2(a.y - b.y, a.x - b.x);
+    let end = Math.atan2(c.y - b.y, c.x - b.x);
+
+    // Always draw the arc on the inside of the joint
+    let sweep = end - start;
+    if (sweep > PI) sweep -= TWO_PI;
+    if (sweep < -PI) sweep += TWO_PI;
+
+    push();
+    noFill();
+    stroke(0, 255, 255);
+    strokeWeight(3);
+    if (sweep >= 0) {
+      arc(b.x, b.y, arcRadius * 2, arcRadius * 2, start, start + sweep);
+    } else {
+      arc(b.x, b.y, arcRadius * 2, arcRadius * 2, start + sweep, start);
+    }
+
+    noStroke();
+    fill(0, 255, 255);
+    textAlign(LEFT, CENTER);
+    textSize(12);
+    text(`${Math.round(angle)}°`, b.x + arcRadius + 5, b.y);
+    pop();
+  }
+
+  /**
+   * Draw a velocity arrow from a point
+   * @param {string|number} name - Landmark name
+   */
+  drawVelocity(name) {
+    let point = this.getPoint(name);
+    let velocity = this.getVelocity(name);
+    let minSpeed = this.velocityPerFrame ? 1 : 60;
+    if (!point || velocity.speed <= minSpeed) return;  // Only draw noticeable movement
+
+    let scale = this.velocityPerFrame ? 2 : 0.033;  // Scale arrow for visibility (about 2 frames at 60fps)
+    let endX = point.x + velocity.x * scale;
+    let endY = point.y + velocity.y * scale;
+
+    push();
+    stroke(255, 255, 0);
+    strokeWeight(3);
+    line(point.x, point.y, endX, endY);
+
+    // Arrow head
+    translate(endX, endY);
+    rotate(atan2(velocity.y, velocity.x));
+    fill(255, 255, 0);
+    noStroke();
+    triangle(-10, -5, -10, 5, 0, 0);
+    pop();
+  }
+
+  /**
+   * Draw the bones and joints of a pose
+   * Only confident points are drawn
+   * @param {number} poseNumber - Pose number (default 0)
+   */
+  drawSkeleton(poseNumber = 0) {
+    if (!this.isPoseDetected(poseNumber)) return;
+
+    push();
+    stroke(255);
+    strokeWeight(3);
+    for (let [nameA, nameB] of BodyPoseTracker.CONNECTIONS) {
+      let pointA = this.getPoint(nameA, poseNumber);
+      let pointB = this.getPoint(nameB, poseNumber);
+      if (pointA && pointB) line(pointA.x, pointA.y, pointB.x, pointB.y);
+    }
+
+    noStroke();
+    for (let name of BodyPoseTracker.POINT_NAMES) {
+      let point = this.getPoint(name, poseNumber);
+      if (!point) continue;
+
+      // Left side cyan, right side magenta, centre white
+      if (name.startsWith('left')) {
+        fill(0, 200, 255);
+      } else if (name.startsWith('right')) {
+        fill(255, 0, 200);
+      } else {
+        fill(255);
+      }
+      circle(point.x, point.y, 10);
+    }
+    pop();
+  }
+
+  /**
+   * Draw skeleton and main joint angles for every pose
+   */
+  drawAll() {
+    for (let i = 0; i < this.trackedPoses.length; i++) {
+      this.drawSkeleton(i);
+    }
+    this.drawJointAngle('leftElbow');
+    this.drawJointAngle('rightElbow');
+    this.drawJointAngle('leftKnee');
+    this.drawJointAngle('rightKnee');
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Toggle video display
+   */
+  toggleVideo() {
+    this.showVideo = !this.showVideo;
+  }
+
+  /**
+   * Set the minimum point confidence
+   * @param {number} confidence - Value between 0 and 1
+   */
+  setMinConfidence(confidence) {
+    this.MIN_CONFIDENCE = constrain(confidence, 0, 1);
+  }
+
+  /**
+   * Smooth one or more points with a KeypointFilter
+   * getPoint() then returns the filtered position. Requires
+   * ../13_keypoint_filter/KeypointFilter.js to be loaded first.
+   *
+   * @param {string|number|Array} name - Landmark name, list of names, or 'all'
+   * @param {Object} options - KeypointFilter options, e.g. { type: 'kalman' }
+   */
+  setFilter(name, options = {}) {
+    if (typeof KeypointFilter === 'undefined') {
+      console.warn('BodyPoseTracker: load KeypointFilter.js before calling setFilter()');
+      return;
+    }
+
+    let names = name === 'all' ? BodyPoseTracker.POINT_NAMES : [].concat(name);
+    for (let pointName of names) {
+      let index = BodyPoseTracker.getPointIndex(pointName);
+      if (index >= 0) this.filterOptions[index] = options;
+    }
+    this.filters = {};  // Rebuilt with the new settings on the next update()
+  }
+
+  /**
+   * Stop smoothing one or more points
+   * @param {string|number|Array} name - Landmark name, list of names, or 'all'
+   */
+  removeFilter(name) {
+    let names = name === 'all' ? BodyPoseTracker.POINT_NAMES : [].concat(name);
+    for (let pointName of names) {
+      delete this.filterOptions[BodyPoseTracker.getPointIndex(pointName)];
+    }
+    this.filters = {};
+  }
+
+  /**
+   * Get the filter for a point, for filtered velocity and acceleration
+   *
+   *   let filter = tracker.getFilter('rightWrist');
+   *   if (filter) filter.getAcceleration();  // pixels per second²
+   *
+   * @param {string|number} name - Landmark name
+   * @param {number} poseNumber - Pose number (default 0)
+   * @returns {KeypointFilter|null} Filter, or null if the point isn't filtered
+   */
+  getFilter(name, poseNumber = 0) {
+    return this.filters[`${poseNumber}:${BodyPoseTracker.getPointIndex(name)}`] || null;
+  }
+}
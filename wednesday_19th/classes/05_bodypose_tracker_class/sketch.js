@@ -0,0 +1,181 @@
+/*
+BodyPoseTracker Class Example - Simplified Usage
+
+This example shows the same functionality as PHONE_BodyPose_two_points,
+but using the BodyPoseTracker class for cleaner, more maintainable code.
+
+COMPARISON:
+- Function version: 380 lines in one file
+- Class version: 180 lines main program + 580-line reusable class
+
+BENEFITS:
+- Setup reduced from 40+ lines to 1 line
+- Points accessed by name ('leftWrist') instead of index numbers
+- Joint angles (elbow, knee, hip) built in
+- Uncertain points filtered out automatically
+- Built-in visualization methods
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // BodyPoseTracker instance
+let showData = true;  // Toggle measurement visualization
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  // Create body tracker with default settings
+  // That's it! Camera and BodyPose are automatically initialized
+  tracker = new BodyPoseTracker();
+
+  // Optional: Customize settings
+  // tracker = new BodyPoseTracker({
+  //   cameraMode: 'user',        // 'user' or 'environment'
+  //   mirror: true,              // Mirror camera
+  //   showVideo: true,           // Show camera feed
+  //   minConfidence: 0.3,        // Hide uncertain points (0-1)
+  //   minPoseScore: 0.25         // Ignore uncertain bodies (0-1)
+  // });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(255);
+
+  // Update the tracker (handles camera feed and keypoint mapping)
+  tracker.update();
+
+  // Only process if a body is detected
+  if (tracker.isPoseDetected()) {
+
+    // ==========================================
+    // GET BODY DATA - Multiple ways to access
+    // ==========================================
+
+    // Method 1: Get any body point by NAME
+    let nose = tracker.getPoint('nose');
+    // Returns: {x, y, z, confidence} or null if not confident
+
+    // Method 2: Built-in measurements
+    let shoulderWidth = tracker.getDistance('leftShoulder', 'rightShoulder');
+    let shoulderTilt = tracker.getAngle('leftShoulder', 'rightShoulder');
+    let noseVelocity = tracker.getVelocity('nose');
+    // Returns: pixels, degrees (0-360), {x, y, speed}
+
+    // Method 3: Joint angles (180 = straight, smaller = more bent)
+    let leftElbow = tracker.getJointAngle('leftElbow');
+    let rightKnee = tracker.getJointAngle('rightKnee');
+    let customAngle = tracker.getJointAngle('leftWrist', 'leftShoulder', 'rightShoulder');
+
+    // ==========================================
+    // VISUALIZE - Built-in drawing methods
+    // ==========================================
+
+    // Draw skeleton and elbow/knee angles
+    tracker.drawAll();
+
+    if (showData) {
+      tracker.drawDistance('leftShoulder', 'rightShoulder');
+      tracker.drawVelocity('nose');
+    }
+
+    // Highlight the nose
+    tracker.drawPoint('nose', color(255, 0, 0), 24);
+  }
+
+  // Draw UI
+  drawUI();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!tracker.isPoseDetected()) {
+    text('Step back so your body is visible', width / 2, 20);
+  } else {
+    let leftElbow = tracker.getJointAngle('leftElbow');
+    let rightElbow = tracker.getJointAngle('rightElbow');
+    text('Tracking 33 body points', width / 2, 20);
+    textSize(14);
+    text(`Elbows: L ${formatAngle(leftElbow)}  R ${formatAngle(rightElbow)}`, width / 2, 44);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap screen to toggle video', width / 2, height - 40);
+  pop();
+}
+
+// ==============================================
+// HELPER - Format a possibly-missing angle
+// ==============================================
+function formatAngle(angle) {
+  return angle === null ? '--' : `${Math.round(angle)}°`;
+}
+
+// ==============================================
+// INTERACTION - Toggle video with tap
+// ==============================================
+function mousePressed() {
+  // Toggle video display when screen is tapped
+  tracker.toggleVideo();
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES (commented out)
+// ==============================================
+
+/*
+// Example 1: Arms raised detection
+function draw() {
+  tracker.update();
+
+  let leftWrist = tracker.getPoint('leftWrist');
+  let nose = tracker.getPoint('nose');
+
+  if (leftWrist && nose && leftWrist.y < nose.y) {
+    background(0, 255, 0);  // Hand above head
+  }
+}
+*/
+
+/*
+// Example 2: Squat depth from knee angle
+function draw() {
+  tracker.update();
+
+  let knee = tracker.getJointAngle('leftKnee');
+  if (knee !== null && knee < 100) {
+    text('Deep squat!', width / 2, height / 2);
+  }
+}
+*/
+
+/*
+// Example 3: Feed a character with movement
+function draw() {
+  tracker.update();
+
+  let speed = tracker.getVelocity('leftWrist').speed;
+  healthCharacter.increaseHealth(speed * 0.05 * deltaTime / 1000);  // Moving restores health (per second)
+  healthCharacter.update();
+}
+*/
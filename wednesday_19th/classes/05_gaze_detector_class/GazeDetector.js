@@ -8,8 +8,10 @@
  * WHAT IT DOES:
  * - Automatically sets up camera and FaceMesh model
  * - Tracks 3D face keypoints (ears, nose)
- * - Calculates gaze direction (LEFT, CENTER, RIGHT)
+ * - Calculates gaze direction (LEFT, CENTER, RIGHT - plus UP, DOWN with the eyes)
+ * - Head mode (nose vs ears), eye mode (iris in the eye) or both fused
  * - Provides smooth gaze position (X, Y coordinates)
+ * - Optional calibration for each user's neutral pose and range
  * - Optional visualization of tracking data
  * 
  * HOW TO USE:
@@ -49,11 +51,23 @@ class GazeDetector {
    * @param {string} options.cameraMode - 'user' (front) or 'environment' (back)
    * @param {boolean} options.mirror - Mirror the camera feed
    * @param {string} options.displayMode - 'fitHeight', 'cover', 'contain'
+   * @param {string} options.mode - 'head' (nose vs ears), 'eyes' (iris in the eye)
+   *                                or 'fused' (head + eyes), default 'head'
    * @param {boolean} options.showVideo - Show camera feed
    * @param {number} options.gazeXThreshold - X-axis threshold (0.1-0.3)
+   * @param {number} options.gazeYThreshold - Y-axis threshold for UP/DOWN (0.05-0.3)
+   * @param {number} options.eyeGainX - Scales iris offset to a head-sized angle (default 2.0)
+   * @param {number} options.eyeGainY - Same for vertical (default 2.5)
    * @param {number} options.smoothingFactor - Smoothing amount (0-1)
    * @param {number} options.gazeRangeX - Horizontal gaze range (1.0-3.0)
    * @param {number} options.gazeRangeY - Vertical gaze range (1.0-4.0)
+   * @param {Object} options.filter - KeypointFilter options to use instead of
+   *                                  smoothingFactor, e.g. { type: 'kalman' }
+   * @param {Object} options.trackingLoss - TrackingLoss options to hold the gaze through
+   *                                        short face drop-outs, e.g. { holdTime: 200 }
+   * @param {string} options.calibrationKey - localStorage key for the calibration
+   *                                          (default 'gazeCalibration', null = don't save)
+   * @param {number} options.calibrationTime - ms spent looking at each target (default 2000)
    */
   constructor(options = {}) {
     // Camera and model
@@ -61,6 +75,7 @@ class GazeDetector {
     this.faceMesh = null;
     this.faces = [];
     this.ready = false;
+    this.resultsTime = 0;           // millis() when ML5 last delivered results
     
     // Camera settings
     this.cameraMode = options.cameraMode || 'user';
@@ -73,13 +88,27 @@ class GazeDetector {
     this.rightEarIndex = 454;   // Right ear
     this.noseIndex = 1;         // Nose bridge (stable point)
     
+    // Eye keypoint indices (need refineLandmarks for the iris)
+    // "left" = left side of the camera image, like the ears
+    this.leftIrisIndex = 468;
+    this.rightIrisIndex = 473;
+    this.leftEyeIndices = { outer: 33, inner: 133, top: 159, bottom: 145 };
+    this.rightEyeIndices = { outer: 263, inner: 362, top: 386, bottom: 374 };
+    
     // Tracked keypoint data
     this.leftEarData = null;
     this.rightEarData = null;
     this.noseData = null;
+    this.leftIrisData = null;
+    this.rightIrisData = null;
+    
+    // Gaze mode: 'head', 'eyes' or 'fused'
+    this.mode = options.mode || 'head';
     
     // Gaze detection state
-    this.gazeDirection = "CENTER";  // "LEFT", "CENTER", "RIGHT"
+    this.gazeDirection = "CENTER";  // "LEFT", "CENTER", "RIGHT" ("UP", "DOWN" with eyes)
+    this.headAngle = { x: 0, y: 0 };  // Head turn (nose vs ears)
+    this.eyeAngle = null;             // Iris offset in the eye, null if no iris data
     this.gazeAngle = 0;             // Raw gaze angle
     this.smoothedGazeAngle = 0;     // Smoothed angle
     
@@ -91,10 +120,39 @@ class GazeDetector {
     
     // Tunable parameters
     this.GAZE_X_THRESHOLD = options.gazeXThreshold || 0.15;
+    this.GAZE_Y_THRESHOLD = options.gazeYThreshold || 0.1;
+    this.EYE_GAIN_X = options.eyeGainX || 2.0;
+    this.EYE_GAIN_Y = options.eyeGainY || 2.5;
     this.SMOOTHING_FACTOR = options.smoothingFactor || 0.4;
     this.GAZE_RANGE_X = options.gazeRangeX || 1.5;
     this.GAZE_RANGE_Y = options.gazeRangeY || 2.5;
     
+    // Calibration: per-user neutral offset and per-axis gain
+    // Without it a centred head is assumed to be neutral
+    this.CALIBRATION_KEY = options.calibrationKey !== undefined ? options.calibrationKey : 'gazeCalibration';
+    this.CALIBRATION_TIME = options.calibrationTime !== undefined ? options.calibrationTime : 2000;
+    this.CALIBRATION_SETTLE = 0.4;  // First 40% of each target is ignored (head still moving)
+    this.CALIBRATION_MARGIN = 0.15; // Corner targets are this far in from the edges
+    this.rawGazeAngle = 0;          // Uncalibrated angles
+    this.rawGazeAngleY = 0;
+    this.calibration = null;        // {neutralX, neutralY, gainX, gainY, quality}
+    this.calibrating = false;
+    this.calibrationStep = 0;       // Index into GazeDetector.CALIBRATION_TARGETS
+    this.calibrationStepStart = 0;
+    this.calibrationSamples = [];   // One array of raw angles per target
+    this.lastSampleTime = 0;
+    this.lastCalibrationResult = null;
+    this.calibrationCallbacks = [];
+    this._loadCalibration();
+    
+    // Optional KeypointFilter for the gaze position (replaces the lerp)
+    this.gazeFilter = null;
+    if (options.filter) this.setFilter(options.filter);
+    
+    // Optional TrackingLoss for face drop-outs (replaces the snap to CENTER)
+    this.trackingLoss = null;
+    if (options.trackingLoss) this.setTrackingLoss(options.trackingLoss);
+    
     // Initialize camera and model
     this._initializeCamera();
   }
@@ -121,10 +179,13 @@ class GazeDetector {
    * Called automatically after camera is ready
    */
   _initializeFaceMesh() {
+    // Iris landmarks only exist with refineLandmarks (slower, so only when needed)
+    this.refineLandmarks = this.mode !== 'head';
+    
     let options = {
-      maxFaces: 1,            // Only detect 1 face
-      refineLandmarks: false, // Faster without refinement
-      flipHorizontal: false   // Camera handles mirroring
+      maxFaces: 1,                          // Only detect 1 face
+      refineLandmarks: this.refineLandmarks, // Adds iris points 468-477
+      flipHorizontal: false                 // Camera handles mirroring
     };
     
     // Create FaceMesh model
@@ -132,6 +193,7 @@ class GazeDetector {
       // Start detection when model is ready
       this.faceMesh.detectStart(this.cam.videoElement, (results) => {
         this.faces = results;
+        this.resultsTime = millis();
       });
       this.ready = true;
     });
@@ -150,15 +212,34 @@ class GazeDetector {
     // Process face data if detected
     if (this.faces.length > 0) {
       this._updateKeypoints();
-      
-      // Calculate gaze if all points are valid
-      if (this.leftEarData && this.rightEarData && this.noseData) {
-        this._calculateGaze();
-      }
+    }
+    
+    // Calculate gaze if all points are valid
+    if (this.isFaceDetected()) {
+      this._calculateGaze();
+      if (this.trackingLoss) this.trackingLoss.update({ x: this.gazeX, y: this.gazeY });
+    } else if (this.trackingLoss) {
+      this._bridgeGaze();
     } else {
       // Reset when no face detected
       this.gazeDirection = "CENTER";
     }
+    
+    this._updateCalibration();
+  }
+  
+  /**
+   * PRIVATE: No face - hold (then predict and fade) the last gaze position
+   * The direction stays as it was until the face is properly LOST
+   */
+  _bridgeGaze() {
+    let point = this.trackingLoss.update(null);
+    if (point) {
+      this.gazeX = constrain(point.x, 0, width);
+      this.gazeY = constrain(point.y, 0, height);
+    } else {
+      this.gazeDirection = "CENTER";
+    }
   }
   
   /**
@@ -168,6 +249,10 @@ class GazeDetector {
     this.leftEarData = this._getKeypoint(this.leftEarIndex);
     this.rightEarData = this._getKeypoint(this.rightEarIndex);
     this.noseData = this._getKeypoint(this.noseIndex);
+    
+    // Iris points (null without refineLandmarks)
+    this.leftIrisData = this._getKeypoint(this.leftIrisIndex);
+    this.rightIrisData = this._getKeypoint(this.rightIrisIndex);
   }
   
   /**
@@ -193,32 +278,63 @@ class GazeDetector {
     // Normalize offsets by face width
     let normalizedOffsetX = noseOffsetX / faceWidth;
     
-    // Store raw gaze angle
-    this.gazeAngle = normalizedOffsetX;
+    // HEAD: horizontal and vertical nose offset, normalized by face width
+    this.headAngle = { x: normalizedOffsetX, y: noseOffsetY / faceWidth };
     
-    // Apply smoothing to reduce jitter
-    this.smoothedGazeAngle = lerp(this.smoothedGazeAngle, this.gazeAngle, 1 - this.SMOOTHING_FACTOR);
+    // EYES: iris offset inside the eye (null without iris landmarks)
+    this.eyeAngle = this._calculateEyeAngle();
     
-    // Determine gaze direction based on threshold
-    if (this.smoothedGazeAngle < -this.GAZE_X_THRESHOLD) {
-      this.gazeDirection = "LEFT";
-    } else if (this.smoothedGazeAngle > this.GAZE_X_THRESHOLD) {
-      this.gazeDirection = "RIGHT";
+    // Combine by mode - falls back to the head if there is no iris data
+    if (this.mode === 'eyes' && this.eyeAngle) {
+      this.rawGazeAngle = this.eyeAngle.x;
+      this.rawGazeAngleY = this.eyeAngle.y;
+    } else if (this.mode === 'fused' && this.eyeAngle) {
+      // Where you look = where the head points + where the eyes point in the head
+      this.rawGazeAngle = this.headAngle.x + this.eyeAngle.x;
+      this.rawGazeAngleY = this.headAngle.y + this.eyeAngle.y;
     } else {
-      this.gazeDirection = "CENTER";
+      this.rawGazeAngle = this.headAngle.x;
+      this.rawGazeAngleY = this.headAngle.y;
     }
     
+    // Collect raw angles while calibrating
+    this._sampleCalibration();
+    
+    // Remove the user's neutral offset and scale by their range
+    if (this.calibration) {
+      this.gazeAngle = (this.rawGazeAngle - this.calibration.neutralX) * this.calibration.gainX;
+      this.gazeAngleY = (this.rawGazeAngleY - this.calibration.neutralY) * this.calibration.gainY;
+    } else {
+      this.gazeAngle = this.rawGazeAngle;
+      this.gazeAngleY = this.rawGazeAngleY;
+    }
+    
+    // Apply smoothing to reduce jitter
+    if (this.gazeFilter) {
+      // Filter in screen pixels so the filter settings mean the same as for other points
+      // Timestamped by ML5 results, so frames between results aren't new samples
+      let filtered = this.gazeFilter.filter({
+        x: width / 2 - (this.gazeAngle * width * this.GAZE_RANGE_X),
+        y: height / 2 + (this.gazeAngleY * height * this.GAZE_RANGE_Y)
+      }, this.resultsTime);
+      this.smoothedGazeAngle = (width / 2 - filtered.x) / (width * this.GAZE_RANGE_X);
+      this.smoothedGazeY = (filtered.y - height / 2) / (height * this.GAZE_RANGE_Y);
+    } else {
+      this.smoothedGazeAngle = lerp(this.smoothedGazeAngle, this.gazeAngle, 1 - this.SMOOTHING_FACTOR);
+      this.smoothedGazeY = lerp(this.smoothedGazeY, this.gazeAngleY, 1 - this.SMOOTHING_FACTOR);
+    }
+    
+    // Determine gaze direction based on thresholds
+    this.gazeDirection = this._getDirectionFromAngles(this.smoothedGazeAngle, this.smoothedGazeY);
+    
     // Calculate gaze position on screen
     
     // HORIZONTAL (X): Map smoothed gaze angle to screen coordinates
     // Invert to fix mirroring (negate the angle)
     this.gazeX = width / 2 - (this.smoothedGazeAngle * width * this.GAZE_RANGE_X);
     
-    // VERTICAL (Y): Calculate based on nose position relative to ear center
-    this.gazeAngleY = noseOffsetY / faceWidth; // Normalize by face width
-    this.smoothedGazeY = lerp(this.smoothedGazeY, this.gazeAngleY, 1 - this.SMOOTHING_FACTOR);
-    
-    // Map to screen coordinates (invert Y since canvas Y increases downward)
+    // VERTICAL (Y): Map smoothed vertical angle to screen coordinates
+    // (invert Y since canvas Y increases downward)
     this.gazeY = height / 2 + (this.smoothedGazeY * height * this.GAZE_RANGE_Y);
     
     // Constrain to screen bounds
@@ -226,6 +342,92 @@ class GazeDetector {
     this.gazeY = constrain(this.gazeY, 0, height);
   }
   
+  /**
+   * PRIVATE: Iris offset from the middle of each eye, averaged over both eyes
+   *
+   * Measured in eye widths, so it doesn't change with distance, then scaled
+   * by EYE_GAIN so it is on the same scale as the head angle.
+   * Uses the same sign as the head angle: eyes and nose moving the same way
+   * in the camera image move the gaze the same way.
+   *
+   * @returns {Object|null} {x, y} or null without iris landmarks
+   */
+  _calculateEyeAngle() {
+    let keypoints = this.faces[0].keypoints;
+    if (keypoints.length <= this.rightIrisIndex) return null;
+    
+    let eyes = [
+      { iris: keypoints[this.leftIrisIndex], contour: this.leftEyeIndices },
+      { iris: keypoints[this.rightIrisIndex], contour: this.rightEyeIndices }
+    ];
+    
+    let totalX = 0;
+    let totalY = 0;
+    for (let eye of eyes) {
+      let outer = keypoints[eye.contour.outer];
+      let inner = keypoints[eye.contour.inner];
+      let top = keypoints[eye.contour.top];
+      let bottom = keypoints[eye.contour.bottom];
+      
+      let eyeWidth = dist(outer.x, outer.y, inner.x, inner.y);
+      if (eyeWidth === 0) return null;
+      
+      // Middle of the eye: between the corners (X), between the lids (Y)
+      let centerX = (outer.x + inner.x) / 2;
+      let centerY = (top.y + bottom.y) / 2;
+      
+      totalX += (eye.iris.x - centerX) / eyeWidth;
+      totalY += (eye.iris.y - centerY) / eyeWidth;
+    }
+    
+    return {
+      x: (totalX / eyes.length) * this.EYE_GAIN_X,
+      y: (totalY / eyes.length) * this.EYE_GAIN_Y
+    };
+  }
+  
+  /**
+   * PRIVATE: Turn smoothed angles into a direction
+   *
+   * Head mode only reports LEFT/CENTER/RIGHT (as before) - the head's
+   * vertical angle depends too much on how the phone is held.
+   * With the eyes, UP and DOWN are reported when the vertical angle is
+   * further past its threshold than the horizontal one.
+   *
+   * @returns {string} "LEFT", "RIGHT", "UP", "DOWN" or "CENTER"
+   */
+  _getDirectionFromAngles(angleX, angleY) {
+    let amountX = abs(angleX) / this.GAZE_X_THRESHOLD;
+    let amountY = this._usesEyes() ? abs(angleY) / this.GAZE_Y_THRESHOLD : 0;
+    
+    if (amountX <= 1 && amountY <= 1) return "CENTER";
+    
+    if (amountX >= amountY) {
+      return angleX < 0 ? "LEFT" : "RIGHT";
+    }
+    return angleY < 0 ? "UP" : "DOWN";
+  }
+  
+  /**
+   * PRIVATE: Check if the eyes are part of the current gaze
+   * @returns {boolean} True in 'eyes' or 'fused' mode with iris data
+   */
+  _usesEyes() {
+    return this.mode !== 'head' && this.eyeAngle !== null;
+  }
+  
+  /**
+   * PRIVATE: Colour for the current direction
+   * @param {number} alpha - Opacity (default 255)
+   */
+  _getDirectionColor(alpha = 255) {
+    if (this.gazeDirection === "LEFT") return color(255, 100, 100, alpha);
+    if (this.gazeDirection === "RIGHT") return color(100, 100, 255, alpha);
+    if (this.gazeDirection === "UP") return color(255, 220, 0, alpha);
+    if (this.gazeDirection === "DOWN") return color(200, 100, 255, alpha);
+    return color(100, 255, 100, alpha);
+  }
+  
   /**
    * PRIVATE: Get keypoint with error checking and coordinate mapping
    * 
@@ -259,6 +461,18 @@ class GazeDetector {
     return this.faces.length > 0 && this.leftEarData && this.rightEarData && this.noseData;
   }
   
+  /**
+   * Get how much to trust the gaze position
+   * Without trackingLoss this is simply 1 with a face and 0 without.
+   * With it, use getConfidence() > 0 instead of isFaceDetected() to keep
+   * the gaze through short drop-outs.
+   * @returns {number} 0-1 (falls while a lost face fades out)
+   */
+  getConfidence() {
+    if (this.trackingLoss) return this.trackingLoss.getConfidence();
+    return this.isFaceDetected() ? 1 : 0;
+  }
+  
   /**
    * Check if the detector is ready
    * @returns {boolean} True if camera and model are ready
@@ -269,7 +483,7 @@ class GazeDetector {
   
   /**
    * Get the current gaze direction
-   * @returns {string} "LEFT", "CENTER", or "RIGHT"
+   * @returns {string} "LEFT", "CENTER", or "RIGHT" (also "UP", "DOWN" in 'eyes'/'fused' mode)
    */
   getDirection() {
     return this.gazeDirection;
@@ -299,15 +513,41 @@ class GazeDetector {
     return this.smoothedGazeY;
   }
   
+  /**
+   * Get the head part of the gaze (nose vs ears), before calibration
+   * @returns {Object} {x, y} normalized angles
+   */
+  getHeadAngle() {
+    return this.headAngle;
+  }
+  
+  /**
+   * Get the eye part of the gaze (iris in the eye), before calibration
+   * @returns {Object|null} {x, y} on the head angle's scale, or null without iris data
+   */
+  getEyeAngle() {
+    return this.eyeAngle;
+  }
+  
+  /**
+   * Get the gaze mode
+   * @returns {string} 'head', 'eyes' or 'fused'
+   */
+  getMode() {
+    return this.mode;
+  }
+  
   /**
    * Get individual tracked keypoints
-   * @returns {Object} {leftEar, rightEar, nose}
+   * @returns {Object} {leftEar, rightEar, nose, leftIris, rightIris} (irises null in head mode)
    */
   getKeypoints() {
     return {
       leftEar: this.leftEarData,
       rightEar: this.rightEarData,
-      nose: this.noseData
+      nose: this.noseData,
+      leftIris: this.leftIrisData,
+      rightIris: this.rightIrisData
     };
   }
   
@@ -330,15 +570,16 @@ class GazeDetector {
     circle(this.rightEarData.x, this.rightEarData.y, 20);
     
     // Draw nose point (color based on gaze direction)
-    if (this.gazeDirection === "LEFT") {
-      fill(255, 100, 100);
-    } else if (this.gazeDirection === "RIGHT") {
-      fill(100, 100, 255);
-    } else {
-      fill(100, 255, 100);
-    }
+    fill(this._getDirectionColor());
     circle(this.noseData.x, this.noseData.y, 25);
     
+    // Draw iris points (cyan) when available
+    if (this.leftIrisData && this.rightIrisData) {
+      fill(0, 255, 255);
+      circle(this.leftIrisData.x, this.leftIrisData.y, 8);
+      circle(this.rightIrisData.x, this.rightIrisData.y, 8);
+    }
+    
     pop();
   }
   
@@ -347,24 +588,20 @@ class GazeDetector {
    * @param {number} size - Size of the gaze indicator (default 60)
    */
   drawGazeIndicator(size = 60) {
-    if (!this.isFaceDetected()) return;
+    let confidence = this.getConfidence();
+    if (confidence <= 0) return;
     
     push();
     
     // Draw gaze position circle with color based on direction
-    if (this.gazeDirection === "LEFT") {
-      fill(255, 100, 100, 150);
-    } else if (this.gazeDirection === "RIGHT") {
-      fill(100, 100, 255, 150);
-    } else {
-      fill(100, 255, 100, 150);
-    }
-    stroke(255, 200);
+    // (fades out with the confidence while a lost face is bridged)
+    fill(this._getDirectionColor(150 * confidence));
+    stroke(255, 200 * confidence);
     strokeWeight(3);
     circle(this.gazeX, this.gazeY, size);
     
     // Draw crosshair at gaze position
-    stroke(255, 255, 0, 200);
+    stroke(255, 255, 0, 200 * confidence);
     strokeWeight(2);
     let halfSize = size / 4;
     line(this.gazeX - halfSize, this.gazeY, this.gazeX + halfSize, this.gazeY);
@@ -381,12 +618,96 @@ class GazeDetector {
     this.drawGazeIndicator();
   }
   
+  /**
+   * Draw the calibration target and progress
+   * Call this after everything else in draw() - does nothing unless calibrating
+   */
+  drawCalibration() {
+    if (!this.calibrating) return;
+    
+    let target = this._getCalibrationTarget(this.calibrationStep);
+    let progress = this.isFaceDetected() ? this._getStepProgress() : 0;
+    
+    push();
+    
+    // Dim the screen so the target stands out
+    noStroke();
+    fill(0, 150);
+    rect(0, 0, width, height);
+    
+    // Target: ring fills up while samples are collected
+    noFill();
+    stroke(255, 80);
+    strokeWeight(6);
+    circle(target.x, target.y, 50);
+    stroke(255, 255, 0);
+    if (progress > 0) {
+      arc(target.x, target.y, 50, 50, -HALF_PI, -HALF_PI + TWO_PI * progress);
+    }
+    noStroke();
+    fill(255, 255, 0);
+    circle(target.x, target.y, 14);
+    
+    // Instructions
+    fill(255);
+    stroke(0);
+    strokeWeight(2);
+    textSize(18);
+    textAlign(CENTER, CENTER);
+    let instruction = this.mode === 'head' ? 'Point your nose at the dot' : 'Look at the dot';
+    let message = this.isFaceDetected() ? instruction : 'Show your face to calibrate';
+    text(message, width / 2, height / 2 + (target.y > height / 2 ? -80 : 80));
+    textSize(14);
+    text(`${this.calibrationStep + 1} / ${GazeDetector.CALIBRATION_TARGETS.length}`, width / 2, height / 2 + (target.y > height / 2 ? -55 : 105));
+    
+    pop();
+  }
+  
+  /**
+   * Draw the calibration quality as a small labelled bar
+   * @param {number} x - Left edge (default 20)
+   * @param {number} y - Top edge (default 110)
+   */
+  drawCalibrationQuality(x = 20, y = 110) {
+    let quality = this.getCalibrationQuality();
+    
+    push();
+    textSize(14);
+    textAlign(LEFT, TOP);
+    fill(255);
+    stroke(0);
+    strokeWeight(2);
+    
+    if (!quality) {
+      text('Not calibrated', x, y);
+      pop();
+      return;
+    }
+    
+    text(`Calibration: ${quality.label}`, x, y);
+    
+    // Bar: red = poor, yellow = fair, green = good
+    noStroke();
+    fill(0, 150);
+    rect(x, y + 20, 100, 8);
+    if (quality.label === 'GOOD') {
+      fill(100, 255, 100);
+    } else if (quality.label === 'FAIR') {
+      fill(255, 220, 0);
+    } else {
+      fill(255, 80, 80);
+    }
+    rect(x, y + 20, 100 * quality.score, 8);
+    
+    pop();
+  }
+  
   /**
    * Draw gaze information text overlay
    * Shows direction, position, angle, and instructions
    */
   drawGazeInfo() {
-    if (!this.isFaceDetected()) return;
+    if (this.getConfidence() <= 0) return;
     
     push();
     
@@ -397,8 +718,9 @@ class GazeDetector {
     textSize(20);
     textAlign(CENTER);
     
-    // Direction
-    text(`Direction: ${this.gazeDirection}`, width / 2, 30);
+    // Direction (and mode if not the default)
+    let modeLabel = this.mode === 'head' ? '' : ` (${this.mode})`;
+    text(`Direction: ${this.gazeDirection}${modeLabel}`, width / 2, 30);
     
     // Position
     text(`Position: (${Math.round(this.gazeX)}, ${Math.round(this.gazeY)})`, width / 2, 60);
@@ -406,6 +728,11 @@ class GazeDetector {
     // Angle
     text(`Angle: ${this.smoothedGazeAngle.toFixed(2)}`, width / 2, 90);
     
+    // Calibration quality
+    let quality = this.getCalibrationQuality();
+    textSize(14);
+    text(quality ? `Calibration: ${quality.label}` : 'Not calibrated', width / 2, 115);
+    
     // Instructions
     textSize(16);
     text('Tap to toggle video', width / 2, height - 20);
@@ -432,6 +759,41 @@ class GazeDetector {
     this.GAZE_X_THRESHOLD = constrain(threshold, 0.1, 0.3);
   }
   
+  /**
+   * Set the Y threshold used for UP/DOWN in 'eyes' and 'fused' mode
+   * @param {number} threshold - Value between 0.05 and 0.3
+   */
+  setYThreshold(threshold) {
+    this.GAZE_Y_THRESHOLD = constrain(threshold, 0.05, 0.3);
+  }
+  
+  /**
+   * Switch between head, eye and fused gaze
+   * Restarts FaceMesh if iris landmarks are needed and not loaded yet,
+   * and loads the calibration saved for that mode.
+   * @param {string} mode - 'head', 'eyes' or 'fused'
+   */
+  setMode(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    
+    if (mode !== 'head' && !this.refineLandmarks && this.faceMesh) {
+      this.faceMesh.detectStop();
+      this.ready = false;
+      this.faces = [];
+      this._initializeFaceMesh();
+    }
+    
+    // Each mode has its own calibration
+    this.cancelCalibration();
+    this.calibration = null;
+    this.lastCalibrationResult = null;
+    this._loadCalibration();
+    this.smoothedGazeAngle = 0;
+    this.smoothedGazeY = 0;
+    if (this.gazeFilter) this.gazeFilter.reset();
+  }
+  
   /**
    * Set the smoothing factor
    * @param {number} factor - Value between 0 and 1 (0=no smooth, 1=max smooth)
@@ -449,4 +811,363 @@ class GazeDetector {
     this.GAZE_RANGE_X = constrain(rangeX, 1.0, 3.0);
     this.GAZE_RANGE_Y = constrain(rangeY, 1.0, 4.0);
   }
+  
+  /**
+   * Smooth the gaze position with a KeypointFilter instead of smoothingFactor
+   * Requires ../13_keypoint_filter/KeypointFilter.js to be loaded first
+   * @param {Object|null} options - KeypointFilter options, or null to go back to lerp
+   */
+  setFilter(options) {
+    if (options && typeof KeypointFilter === 'undefined') {
+      console.warn('GazeDetector: load KeypointFilter.js before using a filter');
+      return;
+    }
+    this.gazeFilter = options ? new KeypointFilter(options) : null;
+  }
+  
+  /**
+   * Get the gaze filter, for gaze velocity and acceleration
+   * @returns {KeypointFilter|null} Filter, or null when using smoothingFactor
+   */
+  getFilter() {
+    return this.gazeFilter;
+  }
+  
+  /**
+   * Hold the gaze through face drop-outs with a TrackingLoss
+   * Requires ../16_tracking_loss/TrackingLoss.js to be loaded first
+   * @param {Object|null} options - TrackingLoss options, or null to snap to CENTER again
+   */
+  setTrackingLoss(options) {
+    if (options && typeof TrackingLoss === 'undefined') {
+      console.warn('GazeDetector: load TrackingLoss.js before using trackingLoss');
+      return;
+    }
+    this.trackingLoss = options ? new TrackingLoss(options) : null;
+  }
+  
+  /**
+   * Get the tracking loss policy, for onLost / onFound and its state
+   * @returns {TrackingLoss|null} TrackingLoss, or null when snapping to CENTER
+   */
+  getTrackingLoss() {
+    return this.trackingLoss;
+  }
+  
+  // ============================================
+  // CALIBRATION - Per-user neutral pose and range
+  // ============================================
+  
+  /**
+   * Calibration targets as fractions of the usable screen
+   * (0 = margin from left/top, 1 = margin from right/bottom)
+   */
+  static get CALIBRATION_TARGETS() {
+    return [
+      { name: 'CENTER', x: 0.5, y: 0.5 },
+      { name: 'TOP_LEFT', x: 0, y: 0 },
+      { name: 'TOP_RIGHT', x: 1, y: 0 },
+      { name: 'BOTTOM_RIGHT', x: 1, y: 1 },
+      { name: 'BOTTOM_LEFT', x: 0, y: 1 }
+    ];
+  }
+  
+  /**
+   * Start the guided calibration: look at the centre, then the four corners
+   * The current calibration stays in use until the new one finishes.
+   * Use drawCalibration() to show the targets.
+   */
+  recalibrate() {
+    this.calibrating = true;
+    this.calibrationStep = 0;
+    this.calibrationStepStart = millis();
+    this.calibrationSamples = GazeDetector.CALIBRATION_TARGETS.map(() => []);
+  }
+  
+  /**
+   * Stop calibrating without changing the current calibration
+   */
+  cancelCalibration() {
+    this.calibrating = false;
+    this.calibrationSamples = [];
+  }
+  
+  /**
+   * Forget the calibration and remove it from localStorage
+   */
+  clearCalibration() {
+    this.calibration = null;
+    this.lastCalibrationResult = null;
+    if (this.CALIBRATION_KEY) localStorage.removeItem(this._getCalibrationKey());
+  }
+  
+  /**
+   * Check if calibration is in progress
+   * @returns {boolean} True while the targets are showing
+   */
+  isCalibrating() {
+    return this.calibrating;
+  }
+  
+  /**
+   * Check if a calibration is in use
+   * @returns {boolean} True if calibrated (now or in a previous visit)
+   */
+  isCalibrated() {
+    return this.calibration !== null;
+  }
+  
+  /**
+   * Get the calibration values in use
+   * @returns {Object|null} {neutralX, neutralY, gainX, gainY, quality} or null
+   */
+  getCalibration() {
+    return this.calibration;
+  }
+  
+  /**
+   * Get how well the calibration fits
+   * After a failed calibration this describes the failed attempt.
+   * @returns {Object|null} {score, label, error} - score 0-1, label "GOOD", "FAIR",
+   *                        "POOR" or "FAILED", error = average miss in pixels
+   */
+  getCalibrationQuality() {
+    if (this.lastCalibrationResult) return this.lastCalibrationResult;
+    return this.calibration ? this.calibration.quality : null;
+  }
+  
+  /**
+   * Register a callback for when calibration finishes
+   * @param {Function} callback - Receives the quality object (label "FAILED" if it didn't work)
+   */
+  onCalibrated(callback) {
+    this.calibrationCallbacks.push(callback);
+  }
+  
+  /**
+   * PRIVATE: Advance through the targets
+   * A target only counts while the face is visible - losing the face restarts it
+   */
+  _updateCalibration() {
+    if (!this.calibrating) return;
+    
+    if (!this.isFaceDetected()) {
+      this.calibrationStepStart = millis();
+      this.calibrationSamples[this.calibrationStep] = [];
+      return;
+    }
+    
+    if (millis() - this.calibrationStepStart < this.CALIBRATION_TIME) return;
+    
+    this.calibrationStep++;
+    this.calibrationStepStart = millis();
+    
+    if (this.calibrationStep >= GazeDetector.CALIBRATION_TARGETS.length) {
+      this._finishCalibration();
+    }
+  }
+  
+  /**
+   * PRIVATE: Store the raw angles once per new ML5 result, after the head has settled
+   */
+  _sampleCalibration() {
+    if (!this.calibrating) return;
+    if (this.resultsTime === this.lastSampleTime) return;
+    if (this._getStepProgress() <= 0) return;
+    
+    this.lastSampleTime = this.resultsTime;
+    this.calibrationSamples[this.calibrationStep].push({
+      x: this.rawGazeAngle,
+      y: this.rawGazeAngleY
+    });
+  }
+  
+  /**
+   * PRIVATE: Sampling progress for the current target
+   * @returns {number} 0 while settling, then 0-1
+   */
+  _getStepProgress() {
+    let elapsed = (millis() - this.calibrationStepStart) / this.CALIBRATION_TIME;
+    return constrain((elapsed - this.CALIBRATION_SETTLE) / (1 - this.CALIBRATION_SETTLE), 0, 1);
+  }
+  
+  /**
+   * PRIVATE: Screen position of a calibration target
+   * @param {number} step - Index into GazeDetector.CALIBRATION_TARGETS
+   * @returns {Object} {x, y} in pixels
+   */
+  _getCalibrationTarget(step) {
+    let target = GazeDetector.CALIBRATION_TARGETS[step];
+    let margin = this.CALIBRATION_MARGIN;
+    return {
+      x: width * lerp(margin, 1 - margin, target.x),
+      y: height * lerp(margin, 1 - margin, target.y)
+    };
+  }
+  
+  /**
+   * PRIVATE: Fit the neutral offset and gain from the collected samples
+   *
+   * Neutral = average raw angle while looking at the centre.
+   * Gain = the scale that best moves the corner angles onto the corner
+   * targets (least squares through the neutral point), per axis.
+   */
+  _finishCalibration() {
+    this.calibrating = false;
+    let targets = GazeDetector.CALIBRATION_TARGETS;
+    
+    // Average and spread of the raw angles at each target
+    let averages = [];
+    for (let samples of this.calibrationSamples) {
+      if (samples.length < 3) return this._failCalibration('Not enough samples');
+      averages.push(this._averageSamples(samples));
+    }
+    
+    let neutralX = averages[0].x;
+    let neutralY = averages[0].y;
+    
+    // Angle each target SHOULD have with the current gaze range
+    let wanted = [];
+    for (let i = 0; i < targets.length; i++) {
+      let target = this._getCalibrationTarget(i);
+      wanted.push({
+        x: (width / 2 - target.x) / (width * this.GAZE_RANGE_X),
+        y: (target.y - height / 2) / (height * this.GAZE_RANGE_Y)
+      });
+    }
+    
+    // Least-squares gain through the neutral point, using the corners
+    let sumXW = 0, sumXX = 0, sumYW = 0, sumYY = 0;
+    for (let i = 1; i < targets.length; i++) {
+      let dx = averages[i].x - neutralX;
+      let dy = averages[i].y - neutralY;
+      sumXW += dx * wanted[i].x;
+      sumXX += dx * dx;
+      sumYW += dy * wanted[i].y;
+      sumYY += dy * dy;
+    }
+    
+    // The head barely moved, or moved the wrong way
+    if (sumXX < 0.0001 || sumYY < 0.0001) return this._failCalibration('Head did not move enough');
+    let gainX = sumXW / sumXX;
+    let gainY = sumYW / sumYY;
+    if (gainX < 0.2 || gainX > 5 || gainY < 0.2 || gainY > 5) {
+      return this._failCalibration('Head movement did not match the targets');
+    }
+    
+    // Quality: how far each target would miss, plus how shaky the head was
+    let totalError = 0;
+    for (let i = 0; i < targets.length; i++) {
+      let target = this._getCalibrationTarget(i);
+      let gazeX = width / 2 - (averages[i].x - neutralX) * gainX * width * this.GAZE_RANGE_X;
+      let gazeY = height / 2 + (averages[i].y - neutralY) * gainY * height * this.GAZE_RANGE_Y;
+      let jitter = Math.sqrt(
+        sq(averages[i].spreadX * gainX * width * this.GAZE_RANGE_X) +
+        sq(averages[i].spreadY * gainY * height * this.GAZE_RANGE_Y)
+      );
+      totalError += dist(gazeX, gazeY, target.x, target.y) + jitter;
+    }
+    let error = totalError / targets.length;
+    
+    // A miss of a quarter of the screen (or more) scores 0
+    let score = constrain(1 - error / (min(width, height) * 0.25), 0, 1);
+    let label = score >= 0.7 ? 'GOOD' : (score >= 0.4 ? 'FAIR' : 'POOR');
+    
+    this.calibration = {
+      neutralX: neutralX,
+      neutralY: neutralY,
+      gainX: gainX,
+      gainY: gainY,
+      quality: { score: score, label: label, error: error }
+    };
+    this.lastCalibrationResult = null;
+    
+    // The mapping just jumped - don't smooth from the old one
+    this.smoothedGazeAngle = 0;
+    this.smoothedGazeY = 0;
+    if (this.gazeFilter) this.gazeFilter.reset();
+    
+    this._saveCalibration();
+    this._emitCalibrated(this.calibration.quality);
+  }
+  
+  /**
+   * PRIVATE: End a calibration that didn't work (keeps the previous one)
+   * @param {string} reason - Logged to the console
+   */
+  _failCalibration(reason) {
+    console.warn('GazeDetector: calibration failed -', reason);
+    this.lastCalibrationResult = { score: 0, label: 'FAILED', error: null };
+    this._emitCalibrated(this.lastCalibrationResult);
+  }
+  
+  /**
+   * PRIVATE: Call every onCalibrated callback
+   */
+  _emitCalibrated(quality) {
+    for (let callback of this.calibrationCallbacks) {
+      callback(quality);
+    }
+  }
+  
+  /**
+   * PRIVATE: Average and standard deviation of raw angle samples
+   * @returns {Object} {x, y, spreadX, spreadY}
+   */
+  _averageSamples(samples) {
+    let x = 0, y = 0;
+    for (let sample of samples) {
+      x += sample.x;
+      y += sample.y;
+    }
+    x /= samples.length;
+    y /= samples.length;
+    
+    let varianceX = 0, varianceY = 0;
+    for (let sample of samples) {
+      varianceX += sq(sample.x - x);
+      varianceY += sq(sample.y - y);
+    }
+    
+    return {
+      x: x,
+      y: y,
+      spreadX: Math.sqrt(varianceX / samples.length),
+      spreadY: Math.sqrt(varianceY / samples.length)
+    };
+  }
+  
+  /**
+   * PRIVATE: Load a saved calibration from localStorage
+   */
+  _loadCalibration() {
+    if (!this.CALIBRATION_KEY) return;
+    
+    let saved = localStorage.getItem(this._getCalibrationKey());
+    if (saved === null) return;
+    
+    try {
+      this.calibration = JSON.parse(saved);
+      console.log('📦 Loaded gaze calibration:', this.calibration.quality.label);
+    } catch (error) {
+      console.warn('GazeDetector: ignoring invalid saved calibration');
+      localStorage.removeItem(this._getCalibrationKey());
+    }
+  }
+  
+  /**
+   * PRIVATE: Save the calibration to localStorage
+   */
+  _saveCalibration() {
+    if (!this.CALIBRATION_KEY) return;
+    localStorage.setItem(this._getCalibrationKey(), JSON.stringify(this.calibration));
+  }
+  
+  /**
+   * PRIVATE: localStorage key for the current mode
+   * Head mode keeps the plain key so older calibrations still load
+   */
+  _getCalibrationKey() {
+    return this.mode === 'head' ? this.CALIBRATION_KEY : `${this.CALIBRATION_KEY}-${this.mode}`;
+  }
 }
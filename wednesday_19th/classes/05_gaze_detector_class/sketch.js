@@ -14,12 +14,29 @@ BENEFITS:
 - Easy to reuse in other projects
 - Clean API for accessing gaze data
 - Built-in visualization methods
+
+CALIBRATION:
+On the first visit you are asked to point your nose at the centre and
+then the four corners. The result is saved in localStorage, so it only
+happens once. Tap the bottom left of the screen to recalibrate.
+
+GAZE MODES (tap the bottom right to switch):
+- head:  nose vs ears - where your head points
+- eyes:  iris inside the eye - where your eyes point (hold your head still)
+- fused: head + eyes - closest to where you are really looking
+Each mode keeps its own calibration.
+
+TRACKING LOSS:
+TrackingLoss (../16_tracking_loss) holds the gaze when the face drops out
+for a moment, then fades it out. getConfidence() > 0 instead of
+isFaceDetected() keeps the sketch going through those drop-outs.
 */
 
 // ==============================================
 // GLOBAL VARIABLES
 // ==============================================
 let gazeDetector;  // GazeDetector instance
+const MODES = ['head', 'eyes', 'fused'];
 
 // ==============================================
 // SETUP - Runs once when page loads
@@ -28,20 +45,31 @@ function setup() {
   // Create portrait canvas (typical phone proportions: 9:16)
   createCanvas(405, 720);
   
-  // Create gaze detector with default settings
+  // Create gaze detector, holding the gaze through short face drop-outs
   // That's it! Camera and FaceMesh are automatically initialized
-  gazeDetector = new GazeDetector();
+  gazeDetector = new GazeDetector({ trackingLoss: { holdTime: 200, fadeTime: 800 } });
   
   // Optional: Customize settings
   // gazeDetector = new GazeDetector({
   //   cameraMode: 'user',        // 'user' or 'environment'
   //   mirror: true,              // Mirror camera
+  //   mode: 'fused',             // 'head', 'eyes' or 'fused'
   //   showVideo: true,           // Show camera feed
   //   gazeXThreshold: 0.15,      // X sensitivity (0.1-0.3)
+  //   gazeYThreshold: 0.1,       // UP/DOWN sensitivity with eyes (0.05-0.3)
   //   smoothingFactor: 0.4,      // Smoothing (0-1)
   //   gazeRangeX: 1.5,           // Horizontal range (1.0-3.0)
-  //   gazeRangeY: 2.5            // Vertical range (1.0-4.0)
+  //   gazeRangeY: 2.5,           // Vertical range (1.0-4.0)
+  //   trackingLoss: null         // Snap to CENTER as soon as the face is gone
   // });
+  
+  // Calibrate on the first visit (saved calibration is loaded automatically)
+  if (!gazeDetector.isCalibrated()) {
+    gazeDetector.recalibrate();
+  }
+  gazeDetector.onCalibrated((quality) => {
+    console.log('Calibration:', quality.label);
+  });
 }
 
 // ==============================================
@@ -53,8 +81,8 @@ function draw() {
   // Update the gaze detector (handles camera feed and calculations)
   gazeDetector.update();
   
-  // Only process if face is detected
-  if (gazeDetector.isFaceDetected()) {
+  // Only process while there is a gaze - a face, or one that was just lost
+  if (gazeDetector.getConfidence() > 0) {
     
     // ==========================================
     // GET GAZE DATA - Multiple ways to access
@@ -62,7 +90,7 @@ function draw() {
     
     // Method 1: Get gaze direction as string
     let direction = gazeDetector.getDirection();
-    // Returns: "LEFT", "CENTER", or "RIGHT"
+    // Returns: "LEFT", "CENTER", or "RIGHT" ("UP", "DOWN" in eyes/fused mode)
     
     // Method 2: Get gaze position on screen
     let gazePos = gazeDetector.getGazePosition();
@@ -78,7 +106,11 @@ function draw() {
     
     // Method 5: Get individual keypoints
     let keypoints = gazeDetector.getKeypoints();
-    // Returns: {leftEar, rightEar, nose}
+    // Returns: {leftEar, rightEar, nose, leftIris, rightIris}
+    
+    // Method 6: Get the head and eye parts separately
+    let head = gazeDetector.getHeadAngle();   // {x, y}
+    let eyes = gazeDetector.getEyeAngle();    // {x, y} or null in head mode
     
     // ==========================================
     // VISUALIZE - Built-in drawing methods
@@ -96,12 +128,39 @@ function draw() {
     // Or draw everything at once:
     // gazeDetector.drawAll();
   }
+  
+  // Calibration targets (only while calibrating)
+  gazeDetector.drawCalibration();
+  
+  if (!gazeDetector.isCalibrating()) {
+    push();
+    fill(255);
+    stroke(0);
+    strokeWeight(2);
+    textSize(16);
+    textAlign(CENTER);
+    text('Recalibrate', width / 4, height - 50);
+    text(`Mode: ${gazeDetector.getMode()}`, width * 3 / 4, height - 50);
+    pop();
+  }
 }
 
 // ==============================================
-// INTERACTION - Toggle video with tap
+// INTERACTION - Toggle video, recalibrate or switch mode with tap
 // ==============================================
 function mousePressed() {
+  // Bottom of the screen: calibrate again (left) or switch mode (right)
+  if (mouseY > height - 80) {
+    if (mouseX < width / 2) {
+      gazeDetector.recalibrate();
+    } else {
+      let next = MODES[(MODES.indexOf(gazeDetector.getMode()) + 1) % MODES.length];
+      gazeDetector.setMode(next);
+      if (!gazeDetector.isCalibrated()) gazeDetector.recalibrate();
+    }
+    return;
+  }
+  
   // Toggle video display when screen is tapped
   gazeDetector.toggleVideo();
 }
@@ -115,7 +174,7 @@ function mousePressed() {
 function draw() {
   gazeDetector.update();
   
-  if (gazeDetector.isFaceDetected()) {
+  if (gazeDetector.getConfidence() > 0) {
     let gazePos = gazeDetector.getGazePosition();
     
     // Move character to gaze position
@@ -130,7 +189,7 @@ function draw() {
 function draw() {
   gazeDetector.update();
   
-  if (gazeDetector.isFaceDetected()) {
+  if (gazeDetector.getConfidence() > 0) {
     let direction = gazeDetector.getDirection();
     
     if (direction === "LEFT") {
@@ -152,7 +211,7 @@ function draw() {
 function draw() {
   gazeDetector.update();
   
-  if (gazeDetector.isFaceDetected()) {
+  if (gazeDetector.getConfidence() > 0) {
     let gazePos = gazeDetector.getGazePosition();
     
     // Define zones
@@ -204,7 +263,7 @@ function setup() {
 function draw() {
   gazeDetector.update();
   
-  if (gazeDetector.isFaceDetected()) {
+  if (gazeDetector.getConfidence() > 0) {
     // Use gaze to affect character health
     let direction = gazeDetector.getDirection();
     
@@ -218,3 +277,28 @@ function draw() {
   healthCharacter.update();
 }
 */
+
+/*
+// Example 6: Calibration quality and results
+gazeDetector.onCalibrated((quality) => {
+  if (quality.label === 'FAILED' || quality.label === 'POOR') {
+    gazeDetector.recalibrate();  // Try again
+  }
+});
+
+let quality = gazeDetector.getCalibrationQuality();  // {score, label, error}
+gazeDetector.drawCalibrationQuality(20, 110);        // Small labelled bar
+gazeDetector.clearCalibration();                     // Forget it (and localStorage)
+*/
+
+/*
+// Example 7: Look UP/DOWN/LEFT/RIGHT with the eyes to pick a menu item
+gazeDetector = new GazeDetector({ mode: 'eyes', gazeYThreshold: 0.08 });
+
+function draw() {
+  gazeDetector.update();
+  let direction = gazeDetector.getDirection();
+  if (direction === "UP") selectMenuItem('top');
+  if (direction === "DOWN") selectMenuItem('bottom');
+}
+*/
@@ -0,0 +1,188 @@
+/*
+HandPoseTracker Class Example - Simplified Usage
+
+This example shows the same functionality as PHONE_HandPose_two_points,
+but using the HandPoseTracker class for cleaner, more maintainable code.
+
+COMPARISON:
+- Function version: 380 lines in one file
+- Class version: 190 lines main program + 550-line reusable class
+
+BENEFITS:
+- Setup reduced from 40+ lines to 1 line
+- Points accessed by name ('thumb_tip') instead of index numbers
+- Both hands tracked, with left/right handedness
+- Built-in distance, angle and velocity measurements
+- Built-in visualization methods
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // HandPoseTracker instance
+let showData = true;  // Toggle measurement visualization
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  // Create hand tracker with default settings
+  // That's it! Camera and HandPose are automatically initialized
+  tracker = new HandPoseTracker();
+
+  // Optional: Customize settings
+  // tracker = new HandPoseTracker({
+  //   cameraMode: 'user',        // 'user' or 'environment'
+  //   mirror: true,              // Mirror camera
+  //   showVideo: true,           // Show camera feed
+  //   maxHands: 2,               // Track one or both hands
+  //   minConfidence: 0.5         // Ignore uncertain hands (0-1)
+  // });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(255);
+
+  // Update the tracker (handles camera feed and keypoint mapping)
+  tracker.update();
+
+  // Only process if a hand is detected
+  if (tracker.isHandDetected()) {
+
+    // ==========================================
+    // GET HAND DATA - Multiple ways to access
+    // ==========================================
+
+    // Method 1: Get any point by NAME
+    let thumb = tracker.getPoint('thumb_tip');
+    // Returns: {x, y, z} or null
+
+    // Method 2: Built-in measurements
+    let pinchDistance = tracker.getDistance('thumb_tip', 'index_tip');
+    let fingerAngle = tracker.getAngle('index_mcp', 'index_tip');
+    let wristVelocity = tracker.getVelocity('wrist');
+    // Returns: pixels, degrees (0-360), {x, y, speed}
+
+    // Method 3: Pick a specific hand
+    let leftIndex = tracker.getPoint('index_tip', 'left');
+    let rightIndex = tracker.getPoint('index_tip', 'right');
+
+    // ==========================================
+    // VISUALIZE - Built-in drawing methods
+    // ==========================================
+
+    // Draw skeleton and handedness label for every hand
+    tracker.drawAll();
+
+    if (showData) {
+      // Thumb-index pinch and finger angle on the first hand
+      tracker.drawDistance('thumb_tip', 'index_tip');
+      tracker.drawAngle('index_mcp', 'index_tip');
+      tracker.drawVelocity('wrist');
+
+      // Connect both index fingers when two hands are visible
+      if (leftIndex && rightIndex) {
+        push();
+        stroke(0, 255, 0);
+        strokeWeight(3);
+        line(leftIndex.x, leftIndex.y, rightIndex.x, rightIndex.y);
+        pop();
+      }
+    }
+
+    // Highlight the thumb tip
+    tracker.drawPoint('thumb_tip', color(255, 0, 0), 0, 24);
+  }
+
+  // Draw UI
+  drawUI();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!tracker.isHandDetected()) {
+    text('Show your hand to start tracking', width / 2, 20);
+  } else {
+    let labels = [];
+    for (let i = 0; i < tracker.getHandCount(); i++) {
+      labels.push(tracker.getHandedness(i).toUpperCase());
+    }
+    text(`Tracking: ${labels.join(' + ')}`, width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap screen to toggle video', width / 2, height - 40);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Toggle video with tap
+// ==============================================
+function mousePressed() {
+  // Toggle video display when screen is tapped
+  tracker.toggleVideo();
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES (commented out)
+// ==============================================
+
+/*
+// Example 1: Pinch to draw
+function draw() {
+  tracker.update();
+
+  let pinch = tracker.getDistance('thumb_tip', 'index_tip');
+  if (pinch !== null && pinch < 30) {
+    let pen = tracker.getPoint('index_tip');
+    circle(pen.x, pen.y, 10);
+  }
+}
+*/
+
+/*
+// Example 2: Two-hand zoom
+function draw() {
+  tracker.update();
+
+  let left = tracker.getPoint('index_tip', 'left');
+  let right = tracker.getPoint('index_tip', 'right');
+
+  if (left && right) {
+    let zoom = map(dist(left.x, left.y, right.x, right.y), 50, 350, 0.5, 3);
+    scale(zoom);
+  }
+}
+*/
+
+/*
+// Example 3: Control a p5play sprite with the index finger
+function draw() {
+  tracker.update();
+
+  let finger = tracker.getPoint('index_tip');
+  if (finger) {
+    leader.vel.x = (finger.x - leader.x) * 0.3;
+    leader.vel.y = (finger.y - leader.y) * 0.3;
+  }
+}
+*/
@@ -0,0 +1,394 @@
+/**
+ * FaceRegions Class
+ *
+ * Named landmark regions for ML5 FaceMesh, so sketches can ask for
+ * "the left eye" or "the upper lip" instead of hardcoding raw indices
+ * like 234, 454, 1 and 4.
+ *
+ * WHAT IT DOES:
+ * - Maps region names ('leftEye', 'upperLip', 'jawline') to index lists
+ * - Maps single landmark names ('noseTip', 'chin') to one index
+ * - Calculates region centroids, bounding boxes and contour polylines
+ * - Provides ready-made ratios (mouth open, eye open, smile width)
+ * - Draws regions for debugging
+ *
+ * All methods are static and work on a keypoints array, either the raw
+ * ML5 array (faces[0].keypoints) or one already mapped with cam.mapKeypoint().
+ *
+ * HOW TO USE:
+ *
+ *   function draw() {
+ *     if (faces.length > 0) {
+ *       let points = faces[0].keypoints.map((k) => cam.mapKeypoint(k));
+ *
+ *       let eye = FaceRegions.getCentroid(points, 'leftEye');   // {x, y}
+ *       let box = FaceRegions.getBounds(points, 'lips');        // {x, y, width, height}
+ *       let open = FaceRegions.getMouthOpenRatio(points);        // 0 = closed
+ *
+ *       FaceRegions.drawRegion(points, 'leftEye', color(0, 255, 0));
+ *     }
+ *   }
+ *
+ * LEFT AND RIGHT:
+ * Regions are named from the PERSON'S point of view (MediaPipe convention).
+ * 'leftEye' is the user's own left eye, which appears on the right of the
+ * un-mirrored camera image. Note that GazeDetector's leftEarIndex (234) is
+ * named from the image's point of view - the same point is 'rightEar' here.
+ *
+ * IRIS REGIONS:
+ * 'leftIris' and 'rightIris' (indices 468-477) only exist when FaceMesh is
+ * created with refineLandmarks: true. Without it they return empty lists.
+ */
+
+class FaceRegions {
+  // ============================================
+  // LANDMARK TABLES
+  // ============================================
+
+  /**
+   * Single named landmarks
+   */
+  static get POINTS() {
+    return {
+      noseTip: 1,
+      noseBridge: 168,
+      noseBottom: 2,
+      forehead: 10,
+      chin: 152,
+      rightEar: 234,          // Face edge at the user's right ear
+      leftEar: 454,           // Face edge at the user's left ear
+      upperLipTop: 0,
+      upperLipInner: 13,
+      lowerLipInner: 14,
+      lowerLipBottom: 17,
+      mouthRight: 61,         // User's right mouth corner
+      mouthLeft: 291,         // User's left mouth corner
+      rightEyeOuter: 33,
+      rightEyeInner: 133,
+      rightEyeTop: 159,
+      rightEyeBottom: 145,
+      leftEyeOuter: 263,
+      leftEyeInner: 362,
+      leftEyeTop: 386,
+      leftEyeBottom: 374,
+      rightBrowInner: 107,
+      rightBrowTop: 105,
+      leftBrowInner: 336,
+      leftBrowTop: 334,
+      rightIrisCenter: 468,   // refineLandmarks only
+      leftIrisCenter: 473     // refineLandmarks only
+    };
+  }
+
+  /**
+   * Named regions as ordered index lists
+   * Lists are ordered along the contour so they can be drawn as polylines
+   */
+  static get REGIONS() {
+    return {
+      // Face outline
+      faceOval: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378,
+                 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21,
+                 54, 103, 67, 109],
+      jawline: [234, 93, 132, 58, 172, 136, 150, 149, 176, 148, 152, 377, 400, 378, 379, 365,
+                397, 288, 361, 323, 454],
+
+      // Eyes (upper lid from outer to inner corner, then lower lid back)
+      rightEye: [33, 246, 161, 160, 159, 158, 157, 173, 133, 155, 154, 153, 145, 144, 163, 7],
+      leftEye: [263, 466, 388, 387, 386, 385, 384, 398, 362, 382, 381, 380, 374, 373, 390, 249],
+      rightUpperLid: [33, 246, 161, 160, 159, 158, 157, 173, 133],
+      rightLowerLid: [33, 7, 163, 144, 145, 153, 154, 155, 133],
+      leftUpperLid: [263, 466, 388, 387, 386, 385, 384, 398, 362],
+      leftLowerLid: [263, 249, 390, 373, 374, 380, 381, 382, 362],
+
+      // Eyebrows (outer to inner)
+      rightBrow: [70, 63, 105, 66, 107, 55, 65, 52, 53, 46],
+      leftBrow: [300, 293, 334, 296, 336, 285, 295, 282, 283, 276],
+
+      // Lips (right corner to left corner)
+      upperLip: [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291,
+                 308, 415, 310, 311, 312, 13, 82, 81, 80, 191, 78],
+      lowerLip: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291,
+                 308, 324, 318, 402, 317, 14, 87, 178, 88, 95, 78],
+      lips: [61, 185, 40, 39, 37, 0, 267, 269, 270, 409, 291,
+             375, 321, 405, 314, 17, 84, 181, 91, 146],
+      innerMouth: [78, 191, 80, 81, 82, 13, 312, 311, 310, 415, 308,
+                   324, 318, 402, 317, 14, 87, 178, 88, 95],
+
+      // Nose (bridge down to tip, then nostrils)
+      nose: [168, 6, 197, 195, 5, 4, 1, 19, 94, 2, 98, 97, 326, 327],
+
+      // Irises (centre first, then ring) - refineLandmarks only
+      rightIris: [468, 469, 470, 471, 472],
+      leftIris: [473, 474, 475, 476, 477]
+    };
+  }
+
+  /**
+   * Regions whose contour should be drawn closed
+   */
+  static get CLOSED_REGIONS() {
+    return ['faceOval', 'rightEye', 'leftEye', 'rightBrow', 'leftBrow',
+            'upperLip', 'lowerLip', 'lips', 'innerMouth'];
+  }
+
+  /**
+   * List every available region name
+   * @returns {Array} Region names
+   */
+  static getRegionNames() {
+    return Object.keys(FaceRegions.REGIONS);
+  }
+
+  // ============================================
+  // POINT ACCESS
+  // ============================================
+
+  /**
+   * Get a single named landmark
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string|number} name - Landmark name ('noseTip') or index
+   * @returns {Object|null} Keypoint or null
+   */
+  static getPoint(keypoints, name) {
+    if (!keypoints) return null;
+
+    let index = typeof name === 'number' ? name : FaceRegions.POINTS[name];
+    if (index === undefined) return null;
+
+    return keypoints[index] || null;
+  }
+
+  /**
+   * Get the keypoints that make up a region, in contour order
+   * Missing points (e.g. iris without refineLandmarks) are skipped
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string} region - Region name ('leftEye')
+   * @returns {Array} Keypoints (empty if region unknown)
+   */
+  static getPoints(keypoints, region) {
+    let indices = FaceRegions.REGIONS[region];
+    if (!keypoints || !indices) return [];
+
+    return indices.map((i) => keypoints[i]).filter((point) => point);
+  }
+
+  // ============================================
+  // REGION GEOMETRY
+  // ============================================
+
+  /**
+   * Get the average position of a region
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string} region - Region name
+   * @returns {Object|null} {x, y} or null
+   */
+  static getCentroid(keypoints, region) {
+    // Iris lists start with the centre point - use it directly
+    if (region === 'leftIris' || region === 'rightIris') {
+      let centre = FaceRegions.getPoints(keypoints, region)[0];
+      return centre ? { x: centre.x, y: centre.y } : null;
+    }
+
+    let points = FaceRegions.getPoints(keypoints, region);
+    if (points.length === 0) return null;
+
+    let sumX = 0;
+    let sumY = 0;
+    for (let point of points) {
+      sumX += point.x;
+      sumY += point.y;
+    }
+    return { x: sumX / points.length, y: sumY / points.length };
+  }
+
+  /**
+   * Get the axis-aligned bounding box of a region
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string} region - Region name
+   * @returns {Object|null} {x, y, width, height} or null
+   */
+  static getBounds(keypoints, region) {
+    let points = FaceRegions.getPoints(keypoints, region);
+    if (points.length === 0) return null;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let point of points) {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Get a region as a polyline, ready for beginShape()/vertex()
+   * Closed regions repeat their first point at the end
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string} region - Region name
+   * @returns {Array} Array of {x, y}
+   */
+  static getContour(keypoints, region) {
+    let contour = FaceRegions.getPoints(keypoints, region).map((point) => ({ x: point.x, y: point.y }));
+
+    if (contour.length > 1 && FaceRegions.CLOSED_REGIONS.includes(region)) {
+      contour.push({ x: contour[0].x, y: contour[0].y });
+    }
+    return contour;
+  }
+
+  // ============================================
+  // MEASUREMENTS - Ratios normalised by face size
+  // ============================================
+
+  /**
+   * PRIVATE: Distance between two named landmarks
+   */
+  static _distance(keypoints, nameA, nameB) {
+    let a = FaceRegions.getPoint(keypoints, nameA);
+    let b = FaceRegions.getPoint(keypoints, nameB);
+    if (!a || !b) return null;
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Get the face width (ear to ear), useful for normalising distances
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @returns {number|null} Width in the same units as the keypoints
+   */
+  static getFaceWidth(keypoints) {
+    return FaceRegions._distance(keypoints, 'leftEar', 'rightEar');
+  }
+
+  /**
+   * Get how far the mouth is open
+   * Inner lip gap divided by mouth width
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @returns {number|null} ~0 closed, ~0.5+ wide open
+   */
+  static getMouthOpenRatio(keypoints) {
+    let gap = FaceRegions._distance(keypoints, 'upperLipInner', 'lowerLipInner');
+    let mouthWidth = FaceRegions._distance(keypoints, 'mouthLeft', 'mouthRight');
+    if (gap === null || !mouthWidth) return null;
+    return gap / mouthWidth;
+  }
+
+  /**
+   * Get how far an eye is open
+   * Lid gap divided by eye width (the eye aspect ratio)
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string} side - 'left' or 'right' (the person's own eye)
+   * @returns {number|null} ~0.3 open, ~0.1 closed
+   */
+  static getEyeOpenRatio(keypoints, side = 'left') {
+    let gap = FaceRegions._distance(keypoints, `${side}EyeTop`, `${side}EyeBottom`);
+    let eyeWidth = FaceRegions._distance(keypoints, `${side}EyeOuter`, `${side}EyeInner`);
+    if (gap === null || !eyeWidth) return null;
+    return gap / eyeWidth;
+  }
+
+  /**
+   * Get the mouth width relative to the face width
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @returns {number|null} ~0.35-0.4 neutral, higher when smiling
+   */
+  static getMouthWidthRatio(keypoints) {
+    let mouthWidth = FaceRegions._distance(keypoints, 'mouthLeft', 'mouthRight');
+    let faceWidth = FaceRegions.getFaceWidth(keypoints);
+    if (mouthWidth === null || !faceWidth) return null;
+    return mouthWidth / faceWidth;
+  }
+
+  /**
+   * Get how high an eyebrow sits above its eye, relative to face width
+   * Measured from the middle of the eye corners, which stay put when the
+   * eye blinks (the upper lid doesn't)
+   *
+   * @param {Array} keypoints - Face keypoints (raw or mapped)
+   * @param {string} side - 'left' or 'right' (the person's own brow)
+   * @returns {number|null} Larger when the brow is raised
+   */
+  static getBrowHeightRatio(keypoints, side = 'left') {
+    let brow = FaceRegions.getPoint(keypoints, `${side}BrowTop`);
+    let outer = FaceRegions.getPoint(keypoints, `${side}EyeOuter`);
+    let inner = FaceRegions.getPoint(keypoints, `${side}EyeInner`);
+    let faceWidth = FaceRegions.getFaceWidth(keypoints);
+    if (!brow || !outer || !inner || !faceWidth) return null;
+
+    let height = Math.hypot(brow.x - (outer.x + inner.x) / 2, brow.y - (outer.y + inner.y) / 2);
+    return height / faceWidth;
+  }
+
+  // ============================================
+  // VISUALIZATION
+  // ============================================
+
+  /**
+   * Draw a region's contour
+   *
+   * @param {Array} keypoints - Mapped face keypoints
+   * @param {string} region - Region name
+   * @param {p5.Color} regionColor - Stroke color (default green)
+   * @param {number} weight - Stroke weight (default 2)
+   */
+  static drawRegion(keypoints, region, regionColor = color(0, 255, 0), weight = 2) {
+    let contour = FaceRegions.getContour(keypoints, region);
+    if (contour.length === 0) return;
+
+    push();
+    noFill();
+    stroke(regionColor);
+    strokeWeight(weight);
+
+    // Irises are drawn as a circle around the centre point
+    if (region === 'leftIris' || region === 'rightIris') {
+      let centre = contour[0];
+      let radius = contour.length > 1 ? Math.hypot(contour[1].x - centre.x, contour[1].y - centre.y) : 4;
+      circle(centre.x, centre.y, radius * 2);
+    } else {
+      beginShape();
+      for (let point of contour) {
+        vertex(point.x, point.y);
+      }
+      endShape();
+    }
+    pop();
+  }
+
+  /**
+   * Draw a region's bounding box and centroid
+   *
+   * @param {Array} keypoints - Mapped face keypoints
+   * @param {string} region - Region name
+   * @param {p5.Color} boxColor - Stroke color (default yellow)
+   */
+  static drawBounds(keypoints, region, boxColor = color(255, 255, 0)) {
+    let bounds = FaceRegions.getBounds(keypoints, region);
+    let centroid = FaceRegions.getCentroid(keypoints, region);
+    if (!bounds || !centroid) return;
+
+    push();
+    noFill();
+    stroke(boxColor);
+    strokeWeight(1);
+    rect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+    noStroke();
+    fill(boxColor);
+    circle(centroid.x, centroid.y, 6);
+    pop();
+  }
+}
@@ -0,0 +1,176 @@
+/*
+FaceRegions Example - Named Face Landmarks
+
+This example uses the FaceRegions class to work with face PARTS instead of
+raw FaceMesh index numbers. Every region is drawn with its own colour, and the
+mouth, eye and eyebrow ratios are shown live.
+
+COMPARISON:
+- Function version: leftEarIndex = 234, noseIndex = 1, lookup table printed next to the laptop
+- FaceRegions version: FaceRegions.getCentroid(points, 'leftEye')
+
+KEY IDEAS:
+- Regions are lists of indices in contour order ('upperLip', 'jawline', 'leftIris')
+- Centroid, bounding box and contour come from the same list
+- Ratios are normalised by face size, so they work at any distance from the phone
+- Change selectedRegion to highlight a different region's bounding box
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cam;                // PhoneCamera instance
+let faceMesh;           // ML5 FaceMesh model
+let faces = [];         // Detected faces
+let showVideo = true;   // Toggle video display
+
+let selectedRegion = 'lips';  // Region whose bounding box is highlighted
+
+// Colour for each region drawn on the face
+let regionColors = {
+  faceOval: [255, 255, 255],
+  leftEye: [0, 255, 0],
+  rightEye: [0, 255, 0],
+  leftBrow: [255, 165, 0],
+  rightBrow: [255, 165, 0],
+  upperLip: [255, 0, 100],
+  lowerLip: [255, 0, 180],
+  nose: [0, 200, 255],
+  leftIris: [255, 255, 0],
+  rightIris: [255, 255, 0]
+};
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+  lockGestures();  // Prevent phone gestures (zoom, refresh)
+
+  // Create camera: front camera, mirrored, fit to canvas height
+  cam = createPhoneCamera('user', true, 'fitHeight');
+
+  // Enable camera tap to toggle video
+  enableCameraTap();
+
+  // Wait for camera to initialize, then create model and start detection
+  cam.onReady(() => {
+    // Configure ML5 FaceMesh AFTER camera is ready
+    let options = {
+      maxFaces: 1,            // Only detect 1 face
+      refineLandmarks: true,  // Needed for the iris regions
+      flipHorizontal: false   // Don't flip in ML5 - cam.mapKeypoint() handles mirroring
+    };
+
+    // Create FaceMesh model and start detection when ready
+    faceMesh = ml5.faceMesh(options, () => {
+      faceMesh.detectStart(cam.videoElement, gotFaces);
+    });
+  });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  // Display the video feed
+  if (showVideo && cam.ready) {
+    image(cam, 0, 0);  // PhoneCamera handles positioning and mirroring
+  }
+
+  if (faces.length > 0) {
+    // Map every keypoint to canvas coordinates once per frame
+    let points = faces[0].keypoints.map((keypoint) => cam.mapKeypoint(keypoint));
+
+    // Draw every coloured region
+    for (let region in regionColors) {
+      let c = regionColors[region];
+      FaceRegions.drawRegion(points, region, color(c[0], c[1], c[2]));
+    }
+
+    // Highlight the selected region's bounding box and centroid
+    FaceRegions.drawBounds(points, selectedRegion);
+
+    // Measurements
+    drawMeasurements(points);
+  }
+
+  // Draw UI
+  drawUI();
+}
+
+// ==============================================
+// CALLBACK - When faces are detected
+// ==============================================
+function gotFaces(results) {
+  faces = results || [];
+}
+
+// ==============================================
+// DISPLAY - Ratio readouts
+// ==============================================
+function drawMeasurements(points) {
+  let mouthOpen = FaceRegions.getMouthOpenRatio(points);
+  let leftEyeOpen = FaceRegions.getEyeOpenRatio(points, 'left');
+  let rightEyeOpen = FaceRegions.getEyeOpenRatio(points, 'right');
+  let mouthWidth = FaceRegions.getMouthWidthRatio(points);
+  let browHeight = FaceRegions.getBrowHeightRatio(points, 'left');
+
+  push();
+  fill(0, 0, 0, 150);
+  noStroke();
+  rect(0, height - 150, width, 150);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textSize(14);
+  text(`Mouth open:  ${formatRatio(mouthOpen)}`, 20, height - 140);
+  text(`Eyes open:   L ${formatRatio(leftEyeOpen)}  R ${formatRatio(rightEyeOpen)}`, 20, height - 120);
+  text(`Mouth width: ${formatRatio(mouthWidth)}`, 20, height - 100);
+  text(`Brow height: ${formatRatio(browHeight)}`, 20, height - 80);
+  text(`Box: ${selectedRegion}`, 20, height - 60);
+  pop();
+}
+
+// ==============================================
+// HELPER - Format a possibly-missing ratio
+// ==============================================
+function formatRatio(value) {
+  return value === null ? '--' : value.toFixed(2);
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!cam.ready) {
+    text('Starting camera...', width / 2, 20);
+  } else if (faces.length === 0) {
+    text('Show your face to start tracking', width / 2, 20);
+  } else {
+    text(`${FaceRegions.getRegionNames().length} named face regions`, width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap screen to toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Toggle video on touch
+// ==============================================
+function mousePressed() {
+  showVideo = !showVideo;
+}
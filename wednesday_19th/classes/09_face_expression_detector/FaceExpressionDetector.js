@@ -0,0 +1,653 @@
+/**
+ * FaceExpressionDetector Class
+ *
+ * Turns ML5 FaceMesh into discrete facial-expression EVENTS for hands-free
+ * games: blink, wink, mouth open/close, smile and eyebrow raise. Each event
+ * works like deviceShaken() - you register a function and it is called once
+ * per expression, not every frame.
+ *
+ * Requires FaceRegions.js (load it BEFORE this file).
+ *
+ * WHAT IT DOES:
+ * - Automatically sets up camera and FaceMesh model
+ * - Calibrates a per-user neutral face over the first second
+ * - Blink detection from the eye aspect ratio, with per-eye winks
+ * - Mouth open ratio, smile width and eyebrow raise
+ * - Hysteresis + cooldown so a held expression fires ONE event
+ * - onBlink / onWink / onMouthOpen / onMouthClose / onSmile / onBrowRaise callbacks
+ *
+ * HOW TO USE:
+ *
+ *   let expressions;
+ *
+ *   function setup() {
+ *     createCanvas(405, 720);
+ *     expressions = new FaceExpressionDetector();
+ *
+ *     expressions.onBlink(() => jump());
+ *     expressions.onWink((side) => turn(side));   // 'left' or 'right'
+ *     expressions.onMouthOpen(() => shoot());
+ *   }
+ *
+ *   function draw() {
+ *     expressions.update();
+ *     expressions.drawFace();
+ *   }
+ *
+ * CALIBRATION:
+ * Ratios differ a lot between faces (eye shape, glasses, resting mouth), so
+ * the first 30 frames with a face are averaged into a neutral baseline.
+ * Thresholds are relative to that baseline. Call calibrate() to redo it -
+ * ask the user to look at the phone with a relaxed face.
+ */
+
+class FaceExpressionDetector {
+  /**
+   * Constructor - Initialize the expression detector
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.cameraMode - 'user' (front) or 'environment' (back)
+   * @param {boolean} options.mirror - Mirror the camera feed
+   * @param {string} options.displayMode - 'fitHeight', 'cover', 'contain'
+   * @param {boolean} options.showVideo - Show camera feed
+   * @param {number} options.calibrationFrames - Frames averaged for the neutral face (default 30)
+   * @param {number} options.blinkThreshold - Eye closed below this fraction of neutral (0.4-0.8)
+   * @param {number} options.maxBlinkTime - Longest closure counted as a blink in ms (default 500)
+   * @param {number} options.mouthOpenThreshold - Mouth open ratio above neutral (0.1-0.5)
+   * @param {number} options.smileThreshold - Mouth width as a multiple of neutral (1.05-1.3)
+   * @param {number} options.browRaiseThreshold - Brow height as a multiple of neutral (1.05-1.4)
+   * @param {number} options.cooldown - Minimum ms between repeats of the same event (default 300)
+   */
+  constructor(options = {}) {
+    // Camera and model
+    this.cam = null;
+    this.faceMesh = null;
+    this.faces = [];
+    this.ready = false;
+
+    // Camera settings
+    this.cameraMode = options.cameraMode || 'user';
+    this.mirror = options.mirror !== undefined ? options.mirror : true;
+    this.displayMode = options.displayMode || 'fitHeight';
+    this.showVideo = options.showVideo !== undefined ? options.showVideo : true;
+
+    // Tunable parameters
+    this.CALIBRATION_FRAMES = options.calibrationFrames || 30;
+    this.BLINK_THRESHOLD = options.blinkThreshold || 0.6;
+    this.MAX_BLINK_TIME = options.maxBlinkTime || 500;
+    this.MAX_WINK_TIME = 1500;  // Longer closures are ignored (eyes shut, not a wink)
+    this.MOUTH_OPEN_THRESHOLD = options.mouthOpenThreshold || 0.3;
+    this.SMILE_THRESHOLD = options.smileThreshold || 1.12;
+    this.BROW_RAISE_THRESHOLD = options.browRaiseThreshold || 1.15;
+    this.COOLDOWN = options.cooldown !== undefined ? options.cooldown : 300;
+
+    // Mapped keypoints for drawing
+    this.points = [];
+
+    // Current measurements (raw ratios from FaceRegions)
+    this.eyeOpen = { left: 0, right: 0 };
+    this.mouthOpen = 0;
+    this.mouthWidth = 0;
+    this.browHeight = 0;
+
+    // Neutral baseline (filled in by calibration)
+    this.baseline = null;
+    this.calibrationSamples = [];
+
+    // Expression states
+    this.eyeClosed = { left: false, right: false };
+    this.mouthIsOpen = false;
+    this.smiling = false;
+    this.browRaised = false;
+
+    // Blink episode: starts when any eye closes, ends when both are open
+    this.closureStart = 0;
+    this.closedDuringEpisode = null;  // { left, right } or null when no episode
+
+    // Event bookkeeping
+    this.callbacks = { blink: [], wink: [], mouthOpen: [], mouthClose: [], smile: [], browRaise: [] };
+    this.lastEventTime = {};
+    this.blinkCount = 0;
+    this.lastEvent = null;  // { name, time } for the info display
+
+    // Initialize camera and model
+    this._initializeCamera();
+  }
+
+  /**
+   * PRIVATE: Initialize camera and FaceMesh model
+   * Called automatically by constructor
+   */
+  _initializeCamera() {
+    lockGestures();  // Prevent phone gestures
+
+    // Create phone camera
+    this.cam = createPhoneCamera(this.cameraMode, this.mirror, this.displayMode);
+    enableCameraTap();  // Enable tap to toggle video
+
+    // Wait for camera to be ready before creating model
+    this.cam.onReady(() => {
+      this._initializeFaceMesh();
+    });
+  }
+
+  /**
+   * PRIVATE: Initialize FaceMesh model
+   * Called automatically after camera is ready
+   */
+  _initializeFaceMesh() {
+    let options = {
+      maxFaces: 1,            // Only detect 1 face
+      refineLandmarks: false, // Eyelid points are enough - no iris needed
+      flipHorizontal: false   // Camera handles mirroring
+    };
+
+    // Create FaceMesh model
+    this.faceMesh = ml5.faceMesh(options, () => {
+      // Start detection when model is ready
+      this.faceMesh.detectStart(this.cam.videoElement, (results) => {
+        this.faces = results;
+      });
+      this.ready = true;
+    });
+  }
+
+  /**
+   * Update the expression detector
+   * Call this in draw() every frame
+   */
+  update() {
+    // Draw video feed if enabled
+    if (this.showVideo && this.cam && this.cam.ready) {
+      image(this.cam, 0, 0);
+    }
+
+    if (this.faces.length === 0 || !this.faces[0].keypoints) {
+      this.points = [];
+
+      // A blink in progress can't be finished without the face - drop it
+      this.eyeClosed = { left: false, right: false };
+      this.closedDuringEpisode = null;
+      return;
+    }
+
+    let keypoints = this.faces[0].keypoints;
+    this.points = keypoints.map((keypoint) => this.cam.mapKeypoint(keypoint));
+
+    // Ratios don't change with scaling or mirroring, so measure the raw points
+    let leftEye = FaceRegions.getEyeOpenRatio(keypoints, 'left');
+    let rightEye = FaceRegions.getEyeOpenRatio(keypoints, 'right');
+    let mouthOpen = FaceRegions.getMouthOpenRatio(keypoints);
+    let mouthWidth = FaceRegions.getMouthWidthRatio(keypoints);
+    let leftBrow = FaceRegions.getBrowHeightRatio(keypoints, 'left');
+    let rightBrow = FaceRegions.getBrowHeightRatio(keypoints, 'right');
+    if ([leftEye, rightEye, mouthOpen, mouthWidth, leftBrow, rightBrow].includes(null)) return;
+
+    this.eyeOpen = { left: leftEye, right: rightEye };
+    this.mouthOpen = mouthOpen;
+    this.mouthWidth = mouthWidth;
+    this.browHeight = (leftBrow + rightBrow) / 2;
+
+    // Collect a neutral baseline before detecting anything
+    if (!this.baseline) {
+      this._collectCalibrationSample();
+      return;
+    }
+
+    this._updateEyes();
+    this._updateMouth();
+    this._updateSmile();
+    this._updateBrows();
+  }
+
+  /**
+   * PRIVATE: Add this frame to the calibration average
+   */
+  _collectCalibrationSample() {
+    this.calibrationSamples.push({
+      left: this.eyeOpen.left,
+      right: this.eyeOpen.right,
+      mouthOpen: this.mouthOpen,
+      mouthWidth: this.mouthWidth,
+      browHeight: this.browHeight
+    });
+
+    if (this.calibrationSamples.length < this.CALIBRATION_FRAMES) return;
+
+    // Average every measurement into the baseline
+    let baseline = { left: 0, right: 0, mouthOpen: 0, mouthWidth: 0, browHeight: 0 };
+    for (let sample of this.calibrationSamples) {
+      for (let key in baseline) {
+        baseline[key] += sample[key] / this.calibrationSamples.length;
+      }
+    }
+    this.baseline = baseline;
+    this.calibrationSamples = [];
+  }
+
+  /**
+   * PRIVATE: Track eye closures and fire blink/wink events
+   */
+  _updateEyes() {
+    for (let side of ['left', 'right']) {
+      let closeAt = this.baseline[side] * this.BLINK_THRESHOLD;
+      let openAt = this.baseline[side] * (this.BLINK_THRESHOLD + 0.15);  // Hysteresis
+
+      if (!this.eyeClosed[side] && this.eyeOpen[side] < closeAt) {
+        this.eyeClosed[side] = true;
+      } else if (this.eyeClosed[side] && this.eyeOpen[side] > openAt) {
+        this.eyeClosed[side] = false;
+      }
+    }
+
+    let anyClosed = this.eyeClosed.left || this.eyeClosed.right;
+
+    // Start a closure episode
+    if (anyClosed && !this.closedDuringEpisode) {
+      this.closureStart = millis();
+      this.closedDuringEpisode = { left: false, right: false };
+    }
+
+    if (!this.closedDuringEpisode) return;
+
+    // Remember which eyes closed at any point during the episode
+    if (this.eyeClosed.left) this.closedDuringEpisode.left = true;
+    if (this.eyeClosed.right) this.closedDuringEpisode.right = true;
+
+    // Episode ends when both eyes are open again
+    if (!anyClosed) {
+      let duration = millis() - this.closureStart;
+      let closed = this.closedDuringEpisode;
+      this.closedDuringEpisode = null;
+
+      if (closed.left && closed.right) {
+        // Count only blinks that fire, so the count matches the events
+        if (duration <= this.MAX_BLINK_TIME && !this._coolingDown('blink')) {
+          this.blinkCount++;
+          this._fire('blink', duration);
+        }
+      } else if (duration <= this.MAX_WINK_TIME) {
+        this._fire('wink', closed.left ? 'left' : 'right');
+      }
+    }
+  }
+
+  /**
+   * PRIVATE: Track mouth open/close
+   */
+  _updateMouth() {
+    let amount = this.getMouthOpenRatio();
+
+    if (!this.mouthIsOpen && amount > this.MOUTH_OPEN_THRESHOLD) {
+      this.mouthIsOpen = true;
+      this._fire('mouthOpen', amount);
+    } else if (this.mouthIsOpen && amount < this.MOUTH_OPEN_THRESHOLD * 0.6) {
+      this.mouthIsOpen = false;
+      this._fire('mouthClose');
+    }
+  }
+
+  /**
+   * PRIVATE: Track smile (mouth wider than neutral)
+   */
+  _updateSmile() {
+    let ratio = this.getSmileRatio();
+
+    if (!this.smiling && ratio > this.SMILE_THRESHOLD) {
+      this.smiling = true;
+      this._fire('smile', ratio);
+    } else if (this.smiling && ratio < 1 + (this.SMILE_THRESHOLD - 1) * 0.5) {
+      this.smiling = false;
+    }
+  }
+
+  /**
+   * PRIVATE: Track eyebrow raise (brows higher than neutral)
+   */
+  _updateBrows() {
+    let ratio = this.getBrowRaiseRatio();
+
+    if (!this.browRaised && ratio > this.BROW_RAISE_THRESHOLD) {
+      this.browRaised = true;
+      this._fire('browRaise', ratio);
+    } else if (this.browRaised && ratio < 1 + (this.BROW_RAISE_THRESHOLD - 1) * 0.5) {
+      this.browRaised = false;
+    }
+  }
+
+  /**
+   * PRIVATE: Check if an event fired too recently to fire again
+   *
+   * @param {string} name - Event name ('blink', 'wink', ...)
+   * @returns {boolean} True while the cooldown is running
+   */
+  _coolingDown(name) {
+    return this.lastEventTime[name] !== undefined && millis() - this.lastEventTime[name] < this.COOLDOWN;
+  }
+
+  /**
+   * PRIVATE: Call every callback for an event, respecting the cooldown
+   *
+   * @param {string} name - Event name ('blink', 'wink', ...)
+   * @param {*} value - Passed to the callbacks
+   */
+  _fire(name, value) {
+    if (this._coolingDown(name)) return;
+
+    let now = millis();
+    this.lastEventTime[name] = now;
+    this.lastEvent = { name: name === 'wink' ? `wink ${value}` : name, time: now };
+
+    for (let callback of this.callbacks[name]) {
+      callback(value);
+    }
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function when both eyes blink
+   * @param {Function} callback - Receives the blink duration in ms
+   */
+  onBlink(callback) {
+    this.callbacks.blink.push(callback);
+  }
+
+  /**
+   * Call a function when one eye winks
+   * @param {Function} callback - Receives 'left' or 'right' (the person's own eye)
+   */
+  onWink(callback) {
+    this.callbacks.wink.push(callback);
+  }
+
+  /**
+   * Call a function when the mouth opens
+   * @param {Function} callback - Receives the mouth open ratio
+   */
+  onMouthOpen(callback) {
+    this.callbacks.mouthOpen.push(callback);
+  }
+
+  /**
+   * Call a function when the mouth closes again
+   * @param {Function} callback - Called with no arguments
+   */
+  onMouthClose(callback) {
+    this.callbacks.mouthClose.push(callback);
+  }
+
+  /**
+   * Call a function when the user starts smiling
+   * @param {Function} callback - Receives the smile ratio
+   */
+  onSmile(callback) {
+    this.callbacks.smile.push(callback);
+  }
+
+  /**
+   * Call a function when the eyebrows are raised
+   * @param {Function} callback - Receives the brow raise ratio
+   */
+  onBrowRaise(callback) {
+    this.callbacks.browRaise.push(callback);
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access expression data
+  // ============================================
+
+  /**
+   * Check if the detector is ready
+   * @returns {boolean} True if camera and model are ready
+   */
+  isReady() {
+    return this.ready && this.cam && this.cam.ready;
+  }
+
+  /**
+   * Check if a face is currently detected
+   * @returns {boolean} True if face is detected
+   */
+  isFaceDetected() {
+    return this.faces.length > 0 && this.points.length > 0;
+  }
+
+  /**
+   * Check if the neutral baseline has been recorded
+   * @returns {boolean} True once calibration is complete
+   */
+  isCalibrated() {
+    return this.baseline !== null;
+  }
+
+  /**
+   * Get calibration progress
+   * @returns {number} 0-1
+   */
+  getCalibrationProgress() {
+    if (this.baseline) return 1;
+    return this.calibrationSamples.length / this.CALIBRATION_FRAMES;
+  }
+
+  /**
+   * Check if an eye is currently closed
+   * @param {string} side - 'left', 'right' or omit for both
+   * @returns {boolean} True if closed
+   */
+  isEyeClosed(side) {
+    if (side === undefined) return this.eyeClosed.left && this.eyeClosed.right;
+    return this.eyeClosed[side];
+  }
+
+  /**
+   * Check if the mouth is currently open
+   * @returns {boolean} True if open
+   */
+  isMouthOpen() {
+    return this.mouthIsOpen;
+  }
+
+  /**
+   * Check if the user is currently smiling
+   * @returns {boolean} True if smiling
+   */
+  isSmiling() {
+    return this.smiling;
+  }
+
+  /**
+   * Check if the eyebrows are currently raised
+   * @returns {boolean} True if raised
+   */
+  isBrowRaised() {
+    return this.browRaised;
+  }
+
+  /**
+   * Get how open an eye is compared to neutral
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} ~1 normal, ~0 closed (raw ratio before calibration)
+   */
+  getEyeOpenRatio(side = 'left') {
+    if (!this.baseline) return this.eyeOpen[side];
+    return this.eyeOpen[side] / this.baseline[side];
+  }
+
+  /**
+   * Get how far the mouth is open beyond neutral
+   * @returns {number} ~0 closed, ~0.5+ wide open
+   */
+  getMouthOpenRatio() {
+    if (!this.baseline) return this.mouthOpen;
+    return Math.max(0, this.mouthOpen - this.baseline.mouthOpen);
+  }
+
+  /**
+   * Get mouth width compared to neutral
+   * @returns {number} ~1 neutral, >1 smiling
+   */
+  getSmileRatio() {
+    if (!this.baseline) return 1;
+    return this.mouthWidth / this.baseline.mouthWidth;
+  }
+
+  /**
+   * Get eyebrow height compared to neutral
+   * @returns {number} ~1 neutral, >1 raised
+   */
+  getBrowRaiseRatio() {
+    if (!this.baseline) return 1;
+    return this.browHeight / this.baseline.browHeight;
+  }
+
+  /**
+   * Get the number of blinks since the sketch started
+   * @returns {number} Blink count
+   */
+  getBlinkCount() {
+    return this.blinkCount;
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw eyes, mouth and brows, coloured by their current state
+   */
+  drawFace() {
+    if (!this.isFaceDetected()) return;
+
+    let active = color(255, 80, 80);
+    let idle = color(0, 255, 0);
+
+    FaceRegions.drawRegion(this.points, 'leftEye', this.eyeClosed.left ? active : idle);
+    FaceRegions.drawRegion(this.points, 'rightEye', this.eyeClosed.right ? active : idle);
+    FaceRegions.drawRegion(this.points, 'lips', (this.mouthIsOpen || this.smiling) ? active : idle);
+    FaceRegions.drawRegion(this.points, 'leftBrow', this.browRaised ? active : idle);
+    FaceRegions.drawRegion(this.points, 'rightBrow', this.browRaised ? active : idle);
+  }
+
+  /**
+   * Draw calibration progress or live expression bars
+   */
+  drawExpressionInfo() {
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rect(0, 0, width, 150);
+
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(14);
+
+    if (!this.isFaceDetected()) {
+      text('Show your face to start', 20, 20);
+      pop();
+      return;
+    }
+
+    if (!this.baseline) {
+      text('Calibrating - keep a relaxed face...', 20, 20);
+      this._drawBar(20, 45, this.getCalibrationProgress(), false);
+      pop();
+      return;
+    }
+
+    // One bar per measurement, scaled so the threshold sits at the bar's centre
+    let rows = [
+      ['Left eye', 1 - this.getEyeOpenRatio('left'), 1 - this.BLINK_THRESHOLD, this.eyeClosed.left],
+      ['Right eye', 1 - this.getEyeOpenRatio('right'), 1 - this.BLINK_THRESHOLD, this.eyeClosed.right],
+      ['Mouth', this.getMouthOpenRatio(), this.MOUTH_OPEN_THRESHOLD, this.mouthIsOpen],
+      ['Smile', this.getSmileRatio() - 1, this.SMILE_THRESHOLD - 1, this.smiling],
+      ['Brows', this.getBrowRaiseRatio() - 1, this.BROW_RAISE_THRESHOLD - 1, this.browRaised]
+    ];
+
+    for (let i = 0; i < rows.length; i++) {
+      let [label, value, threshold, isActive] = rows[i];
+      let y = 12 + i * 24;
+      fill(255);
+      noStroke();
+      text(label, 20, y);
+      this._drawBar(110, y + 2, constrain(value / (threshold * 2), 0, 1), isActive);
+    }
+
+    // Most recent event
+    if (this.lastEvent && millis() - this.lastEvent.time < 1000) {
+      textAlign(RIGHT, TOP);
+      textSize(18);
+      fill(255, 255, 0);
+      text(this.lastEvent.name.toUpperCase(), width - 20, 125);
+    }
+    pop();
+  }
+
+  /**
+   * PRIVATE: Draw one progress bar with a threshold tick at the centre
+   */
+  _drawBar(x, y, amount, isActive) {
+    let barWidth = width - x - 20;
+
+    noStroke();
+    fill(255, 255, 255, 60);
+    rect(x, y, barWidth, 12, 6);
+
+    fill(isActive ? color(255, 80, 80) : color(0, 255, 0));
+    rect(x, y, barWidth * amount, 12, 6);
+
+    stroke(255);
+    strokeWeight(1);
+    line(x + barWidth / 2, y - 2, x + barWidth / 2, y + 14);
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Toggle video display
+   */
+  toggleVideo() {
+    this.showVideo = !this.showVideo;
+  }
+
+  /**
+   * Record a new neutral face over the next calibrationFrames frames
+   */
+  calibrate() {
+    this.baseline = null;
+    this.calibrationSamples = [];
+    this.eyeClosed = { left: false, right: false };
+    this.closedDuringEpisode = null;
+    this.mouthIsOpen = false;
+    this.smiling = false;
+    this.browRaised = false;
+  }
+
+  /**
+   * Set the blink threshold
+   * @param {number} threshold - Fraction of neutral eye opening (0.4-0.8)
+   */
+  setBlinkThreshold(threshold) {
+    this.BLINK_THRESHOLD = constrain(threshold, 0.4, 0.8);
+  }
+
+  /**
+   * Set the mouth open threshold
+   * @param {number} threshold - Open ratio above neutral (0.1-0.5)
+   */
+  setMouthOpenThreshold(threshold) {
+    this.MOUTH_OPEN_THRESHOLD = constrain(threshold, 0.1, 0.5);
+  }
+
+  /**
+   * Set the cooldown between repeated events
+   * @param {number} ms - Milliseconds (0 = no cooldown)
+   */
+  setCooldown(ms) {
+    this.COOLDOWN = Math.max(0, ms);
+  }
+}
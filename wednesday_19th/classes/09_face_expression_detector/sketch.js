@@ -0,0 +1,162 @@
+/*
+FaceExpressionDetector Example - Hands-Free Controls
+
+Facial expressions become discrete input EVENTS, the same way
+deviceShaken() turns a shake into one function call:
+
+- Blink          → the ball jumps
+- Wink left/right → the ball moves left/right
+- Mouth open     → fire a shot
+- Smile          → change colour
+- Eyebrow raise  → the ball grows for a moment
+
+The detector calibrates a neutral face during the first second, so keep a
+relaxed face when the sketch starts. Tap the info panel to recalibrate.
+
+KEY IDEAS:
+- Register callbacks once in setup(); they fire once per expression
+- Hysteresis + cooldown stop a held expression from firing every frame
+- Thresholds are relative to YOUR neutral face, not fixed numbers
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let expressions;  // FaceExpressionDetector instance
+
+// Simple "player" driven by expressions
+let ballX;
+let ballY;
+let ballVelY = 0;
+let ballSize = 60;
+let ballColorIndex = 0;
+let shots = [];   // Active shots {x, y}
+
+const GROUND_Y = 600;      // Ball rests on this line
+const GRAVITY = 0.8;
+const JUMP_SPEED = -14;
+const WINK_STEP = 60;      // Pixels moved per wink
+const BALL_COLORS = ['dodgerblue', 'tomato', 'gold', 'limegreen', 'orchid'];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  // Create detector - camera and FaceMesh start automatically
+  expressions = new FaceExpressionDetector();
+
+  // Optional: Customize settings
+  // expressions = new FaceExpressionDetector({
+  //   blinkThreshold: 0.6,       // Eye closed below 60% of neutral
+  //   mouthOpenThreshold: 0.3,   // Mouth open ratio above neutral
+  //   smileThreshold: 1.12,      // Mouth 12% wider than neutral
+  //   browRaiseThreshold: 1.15,  // Brows 15% higher than neutral
+  //   cooldown: 300              // ms between repeats of the same event
+  // });
+
+  // Register expression events
+  expressions.onBlink(() => {
+    if (ballY >= GROUND_Y) ballVelY = JUMP_SPEED;
+  });
+
+  expressions.onWink((side) => {
+    // 'left' is the user's own left eye - on a mirrored camera that's screen left
+    ballX += side === 'left' ? -WINK_STEP : WINK_STEP;
+    ballX = constrain(ballX, ballSize / 2, width - ballSize / 2);
+  });
+
+  expressions.onMouthOpen(() => {
+    shots.push({ x: ballX, y: ballY - ballSize / 2 });
+  });
+
+  expressions.onSmile(() => {
+    ballColorIndex = (ballColorIndex + 1) % BALL_COLORS.length;
+  });
+
+  expressions.onBrowRaise(() => {
+    ballSize = 100;
+  });
+
+  ballX = width / 2;
+  ballY = GROUND_Y;
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  // Update the detector (draws the video and fires events)
+  expressions.update();
+  expressions.drawFace();
+
+  // Ball physics
+  ballVelY += GRAVITY;
+  ballY += ballVelY;
+  if (ballY > GROUND_Y) {
+    ballY = GROUND_Y;
+    ballVelY = 0;
+  }
+  ballSize = lerp(ballSize, 60, 0.05);  // Shrink back after brow raise
+
+  // Shots fly upward and disappear off screen
+  for (let shot of shots) {
+    shot.y -= 12;
+  }
+  shots = shots.filter((shot) => shot.y > -20);
+
+  drawScene();
+  expressions.drawExpressionInfo();
+  drawUI();
+}
+
+// ==============================================
+// DISPLAY - Ball, ground and shots
+// ==============================================
+function drawScene() {
+  push();
+  stroke(255, 130);
+  strokeWeight(2);
+  line(0, GROUND_Y + 30, width, GROUND_Y + 30);
+
+  noStroke();
+  fill(255, 255, 0);
+  for (let shot of shots) {
+    circle(shot.x, shot.y, 12);
+  }
+
+  fill(BALL_COLORS[ballColorIndex]);
+  circle(ballX, ballY, ballSize);
+  pop();
+}
+
+// ==============================================
+// UI - Instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(14);
+  text(`Blinks: ${expressions.getBlinkCount()}`, width / 2, GROUND_Y + 45);
+  text('Blink: jump · Wink: move · Mouth: shoot', width / 2, height - 60);
+  text('Tap panel: recalibrate · Tap below: toggle video', width / 2, height - 38);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Recalibrate or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < 150) {
+    expressions.calibrate();
+  } else {
+    expressions.toggleVideo();
+  }
+}
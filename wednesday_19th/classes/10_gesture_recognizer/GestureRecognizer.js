@@ -0,0 +1,510 @@
+/**
+ * GestureRecognizer Class
+ *
+ * A configurable gesture engine for ANY tracked point: a nose from FaceMesh,
+ * a wrist from BodyPose or a fingertip from HandPose. It generalises
+ * detectGesture() from PHONE_FaceMesh_gesture_detection, which hard-coded
+ * YES/NO from a 10-frame velocity history.
+ *
+ * WHAT IT DOES:
+ * - Keeps a short, time-stamped history of one point
+ * - Matches it against gesture templates:
+ *     nod, shake, tilt, circle, swipeLeft, swipeRight, swipeUp, swipeDown, holdStill
+ * - Emits events with a confidence (0-1) and a cooldown
+ * - Normalises distances by a reference size (face width, hand size),
+ *   so gestures work at any distance from the camera
+ *
+ * HOW TO USE:
+ *
+ *   let gestures = new GestureRecognizer();
+ *
+ *   gestures.on('swipeLeft', (event) => previousPage());
+ *   gestures.on('nod', (event) => console.log('Yes!', event.confidence));
+ *   gestures.onGesture((event) => console.log(event.name));  // Any gesture
+ *
+ *   function draw() {
+ *     let finger = tracker.getPoint('index_tip');
+ *     let handSize = tracker.getDistance('wrist', 'middle_mcp');
+ *     gestures.update(finger, handSize);   // null when not tracked
+ *   }
+ *
+ * TILT:
+ * A single point can't tilt, so tilt needs an angle with each sample:
+ *   gestures.update({ x, y, angle: rollDegrees }, size);
+ * The angle is in degrees, 0 = upright, positive = clockwise.
+ *
+ * TIMING:
+ * History is stored with millis() timestamps and every threshold is per
+ * second, so gestures behave the same at 30fps and 60fps.
+ */
+
+class GestureRecognizer {
+  /**
+   * Constructor - Create a gesture recognizer
+   *
+   * @param {Object} options - Configuration options
+   * @param {Array} options.gestures - Gesture names to detect (default: all)
+   * @param {number} options.historyTime - How much history to keep in ms (default 1200)
+   * @param {number} options.cooldown - Minimum ms between gestures (default 700)
+   * @param {number} options.minConfidence - Ignore matches below this (0-1, default 0.5)
+   * @param {number} options.referenceSize - Size used when update() gets no size (default 100px)
+   * @param {number} options.oscillationAmplitude - Nod/shake size as a fraction of reference (default 0.1)
+   * @param {number} options.swipeDistance - Swipe length as a multiple of reference (default 1.5)
+   * @param {number} options.swipeTime - Swipe must happen within this many ms (default 500)
+   * @param {number} options.tiltAngle - Tilt threshold in degrees (default 20)
+   * @param {number} options.holdTime - Hold still for this many ms (default 1000)
+   * @param {number} options.holdRadius - Max drift while holding, fraction of reference (default 0.1)
+   */
+  constructor(options = {}) {
+    // Which templates are active
+    this.enabled = options.gestures || GestureRecognizer.GESTURES.slice();
+
+    // Tunable parameters
+    this.HISTORY_TIME = options.historyTime || 1200;
+    this.COOLDOWN = options.cooldown !== undefined ? options.cooldown : 700;
+    this.MIN_CONFIDENCE = options.minConfidence !== undefined ? options.minConfidence : 0.5;
+    this.REFERENCE_SIZE = options.referenceSize || 100;
+    this.OSCILLATION_AMPLITUDE = options.oscillationAmplitude || 0.1;
+    this.SWIPE_DISTANCE = options.swipeDistance || 1.5;
+    this.SWIPE_TIME = options.swipeTime || 500;
+    this.TILT_ANGLE = options.tiltAngle || 20;
+    this.HOLD_TIME = options.holdTime || 1000;
+    this.HOLD_RADIUS = options.holdRadius || 0.1;
+
+    // History of samples: {x, y, angle, size, time}
+    this.history = [];
+
+    // Event state
+    this.callbacks = {};
+    this.anyCallbacks = [];
+    this.lastGesture = null;     // Most recent event object
+    this.lastGestureTime = -Infinity;
+    this.holdArmed = true;       // holdStill fires once per still period
+    this.tiltActive = false;     // tilt fires once per tilt
+  }
+
+  /**
+   * Every gesture template this class knows
+   */
+  static get GESTURES() {
+    return ['nod', 'shake', 'tilt', 'circle',
+            'swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown', 'holdStill'];
+  }
+
+  // ============================================
+  // INPUT - Feed one point per frame
+  // ============================================
+
+  /**
+   * Add the latest position and check for gestures
+   * Call this in draw() every frame
+   *
+   * @param {Object|null} point - {x, y} (and optional angle), or null if not tracked
+   * @param {number} size - Reference size for this frame (face width, hand size)
+   */
+  update(point, size) {
+    let now = millis();
+
+    // Losing the point breaks any gesture in progress
+    if (!point) {
+      this.history = [];
+      this.holdArmed = true;
+      this.tiltActive = false;
+      return;
+    }
+
+    this.history.push({
+      x: point.x,
+      y: point.y,
+      angle: point.angle,
+      size: size || this.REFERENCE_SIZE,
+      time: now
+    });
+
+    // Drop samples older than the history window
+    while (this.history.length > 0 && now - this.history[0].time > this.HISTORY_TIME) {
+      this.history.shift();
+    }
+
+    this._recognize(now);
+  }
+
+  /**
+   * PRIVATE: Run every enabled template and fire the best match
+   */
+  _recognize(now) {
+    // Hold and tilt are states, not motions - they have their own once-only logic
+    if (this._isEnabled('holdStill')) this._checkHold(now);
+    if (this._isEnabled('tilt')) this._checkTilt();
+
+    if (now - this.lastGestureTime < this.COOLDOWN) return;
+
+    let candidates = [];
+    if (this._isEnabled('nod')) candidates.push(this._matchOscillation('nod', 'y', 'x'));
+    if (this._isEnabled('shake')) candidates.push(this._matchOscillation('shake', 'x', 'y'));
+    if (this._isEnabled('circle')) candidates.push(this._matchCircle());
+    candidates.push(this._matchSwipe(now));
+
+    // Fire the most confident match
+    let best = null;
+    for (let candidate of candidates) {
+      if (!candidate || candidate.confidence < this.MIN_CONFIDENCE) continue;
+      if (!best || candidate.confidence > best.confidence) best = candidate;
+    }
+
+    if (best) {
+      this._fire(best, now);
+      this.history = [];  // Start fresh so the same motion isn't matched twice
+    }
+  }
+
+  /**
+   * PRIVATE: Check if a template is enabled
+   */
+  _isEnabled(name) {
+    return this.enabled.includes(name);
+  }
+
+  /**
+   * PRIVATE: Average reference size over the history
+   */
+  _averageSize(samples) {
+    let total = 0;
+    for (let sample of samples) total += sample.size;
+    return total / samples.length;
+  }
+
+  // ============================================
+  // TEMPLATES - Each returns {name, confidence, ...} or null
+  // ============================================
+
+  /**
+   * PRIVATE: Back-and-forth motion along one axis (nod = y, shake = x)
+   *
+   * Counts direction reversals that are big enough to matter, and
+   * requires the main axis to dominate the other.
+   */
+  _matchOscillation(name, axis, otherAxis) {
+    if (this.history.length < 6) return null;
+
+    let size = this._averageSize(this.history);
+    let minStep = size * this.OSCILLATION_AMPLITUDE;
+
+    // Walk the history, counting reversals of at least minStep
+    let reversals = 0;
+    let direction = 0;
+    let extreme = this.history[0][axis];
+    let mainTravel = 0;
+    let otherTravel = 0;
+
+    for (let i = 1; i < this.history.length; i++) {
+      let value = this.history[i][axis];
+      mainTravel += Math.abs(value - this.history[i - 1][axis]);
+      otherTravel += Math.abs(this.history[i][otherAxis] - this.history[i - 1][otherAxis]);
+
+      if (direction >= 0 && value > extreme) {
+        extreme = value;
+        direction = 1;
+      } else if (direction <= 0 && value < extreme) {
+        extreme = value;
+        direction = -1;
+      } else if (Math.abs(value - extreme) >= minStep) {
+        // Moved back far enough from the last extreme - that's a reversal
+        reversals++;
+        direction = -direction;
+        extreme = value;
+      }
+    }
+
+    // Need at least down-up-down (or left-right-left) with the right axis dominant
+    if (reversals < 2 || mainTravel < otherTravel * 1.5) return null;
+
+    let dominance = constrain((mainTravel / Math.max(otherTravel, 1) - 1.5) / 1.5, 0, 1);
+    let repetition = constrain(reversals / 3, 0, 1);
+    return { name: name, confidence: 0.5 * repetition + 0.5 * dominance };
+  }
+
+  /**
+   * PRIVATE: Roughly closed loop (one full turn of heading)
+   */
+  _matchCircle() {
+    if (this.history.length < 10) return null;
+
+    let size = this._averageSize(this.history);
+    let turning = 0;
+    let pathLength = 0;
+    let lastHeading = null;
+
+    for (let i = 1; i < this.history.length; i++) {
+      let dx = this.history[i].x - this.history[i - 1].x;
+      let dy = this.history[i].y - this.history[i - 1].y;
+      let step = Math.hypot(dx, dy);
+      if (step < size * 0.02) continue;  // Ignore jitter
+
+      pathLength += step;
+      let heading = Math.atan2(dy, dx);
+      if (lastHeading !== null) {
+        let change = heading - lastHeading;
+        if (change > Math.PI) change -= Math.PI * 2;
+        if (change < -Math.PI) change += Math.PI * 2;
+        turning += change;
+      }
+      lastHeading = heading;
+    }
+
+    // Big enough loop that turned most of the way round
+    if (pathLength < size * 2) return null;
+    let turns = Math.abs(turning) / (Math.PI * 2);
+    if (turns < 0.8) return null;
+
+    // Ends near where it started
+    let first = this.history[0];
+    let last = this.history[this.history.length - 1];
+    let gap = Math.hypot(last.x - first.x, last.y - first.y) / (pathLength / Math.PI);
+
+    let confidence = constrain(turns, 0, 1) * constrain(1 - gap, 0, 1);
+    return {
+      name: 'circle',
+      confidence: confidence,
+      direction: turning > 0 ? 'clockwise' : 'counterclockwise'  // Canvas y points down
+    };
+  }
+
+  /**
+   * PRIVATE: Fast, straight movement in one direction
+   */
+  _matchSwipe(now) {
+    // Only look at the recent part of the history
+    let recent = this.history.filter((sample) => now - sample.time <= this.SWIPE_TIME);
+    if (recent.length < 3) return null;
+
+    let first = recent[0];
+    let last = recent[recent.length - 1];
+    let dx = last.x - first.x;
+    let dy = last.y - first.y;
+    let distance = Math.hypot(dx, dy);
+    let size = this._averageSize(recent);
+
+    if (distance < size * this.SWIPE_DISTANCE) return null;
+
+    // Straightness: net distance vs. path walked
+    let pathLength = 0;
+    for (let i = 1; i < recent.length; i++) {
+      pathLength += Math.hypot(recent[i].x - recent[i - 1].x, recent[i].y - recent[i - 1].y);
+    }
+    let straightness = distance / pathLength;
+    if (straightness < 0.8) return null;
+
+    let name;
+    if (Math.abs(dx) > Math.abs(dy)) {
+      name = dx < 0 ? 'swipeLeft' : 'swipeRight';
+    } else {
+      name = dy < 0 ? 'swipeUp' : 'swipeDown';
+    }
+    if (!this._isEnabled(name)) return null;
+
+    // Longer and straighter swipes are more confident
+    let length = constrain(distance / (size * this.SWIPE_DISTANCE * 2), 0, 1);
+    return { name: name, confidence: 0.5 + 0.25 * length + 0.25 * (straightness - 0.8) / 0.2 };
+  }
+
+  /**
+   * PRIVATE: Point stays inside a small radius for holdTime
+   * Fires once, then waits for the point to move again
+   */
+  _checkHold(now) {
+    let latest = this.history[this.history.length - 1];
+    let radius = latest.size * this.HOLD_RADIUS;
+
+    // Find how long the point has stayed within radius of where it is now
+    let stillSince = latest.time;
+    for (let i = this.history.length - 1; i >= 0; i--) {
+      let sample = this.history[i];
+      if (Math.hypot(sample.x - latest.x, sample.y - latest.y) > radius) break;
+      stillSince = sample.time;
+    }
+    let stillTime = now - stillSince;
+
+    if (stillTime < this.HOLD_TIME * 0.5) {
+      this.holdArmed = true;  // Moved - allow the next hold
+    } else if (this.holdArmed && stillTime >= this.HOLD_TIME) {
+      this.holdArmed = false;
+      this._fire({ name: 'holdStill', confidence: 1, position: { x: latest.x, y: latest.y } }, now);
+    }
+  }
+
+  /**
+   * PRIVATE: Angle held past the tilt threshold
+   * Fires once per tilt, then waits for the angle to come back
+   */
+  _checkTilt() {
+    let latest = this.history[this.history.length - 1];
+    if (latest.angle === undefined || latest.angle === null) return;
+
+    let amount = Math.abs(latest.angle);
+
+    if (!this.tiltActive && amount > this.TILT_ANGLE) {
+      this.tiltActive = true;
+      this._fire({
+        name: 'tilt',
+        confidence: constrain(amount / (this.TILT_ANGLE * 2), 0.5, 1),
+        direction: latest.angle > 0 ? 'right' : 'left',
+        angle: latest.angle
+      }, latest.time);
+    } else if (this.tiltActive && amount < this.TILT_ANGLE * 0.5) {
+      this.tiltActive = false;
+    }
+  }
+
+  /**
+   * PRIVATE: Store and announce a gesture
+   */
+  _fire(event, now) {
+    event.time = now;
+    this.lastGesture = event;
+
+    // Hold and tilt don't block motion gestures
+    if (event.name !== 'holdStill' && event.name !== 'tilt') {
+      this.lastGestureTime = now;
+    }
+
+    for (let callback of this.callbacks[event.name] || []) {
+      callback(event);
+    }
+    for (let callback of this.anyCallbacks) {
+      callback(event);
+    }
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function when a specific gesture is recognised
+   *
+   * @param {string} name - Gesture name ('nod', 'swipeLeft', ...)
+   * @param {Function} callback - Receives {name, confidence, time, ...}
+   */
+  on(name, callback) {
+    if (!this.callbacks[name]) this.callbacks[name] = [];
+    this.callbacks[name].push(callback);
+  }
+
+  /**
+   * Call a function when ANY gesture is recognised
+   *
+   * @param {Function} callback - Receives {name, confidence, time, ...}
+   */
+  onGesture(callback) {
+    this.anyCallbacks.push(callback);
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access gesture data
+  // ============================================
+
+  /**
+   * Get the most recent gesture
+   * @returns {Object|null} {name, confidence, time, ...} or null
+   */
+  getLastGesture() {
+    return this.lastGesture;
+  }
+
+  /**
+   * Check if a gesture happened recently
+   * @param {string} name - Gesture name
+   * @param {number} withinMs - Time window (default 500)
+   * @returns {boolean} True if it fired within the window
+   */
+  wasRecent(name, withinMs = 500) {
+    return this.lastGesture !== null &&
+           this.lastGesture.name === name &&
+           millis() - this.lastGesture.time <= withinMs;
+  }
+
+  /**
+   * Get the stored history
+   * @returns {Array} Samples {x, y, angle, size, time}
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw the recent path, fading from old to new
+   * @param {p5.Color} trailColor - Line color (default cyan)
+   */
+  drawTrail(trailColor = color(0, 255, 255)) {
+    if (this.history.length < 2) return;
+
+    push();
+    noFill();
+    strokeWeight(4);
+    for (let i = 1; i < this.history.length; i++) {
+      let alpha = map(i, 1, this.history.length - 1, 40, 255);
+      stroke(red(trailColor), green(trailColor), blue(trailColor), alpha);
+      line(this.history[i - 1].x, this.history[i - 1].y, this.history[i].x, this.history[i].y);
+    }
+    pop();
+  }
+
+  /**
+   * Draw the last gesture name and confidence for a second after it fires
+   * @param {number} x - Text centre x (default canvas centre)
+   * @param {number} y - Text centre y (default canvas centre)
+   */
+  drawLastGesture(x = width / 2, y = height / 2) {
+    if (!this.lastGesture || millis() - this.lastGesture.time > 1000) return;
+
+    let label = this.lastGesture.name;
+    if (this.lastGesture.direction) label += ` (${this.lastGesture.direction})`;
+
+    push();
+    fill(255);
+    stroke(0);
+    strokeWeight(4);
+    textAlign(CENTER, CENTER);
+    textSize(32);
+    text(label, x, y);
+    textSize(16);
+    text(`confidence ${this.lastGesture.confidence.toFixed(2)}`, x, y + 32);
+    pop();
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Clear history and state
+   */
+  reset() {
+    this.history = [];
+    this.holdArmed = true;
+    this.tiltActive = false;
+  }
+
+  /**
+   * Turn a gesture template on or off
+   * @param {string} name - Gesture name
+   * @param {boolean} isEnabled - true to detect it
+   */
+  setEnabled(name, isEnabled) {
+    this.enabled = this.enabled.filter((n) => n !== name);
+    if (isEnabled) this.enabled.push(name);
+  }
+
+  /**
+   * Set the cooldown between gestures
+   * @param {number} ms - Milliseconds
+   */
+  setCooldown(ms) {
+    this.COOLDOWN = Math.max(0, ms);
+  }
+}
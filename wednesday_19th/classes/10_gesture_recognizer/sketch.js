@@ -0,0 +1,225 @@
+/*
+GestureRecognizer Example - Hand Swipes
+
+The GestureRecognizer turns a stream of points into gesture EVENTS.
+Here the point is your index fingertip from HandPoseTracker:
+
+- Swipe left/right  → change card
+- Swipe up/down     → make the card bigger/smaller
+- Circle            → spin the card
+- Wag finger        → "shake" (up/down wag is "nod")
+- Hold still        → drop a pin where your finger is
+- Tilt your hand    → tilt the card
+
+COMPARISON:
+- Function version: detectGesture() only knew YES/NO for the nose (that sketch now uses this class)
+- Class version: any point, nine templates, events with confidence
+
+KEY IDEAS:
+- update(point, size) once per frame - size makes it distance-independent
+- Register callbacks once in setup()
+- Tilt needs an angle, so we send the hand's angle with the fingertip
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;    // HandPoseTracker instance (the point source)
+let gestures;   // GestureRecognizer instance
+
+// Card state changed by gestures
+let cardIndex = 0;
+let cardScale = 1;
+let cardSpin = 0;      // Extra rotation from circles
+let cardTilt = 0;      // Rotation from hand tilt
+let pins = [];         // Hold-still markers {x, y}
+
+const CARD_COLORS = ['tomato', 'gold', 'limegreen', 'dodgerblue', 'orchid'];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  // Track one hand - the recognizer follows a single point
+  tracker = new HandPoseTracker({ maxHands: 1 });
+
+  // Create recognizer with default settings (all gestures)
+  gestures = new GestureRecognizer();
+
+  // Optional: Customize settings
+  // gestures = new GestureRecognizer({
+  //   gestures: ['swipeLeft', 'swipeRight'],  // Only what you need
+  //   cooldown: 700,          // ms between gestures
+  //   minConfidence: 0.5,     // Ignore weak matches (0-1)
+  //   swipeDistance: 1.5,     // Swipe length in hand sizes
+  //   holdTime: 1000          // ms to count as holding still
+  // });
+
+  // Register gesture events
+  gestures.on('swipeLeft', () => {
+    cardIndex = (cardIndex + CARD_COLORS.length - 1) % CARD_COLORS.length;
+  });
+  gestures.on('swipeRight', () => {
+    cardIndex = (cardIndex + 1) % CARD_COLORS.length;
+  });
+  gestures.on('swipeUp', () => {
+    cardScale = constrain(cardScale + 0.25, 0.5, 1.5);
+  });
+  gestures.on('swipeDown', () => {
+    cardScale = constrain(cardScale - 0.25, 0.5, 1.5);
+  });
+  gestures.on('circle', (event) => {
+    cardSpin += event.direction === 'clockwise' ? TWO_PI : -TWO_PI;
+  });
+  gestures.on('holdStill', (event) => {
+    pins.push(event.position);
+    if (pins.length > 10) pins.shift();
+  });
+
+  // Log everything (with confidence) to the console
+  gestures.onGesture((event) => {
+    console.log(event.name, event.direction || '', event.confidence.toFixed(2));
+  });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  // Update the tracker (handles camera feed and keypoint mapping)
+  tracker.update();
+
+  // Feed the recognizer one point per frame (null when no hand)
+  let finger = tracker.getPoint('index_tip');
+  if (finger) {
+    let handSize = tracker.getDistance('wrist', 'middle_mcp');
+    gestures.update({ x: finger.x, y: finger.y, angle: getHandTilt() }, handSize);
+  } else {
+    gestures.update(null);
+  }
+
+  // Ease the card towards its targets
+  cardSpin = lerp(cardSpin, 0, 0.08);
+  let tilt = getHandTilt();
+  cardTilt = lerp(cardTilt, tilt !== null ? radians(tilt) : 0, 0.2);
+
+  drawCard();
+  drawPins();
+
+  // Built-in visualization
+  gestures.drawTrail();
+  tracker.drawPoint('index_tip', color(0, 255, 255));
+  gestures.drawLastGesture(width / 2, 120);
+
+  drawUI();
+}
+
+// ==============================================
+// HELPER - Hand tilt in degrees (0 = fingers up)
+// ==============================================
+function getHandTilt() {
+  let angle = tracker.getAngle('wrist', 'middle_mcp');
+  if (angle === null) return null;
+
+  // Fingers pointing up is 270° - convert to -180..180 around that
+  let tilt = angle - 270;
+  if (tilt < -180) tilt += 360;
+  return tilt;
+}
+
+// ==============================================
+// DISPLAY - Card and pins
+// ==============================================
+function drawCard() {
+  push();
+  translate(width / 2, height / 2);
+  rotate(cardTilt + cardSpin);
+  scale(cardScale);
+  rectMode(CENTER);
+  fill(CARD_COLORS[cardIndex]);
+  stroke(255);
+  strokeWeight(4);
+  rect(0, 0, 200, 280, 16);
+
+  noStroke();
+  fill(255);
+  textAlign(CENTER, CENTER);
+  textSize(48);
+  text(cardIndex + 1, 0, 0);
+  pop();
+}
+
+function drawPins() {
+  push();
+  noStroke();
+  fill(255, 0, 100);
+  for (let pin of pins) {
+    circle(pin.x, pin.y, 14);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!tracker.isHandDetected()) {
+    text('Show your hand to start', width / 2, 20);
+  } else {
+    text('Swipe, circle, wag or hold still', width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tilt your hand to tilt the card', width / 2, height - 50);
+  text('Tap screen to toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Toggle video on touch
+// ==============================================
+function mousePressed() {
+  tracker.toggleVideo();
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Head nods and shakes (replaces detectGesture())
+// Feed the nose from GazeDetector, sized by face width
+let { leftEar, rightEar, nose } = gazeDetector.getKeypoints();
+let faceWidth = dist(leftEar.x, leftEar.y, rightEar.x, rightEar.y);
+gestures.update(nose, faceWidth);
+gestures.on('nod', () => answer('Yes'));
+gestures.on('shake', () => answer('No'));
+
+// Example 2: Head tilt from the ears (0 when level, + when tilted clockwise)
+let [left, right] = leftEar.x < rightEar.x ? [leftEar, rightEar] : [rightEar, leftEar];
+let angle = degrees(atan2(right.y - left.y, right.x - left.x));
+gestures.update({ x: nose.x, y: nose.y, angle: angle }, faceWidth);
+
+// Example 3: Wrist swipes from BodyPoseTracker
+gestures.update(bodyTracker.getPoint('rightWrist'),
+                bodyTracker.getDistance('leftShoulder', 'rightShoulder'));
+
+// Example 4: Poll instead of callbacks
+if (gestures.wasRecent('swipeLeft')) { ... }
+*/
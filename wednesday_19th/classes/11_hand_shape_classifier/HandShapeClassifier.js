@@ -0,0 +1,422 @@
+/**
+ * HandShapeClassifier Class
+ *
+ * Turns the 21 HandPose keypoints into finger states and named hand shapes.
+ * PHONE_HandPose_two_points measures distance1_2 between the thumb and index
+ * tips but leaves the meaning to you - this class does the interpreting.
+ *
+ * WHAT IT DOES:
+ * - Reports how extended each finger is (0 = curled, 1 = straight)
+ * - Recognises named shapes: pinch, fist, open, point, thumbsUp, peace, ok
+ * - Gives every shape a confidence (0-1)
+ * - Normalises by hand size, so it works near or far from the phone
+ * - Requires a shape to be stable for a few frames before switching
+ *
+ * HOW TO USE:
+ *
+ *   let shapes = new HandShapeClassifier();
+ *
+ *   function draw() {
+ *     tracker.update();
+ *     shapes.update(tracker.getPoints());   // 21 points (or [] for no hand)
+ *
+ *     if (shapes.isShape('pinch')) grab();
+ *     let fingers = shapes.getFingers();    // {thumb: 0.9, index: 0.1, ...}
+ *   }
+ *
+ * Works with any array of 21 hand keypoints in ML5 order: raw
+ * hands[0].keypoints, mapped points, or HandPoseTracker.getPoints().
+ */
+
+class HandShapeClassifier {
+  /**
+   * Constructor - Create a hand shape classifier
+   *
+   * @param {Object} options - Configuration options
+   * @param {number} options.minConfidence - Report 'none' below this (0-1, default 0.6)
+   * @param {number} options.stableFrames - Frames a new shape must last before switching (default 3)
+   * @param {number} options.pinchDistance - Thumb-index gap for a pinch, in palm lengths (default 0.35)
+   */
+  constructor(options = {}) {
+    // Tunable parameters
+    this.MIN_CONFIDENCE = options.minConfidence !== undefined ? options.minConfidence : 0.6;
+    this.STABLE_FRAMES = options.stableFrames !== undefined ? options.stableFrames : 3;
+    this.PINCH_DISTANCE = options.pinchDistance || 0.35;
+
+    // Latest raw classification
+    this.fingers = null;     // {thumb, index, middle, ring, pinky} extension 0-1
+    this.scores = {};        // {shapeName: confidence}
+    this.pinchAmount = 0;    // 0 = apart, 1 = touching
+
+    // Stable (debounced) shape
+    this.shape = 'none';
+    this.confidence = 0;
+    this.candidate = 'none';
+    this.candidateFrames = 0;
+
+    // Callbacks
+    this.shapeChangeCallbacks = [];
+  }
+
+  /**
+   * Keypoint indices for each finger, base to tip (ML5 HandPose order)
+   */
+  static get FINGERS() {
+    return {
+      thumb: [1, 2, 3, 4],
+      index: [5, 6, 7, 8],
+      middle: [9, 10, 11, 12],
+      ring: [13, 14, 15, 16],
+      pinky: [17, 18, 19, 20]
+    };
+  }
+
+  /**
+   * Finger states for each shape
+   * 1 = extended, 0 = curled, null = doesn't matter
+   * Order: thumb, index, middle, ring, pinky
+   */
+  static get SHAPES() {
+    return {
+      fist: [null, 0, 0, 0, 0],
+      open: [1, 1, 1, 1, 1],
+      point: [null, 1, 0, 0, 0],
+      thumbsUp: [1, 0, 0, 0, 0],
+      peace: [null, 1, 1, 0, 0],
+      ok: [null, null, 1, 1, 1],   // Plus thumb touching index
+      pinch: [null, null, null, null, null]  // Thumb touching index, others relaxed
+    };
+  }
+
+  // ============================================
+  // UPDATE - Call every frame
+  // ============================================
+
+  /**
+   * Classify the hand and update the stable shape
+   * Call this in draw() every frame
+   *
+   * @param {Array} points - 21 keypoints {x, y}, or [] / null when no hand
+   */
+  update(points) {
+    let result = this.classify(points);
+
+    this.fingers = result.fingers;
+    this.scores = result.scores;
+    this.pinchAmount = result.pinchAmount;
+
+    // Debounce: a new shape must win for STABLE_FRAMES in a row
+    if (result.shape === this.candidate) {
+      this.candidateFrames++;
+    } else {
+      this.candidate = result.shape;
+      this.candidateFrames = 1;
+    }
+
+    if (this.candidate === this.shape) {
+      this.confidence = result.confidence;
+    } else if (this.candidateFrames >= this.STABLE_FRAMES) {
+      let previous = this.shape;
+      this.shape = this.candidate;
+      this.confidence = result.confidence;
+
+      for (let callback of this.shapeChangeCallbacks) {
+        callback(this.shape, previous);
+      }
+    }
+  }
+
+  /**
+   * Classify one set of keypoints without changing any state
+   * Useful for classifying a second hand with the same instance
+   *
+   * @param {Array} points - 21 keypoints {x, y}
+   * @returns {Object} {shape, confidence, fingers, scores, pinchAmount}
+   */
+  classify(points) {
+    if (!points || points.length < 21) {
+      return { shape: 'none', confidence: 0, fingers: null, scores: {}, pinchAmount: 0 };
+    }
+
+    let handSize = HandShapeClassifier.getHandSize(points);
+    let fingers = {};
+    for (let name in HandShapeClassifier.FINGERS) {
+      fingers[name] = this._fingerExtension(points, name, handSize);
+    }
+
+    // Pinch: thumb tip to index tip, in palm lengths
+    let pinchGap = this._distance(points[4], points[8]) / handSize;
+    let pinchAmount = constrain(map(pinchGap, this.PINCH_DISTANCE, this.PINCH_DISTANCE * 0.3, 0, 1), 0, 1);
+
+    // Score every shape
+    let scores = {};
+    let fingerValues = [fingers.thumb, fingers.index, fingers.middle, fingers.ring, fingers.pinky];
+    let shapes = HandShapeClassifier.SHAPES;
+    for (let name in shapes) {
+      scores[name] = this._matchTemplate(fingerValues, shapes[name]);
+    }
+
+    // Thumbs up needs the thumb pointing up, not sideways
+    scores.thumbsUp *= this._thumbUpness(points);
+
+    // Pinch and OK depend on the fingertips touching. OK is a pinch with the
+    // other three fingers up, so those fingers move the score from one to the other
+    let othersUp = scores.ok;
+    scores.ok = othersUp * pinchAmount;
+    scores.pinch = pinchAmount * (1 - 0.5 * othersUp);
+
+    // A touching thumb and index look "curled", so don't call it a fist or point
+    scores.fist *= 1 - pinchAmount;
+    scores.point *= 1 - pinchAmount;
+
+    // Pick the best
+    let best = 'none';
+    let bestScore = 0;
+    for (let name in scores) {
+      if (scores[name] > bestScore) {
+        best = name;
+        bestScore = scores[name];
+      }
+    }
+    if (bestScore < this.MIN_CONFIDENCE) best = 'none';
+
+    return {
+      shape: best,
+      confidence: bestScore,
+      fingers: fingers,
+      scores: scores,
+      pinchAmount: pinchAmount
+    };
+  }
+
+  /**
+   * Palm length (wrist to middle finger knuckle) used to normalise distances
+   * @param {Array} points - 21 keypoints
+   * @returns {number} Size in the same units as the points
+   */
+  static getHandSize(points) {
+    let dx = points[9].x - points[0].x;
+    let dy = points[9].y - points[0].y;
+    return Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+  }
+
+  /**
+   * PRIVATE: How straight a finger is (0 = curled, 1 = straight)
+   *
+   * Compares the straight-line distance base→tip with the length of the
+   * finger's three bones. A straight finger gives ~1, a curled one ~0.5.
+   */
+  _fingerExtension(points, name, handSize) {
+    let [base, joint1, joint2, tip] = HandShapeClassifier.FINGERS[name].map((i) => points[i]);
+
+    let boneLength = this._distance(base, joint1) + this._distance(joint1, joint2) + this._distance(joint2, tip);
+    let straightness = this._distance(base, tip) / Math.max(boneLength, 1);
+
+    if (name === 'thumb') {
+      // The thumb is short and always fairly straight, so also check that
+      // the tip is away from the index knuckle
+      let reach = this._distance(tip, points[5]) / handSize;
+      let straightScore = constrain(map(straightness, 0.75, 0.95, 0, 1), 0, 1);
+      let reachScore = constrain(map(reach, 0.3, 0.7, 0, 1), 0, 1);
+      return Math.min(straightScore, reachScore);
+    }
+
+    // Folded fingers also bring the tip back towards the wrist
+    let wristRatio = this._distance(points[0], tip) / Math.max(this._distance(points[0], joint1), 1);
+    let straightScore = constrain(map(straightness, 0.6, 0.9, 0, 1), 0, 1);
+    let wristScore = constrain(map(wristRatio, 1.0, 1.6, 0, 1), 0, 1);
+    return (straightScore + wristScore) / 2;
+  }
+
+  /**
+   * PRIVATE: How well finger values match a template (0-1)
+   */
+  _matchTemplate(values, template) {
+    let total = 0;
+    let count = 0;
+    let worst = 1;
+
+    for (let i = 0; i < template.length; i++) {
+      if (template[i] === null) continue;
+      let match = template[i] === 1 ? values[i] : 1 - values[i];
+      total += match;
+      worst = Math.min(worst, match);
+      count++;
+    }
+
+    if (count === 0) return 1;
+
+    // Average, pulled down by the worst finger so one wrong finger matters
+    return (total / count + worst) / 2;
+  }
+
+  /**
+   * PRIVATE: 1 when the thumb points straight up, 0 when sideways or down
+   */
+  _thumbUpness(points) {
+    let dx = points[4].x - points[2].x;
+    let dy = points[4].y - points[2].y;
+    let length = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+    return constrain(-dy / length, 0, 1);  // Canvas y points down
+  }
+
+  /**
+   * PRIVATE: Distance between two points
+   */
+  _distance(a, b) {
+    let dx = a.x - b.x;
+    let dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access shape data
+  // ============================================
+
+  /**
+   * Get the current stable shape
+   * @returns {string} 'pinch', 'fist', 'open', 'point', 'thumbsUp', 'peace', 'ok' or 'none'
+   */
+  getShape() {
+    return this.shape;
+  }
+
+  /**
+   * Get the confidence of the current shape
+   * @returns {number} 0-1
+   */
+  getConfidence() {
+    return this.confidence;
+  }
+
+  /**
+   * Check the current shape
+   * @param {string} name - Shape name
+   * @returns {boolean} True if the stable shape matches
+   */
+  isShape(name) {
+    return this.shape === name;
+  }
+
+  /**
+   * Get the score for every shape this frame
+   * @returns {Object} {pinch: 0.1, fist: 0.8, ...}
+   */
+  getScores() {
+    return this.scores;
+  }
+
+  /**
+   * Get finger extension values
+   * @returns {Object|null} {thumb, index, middle, ring, pinky} 0-1, or null
+   */
+  getFingers() {
+    return this.fingers;
+  }
+
+  /**
+   * Check if a finger is extended
+   * @param {string} name - 'thumb', 'index', 'middle', 'ring' or 'pinky'
+   * @returns {boolean} True if extension is above 0.5
+   */
+  isFingerExtended(name) {
+    return this.fingers !== null && this.fingers[name] > 0.5;
+  }
+
+  /**
+   * Count extended fingers (including thumb)
+   * @returns {number} 0-5
+   */
+  getExtendedCount() {
+    if (!this.fingers) return 0;
+    let count = 0;
+    for (let name in this.fingers) {
+      if (this.fingers[name] > 0.5) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Get how closed the thumb-index pinch is
+   * @returns {number} 0 = apart, 1 = touching
+   */
+  getPinchAmount() {
+    return this.pinchAmount;
+  }
+
+  /**
+   * Check for a pinch (either 'pinch' or 'ok' shape)
+   * @returns {boolean} True if thumb and index are touching
+   */
+  isPinching() {
+    return this.shape === 'pinch' || this.shape === 'ok';
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function when the stable shape changes
+   * @param {Function} callback - Receives (newShape, previousShape)
+   */
+  onShapeChange(callback) {
+    this.shapeChangeCallbacks.push(callback);
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw finger extension bars and the current shape
+   * @param {number} x - Left edge (default 20)
+   * @param {number} y - Top edge (default 60)
+   */
+  drawShapeInfo(x = 20, y = 60) {
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rect(x - 10, y - 10, 190, 150, 8);
+
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(18);
+    text(`${this.shape} (${this.confidence.toFixed(2)})`, x, y);
+
+    textSize(12);
+    let names = Object.keys(HandShapeClassifier.FINGERS);
+    for (let i = 0; i < names.length; i++) {
+      let value = this.fingers ? this.fingers[names[i]] : 0;
+      let rowY = y + 30 + i * 20;
+
+      fill(255);
+      text(names[i], x, rowY);
+      fill(80);
+      rect(x + 55, rowY, 110, 12);
+      fill(value > 0.5 ? color(0, 255, 0) : color(255, 165, 0));
+      rect(x + 55, rowY, 110 * value, 12);
+    }
+    pop();
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Set minimum confidence for a named shape
+   * @param {number} confidence - 0 to 1
+   */
+  setMinConfidence(confidence) {
+    this.MIN_CONFIDENCE = constrain(confidence, 0, 1);
+  }
+
+  /**
+   * Set pinch distance
+   * @param {number} distance - Thumb-index gap in palm lengths
+   */
+  setPinchDistance(distance) {
+    this.PINCH_DISTANCE = Math.max(0.05, distance);
+  }
+}
@@ -0,0 +1,246 @@
+/*
+HandShapeClassifier Example - Pinch to Grab
+
+The HandShapeClassifier reads the 21 hand keypoints and reports named
+hand shapes. This example uses them as controls:
+
+- Pinch          → grab the nearest ball and drag it
+- Open palm      → release everything and let balls fall
+- Fist           → balls freeze in place
+- Thumbs up      → add a ball
+- Peace          → change all ball colours
+- Point / OK     → shown on screen
+
+COMPARISON:
+- Function version: distance1_2 between thumb and index tip, in pixels
+- Class version: shapes.isPinching(), normalised by hand size
+
+KEY IDEAS:
+- The classifier takes any 21 points - here HandPoseTracker.getPoints()
+- Finger extension is 0-1, so it works near or far from the phone
+- A shape must be stable for a few frames before it changes
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;   // HandPoseTracker instance
+let shapes;    // HandShapeClassifier instance
+
+let balls = [];          // {x, y, vy, color}
+let heldBall = null;     // Ball currently pinched
+let frozen = false;      // Fist freezes gravity
+
+const GRAB_RADIUS = 60;  // How close a pinch must be to grab
+const GRAVITY = 0.6;
+const FLOOR_Y = 640;
+const BALL_SIZE = 40;
+const BALL_COLORS = ['tomato', 'gold', 'limegreen', 'dodgerblue', 'orchid'];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  // One hand is enough for these controls
+  tracker = new HandPoseTracker({ maxHands: 1 });
+
+  // Create classifier with default settings
+  shapes = new HandShapeClassifier();
+
+  // Optional: Customize settings
+  // shapes = new HandShapeClassifier({
+  //   minConfidence: 0.6,    // Report 'none' below this
+  //   stableFrames: 3,       // Frames before a new shape is accepted
+  //   pinchDistance: 0.35    // Thumb-index gap in palm lengths
+  // });
+
+  // Shape changes are events, like deviceShaken()
+  shapes.onShapeChange((shape) => {
+    if (shape === 'thumbsUp') addBall(random(60, width - 60), 100);
+    if (shape === 'peace') {
+      for (let ball of balls) ball.color = random(BALL_COLORS);
+    }
+  });
+
+  for (let i = 0; i < 4; i++) {
+    addBall(80 + i * 80, FLOOR_Y);
+  }
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  // Update tracker, then classify its 21 points
+  tracker.update();
+  shapes.update(tracker.getPoints());
+
+  frozen = shapes.isShape('fist');
+  updateGrab();
+  updateBalls();
+
+  drawBalls();
+  tracker.drawSkeleton();
+  drawGrabPoint();
+  shapes.drawShapeInfo();
+
+  drawUI();
+}
+
+// ==============================================
+// GRAB - Pinch picks up the nearest ball
+// ==============================================
+function updateGrab() {
+  let grab = getGrabPoint();
+
+  if (!grab || !shapes.isPinching()) {
+    heldBall = null;
+    return;
+  }
+
+  // Start a grab on the nearest ball in reach
+  if (!heldBall) {
+    let nearest = null;
+    let nearestDistance = GRAB_RADIUS;
+    for (let ball of balls) {
+      let d = dist(grab.x, grab.y, ball.x, ball.y);
+      if (d < nearestDistance) {
+        nearest = ball;
+        nearestDistance = d;
+      }
+    }
+    heldBall = nearest;
+  }
+
+  // Held ball follows the pinch
+  if (heldBall) {
+    heldBall.x = lerp(heldBall.x, grab.x, 0.5);
+    heldBall.y = lerp(heldBall.y, grab.y, 0.5);
+    heldBall.vy = 0;
+  }
+}
+
+// ==============================================
+// HELPER - Midpoint between thumb and index tips
+// ==============================================
+function getGrabPoint() {
+  let thumb = tracker.getPoint('thumb_tip');
+  let index = tracker.getPoint('index_tip');
+  if (!thumb || !index) return null;
+  return { x: (thumb.x + index.x) / 2, y: (thumb.y + index.y) / 2 };
+}
+
+// ==============================================
+// PHYSICS - Simple gravity and floor
+// ==============================================
+function addBall(x, y) {
+  balls.push({ x: x, y: y, vy: 0, color: random(BALL_COLORS) });
+  if (balls.length > 12) balls.shift();
+}
+
+function updateBalls() {
+  for (let ball of balls) {
+    if (ball === heldBall || frozen) continue;
+
+    ball.vy += GRAVITY;
+    ball.y += ball.vy;
+    if (ball.y > FLOOR_Y) {
+      ball.y = FLOOR_Y;
+      ball.vy *= -0.4;  // Small bounce
+    }
+  }
+}
+
+// ==============================================
+// DISPLAY - Balls and grab point
+// ==============================================
+function drawBalls() {
+  push();
+  stroke(255);
+  for (let ball of balls) {
+    strokeWeight(ball === heldBall ? 4 : 1);
+    fill(ball.color);
+    circle(ball.x, ball.y, BALL_SIZE);
+  }
+
+  stroke(255, 130);
+  strokeWeight(2);
+  line(0, FLOOR_Y + BALL_SIZE / 2, width, FLOOR_Y + BALL_SIZE / 2);
+  pop();
+}
+
+function drawGrabPoint() {
+  let grab = getGrabPoint();
+  if (!grab) return;
+
+  // Ring closes as the pinch closes
+  let amount = shapes.getPinchAmount();
+  push();
+  noFill();
+  stroke(shapes.isPinching() ? color(0, 255, 0) : color(255, 255, 0));
+  strokeWeight(3);
+  circle(grab.x, grab.y, lerp(GRAB_RADIUS, 16, amount));
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!tracker.isHandDetected()) {
+    text('Show your hand to start', width / 2, 20);
+  } else {
+    text(`Extended fingers: ${shapes.getExtendedCount()}`, width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Pinch: grab · Fist: freeze · Thumbs up: add', width / 2, height - 50);
+  text('Tap screen to toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Toggle video on touch
+// ==============================================
+function mousePressed() {
+  tracker.toggleVideo();
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Raw ML5 results (no HandPoseTracker)
+let points = hands[0].keypoints.map((keypoint) => cam.mapKeypoint(keypoint));
+shapes.update(points);
+
+// Example 2: Classify both hands with one classifier (no debouncing)
+let left = shapes.classify(tracker.getPoints('left'));
+let right = shapes.classify(tracker.getPoints('right'));
+if (left.shape === 'pinch' && right.shape === 'pinch') zoom();
+
+// Example 3: Pinch to grab in p5play_04_handpose_ball
+if (shapes.isPinching()) {
+  ball.moveTowards(grab.x, grab.y, 0.5);
+}
+
+// Example 4: Count fingers
+let count = shapes.getExtendedCount();   // 0-5
+*/
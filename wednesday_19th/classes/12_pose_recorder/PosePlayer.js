@@ -0,0 +1,274 @@
+/**
+ * PosePlayer Class
+ *
+ * Replays a PoseRecorder recording into your normal ML5 callback
+ * (gotFaces / gotHands / gotPoses), so a tracking sketch runs without a
+ * live camera. Useful for debugging detectGesture() or calculateGaze()
+ * without waving at the laptop again and again.
+ *
+ * WHAT IT DOES:
+ * - Looks like an ML5 model: detectStart(callback) / detectStop()
+ * - 'realtime' mode plays frames at their recorded times
+ * - 'step' mode delivers exactly one frame per step() - fully deterministic
+ * - Maps keypoints to the canvas the same way PhoneCamera does
+ *
+ * HOW TO USE:
+ *
+ *   let recording;
+ *   function preload() {
+ *     recording = loadJSON('recordings/nod.json');
+ *   }
+ *
+ *   function setup() {
+ *     createCanvas(405, 720);
+ *     player = new PosePlayer(recording);
+ *     player.detectStart(gotFaces);          // Instead of faceMesh.detectStart()
+ *   }
+ *
+ *   function gotFaces(results) {
+ *     faces = results;                       // Same callback as the live sketch
+ *   }
+ *
+ *   // In draw(): player.mapKeypoint(keypoint) instead of cam.mapKeypoint(keypoint)
+ *
+ * DETERMINISTIC TESTING:
+ *   let player = new PosePlayer(recording, { mode: 'step', loop: false });
+ *   player.detectStart(gotFaces);
+ *   while (!player.isFinished()) {
+ *     player.step();                         // Calls gotFaces once
+ *     // ...check your gesture logic here
+ *   }
+ */
+
+class PosePlayer {
+  /**
+   * Constructor - Create a player for a recording
+   *
+   * @param {Object} recording - Object from PoseRecorder.toJSON() or a loaded JSON file
+   * @param {Object} options - Configuration options
+   * @param {string} options.mode - 'realtime' or 'step' (default 'realtime')
+   * @param {boolean} options.loop - Restart at the end (default true)
+   * @param {number} options.speed - Playback speed multiplier (default 1)
+   * @param {boolean} options.mirror - Mirror mapped keypoints like a front camera (default true)
+   * @param {string} options.displayMode - 'fitHeight', 'fitWidth', 'cover' or 'contain' (default 'fitHeight')
+   */
+  constructor(recording, options = {}) {
+    this.recording = recording;
+    this.frames = recording.frames || [];
+    this.video = recording.video || { width: 640, height: 480 };
+
+    this.mode = options.mode || 'realtime';
+    this.loop = options.loop !== undefined ? options.loop : true;
+    this.speed = options.speed || 1;
+    this.mirror = options.mirror !== undefined ? options.mirror : true;
+    this.displayMode = options.displayMode || 'fitHeight';
+
+    // Playback state
+    this.callback = null;
+    this.playing = false;
+    this.frameIndex = 0;       // Next frame to deliver
+    this.playStartTime = 0;    // performance.now() when frame 0 played
+    this.timer = null;
+  }
+
+  // ============================================
+  // PLAYBACK - Same names as ML5 models
+  // ============================================
+
+  /**
+   * Start delivering frames to a callback
+   * In 'realtime' mode frames play automatically; in 'step' mode call step()
+   *
+   * @param {Function} callback - Your gotFaces / gotHands / gotPoses function
+   */
+  detectStart(callback) {
+    this.callback = callback;
+    this.playing = true;
+    this.frameIndex = 0;
+
+    if (this.mode === 'realtime') {
+      this.playStartTime = performance.now();
+      this._scheduleNext();
+    }
+  }
+
+  /**
+   * Stop delivering frames
+   */
+  detectStop() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliver the next frame to the callback
+   * Use in 'step' mode, e.g. once per draw() or in a test loop
+   * @returns {boolean} False if there are no more frames
+   */
+  step() {
+    if (!this.playing || this.frames.length === 0) return false;
+
+    if (this.frameIndex >= this.frames.length) {
+      if (!this.loop) {
+        this.playing = false;
+        return false;
+      }
+      this.frameIndex = 0;
+    }
+
+    this._deliver(this.frames[this.frameIndex]);
+    this.frameIndex++;
+    return true;
+  }
+
+  /**
+   * PRIVATE: Queue the next frame at its recorded time (realtime mode)
+   */
+  _scheduleNext() {
+    if (!this.playing) return;
+
+    if (this.frameIndex >= this.frames.length) {
+      if (!this.loop || this.frames.length === 0) {
+        this.playing = false;
+        return;
+      }
+      this.frameIndex = 0;
+      this.playStartTime = performance.now();
+    }
+
+    let frame = this.frames[this.frameIndex];
+    let due = this.playStartTime + frame.time / this.speed;
+    let wait = Math.max(0, due - performance.now());
+
+    this.timer = setTimeout(() => {
+      this._deliver(frame);
+      this.frameIndex++;
+      this._scheduleNext();
+    }, wait);
+  }
+
+  /**
+   * PRIVATE: Call the callback with a copy of a frame's results
+   * A copy means sketches that modify results can't change the recording
+   */
+  _deliver(frame) {
+    if (this.callback) {
+      this.callback(JSON.parse(JSON.stringify(frame.results)));
+    }
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access playback state
+  // ============================================
+
+  /**
+   * Check if frames are still being delivered
+   * @returns {boolean} True while playing
+   */
+  isPlaying() {
+    return this.playing;
+  }
+
+  /**
+   * Check if a non-looping recording has played every frame
+   * @returns {boolean} True when done
+   */
+  isFinished() {
+    return !this.loop && this.frameIndex >= this.frames.length;
+  }
+
+  /**
+   * Get playback progress
+   * @returns {number} 0 to 1
+   */
+  getProgress() {
+    if (this.frames.length === 0) return 0;
+    return this.frameIndex / this.frames.length;
+  }
+
+  /**
+   * Get the number of frames in the recording
+   * @returns {number} Frame count
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Get one frame's results without playing it
+   * @param {number} index - Frame number
+   * @returns {Array} Results array (empty if out of range)
+   */
+  getFrame(index) {
+    let frame = this.frames[index];
+    return frame ? frame.results : [];
+  }
+
+  /**
+   * Map a recorded keypoint to canvas coordinates
+   * Same result as cam.mapKeypoint() for a PhoneCamera with the same
+   * mirror and displayMode - but works with no camera at all
+   *
+   * @param {Object} keypoint - {x, y, ...} in video pixels
+   * @returns {Object} Copy with x, y in canvas pixels
+   */
+  mapKeypoint(keypoint) {
+    let videoWidth = this.video.width;
+    let videoHeight = this.video.height;
+
+    let scale;
+    if (this.displayMode === 'fitWidth') {
+      scale = width / videoWidth;
+    } else if (this.displayMode === 'cover') {
+      scale = Math.max(width / videoWidth, height / videoHeight);
+    } else if (this.displayMode === 'contain') {
+      scale = Math.min(width / videoWidth, height / videoHeight);
+    } else {
+      scale = height / videoHeight;  // fitHeight
+    }
+
+    let offsetX = (width - videoWidth * scale) / 2;
+    let offsetY = (height - videoHeight * scale) / 2;
+
+    let x = keypoint.x * scale + offsetX;
+    if (this.mirror) x = width - x;
+
+    return Object.assign({}, keypoint, { x: x, y: keypoint.y * scale + offsetY });
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Set playback speed (realtime mode)
+   * @param {number} speed - 1 = normal, 0.5 = half speed, 2 = double
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.1, speed);
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw a progress bar with the frame counter
+   * @param {number} y - Top of the bar (default height - 90)
+   */
+  drawProgress(y = height - 90) {
+    push();
+    noStroke();
+    fill(80);
+    rect(20, y, width - 40, 6);
+    fill(0, 200, 255);
+    rect(20, y, (width - 40) * this.getProgress(), 6);
+
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(12);
+    text(`▶ ${this.mode} · frame ${this.frameIndex} / ${this.frames.length}`, 20, y + 10);
+    pop();
+  }
+}
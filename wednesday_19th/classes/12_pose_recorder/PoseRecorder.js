@@ -0,0 +1,231 @@
+/**
+ * PoseRecorder Class
+ *
+ * Records ML5 results (faces, hands or poses) with timestamps so a sketch
+ * can be replayed later WITHOUT a camera using PosePlayer.
+ *
+ * WHAT IT DOES:
+ * - Captures every results array your gotFaces/gotHands/gotPoses receives
+ * - Stores the time of each frame and the video size (needed for mapping)
+ * - Saves everything to a JSON file you can share in a bug report
+ *
+ * HOW TO USE:
+ *
+ *   let recorder = new PoseRecorder({ type: 'faces' });
+ *
+ *   function gotFaces(results) {
+ *     faces = results;
+ *     recorder.record(results, cam.videoElement);  // Ignored unless recording
+ *   }
+ *
+ *   recorder.start();              // Begin capturing
+ *   recorder.stop();               // Finish
+ *   recorder.save('nod.json');     // Download the recording
+ *
+ * RECORDING FORMAT:
+ *   {
+ *     version: 1,
+ *     type: 'faces',
+ *     video: { width: 640, height: 480 },
+ *     frames: [ { time: 0, results: [...] }, { time: 33, results: [...] }, ... ]
+ *   }
+ */
+
+class PoseRecorder {
+  /**
+   * Constructor - Create a recorder
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.type - 'faces', 'hands' or 'poses' (default 'faces')
+   * @param {boolean} options.keypointsOnly - Drop everything except keypoints, box,
+   *                                          handedness and confidence (default true)
+   * @param {number} options.maxDuration - Stop automatically after this many ms (default 30000)
+   * @param {number} options.precision - Decimal places kept for coordinates (default 2)
+   */
+  constructor(options = {}) {
+    this.type = options.type || 'faces';
+    this.keypointsOnly = options.keypointsOnly !== undefined ? options.keypointsOnly : true;
+    this.MAX_DURATION = options.maxDuration || 30000;
+    this.PRECISION = options.precision !== undefined ? options.precision : 2;
+
+    // Recording state
+    this.recording = false;
+    this.startTime = 0;
+    this.frames = [];
+    this.video = null;  // {width, height} of the source video
+  }
+
+  // ============================================
+  // RECORDING - Start, stop and capture
+  // ============================================
+
+  /**
+   * Start a new recording (clears any previous one)
+   */
+  start() {
+    this.frames = [];
+    this.video = null;
+    this.startTime = performance.now();
+    this.recording = true;
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Add one results array - call this from your ML5 callback
+   * Does nothing unless start() has been called
+   *
+   * @param {Array} results - The array ML5 passed to your callback
+   * @param {HTMLVideoElement} videoElement - Source video (optional, for its size)
+   */
+  record(results, videoElement) {
+    if (!this.recording) return;
+
+    let time = performance.now() - this.startTime;
+    if (time > this.MAX_DURATION) {
+      this.stop();
+      return;
+    }
+
+    // Video size is needed to map keypoints to the canvas on playback
+    if (!this.video && videoElement) {
+      this.video = {
+        width: videoElement.videoWidth || videoElement.width,
+        height: videoElement.videoHeight || videoElement.height
+      };
+    }
+
+    this.frames.push({
+      time: Math.round(time),
+      results: this._copyResults(results || [])
+    });
+  }
+
+  /**
+   * PRIVATE: Deep copy results so later ML5 frames can't change them
+   */
+  _copyResults(results) {
+    return results.map((result) => {
+      let copy = this.keypointsOnly ? this._keepEssentials(result) : JSON.parse(JSON.stringify(result));
+      copy.keypoints = (result.keypoints || []).map((keypoint) => this._copyKeypoint(keypoint));
+      if (result.keypoints3D) {
+        copy.keypoints3D = result.keypoints3D.map((keypoint) => this._copyKeypoint(keypoint));
+      }
+      return copy;
+    });
+  }
+
+  /**
+   * PRIVATE: The fields tracking sketches actually use
+   */
+  _keepEssentials(result) {
+    let copy = {};
+    if (result.box) copy.box = JSON.parse(JSON.stringify(result.box));
+    if (result.handedness !== undefined) copy.handedness = result.handedness;
+    if (result.confidence !== undefined) copy.confidence = result.confidence;
+    if (result.score !== undefined) copy.score = result.score;
+    if (result.id !== undefined) copy.id = result.id;
+    return copy;
+  }
+
+  /**
+   * PRIVATE: Copy one keypoint, rounding coordinates to keep files small
+   */
+  _copyKeypoint(keypoint) {
+    let factor = Math.pow(10, this.PRECISION);
+    let copy = {};
+    for (let key in keypoint) {
+      let value = keypoint[key];
+      copy[key] = typeof value === 'number' ? Math.round(value * factor) / factor : value;
+    }
+    return copy;
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access the recording
+  // ============================================
+
+  /**
+   * Check if currently recording
+   * @returns {boolean} True while recording
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get the number of recorded frames
+   * @returns {number} Frame count
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  /**
+   * Get the recording length
+   * @returns {number} Duration in ms
+   */
+  getDuration() {
+    if (this.frames.length === 0) return 0;
+    return this.frames[this.frames.length - 1].time;
+  }
+
+  /**
+   * Get the recording as a plain object (the JSON file contents)
+   * Pass this straight to new PosePlayer() to replay without saving
+   * @returns {Object} {version, type, video, frames}
+   */
+  toJSON() {
+    return {
+      version: 1,
+      type: this.type,
+      video: this.video || { width: 640, height: 480 },
+      frames: this.frames
+    };
+  }
+
+  /**
+   * Download the recording as a JSON file
+   * @param {string} filename - File name (default 'recording-<type>.json')
+   */
+  save(filename) {
+    if (this.frames.length === 0) {
+      console.warn('PoseRecorder: nothing to save');
+      return;
+    }
+    saveJSON(this.toJSON(), filename || `recording-${this.type}.json`, true);
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw a REC indicator with frame count and time
+   * @param {number} x - Left edge (default 20)
+   * @param {number} y - Top edge (default 20)
+   */
+  drawStatus(x = 20, y = 20) {
+    push();
+    textAlign(LEFT, CENTER);
+    textSize(14);
+    noStroke();
+
+    if (this.recording) {
+      // Blinking red dot
+      fill(255, 0, 0, frameCount % 30 < 15 ? 255 : 80);
+      circle(x + 8, y + 8, 16);
+      fill(255);
+      text(`REC ${(this.getDuration() / 1000).toFixed(1)}s · ${this.frames.length} frames`, x + 24, y + 8);
+    } else if (this.frames.length > 0) {
+      fill(255);
+      text(`Recorded ${(this.getDuration() / 1000).toFixed(1)}s · ${this.frames.length} frames`, x, y + 8);
+    }
+    pop();
+  }
+}
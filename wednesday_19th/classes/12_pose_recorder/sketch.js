@@ -0,0 +1,296 @@
+/*
+PoseRecorder + PosePlayer Example - Record and Replay FaceMesh
+
+Record a few seconds of FaceMesh results, then replay them through the
+SAME gotFaces() callback. The nod/shake detection below can't tell the
+difference between live and recorded data - so you can debug gesture
+logic without moving your head again.
+
+- REC      → start/stop recording
+- PLAY     → replay the recording (camera results are ignored)
+- SAVE     → download the recording as JSON
+- Choose file (bottom) → load a saved recording
+
+KEY IDEAS:
+- recorder.record(results) goes inside the ML5 callback
+- player.detectStart(gotFaces) replaces faceMesh.detectStart(video, gotFaces)
+- player.mapKeypoint() replaces cam.mapKeypoint() - no camera needed
+- 'step' mode gives one frame per step() for deterministic tests
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cam;                // PhoneCamera instance
+let faceMesh;           // ML5 FaceMesh model
+let faces = [];         // Detected faces (live OR replayed)
+let showVideo = true;   // Toggle video display
+
+let recorder;           // PoseRecorder instance
+let player = null;      // PosePlayer instance (created after recording)
+let gestures;           // GestureRecognizer for nod/shake
+let mode = 'live';      // 'live' or 'playback'
+let lastAnswer = '';    // Last nod/shake result
+
+// FaceMesh indices
+const NOSE_INDEX = 1;
+const EAR_INDICES = [234, 454];
+
+// Top bar buttons
+const BUTTONS = ['REC', 'PLAY', 'SAVE'];
+const BUTTON_HEIGHT = 50;
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+  lockGestures();  // Prevent phone gestures (zoom, refresh)
+
+  // Create camera: front camera, mirrored, fit to canvas height
+  cam = createPhoneCamera('user', true, 'fitHeight');
+
+  // Wait for camera to initialize, then create model and start detection
+  cam.onReady(() => {
+    let options = {
+      maxFaces: 1,
+      refineLandmarks: false,
+      flipHorizontal: false  // Don't flip in ML5 - cam.mapKeypoint() handles mirroring
+    };
+
+    faceMesh = ml5.faceMesh(options, () => {
+      faceMesh.detectStart(cam.videoElement, gotLiveFaces);
+    });
+  });
+
+  // Recorder keeps keypoints only (much smaller files)
+  recorder = new PoseRecorder({ type: 'faces' });
+
+  // Nod = YES, shake = NO (same logic for live and replay)
+  gestures = new GestureRecognizer({ gestures: ['nod', 'shake'] });
+  gestures.on('nod', () => lastAnswer = 'YES');
+  gestures.on('shake', () => lastAnswer = 'NO');
+
+  // Load a saved recording from a file
+  let fileInput = createFileInput(loadRecording);
+  fileInput.position(20, height - 30);
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  // Video only makes sense while live
+  if (mode === 'live' && showVideo && cam.ready) {
+    image(cam, 0, 0);
+  }
+
+  if (faces.length > 0) {
+    let nose = mapPoint(faces[0].keypoints[NOSE_INDEX]);
+    let leftEar = mapPoint(faces[0].keypoints[EAR_INDICES[0]]);
+    let rightEar = mapPoint(faces[0].keypoints[EAR_INDICES[1]]);
+    let faceWidth = dist(leftEar.x, leftEar.y, rightEar.x, rightEar.y);
+
+    gestures.update(nose, faceWidth);
+    drawFacePoints();
+  } else {
+    gestures.update(null);
+  }
+
+  gestures.drawTrail();
+
+  drawButtons();
+  recorder.drawStatus(20, BUTTON_HEIGHT + 10);
+  if (mode === 'playback') player.drawProgress();
+  drawUI();
+}
+
+// ==============================================
+// CALLBACKS - Live results and the shared handler
+// ==============================================
+
+// Live FaceMesh results: record them, and use them unless replaying
+function gotLiveFaces(results) {
+  recorder.record(results, cam.videoElement);
+  if (mode === 'live') gotFaces(results);
+}
+
+// The normal callback - receives live OR recorded results
+function gotFaces(results) {
+  faces = results || [];
+}
+
+// ==============================================
+// HELPER - Map with the camera or the player
+// ==============================================
+function mapPoint(keypoint) {
+  return mode === 'playback' ? player.mapKeypoint(keypoint) : cam.mapKeypoint(keypoint);
+}
+
+// ==============================================
+// RECORD / PLAY - Switch between live and replay
+// ==============================================
+function toggleRecording() {
+  if (recorder.isRecording()) {
+    recorder.stop();
+  } else {
+    stopPlayback();
+    recorder.start();
+  }
+}
+
+function togglePlayback() {
+  if (mode === 'playback') {
+    stopPlayback();
+    return;
+  }
+  if (recorder.isRecording()) recorder.stop();
+  if (recorder.getFrameCount() === 0) return;
+
+  startPlayback(recorder.toJSON());
+}
+
+function startPlayback(recording) {
+  stopPlayback();
+
+  // Same mirror/displayMode as the live camera, so points land in the same place
+  player = new PosePlayer(recording, { mirror: true, displayMode: 'fitHeight' });
+  mode = 'playback';
+  faces = [];
+  gestures.reset();
+  player.detectStart(gotFaces);
+}
+
+function stopPlayback() {
+  if (player) player.detectStop();
+  mode = 'live';
+  faces = [];
+  gestures.reset();
+}
+
+function loadRecording(file) {
+  // p5 parses .json files into an object
+  if (file.subtype !== 'json' || !file.data.frames) {
+    console.warn('Not a PoseRecorder JSON file');
+    return;
+  }
+  startPlayback(file.data);
+}
+
+// ==============================================
+// DISPLAY - Face points
+// ==============================================
+function drawFacePoints() {
+  push();
+  noStroke();
+  fill(mode === 'playback' ? color(0, 200, 255) : color(0, 255, 0));
+  for (let keypoint of faces[0].keypoints) {
+    let point = mapPoint(keypoint);
+    circle(point.x, point.y, 3);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Buttons, status and instructions
+// ==============================================
+function drawButtons() {
+  let buttonWidth = width / BUTTONS.length;
+
+  push();
+  textAlign(CENTER, CENTER);
+  textSize(16);
+  stroke(0);
+  for (let i = 0; i < BUTTONS.length; i++) {
+    let label = BUTTONS[i];
+    let active = (label === 'REC' && recorder.isRecording()) || (label === 'PLAY' && mode === 'playback');
+
+    fill(active ? color(255, 0, 0) : color(60));
+    rect(i * buttonWidth, 0, buttonWidth, BUTTON_HEIGHT);
+
+    fill(255);
+    if (label === 'REC' && recorder.isRecording()) label = 'STOP';
+    if (label === 'PLAY' && mode === 'playback') label = 'LIVE';
+    text(label, i * buttonWidth + buttonWidth / 2, BUTTON_HEIGHT / 2);
+  }
+  pop();
+}
+
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, CENTER);
+
+  if (lastAnswer !== '') {
+    textSize(48);
+    text(lastAnswer, width / 2, height / 2 + 150);
+  }
+
+  textSize(14);
+  if (mode === 'live' && !cam.ready) {
+    text('Starting camera...', width / 2, 130);
+  } else if (faces.length === 0) {
+    text(mode === 'playback' ? 'No face in this frame' : 'Show your face to start', width / 2, 130);
+  } else {
+    text(mode === 'playback' ? 'Replaying recording' : 'Nod or shake your head', width / 2, 130);
+  }
+
+  text('Tap screen to toggle video', width / 2, height - 60);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Buttons or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < BUTTON_HEIGHT) {
+    let button = BUTTONS[floor(mouseX / (width / BUTTONS.length))];
+    if (button === 'REC') toggleRecording();
+    if (button === 'PLAY') togglePlayback();
+    if (button === 'SAVE') recorder.save();
+  } else if (mouseY < height - 40) {
+    showVideo = !showVideo;
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Replay a saved file in any existing sketch
+let recording;
+function preload() {
+  recording = loadJSON('recordings/nod.json');
+}
+function setup() {
+  player = new PosePlayer(recording);
+  player.detectStart(gotFaces);     // Instead of faceMesh.detectStart(...)
+}
+// ...and replace cam.mapKeypoint(k) with player.mapKeypoint(k)
+
+// Example 2: Deterministic test - same frames, same order, every run
+let player = new PosePlayer(recording, { mode: 'step', loop: false });
+player.detectStart(gotFaces);
+let nods = 0;
+gestures.on('nod', () => nods++);
+while (player.step()) {
+  if (faces.length > 0) gestures.update(player.mapKeypoint(faces[0].keypoints[1]), 120);
+}
+console.log('Nods detected:', nods);
+
+// Example 3: Hands or bodies - same classes, different type
+let recorder = new PoseRecorder({ type: 'hands' });
+function gotHands(results) {
+  hands = results;
+  recorder.record(results, cam.videoElement);
+}
+
+// Example 4: Keep FaceMesh named parts (faces[0].lips, etc.) - bigger files
+let recorder = new PoseRecorder({ type: 'faces', keypointsOnly: false });
+*/
@@ -0,0 +1,295 @@
+/**
+ * KeypointFilter Class
+ *
+ * Smooths ONE tracked point and measures its velocity and acceleration.
+ * Replaces the single lerp(..., SMOOTHING_FACTOR) used in GazeDetector and
+ * the raw per-frame deltas in measureVelocity().
+ *
+ * WHY NOT JUST LERP?
+ * A fixed lerp is always a compromise: a strong lerp is smooth but laggy,
+ * a weak lerp is responsive but jittery. The filters here change their
+ * behaviour with the movement:
+ *
+ * - 'oneEuro' - Smooths hard when the point is still (no jitter) and
+ *               hardly at all when it moves fast (no lag). Good default
+ *               for hands, paddles and fingertips.
+ * - 'kalman'  - Predicts where the point should be from its velocity,
+ *               then corrects with the measurement. Very steady, with
+ *               clean velocity and acceleration. Good for slow gaze and
+ *               body tracking.
+ * - 'none'    - No smoothing, but still measures velocity/acceleration.
+ *
+ * HOW TO USE:
+ *
+ *   let fingerFilter = new KeypointFilter({ type: 'oneEuro' });
+ *
+ *   function draw() {
+ *     let raw = getKeypoint(8);
+ *     if (raw) {
+ *       let smooth = fingerFilter.filter(raw);       // {x, y, z}
+ *       let velocity = fingerFilter.getVelocity();   // pixels per SECOND
+ *       let accel = fingerFilter.getAcceleration();  // pixels per second²
+ *     }
+ *   }
+ *
+ * Or opt in per point inside a tracker:
+ *   tracker.setFilter('index_tip', { type: 'oneEuro', beta: 0.02 });
+ *
+ * All timing uses real time (millis()), so results are the same at any frame rate.
+ */
+
+class KeypointFilter {
+  /**
+   * Constructor - Create a filter for one point
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.type - 'oneEuro', 'kalman' or 'none' (default 'oneEuro')
+   * @param {number} options.minCutoff - One Euro: smoothing when still, in Hz (default 1.0, lower = smoother)
+   * @param {number} options.beta - One Euro: how fast smoothing drops with speed (default 0.01, higher = less lag)
+   * @param {number} options.derivativeCutoff - Smoothing for velocity/acceleration, in Hz (default 1.0)
+   * @param {number} options.processNoise - Kalman: how much the motion can change (default 1000, higher = less lag)
+   * @param {number} options.measurementNoise - Kalman: how noisy the tracker is, in pixels² (default 25)
+   * @param {number} options.resetAfter - Start fresh after a gap this long, in ms (default 500)
+   */
+  constructor(options = {}) {
+    this.type = options.type || 'oneEuro';
+
+    // Tunable parameters
+    this.MIN_CUTOFF = options.minCutoff !== undefined ? options.minCutoff : 1.0;
+    this.BETA = options.beta !== undefined ? options.beta : 0.01;
+    this.DERIVATIVE_CUTOFF = options.derivativeCutoff !== undefined ? options.derivativeCutoff : 1.0;
+    this.PROCESS_NOISE = options.processNoise !== undefined ? options.processNoise : 1000;
+    this.MEASUREMENT_NOISE = options.measurementNoise !== undefined ? options.measurementNoise : 25;
+    this.RESET_AFTER = options.resetAfter !== undefined ? options.resetAfter : 500;
+
+    this.reset();
+  }
+
+  /**
+   * Axes that are filtered (z only if the point has one)
+   */
+  static get AXES() {
+    return ['x', 'y', 'z'];
+  }
+
+  // ============================================
+  // FILTERING - Call once per new measurement
+  // ============================================
+
+  /**
+   * Filter a new measurement
+   *
+   * @param {Object} point - {x, y} or {x, y, z}
+   * @param {number} time - Timestamp in ms (default millis())
+   * @returns {Object} Filtered point (a copy of point with smoothed x, y, z)
+   */
+  filter(point, time = millis()) {
+    if (!point) return null;
+
+    // First point, or tracking came back after a gap - start fresh
+    if (this.lastTime === null || time - this.lastTime > this.RESET_AFTER) {
+      this._start(point, time);
+      return this.getPosition(point);
+    }
+
+    let dt = (time - this.lastTime) / 1000;  // Seconds
+    if (dt <= 0) return this.getPosition(point);  // Same timestamp - nothing new
+    this.lastTime = time;
+
+    for (let axis of KeypointFilter.AXES) {
+      if (point[axis] === undefined || !this.state[axis]) continue;
+
+      let state = this.state[axis];
+      let previousVelocity = state.velocity;
+
+      if (this.type === 'kalman') {
+        this._kalman(state, point[axis], dt);
+      } else if (this.type === 'none') {
+        state.velocity = (point[axis] - state.position) / dt;
+        state.position = point[axis];
+      } else {
+        this._oneEuro(state, point[axis], dt);
+      }
+
+      // Acceleration from the change in velocity, lightly smoothed
+      let rawAcceleration = (state.velocity - previousVelocity) / dt;
+      let alpha = this._alpha(this.DERIVATIVE_CUTOFF, dt);
+      state.acceleration += alpha * (rawAcceleration - state.acceleration);
+    }
+
+    return this.getPosition(point);
+  }
+
+  /**
+   * PRIVATE: Initialise every axis at the first measurement
+   */
+  _start(point, time) {
+    this.lastTime = time;
+    this.state = {};
+    for (let axis of KeypointFilter.AXES) {
+      if (point[axis] === undefined) continue;
+      this.state[axis] = {
+        position: point[axis],
+        raw: point[axis],          // One Euro only
+        velocity: 0,
+        acceleration: 0,
+        variance: [[this.MEASUREMENT_NOISE, 0], [0, this.PROCESS_NOISE]]  // Kalman only
+      };
+    }
+  }
+
+  /**
+   * PRIVATE: Smoothing amount for a low-pass filter at a cutoff frequency
+   * @returns {number} 0-1 (1 = follow the new value completely)
+   */
+  _alpha(cutoff, dt) {
+    let tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * PRIVATE: One Euro filter step for one axis
+   *
+   * The velocity is smoothed first. The faster the point moves, the higher
+   * the position cutoff, so the position follows more closely.
+   * (Casiez, Roussel & Vogel, "1€ Filter", CHI 2012)
+   */
+  _oneEuro(state, value, dt) {
+    // Smoothed velocity from the raw measurements
+    let rawVelocity = (value - state.raw) / dt;
+    state.raw = value;
+    state.velocity += this._alpha(this.DERIVATIVE_CUTOFF, dt) * (rawVelocity - state.velocity);
+
+    // Position cutoff rises with speed
+    let cutoff = this.MIN_CUTOFF + this.BETA * Math.abs(state.velocity);
+    state.position += this._alpha(cutoff, dt) * (value - state.position);
+  }
+
+  /**
+   * PRIVATE: Constant-velocity Kalman filter step for one axis
+   *
+   * State is [position, velocity]. Predict with the current velocity,
+   * then blend in the measurement by how much each is trusted.
+   */
+  _kalman(state, value, dt) {
+    let P = state.variance;
+    let q = this.PROCESS_NOISE;
+    let r = this.MEASUREMENT_NOISE;
+
+    // Predict: move by velocity, uncertainty grows
+    state.position += state.velocity * dt;
+    let p00 = P[0][0] + dt * (P[1][0] + P[0][1]) + dt * dt * P[1][1] + q * dt * dt * dt * dt / 4;
+    let p01 = P[0][1] + dt * P[1][1] + q * dt * dt * dt / 2;
+    let p10 = P[1][0] + dt * P[1][1] + q * dt * dt * dt / 2;
+    let p11 = P[1][1] + q * dt * dt;
+
+    // Update: gain says how much to trust the measurement
+    let innovation = value - state.position;
+    let s = p00 + r;
+    let k0 = p00 / s;
+    let k1 = p10 / s;
+
+    state.position += k0 * innovation;
+    state.velocity += k1 * innovation;
+
+    state.variance = [
+      [(1 - k0) * p00, (1 - k0) * p01],
+      [p10 - k1 * p00, p11 - k1 * p01]
+    ];
+  }
+
+  // ============================================
+  // PUBLIC API - Filtered values
+  // ============================================
+
+  /**
+   * Get the filtered position
+   * @param {Object} point - Optional original point to copy other fields from
+   * @returns {Object|null} {x, y, z} or null before the first measurement
+   */
+  getPosition(point = {}) {
+    if (this.lastTime === null) return null;
+
+    let result = Object.assign({}, point);
+    for (let axis in this.state) {
+      result[axis] = this.state[axis].position;
+    }
+    return result;
+  }
+
+  /**
+   * Get the filtered velocity
+   * @returns {Object} {x, y, z, speed} in units per second
+   */
+  getVelocity() {
+    return this._getVector('velocity');
+  }
+
+  /**
+   * Get the filtered acceleration
+   * @returns {Object} {x, y, z, magnitude} in units per second²
+   */
+  getAcceleration() {
+    let vector = this._getVector('acceleration');
+    return { x: vector.x, y: vector.y, z: vector.z, magnitude: vector.speed };
+  }
+
+  /**
+   * PRIVATE: Collect one value from every axis
+   */
+  _getVector(key) {
+    let x = this.state.x ? this.state.x[key] : 0;
+    let y = this.state.y ? this.state.y[key] : 0;
+    let z = this.state.z ? this.state.z[key] : 0;
+    return { x: x, y: y, z: z, speed: Math.sqrt(x * x + y * y + z * z) };
+  }
+
+  /**
+   * Check if the filter has received a measurement
+   * @returns {boolean} True once filter() has been called
+   */
+  isStarted() {
+    return this.lastTime !== null;
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Forget all history (e.g. when tracking is lost)
+   */
+  reset() {
+    this.lastTime = null;
+    this.state = {};
+  }
+
+  /**
+   * Change the filter type (resets history)
+   * @param {string} type - 'oneEuro', 'kalman' or 'none'
+   */
+  setType(type) {
+    this.type = type;
+    this.reset();
+  }
+
+  /**
+   * Set One Euro parameters
+   * @param {number} minCutoff - Hz, lower = smoother when still
+   * @param {number} beta - Higher = less lag when moving fast
+   */
+  setOneEuro(minCutoff, beta) {
+    this.MIN_CUTOFF = Math.max(0.01, minCutoff);
+    this.BETA = Math.max(0, beta);
+  }
+
+  /**
+   * Set Kalman parameters
+   * @param {number} processNoise - Higher = follows changes in motion faster
+   * @param {number} measurementNoise - Higher = trusts the tracker less
+   */
+  setKalman(processNoise, measurementNoise) {
+    this.PROCESS_NOISE = Math.max(0, processNoise);
+    this.MEASUREMENT_NOISE = Math.max(0.01, measurementNoise);
+  }
+}
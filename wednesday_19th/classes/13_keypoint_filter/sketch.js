@@ -0,0 +1,249 @@
+/*
+KeypointFilter Example - Lerp vs One Euro vs Kalman
+
+Your index fingertip is drawn four times, each with a different smoothing
+method, so you can SEE the trade-off between jitter and lag:
+
+- White:  raw ML5 position (jittery)
+- Orange: lerp with a fixed factor, like GazeDetector's SMOOTHING_FACTOR
+- Cyan:   One Euro filter (smooth when still, fast when moving)
+- Pink:   Kalman filter (steady, predicts from velocity)
+
+Hold your finger still to compare jitter, then move it quickly to
+compare lag. The panel shows the selected filter's velocity and
+acceleration in pixels per SECOND - tap the top half to change filter.
+
+KEY IDEAS:
+- One filter per point: new KeypointFilter({ type: 'oneEuro' })
+- filter(point) once per NEW measurement
+- getVelocity() / getAcceleration() come for free
+- Trackers can do it for you: tracker.setFilter('index_tip', {...})
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // HandPoseTracker instance (unfiltered)
+
+// One filter per smoothing method, all fed the same raw point
+let filters = {};
+let lerpPoint = null;           // Fixed-factor lerp for comparison
+const LERP_FACTOR = 0.4;        // Same default as GazeDetector
+
+let trails = {};                // Recent positions per method
+const TRAIL_LENGTH = 30;
+let lastRaw = null;             // Used to spot new ML5 results
+
+// Methods in display order
+const METHODS = [
+  { name: 'raw', label: 'Raw', color: [255, 255, 255] },
+  { name: 'lerp', label: 'Lerp 0.4', color: [255, 165, 0] },
+  { name: 'oneEuro', label: 'One Euro', color: [0, 255, 255] },
+  { name: 'kalman', label: 'Kalman', color: [255, 0, 150] }
+];
+let selectedMethod = 2;         // Index into METHODS for the readout
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  tracker = new HandPoseTracker({ maxHands: 1 });
+
+  // Create one filter per method
+  filters.raw = new KeypointFilter({ type: 'none' });
+  filters.oneEuro = new KeypointFilter({
+    type: 'oneEuro',
+    minCutoff: 1.0,   // Lower = smoother when still
+    beta: 0.01        // Higher = less lag when moving
+  });
+  filters.kalman = new KeypointFilter({
+    type: 'kalman',
+    processNoise: 1000,    // Higher = follows changes faster
+    measurementNoise: 25   // Higher = trusts ML5 less
+  });
+
+  for (let method of METHODS) {
+    trails[method.name] = [];
+  }
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  tracker.update();
+
+  let raw = tracker.getPoint('index_tip');
+  if (raw) {
+    // ML5 runs slower than draw() - only filter when the point changes
+    if (!lastRaw || raw.x !== lastRaw.x || raw.y !== lastRaw.y) {
+      filters.raw.filter(raw);
+      filters.oneEuro.filter(raw);
+      filters.kalman.filter(raw);
+      lastRaw = raw;
+    }
+
+    // The lerp runs every frame, like GazeDetector
+    if (!lerpPoint) lerpPoint = { x: raw.x, y: raw.y };
+    lerpPoint.x = lerp(lerpPoint.x, raw.x, 1 - LERP_FACTOR);
+    lerpPoint.y = lerp(lerpPoint.y, raw.y, 1 - LERP_FACTOR);
+
+    addToTrail('raw', raw);
+    addToTrail('lerp', lerpPoint);
+    addToTrail('oneEuro', filters.oneEuro.getPosition());
+    addToTrail('kalman', filters.kalman.getPosition());
+  } else {
+    // Tracking lost - start fresh next time
+    for (let name in filters) filters[name].reset();
+    lerpPoint = null;
+    lastRaw = null;
+  }
+
+  drawTrails();
+  drawLegend();
+  drawReadout();
+  drawUI();
+}
+
+// ==============================================
+// TRAILS - Recent positions for each method
+// ==============================================
+function addToTrail(name, point) {
+  trails[name].push({ x: point.x, y: point.y });
+  if (trails[name].length > TRAIL_LENGTH) trails[name].shift();
+}
+
+function drawTrails() {
+  push();
+  noFill();
+  for (let method of METHODS) {
+    let trail = trails[method.name];
+    let c = method.color;
+
+    stroke(c[0], c[1], c[2], 150);
+    strokeWeight(2);
+    beginShape();
+    for (let point of trail) vertex(point.x, point.y);
+    endShape();
+
+    if (trail.length > 0) {
+      let last = trail[trail.length - 1];
+      noStroke();
+      fill(c[0], c[1], c[2]);
+      circle(last.x, last.y, 14);
+      noFill();
+    }
+  }
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Legend and velocity readout
+// ==============================================
+function drawLegend() {
+  push();
+  textAlign(LEFT, CENTER);
+  textSize(14);
+  noStroke();
+  for (let i = 0; i < METHODS.length; i++) {
+    let c = METHODS[i].color;
+    let y = 60 + i * 22;
+    fill(c[0], c[1], c[2]);
+    circle(28, y, 12);
+    fill(255);
+    text(METHODS[i].label + (i === selectedMethod ? '  ◀' : ''), 42, y);
+  }
+  pop();
+}
+
+function drawReadout() {
+  let method = METHODS[selectedMethod];
+
+  push();
+  fill(0, 0, 0, 150);
+  noStroke();
+  rect(0, height - 130, width, 80);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textSize(14);
+  text(`${method.label}`, 20, height - 120);
+
+  let filter = filters[method.name];
+  if (filter && filter.isStarted()) {
+    let velocity = filter.getVelocity();
+    let acceleration = filter.getAcceleration();
+    text(`Speed: ${nf(velocity.speed, 1, 0)} px/s`, 20, height - 98);
+    text(`Acceleration: ${nf(acceleration.magnitude, 1, 0)} px/s²`, 20, height - 78);
+  } else {
+    text('Lerp has no velocity - that is the point!', 20, height - 98);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!tracker.isHandDetected()) {
+    text('Show your index finger', width / 2, 20);
+  } else {
+    text('Hold still, then move fast', width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap top: change readout · Tap bottom: toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Change readout or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < height / 2) {
+    selectedMethod = (selectedMethod + 1) % METHODS.length;
+  } else {
+    tracker.toggleVideo();
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Let the tracker filter points for you
+// (load KeypointFilter.js before HandPoseTracker is created)
+tracker = new HandPoseTracker({
+  filters: { index_tip: { type: 'oneEuro', beta: 0.02 } }
+});
+let tip = tracker.getPoint('index_tip');                 // Filtered
+let speed = tracker.getFilter('index_tip').getVelocity().speed;
+
+// Example 2: Different trade-offs per point
+tracker.setFilter(['thumb_tip', 'index_tip'], { type: 'oneEuro', beta: 0.05 }); // Fast paddles
+tracker.setFilter('wrist', { type: 'kalman', processNoise: 200 });             // Steady anchor
+
+// Example 3: Slow, steady gaze
+gazeDetector = new GazeDetector({ filter: { type: 'kalman', processNoise: 100 } });
+
+// Example 4: Whole body
+bodyTracker.setFilter('all', { type: 'oneEuro', minCutoff: 0.5 });
+let wristAccel = bodyTracker.getFilter('rightWrist').getAcceleration();
+*/
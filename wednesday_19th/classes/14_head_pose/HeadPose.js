@@ -0,0 +1,383 @@
+/**
+ * HeadPose Class
+ *
+ * Full 3D head orientation from ML5 FaceMesh keypoints: yaw, pitch and
+ * roll in degrees, plus a rotation matrix. PHONE_FaceMesh_gaze_detection
+ * computes earCenterZ but only ever uses the nose X offset - this class
+ * uses the x, y AND z of four keypoints to build the head's own axes.
+ *
+ * WHAT IT DOES:
+ * - Builds a right / up / forward axis for the head from the ears, forehead and chin
+ * - Reports yaw (turn), pitch (nod) and roll (tilt) in degrees
+ * - Gives the rotation matrix for 3D work
+ * - Optional neutral pose, so "how I normally hold my head" reads as 0, 0, 0
+ * - THREE.js helper: applyToObject(mesh) rotates any Object3D with the head
+ *
+ * HOW TO USE:
+ *
+ *   let headPose = new HeadPose();
+ *
+ *   function gotFaces(results) {
+ *     faces = results;
+ *   }
+ *
+ *   function draw() {
+ *     headPose.update(faces[0]);       // Raw FaceMesh face (or undefined)
+ *     if (headPose.isValid()) {
+ *       let yaw = headPose.getYaw();     // + = turned right
+ *       let pitch = headPose.getPitch(); // + = looking up
+ *       let roll = headPose.getRoll();   // + = tilted clockwise
+ *     }
+ *   }
+ *
+ *   // THREE.js
+ *   headPose.applyToObject(maskMesh);
+ *
+ * COORDINATES:
+ * The matrix uses the THREE.js convention: x = right, y = up, z = towards
+ * the viewer. With mirror: true (the default, like the front camera) the
+ * head moves like your reflection. The degrees use friendlier signs than
+ * the matrix: positive yaw, pitch and roll = right, up and clockwise.
+ *
+ * Only uses Math - no p5 - so it also works in the THREE.js sketches.
+ * (drawAxes() is the only p5 method.)
+ */
+
+class HeadPose {
+  /**
+   * Constructor - Create a head pose estimator
+   *
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.mirror - Match a mirrored front camera (default true)
+   * @param {number} options.smoothing - Smoothing amount 0-1 (default 0.5, 0 = none)
+   */
+  constructor(options = {}) {
+    this.mirror = options.mirror !== undefined ? options.mirror : true;
+
+    // Tunable parameters
+    this.SMOOTHING = options.smoothing !== undefined ? options.smoothing : 0.5;
+
+    // FaceMesh keypoints that define the head's axes
+    this.leftSideIndex = 234;   // Left edge of the face in the camera image
+    this.rightSideIndex = 454;  // Right edge of the face in the camera image
+    this.foreheadIndex = 10;    // Top of the forehead
+    this.chinIndex = 152;       // Bottom of the chin
+
+    // Smoothed axes before the neutral pose is removed
+    this.rightAxis = null;
+    this.upAxis = null;
+
+    // Results
+    this.valid = false;
+    this.matrix = HeadPose.IDENTITY;
+    this.yaw = 0;
+    this.pitch = 0;
+    this.roll = 0;
+
+    // Neutral pose (rotation matrix), null = facing the camera
+    this.neutral = null;
+  }
+
+  /**
+   * 3x3 identity matrix (no rotation)
+   */
+  static get IDENTITY() {
+    return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  }
+
+  // ============================================
+  // UPDATE - Call every frame with the raw face
+  // ============================================
+
+  /**
+   * Update the pose from a FaceMesh face
+   * Use the raw face from the ML5 callback, NOT mapped keypoints -
+   * mapping to the canvas doesn't keep z.
+   *
+   * @param {Object} face - faces[0] from FaceMesh (undefined/null = no face)
+   */
+  update(face) {
+    let keypoints = face && face.keypoints;
+    let left = keypoints && keypoints[this.leftSideIndex];
+    let right = keypoints && keypoints[this.rightSideIndex];
+    let forehead = keypoints && keypoints[this.foreheadIndex];
+    let chin = keypoints && keypoints[this.chinIndex];
+
+    if (!left || !right || !forehead || !chin) {
+      this.valid = false;
+      this.rightAxis = null;
+      this.upAxis = null;
+      return;
+    }
+
+    // Raw image coordinates (x right, y down, z away) → THREE-style (x right, y up, z towards you)
+    // Mirroring swaps which side of the image is the head's right
+    let flipX = this.mirror ? -1 : 1;
+    let toSpace = (point) => ({ x: point.x * flipX, y: -point.y, z: -(point.z || 0) });
+    let sideA = toSpace(this.mirror ? right : left);
+    let sideB = toSpace(this.mirror ? left : right);
+
+    let rawRight = HeadPose._normalize(HeadPose._subtract(sideB, sideA));
+    let rawUp = HeadPose._normalize(HeadPose._subtract(toSpace(forehead), toSpace(chin)));
+    if (!rawRight || !rawUp) {
+      this.valid = false;
+      return;
+    }
+
+    // Smooth the axes, not the angles (angles wrap around at ±180°)
+    if (this.rightAxis && this.SMOOTHING > 0) {
+      this.rightAxis = HeadPose._lerpVector(this.rightAxis, rawRight, 1 - this.SMOOTHING);
+      this.upAxis = HeadPose._lerpVector(this.upAxis, rawUp, 1 - this.SMOOTHING);
+    } else {
+      this.rightAxis = rawRight;
+      this.upAxis = rawUp;
+    }
+
+    let matrix = HeadPose._matrixFromAxes(this.rightAxis, this.upAxis);
+    if (!matrix) {
+      this.valid = false;
+      return;
+    }
+
+    // Rotation relative to the neutral pose: R × Nᵀ
+    if (this.neutral) {
+      matrix = HeadPose._multiply(matrix, HeadPose._transpose(this.neutral));
+    }
+
+    this.matrix = matrix;
+    this._updateAngles();
+    this.valid = true;
+  }
+
+  /**
+   * PRIVATE: Yaw, pitch and roll from the matrix (Y, then X, then Z)
+   * Same order as THREE.Euler 'YXZ', then signs flipped for pitch and roll
+   * so that up and clockwise are positive.
+   */
+  _updateAngles() {
+    let m = this.matrix;
+    let toDegrees = 180 / Math.PI;
+    let sinPitch = Math.max(-1, Math.min(1, -m[1][2]));
+
+    if (Math.abs(m[1][2]) < 0.9999999) {
+      this.yaw = Math.atan2(m[0][2], m[2][2]) * toDegrees;
+      this.roll = -Math.atan2(m[1][0], m[1][1]) * toDegrees;
+    } else {
+      // Looking straight up or down - yaw and roll can't be told apart
+      this.yaw = Math.atan2(-m[2][0], m[0][0]) * toDegrees;
+      this.roll = 0;
+    }
+    this.pitch = -Math.asin(sinPitch) * toDegrees;
+  }
+
+  // ============================================
+  // PUBLIC API - Pose data
+  // ============================================
+
+  /**
+   * Check if the last update found a face
+   * @returns {boolean} True if the pose is up to date
+   */
+  isValid() {
+    return this.valid;
+  }
+
+  /**
+   * Get the head turn
+   * @returns {number} Degrees, positive = turned right (as seen on a mirrored screen)
+   */
+  getYaw() {
+    return this.yaw;
+  }
+
+  /**
+   * Get the head nod
+   * @returns {number} Degrees, positive = looking up
+   */
+  getPitch() {
+    return this.pitch;
+  }
+
+  /**
+   * Get the head tilt
+   * @returns {number} Degrees, positive = tilted clockwise on screen
+   *                   (same sign as GestureRecognizer's tilt angle)
+   */
+  getRoll() {
+    return this.roll;
+  }
+
+  /**
+   * Get all three angles
+   * @returns {Object} {yaw, pitch, roll} in degrees
+   */
+  getAngles() {
+    return { yaw: this.yaw, pitch: this.pitch, roll: this.roll };
+  }
+
+  /**
+   * Get the rotation matrix
+   * Columns are the head's right, up and forward axes (x right, y up, z towards viewer).
+   * @returns {Array} 3x3 array of rows
+   */
+  getRotationMatrix() {
+    return this.matrix.map(row => row.slice());
+  }
+
+  /**
+   * Get the head's axes as vectors
+   * @returns {Object} {right, up, forward}, each {x, y, z} of length 1
+   */
+  getAxes() {
+    let m = this.matrix;
+    return {
+      right: { x: m[0][0], y: m[1][0], z: m[2][0] },
+      up: { x: m[0][1], y: m[1][1], z: m[2][1] },
+      forward: { x: m[0][2], y: m[1][2], z: m[2][2] }
+    };
+  }
+
+  /**
+   * Rotate a point with the head
+   * Handy for building a mask: rotate each corner, then add the nose position.
+   * @param {Object} point - {x, y, z} in head space (y up)
+   * @returns {Object} Rotated {x, y, z} (y up - negate y for p5)
+   */
+  rotatePoint(point) {
+    let m = this.matrix;
+    let z = point.z || 0;
+    return {
+      x: m[0][0] * point.x + m[0][1] * point.y + m[0][2] * z,
+      y: m[1][0] * point.x + m[1][1] * point.y + m[1][2] * z,
+      z: m[2][0] * point.x + m[2][1] * point.y + m[2][2] * z
+    };
+  }
+
+  // ============================================
+  // NEUTRAL POSE - Zero the angles for this user
+  // ============================================
+
+  /**
+   * Use the current head position as 0, 0, 0
+   * Call while the user looks straight at the screen.
+   */
+  setNeutral() {
+    if (!this.rightAxis) return;
+    this.neutral = HeadPose._matrixFromAxes(this.rightAxis, this.upAxis);
+  }
+
+  /**
+   * Go back to "facing the camera" as the neutral pose
+   */
+  clearNeutral() {
+    this.neutral = null;
+  }
+
+  // ============================================
+  // THREE.JS - Apply the pose to an object
+  // ============================================
+
+  /**
+   * Rotate a THREE.js Object3D to match the head
+   * Needs THREE as a global (window.THREE = THREE, like the THREE sketches).
+   * Position and scale are left alone - set those from a mapped keypoint.
+   * @param {THREE.Object3D} object - Mesh, group or camera to rotate
+   */
+  applyToObject(object) {
+    if (!object || !this.valid) return;
+
+    let m = this.matrix;
+    let rotation = new THREE.Matrix4().set(
+      m[0][0], m[0][1], m[0][2], 0,
+      m[1][0], m[1][1], m[1][2], 0,
+      m[2][0], m[2][1], m[2][2], 0,
+      0, 0, 0, 1
+    );
+    object.quaternion.setFromRotationMatrix(rotation);
+  }
+
+  // ============================================
+  // VISUALIZATION - p5.js drawing
+  // ============================================
+
+  /**
+   * Draw the head's axes at a screen position (p5.js)
+   * Red = right, green = up, blue = forward (towards you)
+   * @param {number} x - Screen X (e.g. the mapped nose)
+   * @param {number} y - Screen Y
+   * @param {number} length - Axis length in pixels (default 80)
+   */
+  drawAxes(x, y, length = 80) {
+    if (!this.valid) return;
+
+    let axes = this.getAxes();
+    let colors = { right: [255, 60, 60], up: [60, 255, 60], forward: [60, 120, 255] };
+
+    push();
+    strokeWeight(4);
+    for (let name of ['right', 'up', 'forward']) {
+      let axis = axes[name];
+      stroke(colors[name][0], colors[name][1], colors[name][2]);
+      line(x, y, x + axis.x * length, y - axis.y * length);  // p5 Y is down
+    }
+    pop();
+  }
+
+  // ============================================
+  // PRIVATE - Small vector and matrix helpers
+  // ============================================
+
+  /**
+   * PRIVATE: Rotation matrix with the given right and up axes
+   * Up is made exactly perpendicular to right; forward = right × up.
+   * @returns {Array|null} 3x3 rows, or null if the axes are parallel
+   */
+  static _matrixFromAxes(right, up) {
+    let x = HeadPose._normalize(right);
+    let z = x && HeadPose._normalize(HeadPose._cross(x, up));
+    if (!z) return null;
+    let y = HeadPose._cross(z, x);
+
+    return [
+      [x.x, y.x, z.x],
+      [x.y, y.y, z.y],
+      [x.z, y.z, z.z]
+    ];
+  }
+
+  static _subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  static _cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x
+    };
+  }
+
+  static _normalize(v) {
+    let length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (length < 1e-9) return null;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+  }
+
+  static _lerpVector(a, b, amount) {
+    return {
+      x: a.x + (b.x - a.x) * amount,
+      y: a.y + (b.y - a.y) * amount,
+      z: a.z + (b.z - a.z) * amount
+    };
+  }
+
+  static _transpose(m) {
+    return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+  }
+
+  static _multiply(a, b) {
+    return [0, 1, 2].map(i => [0, 1, 2].map(j =>
+      a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]
+    ));
+  }
+}
@@ -0,0 +1,224 @@
+/*
+HeadPose Example - Yaw, Pitch and Roll from FaceMesh
+
+A wireframe "mask" box follows your head in 3D, with the head's axes
+drawn on your nose:
+- Red:   right
+- Green: up
+- Blue:  forward (towards you)
+
+Turn, nod and tilt your head and watch the three angles. Look straight
+at the screen and tap the top half to make that pose your 0, 0, 0.
+
+KEY IDEAS:
+- headPose.update(faces[0]) takes the RAW face (mapping drops z)
+- getYaw() / getPitch() / getRoll() in degrees
+- rotatePoint() turns a point in head space into screen space
+- The same class drives THREE.js objects with applyToObject()
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cam;                // PhoneCamera instance
+let faceMesh;           // ML5 FaceMesh model
+let faces = [];         // Detected faces
+let showVideo = true;   // Toggle video display
+
+let headPose;           // HeadPose instance
+
+// FaceMesh indices used for placing the mask
+const NOSE_INDEX = 1;
+const SIDE_INDICES = [234, 454];
+
+// Mask box in head space (multiples of face width, y up, z towards you)
+const MASK_CORNERS = [
+  { x: -0.5, y: -0.6, z: -0.5 }, { x: 0.5, y: -0.6, z: -0.5 },
+  { x: 0.5, y: 0.6, z: -0.5 }, { x: -0.5, y: 0.6, z: -0.5 },
+  { x: -0.5, y: -0.6, z: 0.2 }, { x: 0.5, y: -0.6, z: 0.2 },
+  { x: 0.5, y: 0.6, z: 0.2 }, { x: -0.5, y: 0.6, z: 0.2 }
+];
+const MASK_EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0],   // Back
+  [4, 5], [5, 6], [6, 7], [7, 4],   // Front
+  [0, 4], [1, 5], [2, 6], [3, 7]    // Sides
+];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+  lockGestures();  // Prevent phone gestures (zoom, refresh)
+
+  // Create camera: front camera, mirrored, fit to canvas height
+  cam = createPhoneCamera('user', true, 'fitHeight');
+
+  // Wait for camera to initialize, then create model and start detection
+  cam.onReady(() => {
+    let options = {
+      maxFaces: 1,
+      refineLandmarks: false,
+      flipHorizontal: false  // Don't flip in ML5 - cam.mapKeypoint() handles mirroring
+    };
+
+    faceMesh = ml5.faceMesh(options, () => {
+      faceMesh.detectStart(cam.videoElement, gotFaces);
+    });
+  });
+
+  // Mirrored like the camera, lightly smoothed
+  headPose = new HeadPose({ mirror: true, smoothing: 0.5 });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  if (showVideo && cam.ready) {
+    image(cam, 0, 0);
+  }
+
+  // Raw face in, angles out
+  headPose.update(faces[0]);
+
+  if (headPose.isValid()) {
+    let nose = cam.mapKeypoint(faces[0].keypoints[NOSE_INDEX]);
+    let sideA = cam.mapKeypoint(faces[0].keypoints[SIDE_INDICES[0]]);
+    let sideB = cam.mapKeypoint(faces[0].keypoints[SIDE_INDICES[1]]);
+    let faceWidth = dist(sideA.x, sideA.y, sideB.x, sideB.y);
+
+    drawMask(nose, faceWidth);
+    headPose.drawAxes(nose.x, nose.y, faceWidth * 0.6);
+    drawAngleBars();
+  }
+
+  drawUI();
+}
+
+// ==============================================
+// CALLBACK - ML5 results
+// ==============================================
+function gotFaces(results) {
+  faces = results;
+}
+
+// ==============================================
+// DISPLAY - Mask box rotated with the head
+// ==============================================
+function drawMask(nose, faceWidth) {
+  // Rotate each corner, scale by face width, flip Y for p5, move to the nose
+  let corners = MASK_CORNERS.map(corner => {
+    let rotated = headPose.rotatePoint(corner);
+    return {
+      x: nose.x + rotated.x * faceWidth,
+      y: nose.y - rotated.y * faceWidth
+    };
+  });
+
+  push();
+  stroke(0, 255, 255);
+  strokeWeight(2);
+  for (let edge of MASK_EDGES) {
+    let a = corners[edge[0]];
+    let b = corners[edge[1]];
+    line(a.x, a.y, b.x, b.y);
+  }
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Yaw, pitch and roll as bars
+// ==============================================
+function drawAngleBars() {
+  let angles = headPose.getAngles();
+  let rows = [
+    { label: 'Yaw', value: angles.yaw },
+    { label: 'Pitch', value: angles.pitch },
+    { label: 'Roll', value: angles.roll }
+  ];
+
+  push();
+  noStroke();
+  fill(0, 0, 0, 150);
+  rect(0, height - 150, width, 100);
+
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  for (let i = 0; i < rows.length; i++) {
+    let y = height - 130 + i * 28;
+    fill(255);
+    text(`${rows[i].label}: ${nf(rows[i].value, 1, 0)}°`, 20, y);
+
+    // Bar from the middle, ±60° fills the half
+    let barWidth = constrain(rows[i].value / 60, -1, 1) * 100;
+    fill(80);
+    rect(180, y - 5, 200, 10);
+    fill(0, 255, 255);
+    rect(280, y - 5, barWidth, 10);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!cam.ready) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!headPose.isValid()) {
+    text('Show your face to start', width / 2, 20);
+  } else {
+    text('Turn, nod and tilt your head', width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap top: set neutral · Tap bottom: toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Set neutral or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < height / 2) {
+    headPose.setNeutral();
+  } else {
+    showVideo = !showVideo;
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Steer with head turn, speed with nod
+player.x += headPose.getYaw() * 0.1;
+player.speed = map(headPose.getPitch(), -30, 30, 0, 10, true);
+
+// Example 2: Tilt gesture with GestureRecognizer (same clockwise sign)
+gestures.update({ x: nose.x, y: nose.y, angle: headPose.getRoll() }, faceWidth);
+
+// Example 3: THREE.js mask (see THREE_FaceMesh_two_points)
+headPose.update(faces[0]);
+headPose.applyToObject(maskMesh);
+maskMesh.position.set(nose.x, nose.y, -100);
+
+// Example 4: THREE.js camera orbit - look at the scene from where the head points
+let eye = headPose.rotatePoint({ x: 0, y: 0, z: 10 });
+camera.position.set(eye.x, eye.y, eye.z);
+camera.lookAt(0, 0, 0);
+*/
@@ -0,0 +1,343 @@
+/**
+ * PersonTracker Class
+ *
+ * Gives every detected face, hand or body a STABLE ID between frames.
+ * ML5 returns results as an array, and the order of that array changes
+ * whenever it likes - faces[0] can be one player this frame and another
+ * player the next. Party games with two or more players need to know
+ * who is who.
+ *
+ * WHAT IT DOES:
+ * - Works with faces (FaceMesh), hands (HandPose) or poses (BodyPose)
+ * - Matches each new result to the nearest known person (centroid distance)
+ * - Keeps the ID through short tracking drop-outs
+ * - Fires 'enter' and 'leave' events
+ * - getKeypoint(index, personId) - like the sketches' getKeypoint(), but by ID
+ *
+ * HOW TO USE:
+ *
+ *   let people = new PersonTracker({ cam: cam });
+ *
+ *   people.on('enter', (person) => console.log('Player', person.id, 'joined'));
+ *   people.on('leave', (person) => console.log('Player', person.id, 'left'));
+ *
+ *   function gotFaces(results) {
+ *     people.update(results);          // Instead of faces = results
+ *   }
+ *
+ *   function draw() {
+ *     for (let id of people.getIds()) {
+ *       let nose = people.getKeypoint(1, id);   // Mapped with cam
+ *       circle(nose.x, nose.y, 20);
+ *     }
+ *   }
+ *
+ * Remember to raise maxFaces / maxHands / maxPoses in the ML5 options -
+ * every example in this repo sets them to 1.
+ */
+
+class PersonTracker {
+  /**
+   * Constructor - Create a person tracker
+   *
+   * @param {Object} options - Configuration options
+   * @param {Object} options.cam - PhoneCamera used to map keypoints (optional)
+   * @param {number} options.maxDistance - Furthest a person can move between results,
+   *                                       as a multiple of their size (default 1.0)
+   * @param {number} options.leaveAfter - ms a person can be missing before 'leave' (default 500)
+   * @param {number} options.maxPeople - Ignore extra detections (default 10)
+   */
+  constructor(options = {}) {
+    this.cam = options.cam || null;
+
+    // Tunable parameters
+    this.MAX_DISTANCE = options.maxDistance !== undefined ? options.maxDistance : 1.0;
+    this.LEAVE_AFTER = options.leaveAfter !== undefined ? options.leaveAfter : 500;
+    this.MAX_PEOPLE = options.maxPeople || 10;
+
+    // Known people by ID: {id, result, centroid, size, enterTime, lastSeen, present}
+    this.people = new Map();
+    this.nextId = 1;
+
+    // Event callbacks
+    this.callbacks = { enter: [], leave: [] };
+  }
+
+  // ============================================
+  // UPDATE - Call with every ML5 result
+  // ============================================
+
+  /**
+   * Match new ML5 results to known people
+   * Call this in the ML5 callback (gotFaces, gotHands, gotPoses)
+   *
+   * @param {Array} results - ML5 results array (faces, hands or poses)
+   * @param {number} time - Timestamp in ms (default millis())
+   */
+  update(results, time = millis()) {
+    let detections = [];
+    for (let result of (results || []).slice(0, this.MAX_PEOPLE)) {
+      let shape = this._measure(result);
+      if (shape) detections.push({ result: result, centroid: shape.centroid, size: shape.size });
+    }
+
+    // Every known person vs every detection, closest pairs first
+    let pairs = [];
+    for (let person of this.people.values()) {
+      for (let i = 0; i < detections.length; i++) {
+        let detection = detections[i];
+        let distance = Math.hypot(
+          detection.centroid.x - person.centroid.x,
+          detection.centroid.y - person.centroid.y
+        );
+
+        // Too far to be the same person (relative to how big they are)
+        if (distance > this.MAX_DISTANCE * Math.max(person.size, detection.size)) continue;
+        pairs.push({ person: person, index: i, distance: distance });
+      }
+    }
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    // Greedy matching: each person and each detection used once
+    let matchedPeople = new Set();
+    let matchedDetections = new Set();
+    for (let pair of pairs) {
+      if (matchedPeople.has(pair.person.id) || matchedDetections.has(pair.index)) continue;
+      matchedPeople.add(pair.person.id);
+      matchedDetections.add(pair.index);
+
+      let detection = detections[pair.index];
+      pair.person.result = detection.result;
+      pair.person.centroid = detection.centroid;
+      pair.person.size = detection.size;
+      pair.person.lastSeen = time;
+      pair.person.present = true;
+    }
+
+    // Unmatched detections are new people
+    for (let i = 0; i < detections.length; i++) {
+      if (matchedDetections.has(i)) continue;
+
+      let person = {
+        id: this.nextId++,
+        result: detections[i].result,
+        centroid: detections[i].centroid,
+        size: detections[i].size,
+        enterTime: time,
+        lastSeen: time,
+        present: true
+      };
+      this.people.set(person.id, person);
+      matchedPeople.add(person.id);
+      this._emit('enter', person);
+    }
+
+    // Unmatched people are missing - they leave after LEAVE_AFTER
+    for (let person of Array.from(this.people.values())) {
+      if (matchedPeople.has(person.id)) continue;
+
+      person.present = false;
+      if (time - person.lastSeen > this.LEAVE_AFTER) {
+        this.people.delete(person.id);
+        this._emit('leave', person);
+      }
+    }
+  }
+
+  /**
+   * PRIVATE: Centroid and size of one result from its keypoints
+   * @returns {Object|null} {centroid: {x, y}, size} in raw video pixels
+   */
+  _measure(result) {
+    if (!result || !result.keypoints || result.keypoints.length === 0) return null;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let sumX = 0, sumY = 0, count = 0;
+    for (let keypoint of result.keypoints) {
+      // BodyPose includes points it can't see - skip those
+      if (keypoint.confidence !== undefined && keypoint.confidence < 0.1) continue;
+      sumX += keypoint.x;
+      sumY += keypoint.y;
+      minX = Math.min(minX, keypoint.x);
+      minY = Math.min(minY, keypoint.y);
+      maxX = Math.max(maxX, keypoint.x);
+      maxY = Math.max(maxY, keypoint.y);
+      count++;
+    }
+    if (count === 0) return null;
+
+    return {
+      centroid: { x: sumX / count, y: sumY / count },
+      size: Math.max(1, Math.hypot(maxX - minX, maxY - minY))  // Bounding box diagonal
+    };
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function when a person enters or leaves
+   *
+   * @param {string} name - 'enter' or 'leave'
+   * @param {Function} callback - Receives the person {id, result, centroid, ...}
+   */
+  on(name, callback) {
+    if (!this.callbacks[name]) {
+      console.warn(`PersonTracker: unknown event '${name}' (use 'enter' or 'leave')`);
+      return;
+    }
+    this.callbacks[name].push(callback);
+  }
+
+  /**
+   * PRIVATE: Call every callback for an event
+   */
+  _emit(name, person) {
+    for (let callback of this.callbacks[name]) {
+      callback(person);
+    }
+  }
+
+  // ============================================
+  // PUBLIC API - Access people by stable ID
+  // ============================================
+
+  /**
+   * Get the IDs of everyone currently detected, oldest first
+   * @returns {Array} IDs (numbers)
+   */
+  getIds() {
+    let ids = [];
+    for (let person of this.people.values()) {
+      if (person.present) ids.push(person.id);
+    }
+    return ids.sort((a, b) => a - b);
+  }
+
+  /**
+   * Get how many people are currently detected
+   * @returns {number} Count (people who are briefly missing don't count)
+   */
+  getCount() {
+    return this.getIds().length;
+  }
+
+  /**
+   * Check if a person is currently detected
+   * @param {number} personId - Stable ID
+   * @returns {boolean} True if detected in the latest results
+   */
+  isPresent(personId) {
+    let person = this.people.get(personId);
+    return person !== undefined && person.present;
+  }
+
+  /**
+   * Get a person's tracking record
+   * @param {number} personId - Stable ID
+   * @returns {Object|null} {id, result, centroid, size, enterTime, lastSeen, present}
+   */
+  getPerson(personId) {
+    return this.people.get(personId) || null;
+  }
+
+  /**
+   * Get a person's raw ML5 result (a face, hand or pose object)
+   * @param {number} personId - Stable ID
+   * @returns {Object|null} ML5 result, or null if not currently detected
+   */
+  getResult(personId) {
+    return this.isPresent(personId) ? this.people.get(personId).result : null;
+  }
+
+  /**
+   * Get the ML5 results in stable ID order
+   * A drop-in for faces / hands / poses when the order matters
+   * @returns {Array} ML5 results of everyone currently detected
+   */
+  getResults() {
+    return this.getIds().map(id => this.people.get(id).result);
+  }
+
+  /**
+   * Get a keypoint by stable ID instead of array position
+   * Mapped to the canvas when a cam was given, raw otherwise.
+   *
+   * @param {number|string} index - Keypoint index, or name ('nose', 'index_finger_tip')
+   * @param {number} personId - Stable ID
+   * @returns {Object|null} Keypoint {x, y, z, ...} or null
+   */
+  getKeypoint(index, personId) {
+    let result = this.getResult(personId);
+    if (!result || !result.keypoints) return null;
+
+    let keypoint = typeof index === 'string'
+      ? result.keypoints.find(point => point.name === index)
+      : result.keypoints[index];
+    if (!keypoint) return null;
+
+    return this.cam ? this.cam.mapKeypoint(keypoint) : keypoint;
+  }
+
+  /**
+   * Get a person's centre
+   * @param {number} personId - Stable ID
+   * @returns {Object|null} {x, y} mapped to the canvas when a cam was given
+   */
+  getCentroid(personId) {
+    if (!this.isPresent(personId)) return null;
+    let centroid = this.people.get(personId).centroid;
+    return this.cam ? this.cam.mapKeypoint(centroid) : { x: centroid.x, y: centroid.y };
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw each person's ID at their centre
+   * @param {number} size - Text size (default 24)
+   */
+  drawIds(size = 24) {
+    push();
+    textAlign(CENTER, CENTER);
+    textSize(size);
+    fill(255);
+    stroke(0);
+    strokeWeight(4);
+    for (let id of this.getIds()) {
+      let centroid = this.getCentroid(id);
+      text(`P${id}`, centroid.x, centroid.y);
+    }
+    pop();
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Forget everyone (no 'leave' events) and restart IDs at 1
+   */
+  reset() {
+    this.people.clear();
+    this.nextId = 1;
+  }
+
+  /**
+   * Set how far a person can move between results
+   * @param {number} multiple - Multiple of the person's size (0.2-3)
+   */
+  setMaxDistance(multiple) {
+    this.MAX_DISTANCE = Math.min(3, Math.max(0.2, multiple));
+  }
+
+  /**
+   * Set how long a person can be missing before they leave
+   * @param {number} ms - Grace period in milliseconds
+   */
+  setLeaveAfter(ms) {
+    this.LEAVE_AFTER = Math.max(0, ms);
+  }
+}
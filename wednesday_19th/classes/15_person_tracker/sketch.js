@@ -0,0 +1,264 @@
+/*
+PersonTracker Example - Stable Player IDs for Up to 4 Faces
+
+ML5 FaceMesh finds up to 4 faces, but the faces array is reordered
+whenever ML5 likes. PersonTracker gives every face a stable ID, so
+"Player 1" stays Player 1 - even when faces cross or ML5 swaps them.
+
+- Each player gets their own colour and score
+- Players join when their face appears and leave when it has been gone
+  for half a second
+- Open your mouth to score a point for YOUR player
+
+KEY IDEAS:
+- people.update(results) inside the ML5 callback
+- people.getIds() → everyone present, oldest first
+- people.getKeypoint(index, id) → keypoint by stable ID, mapped with cam
+- people.on('enter' / 'leave', callback)
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cam;                // PhoneCamera instance
+let faceMesh;           // ML5 FaceMesh model
+let showVideo = true;   // Toggle video display
+
+let people;             // PersonTracker instance
+let scores = {};        // Score per player ID
+let mouthOpen = {};     // Mouth state per player ID (so each open counts once)
+let eventLog = [];      // Recent enter/leave messages
+
+// FaceMesh indices
+const NOSE_INDEX = 1;
+const UPPER_LIP_INDEX = 13;
+const LOWER_LIP_INDEX = 14;
+const SIDE_INDICES = [234, 454];
+
+// Mouth open when the lip gap is this fraction of face width
+const MOUTH_OPEN_RATIO = 0.12;
+
+// One colour per player (wraps after 6)
+const PLAYER_COLORS = [
+  [255, 80, 80], [80, 160, 255], [80, 255, 120],
+  [255, 220, 0], [255, 80, 255], [0, 255, 255]
+];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+  lockGestures();  // Prevent phone gestures (zoom, refresh)
+
+  // Create camera: front camera, mirrored, fit to canvas height
+  cam = createPhoneCamera('user', true, 'fitHeight');
+
+  // Wait for camera to initialize, then create model and start detection
+  cam.onReady(() => {
+    let options = {
+      maxFaces: 4,            // Party mode - up to 4 players
+      refineLandmarks: false,
+      flipHorizontal: false   // Don't flip in ML5 - cam.mapKeypoint() handles mirroring
+    };
+
+    faceMesh = ml5.faceMesh(options, () => {
+      faceMesh.detectStart(cam.videoElement, gotFaces);
+    });
+  });
+
+  // Stable IDs, mapped with the camera
+  people = new PersonTracker({ cam: cam, leaveAfter: 500 });
+
+  people.on('enter', (person) => {
+    scores[person.id] = 0;
+    mouthOpen[person.id] = false;
+    logEvent(`Player ${person.id} joined`);
+  });
+
+  people.on('leave', (person) => {
+    logEvent(`Player ${person.id} left with ${scores[person.id]} points`);
+    delete scores[person.id];
+    delete mouthOpen[person.id];
+  });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  if (showVideo && cam.ready) {
+    image(cam, 0, 0);
+  }
+
+  for (let id of people.getIds()) {
+    updateScore(id);
+    drawPlayer(id);
+  }
+
+  drawScoreboard();
+  drawEventLog();
+  drawUI();
+}
+
+// ==============================================
+// CALLBACK - ML5 results go through the tracker
+// ==============================================
+function gotFaces(results) {
+  people.update(results);
+}
+
+// ==============================================
+// GAME - Open your mouth to score
+// ==============================================
+function updateScore(id) {
+  let upperLip = people.getKeypoint(UPPER_LIP_INDEX, id);
+  let lowerLip = people.getKeypoint(LOWER_LIP_INDEX, id);
+  let faceWidth = getFaceWidth(id);
+  if (!upperLip || !lowerLip || !faceWidth) return;
+
+  let isOpen = dist(upperLip.x, upperLip.y, lowerLip.x, lowerLip.y) / faceWidth > MOUTH_OPEN_RATIO;
+
+  // Score once per opening
+  if (isOpen && !mouthOpen[id]) {
+    scores[id]++;
+  }
+  mouthOpen[id] = isOpen;
+}
+
+// ==============================================
+// HELPERS
+// ==============================================
+function getFaceWidth(id) {
+  let sideA = people.getKeypoint(SIDE_INDICES[0], id);
+  let sideB = people.getKeypoint(SIDE_INDICES[1], id);
+  if (!sideA || !sideB) return null;
+  return dist(sideA.x, sideA.y, sideB.x, sideB.y);
+}
+
+function getPlayerColor(id) {
+  let c = PLAYER_COLORS[(id - 1) % PLAYER_COLORS.length];
+  return color(c[0], c[1], c[2]);
+}
+
+function logEvent(message) {
+  eventLog.push(message);
+  if (eventLog.length > 4) eventLog.shift();
+}
+
+// ==============================================
+// DISPLAY - Each player in their own colour
+// ==============================================
+function drawPlayer(id) {
+  let result = people.getResult(id);
+  let playerColor = getPlayerColor(id);
+
+  push();
+  noStroke();
+  fill(playerColor);
+  for (let keypoint of result.keypoints) {
+    let point = cam.mapKeypoint(keypoint);
+    circle(point.x, point.y, 2);
+  }
+
+  // Label above the nose
+  let nose = people.getKeypoint(NOSE_INDEX, id);
+  let faceWidth = getFaceWidth(id) || 100;
+  textAlign(CENTER, CENTER);
+  textSize(22);
+  stroke(0);
+  strokeWeight(4);
+  text(`P${id}`, nose.x, nose.y - faceWidth * 0.8);
+  pop();
+}
+
+function drawScoreboard() {
+  push();
+  noStroke();
+  fill(0, 0, 0, 150);
+  rect(0, 50, width, 40);
+
+  textAlign(LEFT, CENTER);
+  textSize(16);
+  let x = 15;
+  for (let id of people.getIds()) {
+    fill(getPlayerColor(id));
+    text(`P${id}: ${scores[id]}`, x, 70);
+    x += 95;
+  }
+  pop();
+}
+
+function drawEventLog() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(LEFT, TOP);
+  textSize(13);
+  for (let i = 0; i < eventLog.length; i++) {
+    text(eventLog[i], 15, height - 140 + i * 20);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!cam.ready) {
+    text('Starting camera...', width / 2, 20);
+  } else if (people.getCount() === 0) {
+    text('Up to 4 players - show your faces', width / 2, 20);
+  } else {
+    text('Open your mouth to score!', width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap screen to toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Toggle video
+// ==============================================
+function mousePressed() {
+  showVideo = !showVideo;
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Two hands, two players (HandPose)
+let hands = new PersonTracker({ cam: cam });
+handPose = ml5.handPose({ maxHands: 4, flipped: false }, () => {
+  handPose.detectStart(cam.videoElement, (results) => hands.update(results));
+});
+let tip = hands.getKeypoint('index_finger_tip', id);   // Names work too
+
+// Example 2: Bodies (BodyPose) - hidden points are ignored for matching
+let bodies = new PersonTracker({ cam: cam, maxDistance: 0.5 });
+bodyPose.detectStart(cam.videoElement, (results) => bodies.update(results));
+let wrist = bodies.getKeypoint('left_wrist', id);
+
+// Example 3: Existing sketch - replace faces[0] with the oldest player
+let faces = people.getResults();     // Stable order: oldest player first
+
+// Example 4: Players take turns by ID
+let ids = people.getIds();
+let current = ids[turn % ids.length];
+*/
@@ -0,0 +1,357 @@
+/**
+ * TrackingLoss Class
+ *
+ * What to do with a point when ML5 stops seeing it. Most sketches snap to
+ * a default as soon as the results are empty - GazeDetector goes back to
+ * "CENTER", the p5play sketches send sprites to the middle of the screen -
+ * so one dropped frame makes everything teleport.
+ *
+ * TrackingLoss bridges the gap in stages instead:
+ *
+ *   TRACKING    point detected - passed straight through
+ *   HOLDING     missing for less than holdTime - stays where it was
+ *   PREDICTING  missing a bit longer - keeps moving with its last velocity
+ *   FADING      confidence falls from 1 to 0 over fadeTime
+ *   LOST        gone - update() returns null and onLost fires
+ *
+ * Short drop-outs (the common case) never leave HOLDING, so nothing moves.
+ *
+ * HOW TO USE:
+ *
+ *   let finger = new TrackingLoss();
+ *   finger.onLost(() => paused = true);
+ *   finger.onFound(() => paused = false);
+ *
+ *   function draw() {
+ *     let point = finger.update(getKeypoint(8));   // null when not detected
+ *     if (point) {
+ *       sprite.x = point.x;
+ *       sprite.y = point.y;
+ *       sprite.opacity = point.confidence;         // 1 → 0 while fading
+ *     }
+ *   }
+ *
+ * Call update() every frame, with null when the point isn't detected.
+ */
+
+class TrackingLoss {
+  /**
+   * Constructor - Create a loss policy for one point
+   *
+   * @param {Object} options - Configuration options
+   * @param {number} options.holdTime - ms to stay still after losing the point (default 100)
+   * @param {number} options.predictTime - ms to keep moving with the last velocity (default 200)
+   * @param {number} options.fadeTime - ms for confidence to fall to 0 (default 500)
+   * @param {number} options.maxSpeed - Fastest prediction, in pixels per second (default 1500)
+   */
+  constructor(options = {}) {
+    // Tunable parameters
+    this.HOLD_TIME = options.holdTime !== undefined ? options.holdTime : 100;
+    this.PREDICT_TIME = options.predictTime !== undefined ? options.predictTime : 200;
+    this.FADE_TIME = options.fadeTime !== undefined ? options.fadeTime : 500;
+    this.MAX_SPEED = options.maxSpeed !== undefined ? options.maxSpeed : 1500;
+
+    // Event callbacks
+    this.callbacks = { lost: [], found: [] };
+
+    this.reset();
+  }
+
+  // ============================================
+  // UPDATE - Call every frame
+  // ============================================
+
+  /**
+   * Pass in this frame's point (or null) and get the point to use
+   *
+   * @param {Object|null} point - Detected point {x, y} or {x, y, z}, null if missing
+   * @param {number} time - Timestamp in ms (default millis())
+   * @returns {Object|null} {x, y, (z), confidence, state}, or null once LOST
+   */
+  update(point, time = millis()) {
+    if (point) {
+      this._track(point, time);
+    } else {
+      this._bridge(time);
+    }
+    return this.getPosition();
+  }
+
+  /**
+   * PRIVATE: Point detected - measure velocity and pass it through
+   */
+  _track(point, time) {
+    let wasLost = this.state === "LOST";
+    let gap = this.lastSeen === null ? 0 : time - this.lastSeen;
+
+    // Keep the velocity through short drop-outs - with flickery tracking,
+    // resetting it on every gap would leave prediction nothing to use
+    let continuing = this.measured && !wasLost && gap <= this.HOLD_TIME;
+
+    if (continuing) {
+      // ML5 is slower than draw() - only new values count for velocity
+      let dt = (time - this.measuredTime) / 1000;
+      let moved = point.x !== this.measured.x || point.y !== this.measured.y;
+      if (moved && dt > 0) {
+        for (let axis of TrackingLoss.AXES) {
+          if (point[axis] === undefined || this.measured[axis] === undefined) continue;
+          let speed = (point[axis] - this.measured[axis]) / dt;
+          this.velocity[axis] = lerp(this.velocity[axis], speed, 0.5);  // Light smoothing
+        }
+        this.measured = this._copy(point);
+        this.measuredTime = time;
+      }
+    } else {
+      // First point, or back after a long gap - the old velocity means nothing now
+      this.velocity = { x: 0, y: 0, z: 0 };
+      this.measured = this._copy(point);
+      this.measuredTime = time;
+    }
+
+    this.position = this._copy(point);
+    this.lastPosition = this._copy(point);
+    this.lastSeen = time;
+    this.state = "TRACKING";
+    this.confidence = 1;
+
+    // Only the first detection or a real loss is "found" - short drop-outs are invisible
+    if (wasLost) {
+      this._emit('found', gap);
+    }
+  }
+
+  /**
+   * PRIVATE: Point missing - hold, predict, fade, then give up
+   */
+  _bridge(time) {
+    if (this.lastSeen === null) return;  // Never seen - nothing to bridge
+
+    let missing = time - this.lastSeen;
+    let predictEnd = this.HOLD_TIME + this.PREDICT_TIME;
+
+    if (missing <= this.HOLD_TIME) {
+      this.state = "HOLDING";
+      this.confidence = 1;
+      this.position = this._copy(this.lastPosition);
+    } else if (missing <= predictEnd + this.FADE_TIME) {
+      // Move for at most PREDICT_TIME, then stay put while fading
+      let seconds = (Math.min(missing, predictEnd) - this.HOLD_TIME) / 1000;
+      let velocity = this._limitSpeed(this.velocity);
+
+      this.position = this._copy(this.lastPosition);
+      for (let axis of TrackingLoss.AXES) {
+        if (this.position[axis] !== undefined) this.position[axis] += velocity[axis] * seconds;
+      }
+
+      if (missing <= predictEnd) {
+        this.state = "PREDICTING";
+        this.confidence = 1;
+      } else {
+        this.state = "FADING";
+        this.confidence = this.FADE_TIME > 0 ? 1 - (missing - predictEnd) / this.FADE_TIME : 0;
+      }
+    } else if (this.state !== "LOST") {
+      this.state = "LOST";
+      this.confidence = 0;
+      this._emit('lost', this._copy(this.position));
+    }
+  }
+
+  /**
+   * PRIVATE: Velocity with its speed capped at MAX_SPEED
+   * A wild last measurement shouldn't fling the point off screen
+   */
+  _limitSpeed(velocity) {
+    let speed = Math.hypot(velocity.x, velocity.y);
+    if (speed <= this.MAX_SPEED) return velocity;
+
+    let scale = this.MAX_SPEED / speed;
+    return { x: velocity.x * scale, y: velocity.y * scale, z: velocity.z * scale };
+  }
+
+  /**
+   * PRIVATE: Copy x, y and z (if present) of a point
+   */
+  _copy(point) {
+    let copy = { x: point.x, y: point.y };
+    if (point.z !== undefined) copy.z = point.z;
+    return copy;
+  }
+
+  /**
+   * Axes that are predicted (z only if the point has one)
+   */
+  static get AXES() {
+    return ['x', 'y', 'z'];
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * PRIVATE: Call every callback for an event
+   */
+  _emit(name, value) {
+    for (let callback of this.callbacks[name]) {
+      callback(value);
+    }
+  }
+
+  /**
+   * Call a function when the point is finally LOST (after hold, predict and fade)
+   * @param {Function} callback - Receives the last position {x, y}
+   */
+  onLost(callback) {
+    this.callbacks.lost.push(callback);
+  }
+
+  /**
+   * Call a function when the point is first detected, or detected again after LOST
+   * @param {Function} callback - Receives how long it was missing, in ms (0 the first time)
+   */
+  onFound(callback) {
+    this.callbacks.found.push(callback);
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access tracking data
+  // ============================================
+
+  /**
+   * Get the point to use this frame
+   * @returns {Object|null} {x, y, (z), confidence, state}, or null when LOST
+   */
+  getPosition() {
+    if (this.state === "LOST" || !this.position) return null;
+    return Object.assign({}, this.position, { confidence: this.confidence, state: this.state });
+  }
+
+  /**
+   * Get the current stage
+   * @returns {string} "TRACKING", "HOLDING", "PREDICTING", "FADING" or "LOST"
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get how much to trust the position
+   * @returns {number} 1 while tracking, holding and predicting, falling to 0 while fading
+   */
+  getConfidence() {
+    return this.confidence;
+  }
+
+  /**
+   * Check if the point is detected right now (not bridged)
+   * @returns {boolean} True while TRACKING
+   */
+  isTracking() {
+    return this.state === "TRACKING";
+  }
+
+  /**
+   * Check if the point is gone
+   * @returns {boolean} True once LOST (also before it was ever seen)
+   */
+  isLost() {
+    return this.state === "LOST";
+  }
+
+  /**
+   * Get the last measured velocity
+   * @returns {Object} {x, y, z} in pixels per second
+   */
+  getVelocity() {
+    return { x: this.velocity.x, y: this.velocity.y, z: this.velocity.z };
+  }
+
+  /**
+   * Get how long the point has been missing
+   * @returns {number} ms since it was last detected (0 while tracking)
+   */
+  getTimeMissing() {
+    if (this.lastSeen === null) return 0;
+    return this.state === "TRACKING" ? 0 : millis() - this.lastSeen;
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw the point, faded by confidence, with its stage name
+   * @param {number} size - Circle diameter (default 30)
+   */
+  drawPoint(size = 30) {
+    let point = this.getPosition();
+    if (!point) return;
+
+    push();
+    noStroke();
+    fill(this._getStateColor(point.confidence * 255));
+    circle(point.x, point.y, size);
+
+    fill(255, point.confidence * 255);
+    stroke(0, point.confidence * 255);
+    strokeWeight(3);
+    textAlign(CENTER, BOTTOM);
+    textSize(12);
+    text(point.state, point.x, point.y - size / 2 - 4);
+    pop();
+  }
+
+  /**
+   * PRIVATE: Colour for the current stage
+   * @param {number} alpha - Opacity (default 255)
+   */
+  _getStateColor(alpha = 255) {
+    if (this.state === "HOLDING") return color(255, 220, 0, alpha);
+    if (this.state === "PREDICTING") return color(255, 150, 0, alpha);
+    if (this.state === "FADING") return color(255, 80, 80, alpha);
+    return color(0, 255, 100, alpha);
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Forget the point (no onLost) - back to LOST, as if never seen
+   */
+  reset() {
+    this.state = "LOST";
+    this.confidence = 0;
+    this.position = null;       // Position returned this frame
+    this.lastPosition = null;   // Last detected position
+    this.lastSeen = null;       // Time of the last detection
+    this.measured = null;       // Last new value, for velocity
+    this.measuredTime = 0;
+    this.velocity = { x: 0, y: 0, z: 0 };
+  }
+
+  /**
+   * Set how long a missing point stays still
+   * @param {number} ms - Hold time in milliseconds
+   */
+  setHoldTime(ms) {
+    this.HOLD_TIME = Math.max(0, ms);
+  }
+
+  /**
+   * Set how long a missing point keeps moving
+   * @param {number} ms - Prediction time in milliseconds (0 = no prediction)
+   */
+  setPredictTime(ms) {
+    this.PREDICT_TIME = Math.max(0, ms);
+  }
+
+  /**
+   * Set how long confidence takes to fall to 0
+   * @param {number} ms - Fade time in milliseconds
+   */
+  setFadeTime(ms) {
+    this.FADE_TIME = Math.max(0, ms);
+  }
+}
@@ -0,0 +1,190 @@
+/*
+TrackingLoss Example - Hold, Predict and Fade Instead of Snapping
+
+Your index fingertip is drawn twice:
+- Grey:   the usual approach - jumps to the centre whenever the hand is missing
+- Colour: through TrackingLoss - holds, keeps moving, then fades out
+
+The colour shows the stage:
+- Green:  TRACKING   (detected)
+- Yellow: HOLDING    (just missing - stays still)
+- Orange: PREDICTING (keeps moving with its last velocity)
+- Red:    FADING     (confidence falling to 0)
+
+Tap the top half to fake a 0.6 second drop-out, or move your hand off
+screen quickly. The game "pauses" when the point is LOST and resumes
+when it is found.
+
+KEY IDEAS:
+- finger.update(point) every frame, with null when the point is missing
+- The returned point has a confidence (1 → 0) to fade sprites with
+- onLost / onFound to pause and resume a game
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // HandPoseTracker instance
+let finger;           // TrackingLoss for the index fingertip
+
+let paused = true;    // Game paused until a hand is found
+let lostMessage = ''; // Shown while paused
+let dropoutUntil = 0; // millis() until a fake drop-out ends
+const DROPOUT_TIME = 600;
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  tracker = new HandPoseTracker({ maxHands: 1 });
+
+  finger = new TrackingLoss({
+    holdTime: 100,     // Stay still for short drop-outs
+    predictTime: 200,  // Then keep moving
+    fadeTime: 500      // Then fade out
+  });
+
+  finger.onLost((lastPosition) => {
+    paused = true;
+    lostMessage = `Lost at ${round(lastPosition.x)}, ${round(lastPosition.y)} - paused`;
+  });
+
+  finger.onFound((missingTime) => {
+    paused = false;
+    lostMessage = missingTime > 0 ? `Found after ${nf(missingTime / 1000, 1, 1)} s` : '';
+  });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  tracker.update();
+
+  // Fake drop-out: pretend ML5 found nothing
+  let raw = millis() < dropoutUntil ? null : tracker.getPoint('index_tip');
+
+  // The usual approach - default position when missing
+  drawSnapping(raw);
+
+  // The TrackingLoss approach
+  finger.update(raw);
+  finger.drawPoint(40);
+
+  drawStatus();
+  drawUI();
+}
+
+// ==============================================
+// DISPLAY - The snapping point for comparison
+// ==============================================
+function drawSnapping(raw) {
+  let x = raw ? raw.x : width / 2;
+  let y = raw ? raw.y : height / 2;
+
+  push();
+  noFill();
+  stroke(150);
+  strokeWeight(3);
+  circle(x, y, 40);
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Stage, confidence and game state
+// ==============================================
+function drawStatus() {
+  push();
+  fill(0, 0, 0, 150);
+  noStroke();
+  rect(0, height - 150, width, 100);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textSize(14);
+  text(`Stage: ${finger.getState()}`, 20, height - 140);
+  text(`Missing for: ${round(finger.getTimeMissing())} ms`, 20, height - 118);
+  text(lostMessage, 20, height - 74);
+
+  // Confidence bar
+  text('Confidence', 20, height - 96);
+  fill(80);
+  rect(110, height - 94, 200, 12);
+  fill(0, 255, 100);
+  rect(110, height - 94, 200 * finger.getConfidence(), 12);
+
+  // Game state
+  textAlign(RIGHT, TOP);
+  fill(paused ? color(255, 100, 100) : color(0, 255, 100));
+  text(paused ? 'PAUSED' : 'PLAYING', width - 20, height - 140);
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (finger.isLost()) {
+    text('Show your index finger', width / 2, 20);
+  } else {
+    text('Move fast, then hide your hand', width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap top: fake drop-out · Tap bottom: toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Fake a drop-out or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < height / 2) {
+    dropoutUntil = millis() + DROPOUT_TIME;
+  } else {
+    tracker.toggleVideo();
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: p5play sprite that fades instead of teleporting
+let point = finger.update(getKeypoint(8));
+if (point) {
+  leader.vel.x = (point.x - leader.x) * 0.3;
+  leader.vel.y = (point.y - leader.y) * 0.3;
+  leader.opacity = point.confidence;
+} else {
+  leader.vel.x = 0;   // LOST - stay where it was
+  leader.vel.y = 0;
+}
+
+// Example 2: GazeDetector holds the gaze instead of snapping to CENTER
+gazeDetector = new GazeDetector({ trackingLoss: { holdTime: 200 } });
+gazeDetector.getTrackingLoss().onLost(() => paused = true);
+
+// Example 3: Only hold, never predict (for slow, careful movements)
+let steady = new TrackingLoss({ predictTime: 0, holdTime: 300 });
+
+// Example 4: One TrackingLoss per point (see p5play_04_handpose_ball)
+let tips = [8, 12, 16, 20].map(() => new TrackingLoss());
+*/
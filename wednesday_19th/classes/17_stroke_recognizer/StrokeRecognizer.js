@@ -0,0 +1,634 @@
+/**
+ * StrokeRecognizer Class
+ *
+ * Draw shapes in the air. While a "pen down" condition holds (a pinch,
+ * a closed fist, a held key) the fingertip path is recorded; when the pen
+ * lifts, the path is matched against shape templates with the $1 Unistroke
+ * Recognizer (Wobbrock, Wilson & Li, 2007).
+ *
+ * WHAT IT DOES:
+ * - Records one stroke per pen down / pen up
+ * - Recognises circle, check, x, triangle and arrow out of the box
+ * - Works at any size, position and (within ±45°) rotation
+ * - Register your own shapes in code, or record them in the app
+ * - Recorded shapes are saved in localStorage
+ *
+ * HOW TO USE:
+ *
+ *   let strokes = new StrokeRecognizer();
+ *
+ *   strokes.on('circle', (result) => castShield());
+ *   strokes.onStroke((result) => console.log(result.name, result.score));
+ *
+ *   function draw() {
+ *     let finger = tracker.getPoint('index_tip');
+ *     strokes.update(finger, shapes.isPinching());   // Pinch = pen down
+ *   }
+ *
+ * CUSTOM SHAPES:
+ *   strokes.recordTemplate('zigzag');   // The next stroke becomes a template
+ *   strokes.addTemplate('line', [{x: 0, y: 0}, {x: 100, y: 0}]);
+ *
+ * HOW $1 WORKS:
+ * 1. Resample the path to 64 evenly spaced points (speed doesn't matter)
+ * 2. Rotate so the first point is at 0° from the centre (start point doesn't matter)
+ * 3. Scale to a square and move the centre to 0, 0 (size and position don't matter)
+ * 4. Compare point by point with every template, trying small extra rotations
+ *
+ * Direction matters: a clockwise circle and an anticlockwise circle are
+ * different strokes, so the built-in shapes include both.
+ */
+
+class StrokeRecognizer {
+  /**
+   * Constructor - Create a stroke recognizer
+   *
+   * @param {Object} options - Configuration options
+   * @param {number} options.minScore - Report 'none' below this (0-1, default 0.75)
+   * @param {number} options.minSize - Ignore strokes smaller than this, in pixels (default 60)
+   * @param {boolean} options.builtInShapes - Load circle, check, x, triangle, arrow (default true)
+   * @param {string} options.storageKey - localStorage key for recorded shapes
+   *                                      (default 'strokeTemplates', null = don't save)
+   */
+  constructor(options = {}) {
+    // Tunable parameters
+    this.MIN_SCORE = options.minScore !== undefined ? options.minScore : 0.75;
+    this.MIN_SIZE = options.minSize !== undefined ? options.minSize : 60;
+    this.STORAGE_KEY = options.storageKey !== undefined ? options.storageKey : 'strokeTemplates';
+
+    // Templates: {name, points (normalised), preview (not rotated), custom}
+    this.templates = [];
+    if (options.builtInShapes !== false) {
+      for (let name in StrokeRecognizer.SHAPES) {
+        for (let points of StrokeRecognizer.SHAPES[name]) {
+          this.addTemplate(name, points.map(p => ({ x: p[0], y: p[1] })), false);
+        }
+      }
+    }
+    this._loadTemplates();
+
+    // Stroke state
+    this.path = [];              // Points of the stroke being drawn
+    this.drawing = false;
+    this.recordingName = null;   // Set by recordTemplate()
+    this.lastResult = null;      // {name, score, points, time, recorded}
+
+    // Callbacks
+    this.callbacks = {};
+    this.strokeCallbacks = [];
+  }
+
+  /**
+   * $1 settings
+   */
+  static get RESAMPLE_POINTS() { return 64; }
+  static get SQUARE_SIZE() { return 250; }
+  static get ANGLE_RANGE() { return Math.PI / 4; }   // ±45°
+  static get ANGLE_PRECISION() { return Math.PI / 90; }  // 2°
+
+  /**
+   * Built-in shapes as corner points in a unit square (y down)
+   * Each shape can have several templates - one per drawing direction.
+   */
+  static get SHAPES() {
+    let circle = [];
+    for (let i = 0; i <= 32; i++) {
+      let angle = -Math.PI / 2 + (i / 32) * Math.PI * 2;
+      circle.push([0.5 + 0.5 * Math.cos(angle), 0.5 + 0.5 * Math.sin(angle)]);
+    }
+
+    return {
+      circle: [circle, circle.slice().reverse()],              // Clockwise, anticlockwise
+      check: [[[0, 0.6], [0.3, 1], [1, 0]]],                   // Down, then long stroke up
+      x: [[[0, 0], [1, 1], [1, 0], [0, 1]]],                   // Diagonal, up, diagonal
+      triangle: [
+        [[0.5, 0], [0, 1], [1, 1], [0.5, 0]],                  // Anticlockwise from the top
+        [[0.5, 0], [1, 1], [0, 1], [0.5, 0]]                   // Clockwise from the top
+      ],
+      arrow: [[[0, 0.5], [1, 0.5], [0.7, 0.2], [1, 0.5], [0.7, 0.8]]]  // Shaft, then both sides of the head
+    };
+  }
+
+  // ============================================
+  // INPUT - Feed one point per frame
+  // ============================================
+
+  /**
+   * Record the stroke while the pen is down, recognise it when it lifts
+   * Call this in draw() every frame
+   *
+   * @param {Object|null} point - {x, y}, or null if not tracked
+   * @param {boolean} penDown - True while drawing (e.g. shapes.isPinching())
+   * @returns {Object|null} Result when a stroke just finished, otherwise null
+   */
+  update(point, penDown) {
+    if (!penDown) {
+      return this.drawing ? this.endStroke() : null;
+    }
+
+    this.drawing = true;
+
+    // A missing point doesn't end the stroke - the pen is still down
+    if (!point) return null;
+
+    // Skip repeated points (ML5 is slower than draw())
+    let last = this.path[this.path.length - 1];
+    if (!last || last.x !== point.x || last.y !== point.y) {
+      this.path.push({ x: point.x, y: point.y });
+    }
+    return null;
+  }
+
+  /**
+   * Finish the current stroke now and recognise (or record) it
+   * @returns {Object|null} {name, score, points, time} or null if nothing was drawn
+   */
+  endStroke() {
+    let points = this.path;
+    this.path = [];
+    this.drawing = false;
+
+    // Too small - a tap, not a shape
+    if (points.length < 5 || this._pathSize(points) < this.MIN_SIZE) return null;
+
+    let result;
+    if (this.recordingName) {
+      this.addTemplate(this.recordingName, points, true);
+      this._saveTemplates();
+      result = { name: this.recordingName, score: 1, recorded: true };
+      this.recordingName = null;
+    } else {
+      result = this.recognize(points);
+    }
+
+    result.points = points;
+    result.time = millis();
+    this.lastResult = result;
+    this._fire(result);
+    return result;
+  }
+
+  // ============================================
+  // RECOGNITION - $1 Unistroke Recognizer
+  // ============================================
+
+  /**
+   * Match a path against every template
+   *
+   * @param {Array} points - Path [{x, y}, ...]
+   * @returns {Object} {name, score} - name is 'none' below minScore;
+   *                   best = closest template name even when 'none'
+   */
+  recognize(points) {
+    let candidate = this._normalize(points);
+    let halfDiagonal = 0.5 * Math.hypot(StrokeRecognizer.SQUARE_SIZE, StrokeRecognizer.SQUARE_SIZE);
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (let template of this.templates) {
+      let distance = this._distanceAtBestAngle(candidate, template.points);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = template.name;
+      }
+    }
+
+    let score = best === null ? 0 : Math.max(0, 1 - bestDistance / halfDiagonal);
+    return {
+      name: score >= this.MIN_SCORE ? best : 'none',
+      score: score,
+      best: best
+    };
+  }
+
+  /**
+   * PRIVATE: Resample, rotate, scale and translate a path
+   */
+  _normalize(points) {
+    let resampled = this._resample(points, StrokeRecognizer.RESAMPLE_POINTS);
+
+    let centre = this._centroid(resampled);
+    let angle = Math.atan2(centre.y - resampled[0].y, centre.x - resampled[0].x);
+    let rotated = this._rotateBy(resampled, -angle);
+
+    return this._translateToOrigin(this._scaleToSquare(rotated, StrokeRecognizer.SQUARE_SIZE));
+  }
+
+  /**
+   * PRIVATE: Resampled, scaled and centred - but not rotated, for drawing
+   */
+  _preview(points) {
+    let resampled = this._resample(points, StrokeRecognizer.RESAMPLE_POINTS);
+    let box = this._boundingBox(resampled);
+    let scale = StrokeRecognizer.SQUARE_SIZE / Math.max(box.width, box.height, 1e-6);
+    let scaled = resampled.map(p => ({ x: p.x * scale, y: p.y * scale }));
+    return this._translateToOrigin(scaled);
+  }
+
+  /**
+   * PRIVATE: n points evenly spaced along the path
+   */
+  _resample(points, n) {
+    let interval = this._pathLength(points) / (n - 1);
+    let source = points.map(p => ({ x: p.x, y: p.y }));
+    let resampled = [source[0]];
+    let travelled = 0;
+
+    for (let i = 1; i < source.length; i++) {
+      let segment = Math.hypot(source[i].x - source[i - 1].x, source[i].y - source[i - 1].y);
+      if (travelled + segment >= interval && segment > 0) {
+        let t = (interval - travelled) / segment;
+        let point = {
+          x: source[i - 1].x + t * (source[i].x - source[i - 1].x),
+          y: source[i - 1].y + t * (source[i].y - source[i - 1].y)
+        };
+        resampled.push(point);
+        source.splice(i, 0, point);  // The new point starts the next segment
+        travelled = 0;
+      } else {
+        travelled += segment;
+      }
+    }
+
+    // Rounding can leave us one short
+    while (resampled.length < n) {
+      let last = source[source.length - 1];
+      resampled.push({ x: last.x, y: last.y });
+    }
+    return resampled.slice(0, n);
+  }
+
+  /**
+   * PRIVATE: Rotate points around their centroid
+   */
+  _rotateBy(points, angle) {
+    let centre = this._centroid(points);
+    let cos = Math.cos(angle);
+    let sin = Math.sin(angle);
+    return points.map(p => ({
+      x: (p.x - centre.x) * cos - (p.y - centre.y) * sin + centre.x,
+      y: (p.x - centre.x) * sin + (p.y - centre.y) * cos + centre.y
+    }));
+  }
+
+  /**
+   * PRIVATE: Stretch the bounding box to a square
+   * (a straight line has no height, so its thin side is left alone)
+   */
+  _scaleToSquare(points, size) {
+    let box = this._boundingBox(points);
+    let scaleX = box.width > 1e-6 ? size / box.width : 1;
+    let scaleY = box.height > 1e-6 ? size / box.height : 1;
+    return points.map(p => ({ x: p.x * scaleX, y: p.y * scaleY }));
+  }
+
+  /**
+   * PRIVATE: Move the centroid to 0, 0
+   */
+  _translateToOrigin(points) {
+    let centre = this._centroid(points);
+    return points.map(p => ({ x: p.x - centre.x, y: p.y - centre.y }));
+  }
+
+  /**
+   * PRIVATE: Smallest distance over rotations within ±ANGLE_RANGE
+   * Golden section search - about 10 tries instead of 45
+   */
+  _distanceAtBestAngle(points, template) {
+    const PHI = 0.5 * (-1 + Math.sqrt(5));
+    let a = -StrokeRecognizer.ANGLE_RANGE;
+    let b = StrokeRecognizer.ANGLE_RANGE;
+
+    let x1 = PHI * a + (1 - PHI) * b;
+    let f1 = this._pathDistance(this._rotateBy(points, x1), template);
+    let x2 = (1 - PHI) * a + PHI * b;
+    let f2 = this._pathDistance(this._rotateBy(points, x2), template);
+
+    while (Math.abs(b - a) > StrokeRecognizer.ANGLE_PRECISION) {
+      if (f1 < f2) {
+        b = x2;
+        x2 = x1;
+        f2 = f1;
+        x1 = PHI * a + (1 - PHI) * b;
+        f1 = this._pathDistance(this._rotateBy(points, x1), template);
+      } else {
+        a = x1;
+        x1 = x2;
+        f1 = f2;
+        x2 = (1 - PHI) * a + PHI * b;
+        f2 = this._pathDistance(this._rotateBy(points, x2), template);
+      }
+    }
+    return Math.min(f1, f2);
+  }
+
+  /**
+   * PRIVATE: Average distance between matching points
+   */
+  _pathDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+      total += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+    }
+    return total / a.length;
+  }
+
+  /**
+   * PRIVATE: Geometry helpers
+   */
+  _centroid(points) {
+    let x = 0, y = 0;
+    for (let p of points) {
+      x += p.x;
+      y += p.y;
+    }
+    return { x: x / points.length, y: y / points.length };
+  }
+
+  _boundingBox(points) {
+    let xs = points.map(p => p.x);
+    let ys = points.map(p => p.y);
+    return {
+      width: Math.max(...xs) - Math.min(...xs),
+      height: Math.max(...ys) - Math.min(...ys)
+    };
+  }
+
+  _pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  }
+
+  _pathSize(points) {
+    let box = this._boundingBox(points);
+    return Math.hypot(box.width, box.height);
+  }
+
+  // ============================================
+  // TEMPLATES - Built-in, added in code, or recorded
+  // ============================================
+
+  /**
+   * Add a shape template
+   * Several templates can share a name (e.g. both drawing directions).
+   *
+   * @param {string} name - Shape name
+   * @param {Array} points - Path [{x, y}, ...] at any size and position
+   * @param {boolean} custom - Saved with saveTemplates() (default true)
+   */
+  addTemplate(name, points, custom = true) {
+    if (!points || points.length < 2) {
+      console.warn(`StrokeRecognizer: template '${name}' needs at least 2 points`);
+      return;
+    }
+    this.templates.push({
+      name: name,
+      points: this._normalize(points),
+      preview: this._preview(points),
+      custom: custom
+    });
+  }
+
+  /**
+   * Record the next stroke as a template instead of recognising it
+   * @param {string} name - Shape name for the recording
+   */
+  recordTemplate(name) {
+    this.recordingName = name;
+  }
+
+  /**
+   * Check if the next stroke will be recorded
+   * @returns {boolean} True after recordTemplate() until the stroke ends
+   */
+  isRecording() {
+    return this.recordingName !== null;
+  }
+
+  /**
+   * Remove every template with a name (built-in or custom)
+   * @param {string} name - Shape name
+   */
+  removeTemplate(name) {
+    this.templates = this.templates.filter(t => t.name !== name);
+    this._saveTemplates();
+  }
+
+  /**
+   * Remove all recorded / added shapes and keep the built-in ones
+   */
+  clearCustomTemplates() {
+    this.templates = this.templates.filter(t => !t.custom);
+    this._saveTemplates();
+  }
+
+  /**
+   * Get the names of every shape that can be recognised
+   * @returns {Array} Unique names
+   */
+  getTemplateNames() {
+    return [...new Set(this.templates.map(t => t.name))];
+  }
+
+  /**
+   * PRIVATE: Load recorded shapes from localStorage
+   */
+  _loadTemplates() {
+    if (!this.STORAGE_KEY) return;
+
+    let saved = localStorage.getItem(this.STORAGE_KEY);
+    if (saved === null) return;
+
+    try {
+      for (let template of JSON.parse(saved)) {
+        this.templates.push({
+          name: template.name,
+          points: template.points,
+          preview: template.preview,
+          custom: true
+        });
+      }
+    } catch (error) {
+      console.warn('StrokeRecognizer: ignoring invalid saved templates');
+      localStorage.removeItem(this.STORAGE_KEY);
+    }
+  }
+
+  /**
+   * PRIVATE: Save custom shapes to localStorage (already normalised)
+   */
+  _saveTemplates() {
+    if (!this.STORAGE_KEY) return;
+
+    let round = (points) => points.map(p => ({ x: Math.round(p.x), y: Math.round(p.y) }));
+    let custom = this.templates
+      .filter(t => t.custom)
+      .map(t => ({ name: t.name, points: round(t.points), preview: round(t.preview) }));
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(custom));
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * PRIVATE: Call the callbacks for a finished stroke
+   */
+  _fire(result) {
+    if (result.name !== 'none' && !result.recorded) {
+      for (let callback of this.callbacks[result.name] || []) {
+        callback(result);
+      }
+    }
+    for (let callback of this.strokeCallbacks) {
+      callback(result);
+    }
+  }
+
+  /**
+   * Call a function when a specific shape is drawn
+   *
+   * @param {string} name - Shape name ('circle', 'check', ...)
+   * @param {Function} callback - Receives {name, score, points, time}
+   */
+  on(name, callback) {
+    if (!this.callbacks[name]) this.callbacks[name] = [];
+    this.callbacks[name].push(callback);
+  }
+
+  /**
+   * Call a function when ANY stroke finishes
+   * name is 'none' when nothing matched; recorded is true for recordings
+   *
+   * @param {Function} callback - Receives {name, score, best, points, time, recorded}
+   */
+  onStroke(callback) {
+    this.strokeCallbacks.push(callback);
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access stroke data
+  // ============================================
+
+  /**
+   * Check if the pen is down
+   * @returns {boolean} True while a stroke is being drawn
+   */
+  isDrawing() {
+    return this.drawing;
+  }
+
+  /**
+   * Get the stroke being drawn
+   * @returns {Array} Points [{x, y}, ...]
+   */
+  getPath() {
+    return this.path;
+  }
+
+  /**
+   * Get the most recent finished stroke
+   * @returns {Object|null} {name, score, points, time} or null
+   */
+  getLastResult() {
+    return this.lastResult;
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw the stroke being drawn
+   * @param {p5.Color} pathColor - Line color (default cyan)
+   */
+  drawPath(pathColor = color(0, 255, 255)) {
+    if (this.path.length < 2) return;
+
+    push();
+    noFill();
+    stroke(pathColor);
+    strokeWeight(6);
+    strokeJoin(ROUND);
+    beginShape();
+    for (let point of this.path) vertex(point.x, point.y);
+    endShape();
+    pop();
+  }
+
+  /**
+   * Draw the last stroke and its name for a second after it finishes
+   * @param {number} x - Text centre x (default canvas centre)
+   * @param {number} y - Text centre y (default canvas centre)
+   */
+  drawLastResult(x = width / 2, y = height / 2) {
+    if (!this.lastResult || millis() - this.lastResult.time > 1000) return;
+
+    let fade = map(millis() - this.lastResult.time, 0, 1000, 255, 0);
+    let matched = this.lastResult.name !== 'none';
+
+    push();
+    noFill();
+    stroke(matched ? color(0, 255, 100, fade) : color(255, 80, 80, fade));
+    strokeWeight(6);
+    beginShape();
+    for (let point of this.lastResult.points) vertex(point.x, point.y);
+    endShape();
+
+    let label = this.lastResult.recorded ? `Recorded ${this.lastResult.name}` : this.lastResult.name;
+    fill(255, fade);
+    stroke(0, fade);
+    strokeWeight(4);
+    textAlign(CENTER, CENTER);
+    textSize(32);
+    text(label, x, y);
+    textSize(16);
+    text(`${nf(this.lastResult.score * 100, 1, 0)}%`, x, y + 30);
+    pop();
+  }
+
+  /**
+   * Draw a template's shape, e.g. as a hint
+   * @param {string} name - Shape name (first template with that name)
+   * @param {number} x - Centre x
+   * @param {number} y - Centre y
+   * @param {number} size - Width and height (default 60)
+   */
+  drawTemplate(name, x, y, size = 60) {
+    let template = this.templates.find(t => t.name === name);
+    if (!template) return;
+
+    let scale = size / StrokeRecognizer.SQUARE_SIZE;
+    push();
+    noFill();
+    stroke(255);
+    strokeWeight(2);
+    beginShape();
+    for (let point of template.preview) vertex(x + point.x * scale, y + point.y * scale);
+    endShape();
+    pop();
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Drop the stroke in progress without recognising it
+   */
+  cancelStroke() {
+    this.path = [];
+    this.drawing = false;
+  }
+
+  /**
+   * Set how close a match must be
+   * @param {number} score - Minimum score (0-1)
+   */
+  setMinScore(score) {
+    this.MIN_SCORE = constrain(score, 0, 1);
+  }
+}
@@ -0,0 +1,231 @@
+/*
+StrokeRecognizer Example - Cast Spells by Drawing in the Air
+
+Pinch your thumb and index finger to put the pen down, draw a shape with
+your fingertip, then open your fingers to cast it:
+
+- Circle:   Shield
+- Triangle: Fire
+- X:        Cancel
+- Check:    Heal
+- Arrow:    Bolt
+
+Tap the top half to record your own shape - the next stroke you draw
+becomes a new spell and is saved for next time.
+
+KEY IDEAS:
+- Pen down/up comes from anything - here HandShapeClassifier.isPinching()
+- strokes.update(point, penDown) every frame
+- $1 recognizer: any size, any position, small rotations are fine
+- strokes.recordTemplate(name) turns the next stroke into a template
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // HandPoseTracker instance
+let shapes;           // HandShapeClassifier (pinch = pen down)
+let strokes;          // StrokeRecognizer instance
+
+// Spell for each shape (recorded shapes get a generic spell)
+const SPELLS = {
+  circle: { label: 'Shield', color: [80, 160, 255] },
+  triangle: { label: 'Fire', color: [255, 120, 0] },
+  x: { label: 'Cancel', color: [200, 200, 200] },
+  check: { label: 'Heal', color: [80, 255, 120] },
+  arrow: { label: 'Bolt', color: [255, 255, 0] }
+};
+
+let activeSpell = null;   // {label, color, time}
+const SPELL_TIME = 1500;  // How long a spell glows
+let customCount = 0;      // For naming recorded shapes
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  tracker = new HandPoseTracker({ maxHands: 1 });
+  shapes = new HandShapeClassifier();
+
+  strokes = new StrokeRecognizer({
+    minScore: 0.75,   // Lower = accepts messier shapes
+    minSize: 60       // Ignore tiny strokes (accidental pinches)
+  });
+
+  // Continue numbering after recorded shapes from last time
+  customCount = strokes.getTemplateNames().filter(name => !SPELLS[name]).length;
+
+  // Cast a spell for every recognised stroke
+  strokes.onStroke((result) => {
+    if (result.recorded || result.name === 'none') return;
+
+    let spell = SPELLS[result.name] || { label: result.name, color: [255, 80, 255] };
+    activeSpell = { label: spell.label, color: spell.color, time: millis() };
+  });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  tracker.update();
+  shapes.update(tracker.getPoints());
+
+  // Pinch = pen down, index fingertip = pen
+  let finger = tracker.getPoint('index_tip');
+  strokes.update(finger, shapes.isPinching());
+
+  drawSpell();
+  strokes.drawPath(strokes.isRecording() ? color(255, 80, 255) : color(0, 255, 255));
+  strokes.drawLastResult(width / 2, height / 2 - 150);
+  drawPen(finger);
+  drawSpellBook();
+  drawUI();
+}
+
+// ==============================================
+// DISPLAY - Active spell glow
+// ==============================================
+function drawSpell() {
+  if (!activeSpell) return;
+
+  let age = millis() - activeSpell.time;
+  if (age > SPELL_TIME) {
+    activeSpell = null;
+    return;
+  }
+
+  let c = activeSpell.color;
+  let fade = map(age, 0, SPELL_TIME, 200, 0);
+
+  push();
+  noStroke();
+  fill(c[0], c[1], c[2], fade * 0.4);
+  rect(0, 0, width, height);
+
+  fill(c[0], c[1], c[2], fade);
+  textAlign(CENTER, CENTER);
+  textSize(48);
+  text(activeSpell.label, width / 2, height / 2);
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Fingertip pen
+// ==============================================
+function drawPen(finger) {
+  if (!finger) return;
+
+  push();
+  if (strokes.isDrawing()) {
+    noStroke();
+    fill(0, 255, 255);
+    circle(finger.x, finger.y, 16);
+  } else {
+    noFill();
+    stroke(255);
+    strokeWeight(2);
+    circle(finger.x, finger.y, 16);
+  }
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Known shapes as hints
+// ==============================================
+function drawSpellBook() {
+  let names = strokes.getTemplateNames();
+
+  push();
+  fill(0, 0, 0, 150);
+  noStroke();
+  rect(0, height - 140, width, 90);
+
+  let spacing = width / names.length;
+  for (let i = 0; i < names.length; i++) {
+    let x = spacing * (i + 0.5);
+    strokes.drawTemplate(names[i], x, height - 110, min(40, spacing - 20));
+
+    let spell = SPELLS[names[i]];
+    fill(255);
+    noStroke();
+    textAlign(CENTER, TOP);
+    textSize(11);
+    text(spell ? spell.label : names[i], x, height - 80);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (strokes.isRecording()) {
+    text('Recording - pinch and draw your new shape', width / 2, 20);
+  } else if (!tracker.isHandDetected()) {
+    text('Show your hand', width / 2, 20);
+  } else if (strokes.isDrawing()) {
+    text('Drawing... open your fingers to cast', width / 2, 20);
+  } else {
+    text('Pinch to draw a shape', width / 2, 20);
+  }
+
+  // Instructions at bottom
+  textSize(14);
+  text('Tap top: record a shape · Tap bottom: toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Record a shape or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < height / 2) {
+    customCount++;
+    strokes.recordTemplate(`shape${customCount}`);
+  } else {
+    tracker.toggleVideo();
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Only react to one shape
+strokes.on('circle', (result) => shield.activate(result.score));
+
+// Example 2: Pen down with a key (test on a laptop with the mouse)
+strokes.update({ x: mouseX, y: mouseY }, keyIsDown(32));   // Hold space to draw
+
+// Example 3: Pen down with a fist instead of a pinch
+strokes.update(tracker.getPoint('wrist'), shapes.isShape('fist'));
+
+// Example 4: Shapes in code - a zigzag, drawn left to right
+strokes.addTemplate('zigzag', [
+  { x: 0, y: 0 }, { x: 30, y: 40 }, { x: 60, y: 0 }, { x: 90, y: 40 }
+]);
+
+// Example 5: Forget recorded shapes, keep the built-in ones
+strokes.clearCustomTemplates();
+
+// Example 6: Pen held through tracking drop-outs (see 16_tracking_loss)
+let pen = fingerLoss.update(tracker.getPoint('index_tip'));
+strokes.update(pen, shapes.isPinching());
+*/
@@ -0,0 +1,545 @@
+/**
+ * RepCounter Class
+ *
+ * Counts exercise repetitions from BodyPose joint angles.
+ * PHONE_BodyPose_two_points measures shoulder distance, wrist angles and
+ * nose velocity, but nothing turns those numbers into "that was one squat".
+ *
+ * WHAT IT DOES:
+ * - Built-in exercises: squat, jumpingJack, armRaise, lunge
+ * - Each exercise is a small state machine: REST → ACTIVE → REST = one rep
+ * - Two thresholds (hysteresis), so jitter around one value can't double count
+ * - Reports count, current phase and progress through the movement (0-1)
+ * - Form warnings ("Go lower", "Keep your knees level")
+ * - Define new exercises from joint angle thresholds
+ *
+ * HOW TO USE:
+ *
+ *   let counter = new RepCounter({ exercise: 'squat' });
+ *
+ *   counter.onRep((count) => console.log('Rep', count));
+ *   counter.onWarning((message) => console.log(message));
+ *
+ *   function draw() {
+ *     tracker.update();            // BodyPoseTracker
+ *     counter.update(tracker);
+ *
+ *     let count = counter.getCount();
+ *     let phase = counter.getPhase();        // 'UP' / 'DOWN' for a squat
+ *     let progress = counter.getProgress();  // 0 standing → 1 squatting
+ *   }
+ *
+ * NEW EXERCISES:
+ *
+ *   counter.addExercise('bicepCurl', {
+ *     joints: ['leftElbow', 'rightElbow'],   // Averaged joint angle
+ *     rest: { above: 150 },                  // Arms straight
+ *     active: { below: 50 },                 // Arms curled
+ *     phases: ['DOWN', 'UP']                 // Names for rest, active
+ *   });
+ */
+
+class RepCounter {
+  /**
+   * Constructor - Create a rep counter
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.exercise - Exercise to count (default 'squat')
+   * @param {number} options.minRepTime - Fastest possible rep in ms (default 400)
+   * @param {number} options.partialProgress - A rep that gets this far (0-1) but not all the
+   *                                           way counts as partial (default 0.5)
+   */
+  constructor(options = {}) {
+    // Tunable parameters
+    this.MIN_REP_TIME = options.minRepTime !== undefined ? options.minRepTime : 400;
+    this.PARTIAL_PROGRESS = options.partialProgress !== undefined ? options.partialProgress : 0.5;
+
+    // Exercise definitions (built-in plus addExercise)
+    this.exercises = Object.assign({}, RepCounter.EXERCISES);
+
+    // Count per exercise, kept when switching
+    this.counts = {};
+
+    // Callbacks
+    this.callbacks = { rep: [], phaseChange: [], warning: [] };
+
+    this.setExercise(options.exercise || 'squat');
+  }
+
+  /**
+   * Built-in exercises
+   *
+   * Each one has:
+   * - joints or measure: averaged joint angles, or a function (tracker) → number
+   * - rest / active: { above: n } or { below: n } thresholds on that number
+   * - phases: display names for [rest, active]
+   * - partialWarning: shown when a rep gets part way and goes back
+   * - warnings: [{ message, when: 'active' | 'always', check: (tracker) → true if wrong }]
+   */
+  static get EXERCISES() {
+    return {
+      squat: {
+        joints: ['leftKnee', 'rightKnee'],
+        rest: { above: 160 },      // Standing: legs straight
+        active: { below: 100 },    // Squatting: knees bent past 100°
+        phases: ['UP', 'DOWN'],
+        partialWarning: 'Go lower',
+        warnings: [
+          {
+            message: 'Keep your knees level',
+            when: 'active',
+            check: (tracker) => RepCounter.jointDifference(tracker, 'leftKnee', 'rightKnee') > 30
+          },
+          {
+            message: 'Keep your chest up',
+            when: 'active',
+            check: (tracker) => RepCounter.averageJoint(tracker, ['leftHip', 'rightHip']) < 50
+          }
+        ]
+      },
+
+      jumpingJack: {
+        measure: (tracker) => RepCounter.jackOpenness(tracker),
+        rest: { below: 0.3 },      // Arms down, feet together
+        active: { above: 0.75 },   // Arms up, feet apart
+        phases: ['CLOSED', 'OPEN'],
+        partialWarning: 'Arms higher, feet wider',
+        warnings: [
+          {
+            message: 'Raise both arms',
+            when: 'active',
+            check: (tracker) => RepCounter.jointDifference(tracker, 'leftShoulder', 'rightShoulder') > 40
+          }
+        ]
+      },
+
+      armRaise: {
+        joints: ['leftShoulder', 'rightShoulder'],
+        rest: { below: 40 },       // Arms by your sides
+        active: { above: 150 },    // Arms overhead
+        phases: ['DOWN', 'UP'],
+        partialWarning: 'Raise your arms higher',
+        warnings: [
+          {
+            message: 'Keep your elbows straight',
+            when: 'active',
+            check: (tracker) => RepCounter.averageJoint(tracker, ['leftElbow', 'rightElbow']) < 140
+          },
+          {
+            message: 'Raise both arms together',
+            when: 'always',
+            check: (tracker) => RepCounter.jointDifference(tracker, 'leftShoulder', 'rightShoulder') > 35
+          }
+        ]
+      },
+
+      lunge: {
+        measure: (tracker) => RepCounter.minJoint(tracker, ['leftKnee', 'rightKnee']),
+        rest: { above: 160 },      // Standing
+        active: { below: 110 },    // Front knee bent
+        phases: ['UP', 'DOWN'],
+        partialWarning: 'Step further and bend lower',
+        warnings: [
+          {
+            message: 'Keep your body upright',
+            when: 'active',
+            check: (tracker) => RepCounter.torsoLean(tracker) > 25
+          }
+        ]
+      }
+    };
+  }
+
+  // ============================================
+  // MEASUREMENT HELPERS - Usable in custom exercises
+  // ============================================
+
+  /**
+   * Average of several joint angles (ignores joints that aren't visible)
+   * @returns {number|null} Degrees, or null if none are visible
+   */
+  static averageJoint(tracker, joints) {
+    let angles = joints.map(joint => tracker.getJointAngle(joint)).filter(angle => angle !== null);
+    if (angles.length === 0) return null;
+    return angles.reduce((sum, angle) => sum + angle, 0) / angles.length;
+  }
+
+  /**
+   * Smallest of several joint angles - the most bent one
+   * @returns {number|null} Degrees, or null if none are visible
+   */
+  static minJoint(tracker, joints) {
+    let angles = joints.map(joint => tracker.getJointAngle(joint)).filter(angle => angle !== null);
+    return angles.length > 0 ? Math.min(...angles) : null;
+  }
+
+  /**
+   * Difference between two joint angles (left vs right)
+   * @returns {number} Degrees (0 if either isn't visible)
+   */
+  static jointDifference(tracker, jointA, jointB) {
+    let a = tracker.getJointAngle(jointA);
+    let b = tracker.getJointAngle(jointB);
+    return a === null || b === null ? 0 : Math.abs(a - b);
+  }
+
+  /**
+   * How far the torso leans sideways from vertical
+   * @returns {number} Degrees (0 = upright, 0 if not visible)
+   */
+  static torsoLean(tracker) {
+    let shoulders = RepCounter.midpoint(tracker, 'leftShoulder', 'rightShoulder');
+    let hips = RepCounter.midpoint(tracker, 'leftHip', 'rightHip');
+    if (!shoulders || !hips) return 0;
+    return Math.abs(Math.atan2(shoulders.x - hips.x, hips.y - shoulders.y)) * 180 / Math.PI;
+  }
+
+  /**
+   * Jumping jack "openness": arms up and feet apart
+   * @returns {number|null} 0 = closed, 1 = fully open
+   */
+  static jackOpenness(tracker) {
+    let arms = RepCounter.averageJoint(tracker, ['leftShoulder', 'rightShoulder']);
+    let feet = tracker.getDistance('leftAnkle', 'rightAnkle');
+    let hips = tracker.getDistance('leftHip', 'rightHip');
+    if (arms === null || feet === null || !hips) return null;
+
+    let armAmount = constrain(arms / 160, 0, 1);            // Down 0° → overhead 160°
+    let feetAmount = constrain((feet / hips - 1) / 1.5, 0, 1);  // Hip width → 2.5x hip width
+    return Math.min(armAmount, feetAmount);                 // Both must open
+  }
+
+  /**
+   * Midpoint of two landmarks
+   * @returns {Object|null} {x, y}
+   */
+  static midpoint(tracker, nameA, nameB) {
+    let a = tracker.getPoint(nameA);
+    let b = tracker.getPoint(nameB);
+    if (!a || !b) return null;
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  // ============================================
+  // UPDATE - Call every frame
+  // ============================================
+
+  /**
+   * Measure the body and advance the exercise state machine
+   * Call this in draw() every frame
+   *
+   * @param {BodyPoseTracker} tracker - Anything with getJointAngle / getPoint / getDistance
+   */
+  update(tracker) {
+    let exercise = this.exercises[this.exerciseName];
+
+    // Measure - null when the joints aren't visible (the state is kept)
+    this.value = tracker && tracker.isPoseDetected() ? this._measure(exercise, tracker) : null;
+    if (this.value === null) {
+      this.visible = false;
+      return;
+    }
+    this.visible = true;
+
+    // 0 at the rest threshold, 1 at the active threshold
+    let restValue = this._threshold(exercise.rest);
+    let activeValue = this._threshold(exercise.active);
+    this.progress = constrain((this.value - restValue) / (activeValue - restValue), 0, 1);
+    this.peakProgress = Math.max(this.peakProgress, this.progress);
+
+    // State machine with hysteresis: only the two thresholds change phase
+    if (this.state === 'REST' && this._passes(this.value, exercise.active)) {
+      this._setState('ACTIVE');
+    } else if (this.state === 'ACTIVE' && this._passes(this.value, exercise.rest)) {
+      this._setState('REST');
+      this._countRep();
+    } else if (this.state === 'REST' && this._passes(this.value, exercise.rest)) {
+      // Back at rest without reaching ACTIVE - was it a half rep?
+      if (this.peakProgress >= this.PARTIAL_PROGRESS && exercise.partialWarning) {
+        this._emitWarning(exercise.partialWarning);
+      }
+      this.peakProgress = 0;
+    }
+
+    this._checkWarnings(exercise, tracker);
+  }
+
+  /**
+   * PRIVATE: The number this exercise is judged on
+   */
+  _measure(exercise, tracker) {
+    if (exercise.measure) return exercise.measure(tracker);
+    return RepCounter.averageJoint(tracker, exercise.joints);
+  }
+
+  /**
+   * PRIVATE: Threshold value of {above: n} or {below: n}
+   */
+  _threshold(condition) {
+    return condition.above !== undefined ? condition.above : condition.below;
+  }
+
+  /**
+   * PRIVATE: Check a value against {above: n} or {below: n}
+   */
+  _passes(value, condition) {
+    if (condition.above !== undefined) return value > condition.above;
+    return value < condition.below;
+  }
+
+  /**
+   * PRIVATE: Change state and fire phaseChange
+   */
+  _setState(state) {
+    let previous = this.getPhase();
+    this.state = state;
+    for (let callback of this.callbacks.phaseChange) {
+      callback(this.getPhase(), previous);
+    }
+  }
+
+  /**
+   * PRIVATE: Count a finished rep (unless it was impossibly fast)
+   */
+  _countRep() {
+    let now = millis();
+    this.peakProgress = 0;
+    if (now - this.lastRepTime < this.MIN_REP_TIME) return;
+
+    this.lastRepTime = now;
+    this.counts[this.exerciseName] = this.getCount() + 1;
+    for (let callback of this.callbacks.rep) {
+      callback(this.getCount(), this.exerciseName);
+    }
+  }
+
+  /**
+   * PRIVATE: Run the form checks, firing each warning when it starts
+   */
+  _checkWarnings(exercise, tracker) {
+    let active = [];
+    for (let warning of exercise.warnings || []) {
+      if (warning.when === 'active' && this.state !== 'ACTIVE') continue;
+      if (warning.check(tracker, this.value)) active.push(warning.message);
+    }
+
+    for (let message of active) {
+      if (!this.warnings.includes(message)) this._emitWarning(message);
+    }
+    this.warnings = active;
+  }
+
+  /**
+   * PRIVATE: Remember and announce a warning
+   */
+  _emitWarning(message) {
+    this.lastWarning = { message: message, time: millis() };
+    for (let callback of this.callbacks.warning) {
+      callback(message);
+    }
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function for every counted rep
+   * @param {Function} callback - Receives (count, exerciseName)
+   */
+  onRep(callback) {
+    this.callbacks.rep.push(callback);
+  }
+
+  /**
+   * Call a function when the phase changes
+   * @param {Function} callback - Receives (phase, previousPhase), e.g. ('DOWN', 'UP')
+   */
+  onPhaseChange(callback) {
+    this.callbacks.phaseChange.push(callback);
+  }
+
+  /**
+   * Call a function when a form warning starts
+   * @param {Function} callback - Receives the message
+   */
+  onWarning(callback) {
+    this.callbacks.warning.push(callback);
+  }
+
+  // ============================================
+  // PUBLIC API - Methods to access exercise data
+  // ============================================
+
+  /**
+   * Get the rep count
+   * @param {string} name - Exercise name (default: current exercise)
+   * @returns {number} Reps counted
+   */
+  getCount(name = this.exerciseName) {
+    return this.counts[name] || 0;
+  }
+
+  /**
+   * Get the current phase by its exercise name
+   * @returns {string} e.g. 'UP' or 'DOWN' for a squat
+   */
+  getPhase() {
+    let phases = this.exercises[this.exerciseName].phases || ['REST', 'ACTIVE'];
+    return this.state === 'ACTIVE' ? phases[1] : phases[0];
+  }
+
+  /**
+   * Check if the body is in the active part of the rep
+   * @returns {boolean} True while ACTIVE (squatting, arms up, ...)
+   */
+  isActive() {
+    return this.state === 'ACTIVE';
+  }
+
+  /**
+   * Get how far through the movement the body is
+   * Good for driving a character's parameter smoothly.
+   * @returns {number} 0 = rest position, 1 = active position
+   */
+  getProgress() {
+    return this.progress;
+  }
+
+  /**
+   * Get the measured value (joint angle in degrees, or the custom measure)
+   * @returns {number|null} Value, or null if the joints aren't visible
+   */
+  getValue() {
+    return this.value;
+  }
+
+  /**
+   * Check if the joints this exercise needs are visible
+   * @returns {boolean} False when e.g. the legs are out of the picture
+   */
+  isVisible() {
+    return this.visible;
+  }
+
+  /**
+   * Get the form warnings that are true right now
+   * @returns {Array} Messages
+   */
+  getWarnings() {
+    return this.warnings;
+  }
+
+  /**
+   * Get the most recent warning (including partial reps)
+   * @returns {Object|null} {message, time} or null
+   */
+  getLastWarning() {
+    return this.lastWarning;
+  }
+
+  /**
+   * Get the current exercise name
+   * @returns {string} e.g. 'squat'
+   */
+  getExercise() {
+    return this.exerciseName;
+  }
+
+  /**
+   * Get every exercise name, built-in and added
+   * @returns {Array} Names
+   */
+  getExerciseNames() {
+    return Object.keys(this.exercises);
+  }
+
+  // ============================================
+  // VISUALIZATION - Optional drawing methods
+  // ============================================
+
+  /**
+   * Draw the count, phase, progress bar and latest warning
+   * @param {number} x - Left edge (default 20)
+   * @param {number} y - Top edge (default 60)
+   */
+  drawInfo(x = 20, y = 60) {
+    push();
+    fill(0, 0, 0, 150);
+    noStroke();
+    rect(x - 10, y - 10, 200, 130, 8);
+
+    fill(255);
+    textAlign(LEFT, TOP);
+    textSize(14);
+    text(this.exerciseName, x, y);
+
+    textSize(48);
+    text(this.getCount(), x, y + 18);
+
+    textSize(16);
+    fill(this.isActive() ? color(0, 255, 100) : color(255));
+    text(this.visible ? this.getPhase() : 'Not visible', x + 80, y + 34);
+
+    // Progress from rest (left) to active (right)
+    fill(80);
+    rect(x, y + 75, 180, 10);
+    fill(0, 255, 100);
+    rect(x, y + 75, 180 * this.progress, 10);
+
+    // Warning for two seconds
+    if (this.lastWarning && millis() - this.lastWarning.time < 2000) {
+      fill(255, 200, 0);
+      textSize(13);
+      text(this.lastWarning.message, x, y + 95);
+    }
+    pop();
+  }
+
+  // ============================================
+  // SETTINGS - Methods to adjust behavior
+  // ============================================
+
+  /**
+   * Switch exercise (counts are kept per exercise)
+   * @param {string} name - 'squat', 'jumpingJack', 'armRaise', 'lunge' or an added one
+   */
+  setExercise(name) {
+    if (!this.exercises[name]) {
+      console.warn(`RepCounter: unknown exercise '${name}'`);
+      return;
+    }
+    this.exerciseName = name;
+    this.state = 'REST';
+    this.value = null;
+    this.progress = 0;
+    this.peakProgress = 0;
+    this.visible = false;
+    this.warnings = [];
+    this.lastWarning = null;
+    this.lastRepTime = -Infinity;
+  }
+
+  /**
+   * Define a new exercise (or replace a built-in one)
+   *
+   * @param {string} name - Exercise name
+   * @param {Object} definition - {joints | measure, rest, active, phases, partialWarning, warnings}
+   *                              (see EXERCISES for examples)
+   */
+  addExercise(name, definition) {
+    if ((!definition.joints && !definition.measure) || !definition.rest || !definition.active) {
+      console.warn(`RepCounter: exercise '${name}' needs joints (or measure), rest and active`);
+      return;
+    }
+    this.exercises[name] = definition;
+  }
+
+  /**
+   * Set the count back to 0
+   * @param {string} name - Exercise name (default: current exercise)
+   */
+  resetCount(name = this.exerciseName) {
+    this.counts[name] = 0;
+  }
+}
@@ -0,0 +1,202 @@
+/*
+RepCounter Example - Count Squats, Jumping Jacks, Arm Raises and Lunges
+
+Stand back so the camera sees your whole body, then start moving. Every
+rep is counted from your joint angles, and tips pop up when the form
+slips ("Go lower", "Keep your chest up").
+
+Tap the top half to switch exercise - each exercise keeps its own count.
+
+KEY IDEAS:
+- counter.update(tracker) every frame with a BodyPoseTracker
+- Each exercise is REST → ACTIVE → REST, judged on one joint angle
+- Two thresholds, so wobbling around one angle can't double count
+- getProgress() (0-1) is a smooth value for driving characters
+- counter.addExercise() builds new exercises from angle thresholds
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // BodyPoseTracker instance
+let counter;          // RepCounter instance
+
+let exerciseNames;    // Exercises to cycle through
+let exerciseIndex = 0;
+let repFlash = 0;     // Time of the last rep (for a flash)
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  tracker = new BodyPoseTracker();
+
+  counter = new RepCounter({
+    exercise: 'squat',
+    minRepTime: 400     // Faster than this is jitter, not a rep
+  });
+
+  exerciseNames = counter.getExerciseNames();
+
+  // Flash the screen for every rep
+  counter.onRep((count, name) => {
+    repFlash = millis();
+  });
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  tracker.update();
+  counter.update(tracker);
+
+  tracker.drawSkeleton();
+
+  drawFlash();
+  counter.drawInfo(20, 60);
+  drawProgressBody();
+  drawUI();
+}
+
+// ==============================================
+// DISPLAY - Green flash on each rep
+// ==============================================
+function drawFlash() {
+  let age = millis() - repFlash;
+  if (age > 300) return;
+
+  push();
+  noStroke();
+  fill(0, 255, 100, map(age, 0, 300, 120, 0));
+  rect(0, 0, width, height);
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Progress as a filling circle
+// ==============================================
+function drawProgressBody() {
+  let x = width - 70;
+  let y = 110;
+  let progress = counter.getProgress();
+
+  push();
+  noFill();
+  stroke(80);
+  strokeWeight(10);
+  circle(x, y, 80);
+
+  // Arc from the top, filling as the rep goes deeper
+  stroke(counter.isActive() ? color(0, 255, 100) : color(255));
+  if (progress > 0) {
+    arc(x, y, 80, 80, -HALF_PI, -HALF_PI + TWO_PI * progress);
+  }
+
+  noStroke();
+  fill(255);
+  textAlign(CENTER, CENTER);
+  textSize(14);
+  text(counter.getPhase(), x, y);
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (!tracker.isPoseDetected()) {
+    text('Step into the picture', width / 2, 20);
+  } else if (!counter.isVisible()) {
+    text('Step back - show your whole body', width / 2, 20);
+  } else {
+    text(`${counter.getExercise()}: ${counter.getCount()} reps`, width / 2, 20);
+  }
+
+  // Current form warnings
+  let warnings = counter.getWarnings();
+  fill(255, 200, 0);
+  for (let i = 0; i < warnings.length; i++) {
+    text(warnings[i], width / 2, height - 90 - i * 22);
+  }
+
+  // Instructions at bottom
+  fill(255);
+  textSize(14);
+  text('Tap top: next exercise · Tap bottom: toggle video', width / 2, height - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Switch exercise or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < height / 2) {
+    exerciseIndex = (exerciseIndex + 1) % exerciseNames.length;
+    counter.setExercise(exerciseNames[exerciseIndex]);
+  } else {
+    tracker.toggleVideo();
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Feed a parameter-driven character (04_character_template_class)
+counter.onRep(() => healthCharacter.increaseHealth(5));
+
+// Example 2: Smooth control - squat depth sets a character's size
+character.scale = 1 + counter.getProgress() * 0.5;
+
+// Example 3: Bicep curls from elbow angles
+counter.addExercise('bicepCurl', {
+  joints: ['leftElbow', 'rightElbow'],
+  rest: { above: 150 },     // Arms straight
+  active: { below: 50 },    // Arms curled
+  phases: ['DOWN', 'UP'],
+  partialWarning: 'Curl all the way up',
+  warnings: [
+    {
+      message: 'Keep your elbows by your sides',
+      when: 'active',
+      check: (tracker) => tracker.getJointAngle('leftShoulder') > 40
+    }
+  ]
+});
+
+// Example 4: Any measurement, not just joint angles - hop height
+counter.addExercise('hop', {
+  measure: (tracker) => {
+    let nose = tracker.getPoint('nose');
+    return nose ? height - nose.y : null;
+  },
+  rest: { below: 400 },
+  active: { above: 480 },
+  phases: ['DOWN', 'UP']
+});
+
+// Example 5: Say the warnings out loud
+counter.onWarning((message) => speechSynthesis.speak(new SpeechSynthesisUtterance(message)));
+
+// Example 6: A set of ten, then move on
+counter.onRep((count) => {
+  if (count === 10) counter.setExercise('lunge');
+});
+*/
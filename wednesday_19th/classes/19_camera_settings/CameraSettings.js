@@ -0,0 +1,489 @@
+/**
+ * CameraSettings Class
+ *
+ * Picks WHICH camera to use and HOW BIG / HOW FAST it runs.
+ * PHONE_01_camera-selector can only flip between 'user' and 'environment',
+ * so a laptop's USB webcam or a phone's second rear lens can't be chosen,
+ * and nothing controls the resolution or frame rate that ML5 has to chew through.
+ *
+ * WHAT IT DOES:
+ * - Lists every camera on the device (front, back, wide, USB webcam...)
+ * - Resolution presets: low, medium, high, full
+ * - Frame rate presets: 15, 24, 30, 60
+ * - Remembers the choice in localStorage, shared by every sketch on the site
+ * - Builds getUserMedia constraints for sketches that open the camera themselves (THREE)
+ * - Swaps the stream of an existing video - including a p5-phone camera
+ *
+ * HOW TO USE (THREE / plain JavaScript):
+ *
+ *   let cameraSettings = new CameraSettings();
+ *
+ *   let stream = await cameraSettings.open();   // Saved device, resolution and fps
+ *   videoElement.srcObject = stream;
+ *
+ * HOW TO USE (p5-phone):
+ *
+ *   cameraSettings = new CameraSettings();
+ *   cam = createPhoneCamera(cameraSettings.facingMode, true, 'fitHeight');
+ *
+ *   cam.onReady(() => {
+ *     // Only reopen when p5-phone's camera isn't the saved choice already
+ *     if (!cameraSettings.matches(cam)) cameraSettings.applyTo(cam);
+ *   });
+ *
+ *   cameraSettings.nextDevice(cam);     // Then apply again to switch
+ *   cameraSettings.setResolution('low');
+ *   cameraSettings.applyTo(cam);        // Also mirrors only a front camera
+ *
+ * applyTo() swaps the stream under p5-phone, so cam.active keeps saying
+ * the camera p5-phone opened - use getActualSettings() for the real one.
+ *
+ * NOTE: Browsers only give camera names after permission has been granted,
+ * so call listDevices() (or open()) after the camera has started once.
+ */
+
+class CameraSettings {
+  /**
+   * Constructor - Create camera settings (loads the saved choice)
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.facingMode - 'user' (front) or 'environment' (back) when no device is picked
+   * @param {string} options.resolution - 'low', 'medium', 'high' or 'full' (default 'medium')
+   * @param {number} options.frameRate - Frames per second (default 30)
+   * @param {string} options.storageKey - localStorage key (default 'cameraSettings', null = don't save)
+   */
+  constructor(options = {}) {
+    this.STORAGE_KEY = options.storageKey !== undefined ? options.storageKey : 'cameraSettings';
+
+    // The choice (saved)
+    this.facingMode = options.facingMode || 'user';
+    this.deviceId = null;          // null = use facingMode
+    this.resolution = options.resolution || 'medium';
+    this.frameRate = options.frameRate || 30;
+    this.defaults = { facingMode: this.facingMode, resolution: this.resolution, frameRate: this.frameRate };
+
+    // Cameras found by listDevices()
+    this.devices = [];
+
+    // The stream opened by open()
+    this.stream = null;
+
+    // Callbacks
+    this.changeCallbacks = [];
+
+    this._load();
+  }
+
+  /**
+   * Resolution presets
+   * Lower resolutions make ML5 a lot faster on phones.
+   */
+  static get RESOLUTIONS() {
+    return {
+      low: { width: 320, height: 240, label: 'Low (320×240)' },
+      medium: { width: 640, height: 480, label: 'Medium (640×480)' },
+      high: { width: 1280, height: 720, label: 'High (1280×720)' },
+      full: { width: 1920, height: 1080, label: 'Full HD (1920×1080)' }
+    };
+  }
+
+  /**
+   * Frame rate presets (frames per second)
+   */
+  static get FRAME_RATES() {
+    return [15, 24, 30, 60];
+  }
+
+  // ============================================
+  // PUBLIC API - Cameras
+  // ============================================
+
+  /**
+   * Find every camera on the device
+   * Names are blank until permission has been granted - they show as 'Camera 1', 'Camera 2'.
+   *
+   * @returns {Promise<Array>} [{deviceId, label}]
+   */
+  async listDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      console.warn('CameraSettings: this browser cannot list cameras');
+      return this.devices;
+    }
+
+    let all = await navigator.mediaDevices.enumerateDevices();
+    this.devices = all
+      .filter(device => device.kind === 'videoinput')
+      .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    return this.devices;
+  }
+
+  /**
+   * Get the cameras found by the last listDevices()
+   * @returns {Array} [{deviceId, label}]
+   */
+  getDevices() {
+    return this.devices;
+  }
+
+  /**
+   * Choose a specific camera
+   * @param {string} deviceId - From getDevices()
+   */
+  setDevice(deviceId) {
+    this.deviceId = deviceId;
+    this._changed();
+  }
+
+  /**
+   * Go back to choosing the camera by direction (clears the device)
+   * @param {string} mode - 'user' (front) or 'environment' (back)
+   */
+  setFacingMode(mode) {
+    this.facingMode = mode;
+    this.deviceId = null;
+    this._changed();
+  }
+
+  /**
+   * Choose the next camera in the list (wraps around)
+   * Falls back to flipping front/back when the cameras aren't listed yet.
+   *
+   * @param {HTMLVideoElement|p5.MediaElement|Object} video - Optional video (or PhoneCamera)
+   *        showing the current camera, so the list carries on from it when no
+   *        device has been picked yet
+   */
+  nextDevice(video) {
+    if (this.devices.length === 0) {
+      this.setFacingMode(this.facingMode === 'user' ? 'environment' : 'user');
+      return;
+    }
+
+    // No device picked - start from the camera that is really running
+    let currentId = this.deviceId;
+    if (!currentId) {
+      let live = this.getActualSettings(video);
+      currentId = live ? live.deviceId : null;
+    }
+
+    let index = this.devices.findIndex(device => device.deviceId === currentId);
+    this.setDevice(this.devices[(index + 1) % this.devices.length].deviceId);
+  }
+
+  /**
+   * Get a readable name for the chosen camera
+   * @returns {string} e.g. 'FaceTime HD Camera' or 'Front camera'
+   */
+  getLabel() {
+    let device = this.devices.find(device => device.deviceId === this.deviceId);
+    if (device) return device.label;
+    return this.facingMode === 'user' ? 'Front camera' : 'Back camera';
+  }
+
+  // ============================================
+  // PUBLIC API - Resolution and frame rate
+  // ============================================
+
+  /**
+   * Choose a resolution preset
+   * @param {string} name - 'low', 'medium', 'high' or 'full'
+   */
+  setResolution(name) {
+    if (!CameraSettings.RESOLUTIONS[name]) {
+      console.warn(`CameraSettings: unknown resolution '${name}'`);
+      return;
+    }
+    this.resolution = name;
+    this._changed();
+  }
+
+  /**
+   * Choose the next resolution preset (wraps around)
+   */
+  nextResolution() {
+    let names = Object.keys(CameraSettings.RESOLUTIONS);
+    this.setResolution(names[(names.indexOf(this.resolution) + 1) % names.length]);
+  }
+
+  /**
+   * Get the chosen resolution preset
+   * @returns {Object} {name, width, height, label}
+   */
+  getResolution() {
+    return Object.assign({ name: this.resolution }, CameraSettings.RESOLUTIONS[this.resolution]);
+  }
+
+  /**
+   * Choose a frame rate
+   * @param {number} fps - Frames per second (cameras pick the closest they support)
+   */
+  setFrameRate(fps) {
+    this.frameRate = fps;
+    this._changed();
+  }
+
+  /**
+   * Choose the next frame rate preset (wraps around)
+   */
+  nextFrameRate() {
+    let rates = CameraSettings.FRAME_RATES;
+    this.setFrameRate(rates[(rates.indexOf(this.frameRate) + 1) % rates.length]);
+  }
+
+  /**
+   * Get the chosen frame rate
+   * @returns {number} Frames per second
+   */
+  getFrameRate() {
+    return this.frameRate;
+  }
+
+  // ============================================
+  // PUBLIC API - Opening the camera
+  // ============================================
+
+  /**
+   * Build getUserMedia constraints from the choice
+   * Uses 'ideal' values, so the camera picks the closest size and speed it supports.
+   *
+   * @returns {Object} { video: {...}, audio: false }
+   */
+  getConstraints() {
+    let resolution = CameraSettings.RESOLUTIONS[this.resolution];
+    let video = {
+      width: { ideal: resolution.width },
+      height: { ideal: resolution.height },
+      frameRate: { ideal: this.frameRate }
+    };
+
+    if (this.deviceId) {
+      video.deviceId = { exact: this.deviceId };
+    } else {
+      video.facingMode = this.facingMode;
+    }
+
+    return { video: video, audio: false };
+  }
+
+  /**
+   * Open the chosen camera (stops the stream this object opened before)
+   * If the saved camera has gone (USB webcam unplugged) it falls back to facingMode.
+   * Other errors (permission denied, camera busy) are thrown and the choice is kept.
+   *
+   * @returns {Promise<MediaStream>} The camera stream
+   */
+  async open() {
+    this.stop();
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+    } catch (error) {
+      let gone = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+      if (!this.deviceId || !gone) throw error;
+
+      console.warn('CameraSettings: saved camera not available, using', this.facingMode);
+      this.deviceId = null;
+      this._save();
+      this.stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+    }
+
+    // Permission is granted now, so the camera names are available
+    await this.listDevices();
+    return this.stream;
+  }
+
+  /**
+   * Open the chosen camera and show it in an existing video
+   * Works with an HTML <video>, a p5 capture, or a p5-phone camera. Given the
+   * PhoneCamera itself (not cam.video), it also sets cam.mirror - on for a
+   * front camera, off for a back one, like p5-phone does.
+   *
+   * @param {HTMLVideoElement|p5.MediaElement|Object} video - Video (or PhoneCamera) to switch
+   * @returns {Promise<Object>} Actual settings, see getActualSettings()
+   */
+  async applyTo(video) {
+    let phoneCamera = this._isPhoneCamera(video) ? video : null;
+    if (phoneCamera) video = phoneCamera.video;
+    let element = video.elt || video;
+
+    // Stop whatever the video was showing (e.g. the stream p5-phone opened)
+    if (element.srcObject && element.srcObject !== this.stream) {
+      element.srcObject.getTracks().forEach(track => track.stop());
+    }
+
+    element.srcObject = await this.open();
+
+    // addEventListener, so a handler the video already has keeps working
+    await new Promise(resolve => {
+      if (element.readyState >= 1) resolve();
+      else element.addEventListener('loadedmetadata', resolve, { once: true });
+    });
+    await element.play().catch(error => console.warn('CameraSettings: could not play video', error));
+
+    // p5 elements keep their own size
+    if (video.elt) {
+      video.width = element.videoWidth;
+      video.height = element.videoHeight;
+    }
+
+    if (phoneCamera) phoneCamera.mirror = this.isFrontCamera();
+
+    return this.getActualSettings();
+  }
+
+  /**
+   * Check whether a video already shows the chosen camera, size and speed
+   * Lets a sketch skip applyTo() - and opening the camera a second time -
+   * when p5-phone's own camera is the saved choice anyway.
+   *
+   * @param {HTMLVideoElement|p5.MediaElement|Object} video - Video (or PhoneCamera) to check
+   * @returns {boolean} True if applyTo() would change nothing
+   */
+  matches(video) {
+    let live = this.getActualSettings(video);
+    if (!live) return false;
+
+    if (this.deviceId) {
+      if (live.deviceId !== this.deviceId) return false;
+    } else if (live.facingMode && live.facingMode !== this.facingMode) {
+      return false;
+    }
+
+    // Phones report portrait streams with width and height swapped
+    let resolution = CameraSettings.RESOLUTIONS[this.resolution];
+    let sameSize = (live.width === resolution.width && live.height === resolution.height) ||
+                   (live.width === resolution.height && live.height === resolution.width);
+    let sameRate = Math.abs((live.frameRate || 0) - this.frameRate) < 1;
+    return sameSize && sameRate;
+  }
+
+  /**
+   * Get what the camera is really doing (it may not match the request exactly)
+   *
+   * @param {HTMLVideoElement|p5.MediaElement|Object} video - Optional video (or PhoneCamera)
+   *        to read instead of the stream opened by open()
+   * @returns {Object|null} {width, height, frameRate, deviceId, facingMode} or null without a stream
+   */
+  getActualSettings(video) {
+    let stream = video ? this._streamOf(video) : this.stream;
+    if (!stream || stream.getVideoTracks().length === 0) return null;
+
+    let settings = stream.getVideoTracks()[0].getSettings();
+    return {
+      width: settings.width,
+      height: settings.height,
+      frameRate: settings.frameRate,
+      deviceId: settings.deviceId,
+      facingMode: settings.facingMode
+    };
+  }
+
+  /**
+   * Check whether the open camera faces the user - the one to mirror
+   * Laptop webcams don't report a facingMode; they face the user.
+   *
+   * @param {HTMLVideoElement|p5.MediaElement|Object} video - Optional video to check, see getActualSettings()
+   * @returns {boolean} False only for a back camera
+   */
+  isFrontCamera(video) {
+    let live = this.getActualSettings(video);
+    if (live && live.facingMode) return live.facingMode !== 'environment';
+    if (this.deviceId) return true;
+    return this.facingMode !== 'environment';
+  }
+
+  /**
+   * Stop the stream opened by open()
+   */
+  stop() {
+    if (!this.stream) return;
+    this.stream.getTracks().forEach(track => track.stop());
+    this.stream = null;
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function whenever the choice changes
+   * @param {Function} callback - Receives this CameraSettings
+   */
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  // ============================================
+  // SETTINGS - Saving
+  // ============================================
+
+  /**
+   * Forget the saved choice and go back to the constructor options
+   */
+  reset() {
+    this.facingMode = this.defaults.facingMode;
+    this.deviceId = null;
+    this.resolution = this.defaults.resolution;
+    this.frameRate = this.defaults.frameRate;
+    if (this.STORAGE_KEY) localStorage.removeItem(this.STORAGE_KEY);
+  }
+
+  /**
+   * PRIVATE: Is this a p5-phone PhoneCamera (rather than a video)?
+   */
+  _isPhoneCamera(video) {
+    return !!video && !!video.video && 'mirror' in video;
+  }
+
+  /**
+   * PRIVATE: Get the stream a video (or PhoneCamera) is showing
+   */
+  _streamOf(video) {
+    if (this._isPhoneCamera(video)) video = video.video;
+    let element = video.elt || video;
+    return element.srcObject || null;
+  }
+
+  /**
+   * PRIVATE: Save and tell the callbacks
+   */
+  _changed() {
+    this._save();
+    for (let callback of this.changeCallbacks) {
+      callback(this);
+    }
+  }
+
+  /**
+   * PRIVATE: Load the saved choice from localStorage
+   */
+  _load() {
+    if (!this.STORAGE_KEY) return;
+
+    let saved = localStorage.getItem(this.STORAGE_KEY);
+    if (saved === null) return;
+
+    try {
+      let choice = JSON.parse(saved);
+      this.facingMode = choice.facingMode || this.facingMode;
+      this.deviceId = choice.deviceId || null;
+      if (CameraSettings.RESOLUTIONS[choice.resolution]) this.resolution = choice.resolution;
+      if (choice.frameRate) this.frameRate = choice.frameRate;
+    } catch (error) {
+      console.warn('CameraSettings: ignoring invalid saved settings');
+      localStorage.removeItem(this.STORAGE_KEY);
+    }
+  }
+
+  /**
+   * PRIVATE: Save the choice to localStorage
+   */
+  _save() {
+    if (!this.STORAGE_KEY) return;
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+      facingMode: this.facingMode,
+      deviceId: this.deviceId,
+      resolution: this.resolution,
+      frameRate: this.frameRate
+    }));
+  }
+}
@@ -0,0 +1,216 @@
+/*
+CameraSettings Example - Pick a Camera, Resolution and Frame Rate
+
+Hand tracking with a camera picker. The three buttons at the bottom
+choose the camera (every lens and USB webcam, not just front/back),
+the resolution and the frame rate. Watch the frame rate counter: a lower
+resolution makes ML5 much faster on a phone.
+
+The choice is saved, so it is still there after a reload - and every
+other sketch using CameraSettings (e.g. the THREE ports) opens the same
+camera.
+
+KEY IDEAS:
+- settings.applyTo(cam) swaps the p5-phone camera's stream (and mirror)
+- settings.matches(cam) skips opening a camera that is already right
+- settings.nextDevice(cam) / nextResolution() / nextFrameRate()
+- settings.getActualSettings() shows what the camera really gave us
+- Camera names only appear after permission has been granted
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let tracker;          // HandPoseTracker instance
+let settings;         // CameraSettings instance
+let actual = null;    // What the camera really gave us
+let switching = false;
+let applied = false;  // Saved choice applied yet?
+
+// Buttons along the bottom of the canvas
+const BUTTON_HEIGHT = 60;
+let buttons = [];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (typical phone proportions: 9:16)
+  createCanvas(405, 720);
+
+  tracker = new HandPoseTracker({ maxHands: 1 });
+  settings = new CameraSettings();
+
+  buttons = [
+    { label: () => 'Camera', value: () => settings.getLabel(), action: () => settings.nextDevice(tracker.cam) },
+    { label: () => 'Resolution', value: () => settings.getResolution().name, action: () => settings.nextResolution() },
+    { label: () => 'Frame rate', value: () => `${settings.getFrameRate()} fps`, action: () => settings.nextFrameRate() }
+  ];
+}
+
+// ==============================================
+// DRAW - Runs continuously
+// ==============================================
+function draw() {
+  background(40);
+
+  tracker.update();
+
+  // Open the saved camera once p5-phone has started (permission granted),
+  // unless p5-phone already opened that one
+  if (tracker.isReady() && !applied) {
+    applied = true;
+    if (settings.matches(tracker.cam)) {
+      actual = settings.getActualSettings(tracker.cam);
+      settings.listDevices();
+    } else {
+      applySettings();
+    }
+  }
+
+  tracker.drawSkeleton();
+
+  drawSettings();
+  drawButtons();
+  drawUI();
+}
+
+// ==============================================
+// CAMERA - Apply the current choice
+// ==============================================
+async function applySettings() {
+  switching = true;
+  try {
+    actual = await settings.applyTo(tracker.cam);
+  } catch (error) {
+    console.error('Could not open camera:', error);
+  }
+  switching = false;
+}
+
+// ==============================================
+// DISPLAY - Requested vs actual camera settings
+// ==============================================
+function drawSettings() {
+  let resolution = settings.getResolution();
+
+  push();
+  fill(0, 0, 0, 150);
+  noStroke();
+  rect(10, 60, width - 20, 150, 8);
+
+  fill(255);
+  textAlign(LEFT, TOP);
+  textSize(14);
+  text(`Camera: ${settings.getLabel()}`, 20, 70);
+  text(`Asked for: ${resolution.width}×${resolution.height} at ${settings.getFrameRate()} fps`, 20, 95);
+
+  if (actual) {
+    fill(0, 255, 100);
+    text(`Got: ${actual.width}×${actual.height} at ${round(actual.frameRate || 0)} fps`, 20, 120);
+  }
+
+  fill(255);
+  text(`Sketch: ${round(frameRate())} fps`, 20, 145);
+  text(`${settings.getDevices().length} cameras found`, 20, 170);
+  pop();
+}
+
+// ==============================================
+// DISPLAY - Setting buttons
+// ==============================================
+function drawButtons() {
+  let buttonWidth = width / buttons.length;
+
+  push();
+  textAlign(CENTER, CENTER);
+  for (let i = 0; i < buttons.length; i++) {
+    let x = i * buttonWidth;
+    let y = height - BUTTON_HEIGHT;
+
+    fill(switching ? 80 : color(74, 144, 226));
+    stroke(40);
+    rect(x, y, buttonWidth, BUTTON_HEIGHT);
+
+    noStroke();
+    fill(255);
+    textSize(11);
+    text(buttons[i].label(), x + buttonWidth / 2, y + 18);
+    textSize(14);
+    text(buttons[i].value().slice(0, 16), x + buttonWidth / 2, y + 40);
+  }
+  pop();
+}
+
+// ==============================================
+// UI - Display status and instructions
+// ==============================================
+function drawUI() {
+  push();
+  fill(255);
+  stroke(0);
+  strokeWeight(3);
+  textAlign(CENTER, TOP);
+  textSize(16);
+
+  // Show status at top of screen
+  if (!tracker.isReady()) {
+    text('Starting camera...', width / 2, 20);
+  } else if (switching) {
+    text('Switching camera...', width / 2, 20);
+  } else if (!tracker.isHandDetected()) {
+    text('Show your hand', width / 2, 20);
+  } else {
+    text('Tracking', width / 2, 20);
+  }
+
+  // Instructions above the buttons
+  textSize(14);
+  text('Tap a button to change it · Tap above to toggle video', width / 2, height - BUTTON_HEIGHT - 30);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Change a setting or toggle video
+// ==============================================
+function mousePressed() {
+  if (mouseY < height - BUTTON_HEIGHT) {
+    tracker.toggleVideo();
+    return;
+  }
+  if (switching) return;
+
+  let index = floor(mouseX / (width / buttons.length));
+  buttons[constrain(index, 0, buttons.length - 1)].action();
+  applySettings();
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Plain JavaScript / THREE - open the saved camera yourself
+let cameraSettings = new CameraSettings();
+videoElement.srcObject = await cameraSettings.open();
+
+// Example 2: Just the constraints, for your own getUserMedia call
+navigator.mediaDevices.getUserMedia(cameraSettings.getConstraints());
+
+// Example 3: A dropdown of every camera
+let picker = createSelect();
+for (let device of settings.getDevices()) picker.option(device.label, device.deviceId);
+picker.changed(() => {
+  settings.setDevice(picker.value());
+  settings.applyTo(tracker.cam);
+});
+
+// Example 4: Fast tracking on old phones
+let settings = new CameraSettings({ resolution: 'low', frameRate: 15 });
+
+// Example 5: A separate choice for one sketch (not shared)
+let settings = new CameraSettings({ storageKey: 'myGameCamera' });
+
+// Example 6: Forget the saved camera
+settings.reset();
+*/
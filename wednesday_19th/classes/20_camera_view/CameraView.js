@@ -0,0 +1,414 @@
+/**
+ * CameraView Class
+ *
+ * The camera and where it appears on the canvas - without p5.
+ * The p5 sketches get display modes, mirroring and cam.mapKeypoint() from
+ * p5-phone, while the THREE ports each hand-rolled getUserMedia and a
+ * mapKeypointToCanvas() that only knew fitHeight plus mirroring.
+ * CameraView gives any renderer (THREE, a plain 2D canvas) the same behaviour.
+ *
+ * WHAT IT DOES:
+ * - Opens the camera (through CameraSettings when it is loaded)
+ * - Display modes like p5-phone: fitHeight, fitWidth, cover, contain, fixed
+ * - Mirroring like p5-phone: front camera mirrored, back camera not (or on/off by hand)
+ * - mapKeypoint() from video pixels to canvas pixels, y-down (p5) or y-up (THREE)
+ * - Live camera switching (front/back, or any device with CameraSettings)
+ * - Follows window resizes, orientation changes and video size changes
+ *
+ * HOW TO USE (THREE with an OrthographicCamera(0, width, height, 0)):
+ *
+ *   let cameraView = new CameraView({ width: 405, height: 720, yUp: true });
+ *
+ *   cameraView.onReady(() => {
+ *     handPose.detectStart(cameraView.video, gotHands);
+ *   });
+ *
+ *   cameraView.onResize((layout) => {
+ *     videoPlane.position.set(layout.centerX, layout.centerY, 0);
+ *     videoPlane.scale.set(layout.width * (layout.mirror ? -1 : 1), layout.height, 1);
+ *   });
+ *
+ *   let point = cameraView.mapKeypoint(hands[0].keypoints[8]);  // Canvas coordinates
+ *
+ *   cameraView.active = 'environment';   // Switch camera (mirroring follows it)
+ *   cameraView.mode = 'cover';           // Same modes as p5-phone
+ *   cameraView.mirror = false;           // Fix the mirror by hand (null follows the camera again)
+ */
+
+class CameraView {
+  /**
+   * Constructor - Create a camera view
+   *
+   * @param {Object} options - Configuration options
+   * @param {number} options.width - Canvas width in pixels (default window width)
+   * @param {number} options.height - Canvas height in pixels (default window height)
+   * @param {string} options.active - 'user' (front) or 'environment' (back) (default 'user')
+   * @param {boolean} options.mirror - Mirror the video and keypoints (default: only a front camera)
+   * @param {string} options.mode - 'fitHeight', 'fitWidth', 'cover', 'contain', 'fixed' (default 'fitHeight')
+   * @param {number} options.fixedWidth - Video width in 'fixed' mode (default 320)
+   * @param {number} options.fixedHeight - Video height in 'fixed' mode (default 240)
+   * @param {boolean} options.yUp - Flip y for renderers with y pointing up, like THREE (default false)
+   * @param {boolean} options.fillWindow - Canvas follows the window size (default false)
+   * @param {HTMLVideoElement} options.video - Use this video element (default: create a hidden one)
+   * @param {boolean} options.autoStart - Open the camera straight away (default true).
+   *                                      Set false and await start() to handle errors yourself.
+   */
+  constructor(options = {}) {
+    // Canvas size
+    this.fillWindow = options.fillWindow !== undefined ? options.fillWindow : false;
+    this.width = options.width || window.innerWidth;
+    this.height = options.height || window.innerHeight;
+    this.yUp = options.yUp !== undefined ? options.yUp : false;
+
+    // Display settings (same names as p5-phone's PhoneCamera)
+    this._active = options.active || 'user';
+    this._mirrorFixed = options.mirror !== undefined && options.mirror !== null;   // Set by hand?
+    this._mirror = this._mirrorFixed ? options.mirror : this._active !== 'environment';
+    this._mode = options.mode || 'fitHeight';
+    this.fixedWidth = options.fixedWidth || 320;
+    this.fixedHeight = options.fixedHeight || 240;
+
+    // Video
+    this.video = options.video || this._createVideo();
+    this.videoElement = this.video;   // p5-phone name, for detectStart()
+    this.videoWidth = 640;
+    this.videoHeight = 480;
+    this.ready = false;
+
+    // Shared camera choice when CameraSettings is loaded
+    this.settings = null;
+    if (typeof CameraSettings !== 'undefined') {
+      this.settings = new CameraSettings({ facingMode: this._active });
+      this._active = this.settings.facingMode;
+    }
+
+    // Callbacks
+    this.readyCallbacks = [];
+    this.resizeCallbacks = [];
+
+    this._listen();
+
+    if (options.autoStart !== false) {
+      this.start().catch(error => console.error('CameraView: could not open camera', error));
+    }
+  }
+
+  /**
+   * Display modes
+   */
+  static get MODES() {
+    return ['fitHeight', 'fitWidth', 'cover', 'contain', 'fixed'];
+  }
+
+  // ============================================
+  // CAMERA - Opening and switching
+  // ============================================
+
+  /**
+   * Open the camera (again) - called by the constructor and when switching
+   * @returns {Promise} Resolves when the video is playing
+   */
+  async start() {
+    let stream;
+
+    if (this.settings) {
+      stream = await this.settings.open();
+    } else {
+      if (this.video.srcObject) this.video.srcObject.getTracks().forEach(track => track.stop());
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: this._active, width: { ideal: 640 }, height: { ideal: 480 } },
+        audio: false
+      });
+    }
+
+    this.video.srcObject = stream;
+    // addEventListener, so a handler the sketch put on the video keeps working
+    await new Promise(resolve => {
+      if (this.video.readyState >= 1) resolve();
+      else this.video.addEventListener('loadedmetadata', resolve, { once: true });
+    });
+    await this.video.play().catch(error => console.warn('CameraView: could not play video', error));
+
+    this._followCamera(stream);
+    this._updateVideoSize();
+
+    if (!this.ready) {
+      this.ready = true;
+      for (let callback of this.readyCallbacks) {
+        callback(this);
+      }
+    }
+  }
+
+  /**
+   * Which camera: 'user' (front) or 'environment' (back)
+   * Setting it switches the camera live.
+   */
+  get active() {
+    return this._active;
+  }
+
+  set active(facingMode) {
+    this._active = facingMode;
+    if (this.settings) this.settings.setFacingMode(facingMode);
+    this.start().catch(error => console.error('CameraView: could not switch camera', error));
+  }
+
+  /**
+   * Switch to the next camera (every device with CameraSettings, otherwise front/back)
+   */
+  switchCamera() {
+    if (!this.settings) {
+      this.active = this._active === 'user' ? 'environment' : 'user';
+      return;
+    }
+
+    this.settings.nextDevice(this.video);
+    this.start().catch(error => console.error('CameraView: could not switch camera', error));
+  }
+
+  /**
+   * Mirror the video and keypoints
+   * Follows the camera (front mirrored, back not) until it is set by hand;
+   * set it to null to follow the camera again.
+   */
+  get mirror() {
+    return this._mirror;
+  }
+
+  set mirror(value) {
+    this._mirrorFixed = value !== null;
+    this._mirror = this._mirrorFixed ? value : this._isFrontCamera(this.video.srcObject);
+    this._emitResize();
+  }
+
+  /**
+   * Display mode: 'fitHeight', 'fitWidth', 'cover', 'contain' or 'fixed'
+   */
+  get mode() {
+    return this._mode;
+  }
+
+  set mode(value) {
+    if (!CameraView.MODES.includes(value)) {
+      console.warn(`CameraView: unknown mode '${value}'`);
+      return;
+    }
+    this._mode = value;
+    this._emitResize();
+  }
+
+  /**
+   * Go to the next display mode (wraps around)
+   */
+  nextMode() {
+    let modes = CameraView.MODES;
+    this.mode = modes[(modes.indexOf(this._mode) + 1) % modes.length];
+  }
+
+  // ============================================
+  // PUBLIC API - Mapping
+  // ============================================
+
+  /**
+   * Where the video is drawn on the canvas (top-left origin, like p5)
+   * @returns {Object} {x, y, width, height}
+   */
+  getDimensions() {
+    let canvasAspect = this.width / this.height;
+    let videoAspect = this.videoWidth / this.videoHeight;
+    let width, height;
+
+    if (this._mode === 'fixed') {
+      width = this.fixedWidth;
+      height = this.fixedHeight;
+    } else if (this._mode === 'fitWidth' ||
+               (this._mode === 'contain' && videoAspect > canvasAspect) ||
+               (this._mode === 'cover' && videoAspect < canvasAspect)) {
+      width = this.width;
+      height = this.width / videoAspect;
+    } else {
+      // fitHeight, and the other half of contain/cover
+      height = this.height;
+      width = this.height * videoAspect;
+    }
+
+    // Always centred on the canvas
+    return { x: (this.width - width) / 2, y: (this.height - height) / 2, width: width, height: height };
+  }
+
+  /**
+   * Everything a renderer needs to place the video (in the yUp direction if set)
+   * For THREE: a 1×1 plane at (centerX, centerY) scaled by (width × (mirror ? -1 : 1), height).
+   *
+   * @returns {Object} {x, y, width, height, centerX, centerY, mirror}
+   */
+  getLayout() {
+    let dims = this.getDimensions();
+    let centerY = dims.y + dims.height / 2;
+    return {
+      x: dims.x,
+      y: dims.y,
+      width: dims.width,
+      height: dims.height,
+      centerX: dims.x + dims.width / 2,
+      centerY: this.yUp ? this.height - centerY : centerY,
+      mirror: this._mirror
+    };
+  }
+
+  /**
+   * Map an ML5 keypoint from video pixels to canvas pixels
+   * Same result as p5-phone's cam.mapKeypoint() for the same mode and mirror
+   * (with y flipped when yUp is set).
+   *
+   * @param {Object} keypoint - {x, y, z, ...} in video pixels
+   * @returns {Object|null} Copy with x, y in canvas pixels (other properties kept)
+   */
+  mapKeypoint(keypoint) {
+    if (!keypoint) return null;
+
+    let dims = this.getDimensions();
+    let x = (keypoint.x / this.videoWidth) * dims.width;
+    let y = dims.y + (keypoint.y / this.videoHeight) * dims.height;
+
+    x = this._mirror ? dims.x + dims.width - x : dims.x + x;
+    if (this.yUp) y = this.height - y;
+
+    return Object.assign({}, keypoint, { x: x, y: y, z: keypoint.z || 0 });
+  }
+
+  /**
+   * Map a whole array of keypoints
+   * @param {Array} keypoints - ML5 keypoints
+   * @returns {Array} Mapped keypoints
+   */
+  mapKeypoints(keypoints) {
+    return keypoints.map(keypoint => this.mapKeypoint(keypoint));
+  }
+
+  // ============================================
+  // EVENTS - Register callback functions
+  // ============================================
+
+  /**
+   * Call a function once the camera is playing (immediately if it already is)
+   * @param {Function} callback - Receives this CameraView
+   */
+  onReady(callback) {
+    this.readyCallbacks.push(callback);
+    if (this.ready) callback(this);
+  }
+
+  /**
+   * Call a function whenever the video layout changes:
+   * camera switch, rotation, window resize, mode or mirror change
+   * @param {Function} callback - Receives getLayout()
+   */
+  onResize(callback) {
+    this.resizeCallbacks.push(callback);
+  }
+
+  // ============================================
+  // SETTINGS - Canvas size
+  // ============================================
+
+  /**
+   * Set the canvas size (when the sketch resizes its renderer)
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   */
+  setCanvasSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this._emitResize();
+  }
+
+  /**
+   * Stop the camera
+   */
+  stop() {
+    if (this.settings) this.settings.stop();
+    else if (this.video.srcObject) this.video.srcObject.getTracks().forEach(track => track.stop());
+    this.ready = false;
+  }
+
+  /**
+   * PRIVATE: Hidden video element for ML5 and textures
+   */
+  _createVideo() {
+    let video = document.createElement('video');
+    video.setAttribute('playsinline', '');
+    video.muted = true;
+    video.style.display = 'none';
+    document.body.appendChild(video);
+    return video;
+  }
+
+  /**
+   * PRIVATE: Read which way the new camera faces and mirror it like p5-phone
+   */
+  _followCamera(stream) {
+    let track = stream.getVideoTracks()[0];
+    let facingMode = track ? track.getSettings().facingMode : null;
+    if (facingMode) this._active = facingMode;
+    else if (this.settings) this._active = this.settings.facingMode;
+
+    if (this._mirrorFixed) return;
+    let mirror = this._isFrontCamera(stream);
+    if (mirror === this._mirror) return;
+    this._mirror = mirror;
+    this._emitResize();
+  }
+
+  /**
+   * PRIVATE: Does this stream come from a front camera?
+   * Laptop webcams don't report a facingMode - they face the user.
+   */
+  _isFrontCamera(stream) {
+    if (this.settings) return this.settings.isFrontCamera(stream ? this.video : undefined);
+    let track = stream ? stream.getVideoTracks()[0] : null;
+    let facingMode = track ? track.getSettings().facingMode : null;
+    return (facingMode || this._active) !== 'environment';
+  }
+
+  /**
+   * PRIVATE: Follow window, orientation and video size changes
+   */
+  _listen() {
+    let onWindowChange = () => {
+      if (this.fillWindow) {
+        this.setCanvasSize(window.innerWidth, window.innerHeight);
+      } else {
+        this._emitResize();
+      }
+    };
+    window.addEventListener('resize', onWindowChange);
+    window.addEventListener('orientationchange', onWindowChange);
+
+    // Phones swap the video's width and height when they rotate
+    this.video.addEventListener('resize', () => this._updateVideoSize());
+  }
+
+  /**
+   * PRIVATE: Read the real video size and tell the callbacks if it changed
+   */
+  _updateVideoSize() {
+    if (!this.video.videoWidth) return;
+    if (this.video.videoWidth === this.videoWidth && this.video.videoHeight === this.videoHeight) return;
+
+    this.videoWidth = this.video.videoWidth;
+    this.videoHeight = this.video.videoHeight;
+    this._emitResize();
+  }
+
+  /**
+   * PRIVATE: Call every onResize callback
+   */
+  _emitResize() {
+    let layout = this.getLayout();
+    for (let callback of this.resizeCallbacks) {
+      callback(layout);
+    }
+  }
+}
@@ -0,0 +1,201 @@
+/*
+CameraView Example - Hand Tracking in THREE.js, Like p5-phone
+
+A full-window THREE.js scene with the camera as a background and the 21
+hand keypoints as dots. CameraView does what p5-phone does for the p5
+sketches: opens the camera, places the video for the display mode and
+maps ML5 keypoints onto the canvas.
+
+Try the buttons - the dots stay on your hand in every display mode, with
+mirroring on or off, after switching camera, and when you rotate the phone.
+
+KEY IDEAS:
+- cameraView.mapKeypoint(keypoint) = p5-phone's cam.mapKeypoint()
+- yUp: true flips y for a THREE OrthographicCamera(0, width, height, 0)
+- cameraView.onResize(layout) places the video plane after any change
+- fillWindow: true follows window resizes and orientation changes
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cameraView;       // CameraView instance
+let handPose;         // ML5 HandPose model
+let hands = [];       // Detected hands
+
+// Three.js components
+let scene, camera, renderer;
+let videoPlane;       // Video background (1x1 plane, scaled by the layout)
+let dots = [];        // One mesh per keypoint
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function init() {
+  // Camera and mapping, canvas the size of the window
+  cameraView = new CameraView({
+    mode: 'fitHeight',
+    yUp: true,           // THREE's y points up
+    fillWindow: true     // Follow resizes and rotation
+  });
+
+  setupThree();
+
+  // Start HandPose once the camera is playing
+  cameraView.onReady(() => {
+    createVideoPlane();
+    handPose = ml5.handPose({ maxHands: 1, flipHorizontal: false }, () => {
+      handPose.detectStart(cameraView.video, (results) => {
+        hands = results || [];
+      });
+    });
+  });
+
+  // Re-place everything when the layout changes
+  cameraView.onResize((layout) => {
+    resizeThree();
+    layoutVideoPlane(layout);
+    updateButtons();
+  });
+
+  setupButtons();
+  animate();
+}
+
+// ==============================================
+// THREE.JS - Scene, orthographic camera, renderer
+// ==============================================
+function setupThree() {
+  scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x282828);
+
+  // Pixel coordinates: (0, 0) bottom-left, y up
+  camera = new THREE.OrthographicCamera(0, cameraView.width, cameraView.height, 0, 0.1, 1000);
+  camera.position.z = 10;
+
+  renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.setSize(cameraView.width, cameraView.height);
+  document.body.appendChild(renderer.domElement);
+
+  // One dot per hand keypoint
+  for (let i = 0; i < 21; i++) {
+    let dot = new THREE.Mesh(
+      new THREE.CircleGeometry(i % 4 === 0 ? 8 : 5, 16),
+      new THREE.MeshBasicMaterial({ color: i % 4 === 0 ? 0x00ffff : 0xffff00 })
+    );
+    dot.visible = false;
+    scene.add(dot);
+    dots.push(dot);
+  }
+}
+
+// ==============================================
+// THREE.JS - Follow the canvas size
+// ==============================================
+function resizeThree() {
+  camera.right = cameraView.width;
+  camera.top = cameraView.height;
+  camera.updateProjectionMatrix();
+  renderer.setSize(cameraView.width, cameraView.height);
+}
+
+// ==============================================
+// VIDEO - Background plane
+// ==============================================
+function createVideoPlane() {
+  let texture = new THREE.VideoTexture(cameraView.video);
+  videoPlane = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide })
+  );
+  layoutVideoPlane(cameraView.getLayout());
+  scene.add(videoPlane);
+}
+
+function layoutVideoPlane(layout) {
+  if (!videoPlane) return;
+
+  videoPlane.position.set(layout.centerX, layout.centerY, 0);
+  videoPlane.scale.set(layout.mirror ? -layout.width : layout.width, layout.height, 1);
+}
+
+// ==============================================
+// ANIMATE - Runs continuously (like draw() in p5.js)
+// ==============================================
+function animate() {
+  requestAnimationFrame(animate);
+
+  // Keypoints from video pixels to canvas pixels
+  let keypoints = hands.length > 0 ? cameraView.mapKeypoints(hands[0].keypoints) : [];
+
+  for (let i = 0; i < dots.length; i++) {
+    dots[i].visible = i < keypoints.length;
+    if (dots[i].visible) dots[i].position.set(keypoints[i].x, keypoints[i].y, 1);
+  }
+
+  updateStatus();
+  renderer.render(scene, camera);
+}
+
+// ==============================================
+// UI - Status and buttons
+// ==============================================
+function updateStatus() {
+  let status = document.getElementById('status');
+  if (!cameraView.ready) {
+    status.textContent = 'Starting camera...';
+  } else if (hands.length === 0) {
+    status.textContent = 'Show your hand';
+  } else {
+    status.textContent = `Video ${cameraView.videoWidth}×${cameraView.videoHeight} · Canvas ${cameraView.width}×${cameraView.height}`;
+  }
+}
+
+function setupButtons() {
+  document.getElementById('switchCamera').addEventListener('click', () => cameraView.switchCamera());
+  document.getElementById('displayMode').addEventListener('click', () => cameraView.nextMode());
+  document.getElementById('mirror').addEventListener('click', () => cameraView.mirror = !cameraView.mirror);
+}
+
+function updateButtons() {
+  document.getElementById('displayMode').textContent = cameraView.mode;
+  document.getElementById('mirror').textContent = cameraView.mirror ? 'Mirror: ON' : 'Mirror: OFF';
+}
+
+// ==============================================
+// START
+// ==============================================
+window.addEventListener('load', init);
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: A fixed 405x720 canvas like the p5 sketches
+cameraView = new CameraView({ width: 405, height: 720, yUp: true });
+
+// Example 2: Plain 2D canvas (y down, like p5)
+cameraView = new CameraView({ width: canvas.width, height: canvas.height });
+let point = cameraView.mapKeypoint(hands[0].keypoints[8]);
+context.fillRect(point.x, point.y, 10, 10);
+
+// Example 3: Handle camera errors yourself
+cameraView = new CameraView({ autoStart: false });
+try {
+  await cameraView.start();
+} catch (error) {
+  showMessage('Camera blocked: ' + error.message);
+}
+
+// Example 4: Back camera - mirroring follows it (off), like p5-phone
+cameraView.active = 'environment';
+cameraView.mirror = true;    // Unless you want it on anyway
+cameraView.mirror = null;    // Back to following the camera
+
+// Example 5: Small picture-in-picture video
+cameraView.mode = 'fixed';
+cameraView.fixedWidth = 160;
+cameraView.fixedHeight = 120;
+*/
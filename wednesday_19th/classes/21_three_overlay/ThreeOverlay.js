@@ -0,0 +1,293 @@
+/**
+ * ThreeOverlay Class
+ *
+ * Keypoint dots, measurement lines, angle arcs and velocity arrows for THREE.js -
+ * drawn like p5 (call the draw functions every frame) but built only once.
+ * The THREE_*_two_points ports removed every mesh each frame and made new
+ * geometries and materials for the next one without disposing the old ones,
+ * which leaks GPU memory and makes phones stutter.
+ *
+ * WHAT IT DOES:
+ * - circle(), line(), arc(), arrow() with the same arguments as the ports' drawCircle() etc.
+ * - Keeps every object it makes and reuses it the next frame
+ * - Moves circles and arrow heads with their transform, updates line and arc points in place
+ * - One material per color and opacity, shared by all shapes
+ * - Hides whatever wasn't drawn this frame instead of removing it
+ * - dispose() frees all geometries and materials
+ *
+ * HOW TO USE (OrthographicCamera in canvas pixels):
+ *
+ *   let overlay = new ThreeOverlay(scene);
+ *
+ *   function animate() {
+ *     overlay.clear();                               // Start the frame
+ *
+ *     overlay.circle(point.x, point.y, 10, 0xff0000);
+ *     overlay.line(a.x, a.y, b.x, b.y, 0xffa500);
+ *     overlay.arc(a.x, a.y, 30, 0, angle, 0xffa500);
+ *     overlay.arrow(nose.x, nose.y, endX, endY, 0xffff00);
+ *
+ *     renderer.render(scene, camera);
+ *   }
+ */
+
+class ThreeOverlay {
+  /**
+   * Constructor - Create an overlay and add it to a scene
+   *
+   * @param {THREE.Scene} scene - Scene to draw in
+   * @param {Object} options - Configuration options
+   * @param {number} options.z - Depth of every shape (default 1)
+   * @param {boolean} options.depthTest - Hide shapes behind other objects (default true)
+   * @param {number} options.renderOrder - THREE render order, higher draws later (default 0)
+   * @param {number} options.circleSegments - Smoothness of circles (default 32)
+   * @param {number} options.arcSegments - Smoothness of arcs (default 50)
+   * @param {number} options.headLength - Arrow head length in pixels (default 10)
+   * @param {number} options.headWidth - Arrow head half width in pixels (default 5)
+   */
+  constructor(scene, options = {}) {
+    this.Z = options.z !== undefined ? options.z : 1;
+    this.DEPTH_TEST = options.depthTest !== undefined ? options.depthTest : true;
+    this.RENDER_ORDER = options.renderOrder || 0;
+    this.CIRCLE_SEGMENTS = options.circleSegments || 32;
+    this.ARC_SEGMENTS = options.arcSegments || 50;
+    this.HEAD_LENGTH = options.headLength || 10;
+    this.HEAD_WIDTH = options.headWidth || 5;
+
+    // Everything lives in one group, so it can be shown, hidden or removed together
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+
+    // Shared geometries: circles and arrow heads are scaled and rotated, never rebuilt
+    this.circleGeometry = new THREE.CircleGeometry(1, this.CIRCLE_SEGMENTS);
+    this.headGeometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(-this.HEAD_LENGTH, this.HEAD_WIDTH, 0),
+      new THREE.Vector3(-this.HEAD_LENGTH, -this.HEAD_WIDTH, 0)
+    ]);
+
+    // Reused objects and how many of each were drawn this frame
+    this.pools = { circles: [], lines: [], arcs: [], heads: [] };
+    this.used = { circles: 0, lines: 0, arcs: 0, heads: 0 };
+
+    // Materials by color and opacity
+    this.materials = new Map();
+  }
+
+  // ============================================
+  // PUBLIC API - Drawing
+  // ============================================
+
+  /**
+   * Start a new frame: hide last frame's shapes so they can be reused
+   * Call once per frame before drawing (instead of removing objects from the scene).
+   */
+  clear() {
+    for (let name in this.pools) {
+      for (let object of this.pools[name]) {
+        object.visible = false;
+      }
+      this.used[name] = 0;
+    }
+  }
+
+  /**
+   * Draw a filled circle
+   * @param {number} x - Center X coordinate
+   * @param {number} y - Center Y coordinate
+   * @param {number} radius - Circle radius
+   * @param {number} color - Hex color value
+   * @param {number} opacity - 0-1 (default 1)
+   */
+  circle(x, y, radius, color, opacity = 1) {
+    let circle = this._next('circles', () => new THREE.Mesh(this.circleGeometry));
+    circle.material = this._material('mesh', color, opacity);
+    circle.position.set(x, y, this.Z);
+    circle.scale.set(radius, radius, 1);
+  }
+
+  /**
+   * Draw a line between two points
+   * @param {number} x1 - Start X coordinate
+   * @param {number} y1 - Start Y coordinate
+   * @param {number} x2 - End X coordinate
+   * @param {number} y2 - End Y coordinate
+   * @param {number} color - Hex color value
+   * @param {number} opacity - 0-1 (default 1)
+   */
+  line(x1, y1, x2, y2, color, opacity = 1) {
+    let line = this._next('lines', () => this._createLine(2));
+    line.material = this._material('line', color, opacity);
+
+    let positions = line.geometry.attributes.position;
+    positions.setXYZ(0, x1, y1, this.Z);
+    positions.setXYZ(1, x2, y2, this.Z);
+    this._updated(line.geometry);
+  }
+
+  /**
+   * Draw an arc (counter-clockwise from startAngle to endAngle, like EllipseCurve)
+   * @param {number} x - Center X coordinate
+   * @param {number} y - Center Y coordinate
+   * @param {number} radius - Arc radius
+   * @param {number} startAngle - Start angle in radians
+   * @param {number} endAngle - End angle in radians
+   * @param {number} color - Hex color value
+   * @param {number} opacity - 0-1 (default 1)
+   */
+  arc(x, y, radius, startAngle, endAngle, color, opacity = 1) {
+    let arc = this._next('arcs', () => this._createLine(this.ARC_SEGMENTS + 1));
+    arc.material = this._material('line', color, opacity);
+
+    // Same sweep as THREE.EllipseCurve (always counter-clockwise, at most a full turn)
+    let sweep = endAngle - startAngle;
+    let samePoints = Math.abs(sweep) < Number.EPSILON;
+    while (sweep < 0) sweep += Math.PI * 2;
+    while (sweep > Math.PI * 2) sweep -= Math.PI * 2;
+    if (sweep < Number.EPSILON) sweep = samePoints ? 0 : Math.PI * 2;
+
+    let positions = arc.geometry.attributes.position;
+    for (let i = 0; i <= this.ARC_SEGMENTS; i++) {
+      let angle = startAngle + sweep * (i / this.ARC_SEGMENTS);
+      positions.setXYZ(i, x + radius * Math.cos(angle), y + radius * Math.sin(angle), this.Z);
+    }
+    this._updated(arc.geometry);
+  }
+
+  /**
+   * Draw an arrow from one point to another (line plus filled head)
+   * @param {number} x1 - Start X coordinate
+   * @param {number} y1 - Start Y coordinate
+   * @param {number} x2 - End (tip) X coordinate
+   * @param {number} y2 - End (tip) Y coordinate
+   * @param {number} color - Hex color value
+   * @param {number} opacity - 0-1 (default 1)
+   */
+  arrow(x1, y1, x2, y2, color, opacity = 1) {
+    this.line(x1, y1, x2, y2, color, opacity);
+
+    let head = this._next('heads', () => new THREE.Mesh(this.headGeometry));
+    head.material = this._material('mesh', color, opacity);
+    head.position.set(x2, y2, this.Z);
+    head.rotation.z = Math.atan2(y2 - y1, x2 - x1);
+  }
+
+  // ============================================
+  // SETTINGS - Visibility and cleanup
+  // ============================================
+
+  /**
+   * Show or hide the whole overlay
+   * @param {boolean} visible - true to show
+   */
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  /**
+   * How many objects and materials have been made so far
+   * These stop growing once the busiest frame has been drawn.
+   *
+   * @returns {Object} {circles, lines, arcs, arrowHeads, materials, drawn}
+   */
+  getStats() {
+    return {
+      circles: this.pools.circles.length,
+      lines: this.pools.lines.length,
+      arcs: this.pools.arcs.length,
+      arrowHeads: this.pools.heads.length,
+      materials: this.materials.size,
+      drawn: this.used.circles + this.used.lines + this.used.arcs + this.used.heads
+    };
+  }
+
+  /**
+   * Remove the overlay from the scene and free its GPU memory
+   */
+  dispose() {
+    this.scene.remove(this.group);
+
+    for (let line of this.pools.lines.concat(this.pools.arcs)) {
+      line.geometry.dispose();
+    }
+    this.circleGeometry.dispose();
+    this.headGeometry.dispose();
+
+    for (let material of this.materials.values()) {
+      material.dispose();
+    }
+
+    this.materials.clear();
+    this.pools = { circles: [], lines: [], arcs: [], heads: [] };
+    this.used = { circles: 0, lines: 0, arcs: 0, heads: 0 };
+  }
+
+  /**
+   * PRIVATE: The next free object of a kind - reused, or made when the pool runs out
+   * @param {string} name - Pool name
+   * @param {Function} create - Makes a new object
+   * @returns {THREE.Object3D} Visible object
+   */
+  _next(name, create) {
+    let pool = this.pools[name];
+
+    if (this.used[name] === pool.length) {
+      let object = create();
+      object.renderOrder = this.RENDER_ORDER;
+      object.frustumCulled = false;   // Points change every frame, bounds would be stale
+      pool.push(object);
+      this.group.add(object);
+    }
+
+    let object = pool[this.used[name]++];
+    object.visible = true;
+    return object;
+  }
+
+  /**
+   * PRIVATE: A line with room for a fixed number of points
+   * @param {number} count - Number of points
+   * @returns {THREE.Line} Line with its own position buffer
+   */
+  _createLine(count) {
+    let geometry = new THREE.BufferGeometry();
+    let positions = new THREE.BufferAttribute(new Float32Array(count * 3), 3);
+    positions.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', positions);
+    return new THREE.Line(geometry);
+  }
+
+  /**
+   * PRIVATE: Tell THREE a line's points have changed
+   * @param {THREE.BufferGeometry} geometry - Updated geometry
+   */
+  _updated(geometry) {
+    geometry.attributes.position.needsUpdate = true;
+  }
+
+  /**
+   * PRIVATE: Shared material for a color and opacity (made on first use)
+   * @param {string} type - 'mesh' or 'line'
+   * @param {number} color - Hex color value
+   * @param {number} opacity - 0-1
+   * @returns {THREE.Material} Cached material
+   */
+  _material(type, color, opacity) {
+    let key = `${type}-${color}-${opacity}`;
+    let material = this.materials.get(key);
+
+    if (!material) {
+      let settings = {
+        color: color,
+        transparent: opacity < 1,
+        opacity: opacity,
+        depthTest: this.DEPTH_TEST
+      };
+      material = type === 'line' ? new THREE.LineBasicMaterial(settings) : new THREE.MeshBasicMaterial(settings);
+      this.materials.set(key, material);
+    }
+
+    return material;
+  }
+}
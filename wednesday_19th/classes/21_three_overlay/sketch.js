@@ -0,0 +1,300 @@
+/*
+ThreeOverlay Example - Hand Skeleton in THREE.js Without Leaking Memory
+
+All 21 hand keypoints, the bones between them, an angle arc between thumb
+and index finger and a velocity arrow on the index finger - drawn every
+frame the p5 way, with ThreeOverlay reusing the same THREE objects.
+
+Press the "Rebuild" button to draw the old way instead (new geometry and
+material for every shape, every frame, removed without disposing) and watch
+the geometry count in the status line climb.
+
+KEY IDEAS:
+- overlay.clear() at the start of the frame, then circle/line/arc/arrow
+- Shapes are made the first time they're needed and reused after that
+- renderer.info.memory.geometries stays flat - nothing to leak
+- CameraView does the camera and keypoint mapping
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cameraView;       // CameraView instance
+let overlay;          // ThreeOverlay instance
+let handPose;         // ML5 HandPose model
+let hands = [];       // Detected hands
+
+// Three.js components
+let scene, camera, renderer;
+let videoPlane;       // Video background (1x1 plane, scaled by the layout)
+
+// Velocity of the index finger (pixels per second)
+let previousTip = null;
+let previousTime = 0;
+let velocity = { x: 0, y: 0 };
+
+// true = the old way: new meshes every frame, never disposed
+let rebuild = false;
+let rebuilt = [];     // Meshes made by the old way this frame
+
+// Bones between the 21 HandPose keypoints
+const BONES = [
+  [0, 1], [1, 2], [2, 3], [3, 4],          // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8],          // Index
+  [5, 9], [9, 10], [10, 11], [11, 12],     // Middle
+  [9, 13], [13, 14], [14, 15], [15, 16],   // Ring
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]  // Pinky and palm
+];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function init() {
+  // Camera and mapping, canvas the size of the window
+  cameraView = new CameraView({ yUp: true, fillWindow: true });
+
+  setupThree();
+
+  // Points, lines, arcs and arrows - built once, reused every frame
+  overlay = new ThreeOverlay(scene, { z: 1 });
+
+  // Start HandPose once the camera is playing
+  cameraView.onReady(() => {
+    createVideoPlane();
+    handPose = ml5.handPose({ maxHands: 1, flipHorizontal: false }, () => {
+      handPose.detectStart(cameraView.video, gotHands);
+    });
+  });
+
+  // Re-place everything when the layout changes
+  cameraView.onResize((layout) => {
+    resizeThree();
+    layoutVideoPlane(layout);
+  });
+
+  document.getElementById('mode').addEventListener('click', toggleRebuild);
+  animate();
+}
+
+function gotHands(results) {
+  hands = results || [];
+  updateVelocity();
+}
+
+// ==============================================
+// THREE.JS - Scene, orthographic camera, renderer
+// ==============================================
+function setupThree() {
+  scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x282828);
+
+  // Pixel coordinates: (0, 0) bottom-left, y up
+  camera = new THREE.OrthographicCamera(0, cameraView.width, cameraView.height, 0, 0.1, 1000);
+  camera.position.z = 10;
+
+  renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.setSize(cameraView.width, cameraView.height);
+  document.body.appendChild(renderer.domElement);
+}
+
+function resizeThree() {
+  camera.right = cameraView.width;
+  camera.top = cameraView.height;
+  camera.updateProjectionMatrix();
+  renderer.setSize(cameraView.width, cameraView.height);
+}
+
+// ==============================================
+// VIDEO - Background plane
+// ==============================================
+function createVideoPlane() {
+  let texture = new THREE.VideoTexture(cameraView.video);
+  videoPlane = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide })
+  );
+  layoutVideoPlane(cameraView.getLayout());
+  scene.add(videoPlane);
+}
+
+function layoutVideoPlane(layout) {
+  if (!videoPlane) return;
+
+  videoPlane.position.set(layout.centerX, layout.centerY, 0);
+  videoPlane.scale.set(layout.mirror ? -layout.width : layout.width, layout.height, 1);
+}
+
+// ==============================================
+// ANIMATE - Runs continuously (like draw() in p5.js)
+// ==============================================
+function animate() {
+  requestAnimationFrame(animate);
+
+  // Start a new frame of drawings
+  overlay.clear();
+  clearRebuilt();
+
+  if (hands.length > 0) {
+    drawHand(cameraView.mapKeypoints(hands[0].keypoints));
+  }
+
+  updateStatus();
+  renderer.render(scene, camera);
+}
+
+// ==============================================
+// DISPLAY - Skeleton, angle and velocity
+// ==============================================
+function drawHand(points) {
+  // Bones
+  for (let [a, b] of BONES) {
+    drawLine(points[a].x, points[a].y, points[b].x, points[b].y, 0xffffff);
+  }
+
+  // Keypoints - fingertips bigger
+  for (let i = 0; i < points.length; i++) {
+    let tip = i > 0 && i % 4 === 0;
+    drawCircle(points[i].x, points[i].y, tip ? 8 : 5, tip ? 0x00ffff : 0xffff00);
+  }
+
+  // Angle between thumb and index finger, measured at the wrist
+  let wrist = points[0];
+  let thumbAngle = Math.atan2(points[4].y - wrist.y, points[4].x - wrist.x);
+  let indexAngle = Math.atan2(points[8].y - wrist.y, points[8].x - wrist.x);
+  drawArc(wrist.x, wrist.y, 40, Math.min(thumbAngle, indexAngle), Math.max(thumbAngle, indexAngle), 0xffa500);
+
+  // Index finger velocity (about a tenth of a second ahead)
+  let speed = Math.hypot(velocity.x, velocity.y);
+  if (speed > 60) {
+    drawArrow(points[8].x, points[8].y, points[8].x + velocity.x * 0.1, points[8].y + velocity.y * 0.1, 0xff00ff);
+  }
+}
+
+// ==============================================
+// DRAWING - Retained (ThreeOverlay) or rebuilt every frame
+// ==============================================
+function drawCircle(x, y, radius, color) {
+  if (!rebuild) {
+    overlay.circle(x, y, radius, color);
+    return;
+  }
+  addRebuilt(new THREE.Mesh(new THREE.CircleGeometry(radius, 32), new THREE.MeshBasicMaterial({ color: color })), x, y);
+}
+
+function drawLine(x1, y1, x2, y2, color) {
+  if (!rebuild) {
+    overlay.line(x1, y1, x2, y2, color);
+    return;
+  }
+  let geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(x1, y1, 0), new THREE.Vector3(x2, y2, 0)]);
+  addRebuilt(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: color })), 0, 0);
+}
+
+function drawArc(x, y, radius, startAngle, endAngle, color) {
+  if (!rebuild) {
+    overlay.arc(x, y, radius, startAngle, endAngle, color);
+    return;
+  }
+  let curve = new THREE.EllipseCurve(0, 0, radius, radius, startAngle, endAngle, false, 0);
+  let geometry = new THREE.BufferGeometry().setFromPoints(curve.getPoints(50));
+  addRebuilt(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: color })), x, y);
+}
+
+function drawArrow(x1, y1, x2, y2, color) {
+  // The arrow head isn't worth rebuilding for the comparison - the shaft shows the point
+  if (rebuild) {
+    drawLine(x1, y1, x2, y2, color);
+    return;
+  }
+  overlay.arrow(x1, y1, x2, y2, color);
+}
+
+function addRebuilt(object, x, y) {
+  object.position.set(x, y, 1);
+  scene.add(object);
+  rebuilt.push(object);
+}
+
+function clearRebuilt() {
+  // The old clearScene(): removed from the scene, but the GPU copies stay
+  for (let object of rebuilt) {
+    scene.remove(object);
+  }
+  rebuilt = [];
+}
+
+// ==============================================
+// VELOCITY - From the last two ML5 results
+// ==============================================
+function updateVelocity() {
+  let now = performance.now();
+  let tip = hands.length > 0 ? cameraView.mapKeypoint(hands[0].keypoints[8]) : null;
+
+  if (tip && previousTip && now > previousTime) {
+    let seconds = (now - previousTime) / 1000;
+    velocity = { x: (tip.x - previousTip.x) / seconds, y: (tip.y - previousTip.y) / seconds };
+  } else {
+    velocity = { x: 0, y: 0 };
+  }
+
+  previousTip = tip;
+  previousTime = now;
+}
+
+// ==============================================
+// UI - Status and mode button
+// ==============================================
+function updateStatus() {
+  let status = document.getElementById('status');
+  let stats = overlay.getStats();
+
+  if (!cameraView.ready) {
+    status.textContent = 'Starting camera...';
+  } else if (hands.length === 0) {
+    status.textContent = 'Show your hand';
+  } else {
+    status.textContent = `GPU geometries: ${renderer.info.memory.geometries} · ` +
+      `Overlay: ${stats.circles + stats.lines + stats.arcs + stats.arrowHeads} objects, ${stats.materials} materials`;
+  }
+}
+
+// ==============================================
+// INTERACTION - Switch between retained and rebuild
+// ==============================================
+function toggleRebuild() {
+  rebuild = !rebuild;
+  document.getElementById('mode').textContent = rebuild ? 'Drawing: Rebuild (leaks)' : 'Drawing: Retained';
+}
+
+// ==============================================
+// START
+// ==============================================
+window.addEventListener('load', init);
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Draw over the video and everything else (like the HandPose port)
+overlay = new ThreeOverlay(scene, { z: 5, depthTest: false, renderOrder: 100 });
+
+// Example 2: Two overlays - one for points, one for measurements you can hide
+let points = new ThreeOverlay(scene);
+let measurements = new ThreeOverlay(scene);
+measurements.setVisible(showData);
+
+// Example 3: See-through shapes
+overlay.circle(x, y, 40, 0x00ff00, 0.3);
+overlay.line(x1, y1, x2, y2, 0xffffff, 0.5);
+
+// Example 4: Fewer segments for many small arcs
+overlay = new ThreeOverlay(scene, { arcSegments: 16, circleSegments: 12 });
+
+// Example 5: Bigger arrow heads
+overlay = new ThreeOverlay(scene, { headLength: 20, headWidth: 10 });
+
+// Example 6: Leaving the scene - free the GPU memory
+overlay.dispose();
+*/
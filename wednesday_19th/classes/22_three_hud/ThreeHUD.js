@@ -0,0 +1,552 @@
+/**
+ * ThreeHUD Class
+ *
+ * Text for THREE.js sketches: panels pinned to the top or bottom of the screen,
+ * and labels that follow keypoints. The THREE_*_two_points ports drew all their
+ * text onto one full-screen canvas and re-uploaded that whole texture every
+ * frame, even when not a single number had changed.
+ *
+ * WHAT IT DOES:
+ * - Panels with a title and rows ('Distance: 120px'), anchored top or bottom
+ * - Labels that follow points: moving one only moves its sprite
+ * - Dirty-checking: a panel or label is redrawn and re-uploaded only when its text changes
+ * - Each piece of text is a small texture sized to fit, not a full-screen one
+ * - Layout adapts to the screen: panels stack in portrait, sit side by side in landscape
+ *
+ * HOW TO USE (OrthographicCamera(0, width, height, 0), y up):
+ *
+ *   let hud = new ThreeHUD(scene, { width: 405, height: 720 });
+ *
+ *   hud.addPanel('status', { anchor: 'top', background: null, fontSize: 16 });
+ *   hud.addPanel('head', { anchor: 'top', title: 'Head pose', color: 'cyan' });
+ *
+ *   function animate() {
+ *     hud.setPanel('status', 'Tracking');
+ *     hud.setPanel('head', [{ label: 'Yaw', value: '12°' }, { label: 'Roll', value: '-3°' }]);
+ *
+ *     hud.setLabel('thumb', '120px', thumb.x, thumb.y);   // Follows the point
+ *     hud.hideLabel('index');
+ *
+ *     renderer.render(scene, camera);
+ *   }
+ */
+
+class ThreeHUD {
+  /**
+   * Constructor - Create a HUD and add it to a scene
+   *
+   * @param {THREE.Scene} scene - Scene to draw in
+   * @param {Object} options - Configuration options
+   * @param {number} options.width - Screen width in world units (canvas pixels)
+   * @param {number} options.height - Screen height in world units (canvas pixels)
+   * @param {number} options.z - Depth of the text (default 9)
+   * @param {number} options.margin - Space between panels and the screen edge (default 10)
+   * @param {number} options.gap - Space between panels (default 6)
+   * @param {number} options.pixelRatio - Texture resolution (default window.devicePixelRatio)
+   * @param {string} options.font - Font family (default 'Arial')
+   */
+  constructor(scene, options = {}) {
+    this.width = options.width || window.innerWidth;
+    this.height = options.height || window.innerHeight;
+    this.Z = options.z !== undefined ? options.z : 9;
+    this.MARGIN = options.margin !== undefined ? options.margin : 10;
+    this.GAP = options.gap !== undefined ? options.gap : 6;
+    this.PIXEL_RATIO = options.pixelRatio || window.devicePixelRatio || 1;
+    this.FONT = options.font || 'Arial';
+
+    // Everything lives in one group, so it can be shown or hidden together
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+
+    // Panels in the order they were added, labels by name
+    this.panels = [];
+    this.labels = {};
+
+    // How many times a texture was redrawn and uploaded (see getStats())
+    this.uploads = 0;
+  }
+
+  /**
+   * Default look of a panel
+   */
+  static get PANEL_DEFAULTS() {
+    return {
+      anchor: 'top',                      // 'top' or 'bottom'
+      title: '',                          // Bold first line ('' = none)
+      color: 'white',                     // Text color
+      labelColor: '#bbbbbb',              // Color of 'label:' in {label, value} rows
+      fontSize: 14,
+      background: 'rgba(0, 0, 0, 0.5)',   // null = outlined text, no box
+      minWidth: 0                         // Keep the panel at least this wide
+    };
+  }
+
+  /**
+   * Default look of a label
+   */
+  static get LABEL_DEFAULTS() {
+    return {
+      color: 'white',
+      fontSize: 12,
+      align: 'center',                    // 'left', 'center' or 'right' of the point
+      offsetX: 0,                         // Pixels right of the point
+      offsetY: 0                          // Pixels above the point (y up)
+    };
+  }
+
+  // ============================================
+  // PUBLIC API - Panels
+  // ============================================
+
+  /**
+   * Add a panel pinned to the top or bottom of the screen
+   * Panels at the same anchor are laid out in the order they were added.
+   *
+   * @param {string} name - Name to update it with
+   * @param {Object} options - See PANEL_DEFAULTS
+   */
+  addPanel(name, options = {}) {
+    if (this._findPanel(name)) {
+      console.warn(`ThreeHUD: panel '${name}' already exists`);
+      return;
+    }
+
+    let panel = this._createItem(Object.assign({}, ThreeHUD.PANEL_DEFAULTS, options));
+    panel.name = name;
+    panel.rows = [];
+    this.panels.push(panel);
+  }
+
+  /**
+   * Set a panel's rows - only redrawn if something changed
+   * @param {string} name - Panel name
+   * @param {string|Array} rows - A string, or an array of strings and {label, value}
+   */
+  setPanel(name, rows) {
+    let panel = this._findPanel(name);
+    if (!panel) {
+      console.warn(`ThreeHUD: no panel named '${name}'`);
+      return;
+    }
+
+    panel.rows = Array.isArray(rows) ? rows : [rows];
+    let lines = this._panelLines(panel);
+
+    // Dirty check - the same text costs nothing
+    let key = JSON.stringify(lines);
+    if (key === panel.key) return;
+    panel.key = key;
+
+    // Redraw, then lay out again in case it changed size or appeared/disappeared
+    this._drawPanel(panel, lines);
+    this._layout();
+  }
+
+  /**
+   * Set a panel's title
+   * @param {string} name - Panel name
+   * @param {string} title - New title ('' = none)
+   */
+  setTitle(name, title) {
+    let panel = this._findPanel(name);
+    if (!panel) return;
+
+    panel.options.title = title;
+    this.setPanel(name, panel.rows);
+  }
+
+  /**
+   * Show or hide a panel (hidden panels leave no gap)
+   * @param {string} name - Panel name
+   * @param {boolean} visible - true to show
+   */
+  showPanel(name, visible = true) {
+    let panel = this._findPanel(name);
+    if (!panel || panel.hidden === !visible) return;
+
+    panel.hidden = !visible;
+    this._layout();
+  }
+
+  // ============================================
+  // PUBLIC API - Labels
+  // ============================================
+
+  /**
+   * Set the look of a label before using it (optional - setLabel() uses LABEL_DEFAULTS)
+   * @param {string} name - Label name
+   * @param {Object} options - See LABEL_DEFAULTS
+   */
+  addLabel(name, options = {}) {
+    if (this.labels[name]) {
+      console.warn(`ThreeHUD: label '${name}' already exists`);
+      return;
+    }
+
+    let label = this._createItem(Object.assign({}, ThreeHUD.LABEL_DEFAULTS, options));
+    label.sprite.visible = false;
+
+    // Where the sprite is pinned, so the text sits left, centred or right of the point
+    let alignX = { left: 0, center: 0.5, right: 1 }[label.options.align];
+    label.sprite.center.set(alignX !== undefined ? alignX : 0.5, 0.5);
+
+    this.labels[name] = label;
+  }
+
+  /**
+   * Show a label at a point - text is only redrawn if it changed
+   * @param {string} name - Label name
+   * @param {string} text - Text to show
+   * @param {number} x - X in world units
+   * @param {number} y - Y in world units (y up)
+   */
+  setLabel(name, text, x, y) {
+    if (!this.labels[name]) this.addLabel(name);
+    let label = this.labels[name];
+
+    text = String(text);
+    if (text !== label.key) {
+      label.key = text;
+      this._drawLabel(label, text);
+    }
+
+    label.sprite.position.set(x + label.options.offsetX, y + label.options.offsetY, this.Z);
+    label.sprite.visible = true;
+  }
+
+  /**
+   * Hide a label until the next setLabel()
+   * @param {string} name - Label name
+   */
+  hideLabel(name) {
+    if (this.labels[name]) this.labels[name].sprite.visible = false;
+  }
+
+  /**
+   * Hide every label
+   */
+  hideLabels() {
+    for (let name in this.labels) {
+      this.labels[name].sprite.visible = false;
+    }
+  }
+
+  // ============================================
+  // SETTINGS - Size, visibility and cleanup
+  // ============================================
+
+  /**
+   * Set the screen size and lay the panels out again
+   * Portrait stacks panels at each anchor; landscape puts them side by side.
+   *
+   * @param {number} width - Screen width in world units
+   * @param {number} height - Screen height in world units
+   */
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this._layout();
+  }
+
+  /**
+   * Is the screen wider than it is tall?
+   * @returns {boolean} true in landscape
+   */
+  isLandscape() {
+    return this.width > this.height;
+  }
+
+  /**
+   * Show or hide the whole HUD
+   * @param {boolean} visible - true to show
+   */
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  /**
+   * How much work the HUD is doing
+   * @returns {Object} {panels, labels, uploads} - uploads only grows when text changes
+   */
+  getStats() {
+    return {
+      panels: this.panels.length,
+      labels: Object.keys(this.labels).length,
+      uploads: this.uploads
+    };
+  }
+
+  /**
+   * Remove the HUD from the scene and free its textures
+   */
+  dispose() {
+    this.scene.remove(this.group);
+
+    let items = this.panels.concat(Object.values(this.labels));
+    for (let item of items) {
+      item.texture.dispose();
+      item.sprite.material.dispose();
+    }
+
+    this.panels = [];
+    this.labels = {};
+  }
+
+  /**
+   * PRIVATE: A sprite with its own small canvas texture
+   * @param {Object} options - Panel or label options
+   * @returns {Object} {options, canvas, context, texture, sprite, key}
+   */
+  _createItem(options) {
+    let canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+
+    let texture = new THREE.CanvasTexture(canvas);
+    let sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: false
+    }));
+    sprite.renderOrder = 200;
+    sprite.visible = false;
+    this.group.add(sprite);
+
+    return { options: options, canvas: canvas, context: canvas.getContext('2d'), texture: texture, sprite: sprite, key: null };
+  }
+
+  /**
+   * PRIVATE: The lines of text a panel shows
+   * @param {Object} panel - Panel
+   * @returns {Array} [{label, value, bold}]
+   */
+  _panelLines(panel) {
+    let lines = [];
+    if (panel.options.title) lines.push({ label: '', value: panel.options.title, bold: true });
+
+    for (let row of panel.rows) {
+      if (row === null || row === undefined || row === '') continue;
+      if (typeof row === 'object') lines.push({ label: `${row.label}: `, value: String(row.value), bold: false });
+      else lines.push({ label: '', value: String(row), bold: false });
+    }
+    return lines;
+  }
+
+  /**
+   * PRIVATE: Redraw a panel's texture
+   * @param {Object} panel - Panel
+   * @param {Array} lines - From _panelLines()
+   */
+  _drawPanel(panel, lines) {
+    let options = panel.options;
+    let context = panel.context;
+    let padding = options.background ? 8 : 3;
+    let lineHeight = Math.round(options.fontSize * 1.35);
+
+    // Measure
+    let width = options.minWidth;
+    for (let line of lines) {
+      context.font = this._font(options.fontSize, line.bold);
+      width = Math.max(width, context.measureText(line.label + line.value).width + padding * 2);
+    }
+    width = Math.ceil(width);
+    let height = lines.length * lineHeight + padding * 2;
+
+    // Draw in the middle of the texture
+    let origin = this._fit(panel, width, height, 'center');
+
+    if (options.background) {
+      context.fillStyle = options.background;
+      context.beginPath();
+      if (context.roundRect) context.roundRect(origin.x, origin.y, width, height, 6);
+      else context.rect(origin.x, origin.y, width, height);   // Older Safari
+      context.fill();
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      let line = lines[i];
+      let x = origin.x + padding;
+      let y = origin.y + padding + lineHeight * (i + 0.5);
+      context.font = this._font(options.fontSize, line.bold);
+
+      if (line.label) {
+        this._text(context, line.label, x, y, options.labelColor, !options.background);
+        x += context.measureText(line.label).width;
+      }
+      this._text(context, line.value, x, y, options.color, !options.background);
+    }
+
+    this._upload(panel);
+  }
+
+  /**
+   * PRIVATE: Redraw a label's texture
+   * @param {Object} label - Label
+   * @param {string} text - Text to show
+   */
+  _drawLabel(label, text) {
+    let options = label.options;
+    let context = label.context;
+    let padding = 3;
+
+    context.font = this._font(options.fontSize, false);
+    let width = Math.ceil(context.measureText(text).width + padding * 2);
+    let height = Math.round(options.fontSize * 1.35) + padding * 2;
+
+    // Left, centred or right in the texture, to match the sprite's pin
+    let origin = this._fit(label, width, height, options.align);
+
+    context.font = this._font(options.fontSize, false);
+    this._text(context, text, origin.x + padding, origin.y + height / 2, options.color, true);
+
+    this._upload(label);
+  }
+
+  /**
+   * PRIVATE: Outlined (or plain) text, like the ports' strokeText + fillText
+   * @param {CanvasRenderingContext2D} context - Where to draw
+   * @param {string} text - Text to draw
+   * @param {number} x - Left edge
+   * @param {number} y - Middle
+   * @param {string} color - Fill color
+   * @param {boolean} outline - Black outline for text without a background
+   */
+  _text(context, text, x, y, color, outline) {
+    if (outline) context.strokeText(text, x, y);
+    context.fillStyle = color;
+    context.fillText(text, x, y);
+  }
+
+  /**
+   * PRIVATE: CSS font string
+   * @param {number} size - Font size in pixels
+   * @param {boolean} bold - Bold?
+   * @returns {string} e.g. 'bold 14px Arial'
+   */
+  _font(size, bold) {
+    return `${bold ? 'bold ' : ''}${size}px ${this.FONT}`;
+  }
+
+  /**
+   * PRIVATE: Make sure an item's texture can hold its text, clear it, and
+   * return where the text goes.
+   * A texture can't change size once uploaded, so a bigger one replaces it -
+   * rounded up, so numbers that change width every frame don't keep replacing it.
+   *
+   * @param {Object} item - Panel or label
+   * @param {number} width - Text block width in world units
+   * @param {number} height - Text block height in world units
+   * @param {string} align - 'left', 'center' or 'right' in the texture
+   * @returns {Object} {x, y} top-left of the text block
+   */
+  _fit(item, width, height, align) {
+    if (!item.capacity || width > item.capacity.width || height > item.capacity.height) {
+      item.capacity = {
+        width: Math.ceil(width / 32) * 32,
+        height: Math.ceil(height / 8) * 8
+      };
+
+      item.canvas.width = Math.ceil(item.capacity.width * this.PIXEL_RATIO);
+      item.canvas.height = Math.ceil(item.capacity.height * this.PIXEL_RATIO);
+
+      item.texture.dispose();
+      item.texture = new THREE.CanvasTexture(item.canvas);
+      item.sprite.material.map = item.texture;
+      item.sprite.material.needsUpdate = true;
+
+      // One world unit per canvas pixel (before the pixel ratio)
+      item.sprite.scale.set(item.capacity.width, item.capacity.height, 1);
+    }
+
+    // What the text really takes up, for the layout
+    item.width = width;
+    item.height = height;
+
+    // Draw in world units, scaled up for sharp text
+    let context = item.context;
+    context.setTransform(this.PIXEL_RATIO, 0, 0, this.PIXEL_RATIO, 0, 0);
+    context.clearRect(0, 0, item.capacity.width, item.capacity.height);
+    context.textBaseline = 'middle';
+    context.textAlign = 'left';
+    context.strokeStyle = 'black';
+    context.lineWidth = 3;
+
+    let spare = item.capacity.width - width;
+    let x = align === 'left' ? 0 : align === 'right' ? spare : spare / 2;
+    return { x: x, y: (item.capacity.height - height) / 2 };
+  }
+
+  /**
+   * PRIVATE: Send an item's canvas to the GPU
+   * @param {Object} item - Panel or label
+   */
+  _upload(item) {
+    item.texture.needsUpdate = true;
+    this.uploads++;
+  }
+
+  /**
+   * PRIVATE: Place every visible panel at its anchor
+   * Portrait: stacked, centred. Landscape: in a row, centred.
+   */
+  _layout() {
+    // Only the panels placed below are shown
+    for (let panel of this.panels) {
+      panel.sprite.visible = false;
+    }
+
+    for (let anchor of ['top', 'bottom']) {
+      let panels = this.panels.filter(panel =>
+        panel.options.anchor === anchor && !panel.hidden && panel.key !== null && panel.key !== '[]'
+      );
+
+      if (this.isLandscape()) {
+        let total = panels.reduce((sum, panel) => sum + panel.width, 0) + this.GAP * Math.max(0, panels.length - 1);
+        let x = (this.width - total) / 2;
+        for (let panel of panels) {
+          this._place(panel, x + panel.width / 2, this._anchorY(anchor, 0, panel.height));
+          x += panel.width + this.GAP;
+        }
+      } else {
+        let offset = 0;
+        for (let panel of panels) {
+          this._place(panel, this.width / 2, this._anchorY(anchor, offset, panel.height));
+          offset += panel.height + this.GAP;
+        }
+      }
+    }
+  }
+
+  /**
+   * PRIVATE: Centre y of a panel `offset` units in from its anchor edge (y up)
+   * @param {string} anchor - 'top' or 'bottom'
+   * @param {number} offset - Distance from the anchor edge (after the margin)
+   * @param {number} height - Panel height
+   * @returns {number} Y in world units
+   */
+  _anchorY(anchor, offset, height) {
+    if (anchor === 'bottom') return this.MARGIN + offset + height / 2;
+    return this.height - this.MARGIN - offset - height / 2;
+  }
+
+  /**
+   * PRIVATE: Move a panel's sprite
+   * @param {Object} panel - Panel
+   * @param {number} x - Centre x
+   * @param {number} y - Centre y
+   */
+  _place(panel, x, y) {
+    panel.sprite.position.set(x, y, this.Z);
+    panel.sprite.visible = true;
+  }
+
+  /**
+   * PRIVATE: Panel by name
+   * @param {string} name - Panel name
+   * @returns {Object|undefined} Panel
+   */
+  _findPanel(name) {
+    return this.panels.find(panel => panel.name === name);
+  }
+}
@@ -0,0 +1,223 @@
+/*
+ThreeHUD Example - Panels and Labels for a THREE.js Hand Tracker
+
+Full-window hand tracking with text the THREE way: a status line and two
+panels pinned to the top and bottom of the screen, and a name label on
+every fingertip that follows it around.
+
+Watch the "HUD" panel: frames keep counting, but texture uploads only go up
+when a number on screen actually changes. Rotate the phone (or resize the
+window) - the panels stack in portrait and sit side by side in landscape.
+
+KEY IDEAS:
+- hud.setPanel(name, rows) - rows are strings or {label, value}
+- hud.setLabel(name, text, x, y) - moving a label costs nothing
+- Same text = no redraw, no upload (dirty-checking)
+- hud.setSize(width, height) re-lays the panels for the new orientation
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let cameraView;       // CameraView instance
+let overlay;          // ThreeOverlay for the dots
+let hud;              // ThreeHUD instance
+let handPose;         // ML5 HandPose model
+let hands = [];       // Detected hands
+
+// Three.js components
+let scene, camera, renderer;
+let videoPlane;       // Video background (1x1 plane, scaled by the layout)
+
+let frames = 0;       // Frames drawn, to compare with texture uploads
+
+// Fingertip keypoints and their labels
+const FINGERTIPS = [
+  { index: 4, name: 'Thumb' },
+  { index: 8, name: 'Index' },
+  { index: 12, name: 'Middle' },
+  { index: 16, name: 'Ring' },
+  { index: 20, name: 'Pinky' }
+];
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function init() {
+  // Camera and mapping, canvas the size of the window
+  cameraView = new CameraView({ yUp: true, fillWindow: true });
+
+  setupThree();
+  overlay = new ThreeOverlay(scene);
+  setupHUD();
+
+  // Start HandPose once the camera is playing
+  cameraView.onReady(() => {
+    createVideoPlane();
+    handPose = ml5.handPose({ maxHands: 1, flipHorizontal: false }, () => {
+      handPose.detectStart(cameraView.video, (results) => {
+        hands = results || [];
+      });
+    });
+  });
+
+  // Re-place everything when the layout changes (including the HUD panels)
+  cameraView.onResize((layout) => {
+    resizeThree();
+    layoutVideoPlane(layout);
+    hud.setSize(cameraView.width, cameraView.height);
+  });
+
+  animate();
+}
+
+// ==============================================
+// HUD - Panels and labels
+// ==============================================
+function setupHUD() {
+  hud = new ThreeHUD(scene, { width: cameraView.width, height: cameraView.height });
+
+  // Top: plain status line, then the measurements
+  hud.addPanel('status', { anchor: 'top', background: null, fontSize: 16 });
+  hud.addPanel('hand', { anchor: 'top', title: 'Hand', color: 'orange', minWidth: 150 });
+
+  // Bottom: how much work the HUD is doing
+  hud.addPanel('stats', { anchor: 'bottom', title: 'HUD', color: '#00ff88', minWidth: 150 });
+
+  // One label per fingertip, just right of the tip
+  for (let tip of FINGERTIPS) {
+    hud.addLabel(tip.name, { color: 'cyan', align: 'left', offsetX: 10 });
+  }
+}
+
+function updateHUD() {
+  let hand = hands.length > 0 ? cameraView.mapKeypoints(hands[0].keypoints) : null;
+
+  // Status - the same text every frame is never redrawn
+  if (!cameraView.ready) {
+    hud.setPanel('status', 'Starting camera...');
+  } else if (!hand) {
+    hud.setPanel('status', 'Show your hand');
+  } else {
+    hud.setPanel('status', 'Tracking');
+  }
+
+  // Measurements panel (empty = hidden, the others move up)
+  if (hand) {
+    let pinch = Math.hypot(hand[4].x - hand[8].x, hand[4].y - hand[8].y);
+    hud.setPanel('hand', [
+      { label: 'Pinch', value: `${Math.round(pinch / 5) * 5}px` },   // Rounded, so it doesn't flicker
+      { label: 'Hand', value: hands[0].handedness || '-' },
+      { label: 'Wrist', value: `${Math.round(hand[0].x)}, ${Math.round(hand[0].y)}` }
+    ]);
+  } else {
+    hud.setPanel('hand', []);
+  }
+
+  // Fingertip labels follow the points
+  for (let tip of FINGERTIPS) {
+    if (hand) hud.setLabel(tip.name, tip.name, hand[tip.index].x, hand[tip.index].y);
+    else hud.hideLabel(tip.name);
+  }
+
+  // Frames vs texture uploads
+  let stats = hud.getStats();
+  hud.setPanel('stats', [
+    { label: 'Frames', value: Math.floor(frames / 60) * 60 },   // Every 60 frames, or this panel would upload every frame
+    { label: 'Uploads', value: stats.uploads },
+    { label: 'Layout', value: hud.isLandscape() ? 'landscape' : 'portrait' }
+  ]);
+}
+
+// ==============================================
+// THREE.JS - Scene, orthographic camera, renderer
+// ==============================================
+function setupThree() {
+  scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x282828);
+
+  // Pixel coordinates: (0, 0) bottom-left, y up
+  camera = new THREE.OrthographicCamera(0, cameraView.width, cameraView.height, 0, 0.1, 1000);
+  camera.position.z = 10;
+
+  renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.setSize(cameraView.width, cameraView.height);
+  document.body.appendChild(renderer.domElement);
+}
+
+function resizeThree() {
+  camera.right = cameraView.width;
+  camera.top = cameraView.height;
+  camera.updateProjectionMatrix();
+  renderer.setSize(cameraView.width, cameraView.height);
+}
+
+// ==============================================
+// VIDEO - Background plane
+// ==============================================
+function createVideoPlane() {
+  let texture = new THREE.VideoTexture(cameraView.video);
+  videoPlane = new THREE.Mesh(
+    new THREE.PlaneGeometry(1, 1),
+    new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide })
+  );
+  layoutVideoPlane(cameraView.getLayout());
+  scene.add(videoPlane);
+}
+
+function layoutVideoPlane(layout) {
+  if (!videoPlane) return;
+
+  videoPlane.position.set(layout.centerX, layout.centerY, 0);
+  videoPlane.scale.set(layout.mirror ? -layout.width : layout.width, layout.height, 1);
+}
+
+// ==============================================
+// ANIMATE - Runs continuously (like draw() in p5.js)
+// ==============================================
+function animate() {
+  requestAnimationFrame(animate);
+  frames++;
+
+  // Dots on the keypoints
+  overlay.clear();
+  if (hands.length > 0) {
+    for (let point of cameraView.mapKeypoints(hands[0].keypoints)) {
+      overlay.circle(point.x, point.y, 4, 0xffff00);
+    }
+  }
+
+  updateHUD();
+  renderer.render(scene, camera);
+}
+
+// ==============================================
+// START
+// ==============================================
+window.addEventListener('load', init);
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: A score panel for a game
+hud.addPanel('score', { anchor: 'top', title: 'Score', color: 'gold', fontSize: 20 });
+hud.setPanel('score', [String(score)]);
+
+// Example 2: Hide a panel without losing its text
+hud.showPanel('stats', false);
+
+// Example 3: Change a panel's title
+hud.setTitle('hand', hands[0].handedness + ' hand');
+
+// Example 4: Labels for every keypoint
+hand.forEach((point, i) => hud.setLabel('k' + i, i, point.x, point.y));
+
+// Example 5: Round numbers that jitter - fewer redraws, easier to read
+hud.setLabel('speed', `${Math.round(speed / 10) * 10} px/s`, x, y);
+
+// Example 6: Text above everything in a 3D scene
+hud = new ThreeHUD(scene, { width: 405, height: 720, z: 50 });
+*/
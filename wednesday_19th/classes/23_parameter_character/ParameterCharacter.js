@@ -0,0 +1,818 @@
+/**
+ * ParameterCharacter Class
+ *
+ * A p5play character driven by one or more parameters, set up from a
+ * description instead of code. HealthCharacter, StressCharacter and the
+ * friday_7th parameter sketches all repeat the same pattern (the two
+ * classes extend this one):
+ *
+ *   RAW INPUT (click, shake, noise) → PARAMETER (decay, inertia, zones) → OUTPUTS (speed, color, ...)
+ *
+ * Only the numbers change between them, so here the numbers are the character.
+ *
+ * WHAT IT DOES:
+ * - Parameters with a range, decay toward a resting value and inertia (smoothing)
+ * - Zones ("calm", "warning", "panic") with enter/exit events
+ * - Outputs mapped from a parameter: speed, frameDelay, tint, scale, jitter
+ *   (plus an animation per zone, and any custom output you name)
+ * - Walks to a target or wanders, with walk/idle animations picked automatically
+ * - Frame-rate independent (rates are per 60fps frame, scaled by deltaTime)
+ * - Optional localStorage persistence per parameter
+ * - Built-in presets: health, stress, momentum, introversion
+ *
+ * HOW TO USE:
+ *
+ *   let character = new ParameterCharacter(width / 2, height / 2,
+ *     { idle: idleAni, walk: walkAni },
+ *     ParameterCharacter.PRESETS.stress
+ *   );
+ *
+ *   character.onZoneEnter((zone) => console.log('Now', zone));
+ *
+ *   function draw() {
+ *     character.update();
+ *   }
+ *
+ *   function deviceShaken() {
+ *     character.add('stress', 8);
+ *   }
+ *
+ * NEW CHARACTERS:
+ *
+ *   let sleepy = new ParameterCharacter(200, 300, { idle: idleAni, walk: walkAni }, {
+ *     parameters: {
+ *       energy: {
+ *         min: 0, max: 100, value: 100,
+ *         decay: 0.05,                        // Lost per 60fps frame...
+ *         rest: 0,                            // ...on the way to this value
+ *         inertia: 0.1,                       // Smoothing (1 = none)
+ *         zones: { asleep: [0, 15], drowsy: [15, 50], awake: [50, 100] },
+ *         save: 'sleepyEnergy'                // localStorage key
+ *       }
+ *     },
+ *     outputs: {
+ *       speed: { from: 'energy', range: [0.5, 3], zones: { asleep: 0 } },
+ *       frameDelay: { from: 'energy', range: [12, 4] },
+ *       tint: { from: 'energy', colors: [[120, 120, 255], [255, 255, 255]] }
+ *     },
+ *     wander: true
+ *   });
+ *
+ * Or extend it and keep the input handling inside the class:
+ *
+ *   class ShyCharacter extends ParameterCharacter {
+ *     constructor(x, y, animations) {
+ *       super(x, y, animations, ParameterCharacter.PRESETS.introversion);
+ *     }
+ *     update() {
+ *       if (mic.getLevel() > 0.09) this.addPerFrame('introversion', -1.2);
+ *       super.update();
+ *     }
+ *   }
+ */
+
+class ParameterCharacter {
+  /**
+   * Constructor - Create a character and its sprite
+   *
+   * @param {number} x - Starting x position
+   * @param {number} y - Starting y position
+   * @param {Object} animations - p5play animations by name, e.g. { idle: idleAni, walk: walkAni }
+   * @param {Object} config - Parameters, outputs and movement
+   * @param {Object} config.parameters - Parameter definitions by name (see PARAMETER_DEFAULTS)
+   * @param {Object} config.outputs - Output mappings by name (see the Outputs comment)
+   * @param {number} config.scale - Sprite scale when there is no scale output (default 0.2)
+   * @param {number} config.speed - Walk speed in pixels per 60fps frame, when there is no speed output (default 2.5)
+   * @param {boolean} config.wander - Choose random targets on its own (default false)
+   * @param {number} config.wanderInterval - 60fps frames between wander targets (default 120)
+   * @param {Object} config.bounds - Wander area {x, y, width, height} (default the canvas, inset 80)
+   * @param {number} config.stopDistance - Distance that counts as arrived (default 5)
+   * @param {boolean} config.frameRateIndependent - Scale rates by deltaTime (default true)
+   */
+  constructor(x, y, animations = {}, config = {}) {
+    // Tunable parameters
+    this.SCALE = config.scale !== undefined ? config.scale : 0.2;
+    this.SPEED = config.speed !== undefined ? config.speed : 2.5;
+    this.WANDER = config.wander !== undefined ? config.wander : false;
+    this.WANDER_INTERVAL = config.wanderInterval !== undefined ? config.wanderInterval : 120;
+    this.STOP_DISTANCE = config.stopDistance !== undefined ? config.stopDistance : 5;
+    this.FRAME_RATE_INDEPENDENT = config.frameRateIndependent !== undefined ? config.frameRateIndependent : true;
+    this.bounds = config.bounds || { x: 80, y: 100, width: width - 160, height: height - 200 };
+
+    // Sprite
+    this.sprite = new Sprite(x, y);
+    this.sprite.scale = this.SCALE;
+    this.sprite.physics = 'kinematic';
+    this.sprite.collider = 'none';
+
+    this.animationNames = Object.keys(animations);
+    for (let name of this.animationNames) {
+      this.sprite.addAni(name, animations[name]);
+    }
+    if (animations.idle) this.sprite.changeAni('idle');
+
+    // Parameters and outputs
+    this.parameters = {};
+    for (let name in config.parameters || {}) {
+      this.parameters[name] = this._createParameter(name, config.parameters[name]);
+    }
+
+    this.outputDefinitions = {};
+    for (let name in config.outputs || {}) {
+      this.outputDefinitions[name] = this._createOutput(name, config.outputs[name]);
+    }
+    this.outputs = {};
+
+    // Movement
+    this.target = null;
+    this.wanderTimer = this.WANDER_INTERVAL;   // Pick a first target straight away
+    this.moving = false;
+
+    // Callbacks
+    this.callbacks = { zoneEnter: [], zoneExit: [] };
+  }
+
+  /**
+   * Parameter defaults - every parameter definition can set any of these
+   *
+   * - min / max: range, values are kept inside it
+   * - value: starting value (default min), replaced by the saved one if there is one
+   * - rest: where decay pulls the value (default min)
+   * - decay: amount per 60fps frame toward rest
+   * - movingDecay: decay while the character walks (default: same as decay)
+   * - drag: fraction of the distance to rest lost per 60fps frame (0.08 ≈ multiply by 0.92)
+   * - inertia: how fast the smoothed value follows (0-1, 1 = no smoothing)
+   * - zones: { name: [from, to] } - checked against the smoothed value
+   * - hysteresis: how far past its edge the value must go to leave a zone
+   * - save: localStorage key (null = not saved)
+   */
+  static get PARAMETER_DEFAULTS() {
+    return {
+      min: 0,
+      max: 100,
+      value: undefined,
+      rest: undefined,
+      decay: 0,
+      movingDecay: undefined,
+      drag: 0,
+      inertia: 1,
+      zones: {},
+      hysteresis: 0,
+      save: null
+    };
+  }
+
+  /*
+   * Outputs (config.outputs) - the character applies these to its sprite:
+   * speed, frameDelay, tint, scale, jitter and animation (an animation name)
+   *
+   * Every output is { from: parameterName, ... } with one or more of:
+   * - range: [out at min, out at max] - mapped from the smoothed value
+   * - input: [from, to] - map only this part of the parameter (default min..max)
+   * - curve: exponent on the 0-1 position (1 = linear, 2 = slow start)
+   * - colors: [color, color, ...] - tint only, blended evenly across the range
+   * - zones: { zone: value } or { zone: [out at zone start, out at zone end] } -
+   *          wins over range/colors while the parameter is in that zone
+   * - default: used when nothing else applies
+   * - raw: true = read the value before smoothing
+   *
+   * Any other name is computed too and available with getOutput(name).
+   * An output can also be a function (character) → value.
+   */
+
+  /**
+   * Built-in characters, as configuration
+   *
+   * The numbers come from these sketches:
+   * - health: friday_7th/characterController/01_parameter_health (click to heal)
+   * - stress: 03_stress_character_class (shake to stress)
+   * - momentum: friday_7th/characterController/02_parameter_momentum (click to push)
+   * - introversion: wednesday_5th/p5Play/p5play_04_sound_introversion (noise drains it)
+   */
+  static get PRESETS() {
+    return {
+      health: {
+        parameters: {
+          health: {
+            value: 100,
+            decay: 0.08,
+            inertia: 0.15,
+            zones: { critical: [0, 20], low: [20, 30], medium: [30, 60], good: [60, 100] },
+            save: 'parameterHealth'
+          }
+        },
+        outputs: {
+          speed: { from: 'health', range: [0.5, 4], zones: { critical: 0, low: 0 } },
+          frameDelay: { from: 'health', range: [10, 3] },
+          tint: {
+            from: 'health',
+            zones: { critical: [255, 100, 100], low: [255, 180, 100], medium: [255, 255, 150] },
+            default: 255
+          }
+        }
+      },
+
+      stress: {
+        parameters: {
+          stress: {
+            decay: 0.15,
+            inertia: 0.12,
+            zones: { calm: [0, 40], warning: [40, 70], panic: [70, 100] },
+            save: 'parameterStress'
+          }
+        },
+        outputs: {
+          speed: { from: 'stress', zones: { calm: 2.5, warning: 3, panic: 4.5 }, raw: true },
+          tint: { from: 'stress', colors: [[100, 255, 100], [255, 50, 100]] },
+          jitter: { from: 'stress', zones: { warning: [0, 3], panic: [3, 8] }, default: 0, raw: true }
+        },
+        wander: true
+      },
+
+      momentum: {
+        parameters: {
+          momentum: {
+            decay: 0.3,          // Friction when standing
+            movingDecay: 0.1,    // Drag while walking
+            inertia: 0.12,
+            zones: { still: [0, 10], walk: [10, 50], run: [50, 75], sprint: [75, 100] }
+          }
+        },
+        outputs: {
+          speed: { from: 'momentum', range: [0.3, 6], curve: 1.3, zones: { still: 0 } },
+          frameDelay: { from: 'momentum', range: [12, 2] },
+          tint: { from: 'momentum', zones: { run: [150, 200, 255], sprint: [0, 255, 255] }, default: 255 }
+        }
+      },
+
+      introversion: {
+        parameters: {
+          introversion: {
+            value: 100,
+            rest: 100,           // Recovers in quiet...
+            decay: 0.2,          // ...at this rate; noise pushes it down with addPerFrame()
+            inertia: 0.2,
+            zones: { panic: [0, 30], uneasy: [30, 70], comfortable: [70, 100] }
+          }
+        },
+        outputs: {
+          speed: { from: 'introversion', range: [2, 0.3] },
+          frameDelay: { from: 'introversion', range: [2, 8] },
+          scale: { from: 'introversion', range: [0.2, 0.12] },
+          jitter: { from: 'introversion', zones: { panic: [4, 1] }, default: 0 }
+        },
+        wander: true
+      }
+    };
+  }
+
+  // ============================================
+  // PUBLIC API - Update
+  // ============================================
+
+  /**
+   * Update parameters, zones, outputs and movement - call once per frame
+   */
+  update() {
+    let frameScale = this.getFrameScale();
+
+    for (let name in this.parameters) {
+      this._updateParameter(this.parameters[name], frameScale);
+      this._updateZone(this.parameters[name]);
+    }
+
+    for (let name in this.outputDefinitions) {
+      this.outputs[name] = this._evaluate(name, this.outputDefinitions[name]);
+    }
+
+    this._updateMovement(frameScale);
+    this._applyOutputs();
+
+    for (let name in this.parameters) {
+      this._save(this.parameters[name]);
+    }
+  }
+
+  /**
+   * How many 60fps frames this frame lasted
+   * 1 at 60fps, 2 at 30fps, 0.5 at 120Hz - capped so a paused tab doesn't jump
+   *
+   * @returns {number} Frame scale
+   */
+  getFrameScale() {
+    if (!this.FRAME_RATE_INDEPENDENT) return 1;
+    if (typeof FrameTime !== 'undefined') return FrameTime.scale();   // One switch for the whole sketch
+    return constrain(deltaTime / (1000 / 60), 0, 4);
+  }
+
+  // ============================================
+  // PUBLIC API - Parameters
+  // ============================================
+
+  /**
+   * Get a parameter's value (before smoothing)
+   *
+   * @param {string} name - Parameter name
+   * @returns {number} Value
+   */
+  get(name) {
+    return this._parameter(name).value;
+  }
+
+  /**
+   * Get a parameter's smoothed value - what the outputs and zones use
+   *
+   * @param {string} name - Parameter name
+   * @returns {number} Smoothed value
+   */
+  getSmoothed(name) {
+    return this._parameter(name).smoothed;
+  }
+
+  /**
+   * Set a parameter's value (kept inside its range; the smoothed value follows)
+   *
+   * @param {string} name - Parameter name
+   * @param {number} value - New value
+   */
+  set(name, value) {
+    let parameter = this._parameter(name);
+    parameter.value = constrain(value, parameter.min, parameter.max);
+  }
+
+  /**
+   * Add to a parameter once - a click, a shake, a hit
+   *
+   * @param {string} name - Parameter name
+   * @param {number} amount - Amount to add (negative to take away)
+   */
+  add(name, amount) {
+    this.set(name, this.get(name) + amount);
+  }
+
+  /**
+   * Add to a parameter for as long as something lasts - call every frame
+   * while it does (noise, holding a button). Scaled by deltaTime.
+   *
+   * @param {string} name - Parameter name
+   * @param {number} amountPerFrame - Amount per 60fps frame
+   */
+  addPerFrame(name, amountPerFrame) {
+    this.add(name, amountPerFrame * this.getFrameScale());
+  }
+
+  /**
+   * Put a parameter back to its starting value and forget the saved one
+   *
+   * @param {string} name - Parameter name (omit for all of them)
+   */
+  reset(name) {
+    let names = name !== undefined ? [name] : Object.keys(this.parameters);
+
+    for (let parameterName of names) {
+      let parameter = this._parameter(parameterName);
+      parameter.value = parameter.initial;
+      parameter.smoothed = parameter.initial;
+      parameter.saved = null;
+
+      if (parameter.save) {
+        try {
+          localStorage.removeItem(parameter.save);
+        } catch (error) {
+          console.warn('ParameterCharacter: could not clear saved', parameterName, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the zone a parameter is in
+   *
+   * @param {string} name - Parameter name
+   * @returns {string|null} Zone name, or null if it's in none
+   */
+  getZone(name) {
+    return this._parameter(name).zone;
+  }
+
+  /**
+   * Check whether a parameter is in a zone
+   *
+   * @param {string} name - Parameter name
+   * @param {string} zone - Zone name
+   * @returns {boolean} True if it is
+   */
+  isInZone(name, zone) {
+    return this.getZone(name) === zone;
+  }
+
+  /**
+   * Get a parameter's definition (min, max, zones, ...) e.g. to draw a bar
+   *
+   * @param {string} name - Parameter name
+   * @returns {Object} The parameter
+   */
+  getParameter(name) {
+    return this._parameter(name);
+  }
+
+  /**
+   * Get the saved value of a parameter
+   *
+   * @param {string} name - Parameter name
+   * @returns {number|null} Saved value, or null if nothing is saved
+   */
+  getSaved(name) {
+    return this._load(this._parameter(name));
+  }
+
+  // ============================================
+  // PUBLIC API - Outputs and movement
+  // ============================================
+
+  /**
+   * Get an output's value from the last update()
+   *
+   * @param {string} name - Output name ('speed', 'tint', or your own)
+   * @returns {*} Value (undefined if there's no such output)
+   */
+  getOutput(name) {
+    return this.outputs[name];
+  }
+
+  /**
+   * Get all outputs from the last update()
+   *
+   * @returns {Object} Values by output name
+   */
+  getOutputs() {
+    return Object.assign({}, this.outputs);
+  }
+
+  /**
+   * Walk to a point (at the speed output)
+   *
+   * @param {number} x - Target x
+   * @param {number} y - Target y
+   */
+  setTarget(x, y) {
+    this.target = { x: x, y: y };
+  }
+
+  /**
+   * Stop walking to the target
+   */
+  clearTarget() {
+    this.target = null;
+  }
+
+  /**
+   * Check whether the character walked this frame
+   *
+   * @returns {boolean} True if moving
+   */
+  isMoving() {
+    return this.moving;
+  }
+
+  /**
+   * Remove the sprite
+   */
+  remove() {
+    this.sprite.remove();
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Called when a parameter enters a zone
+   *
+   * @param {Function} callback - function(zone, parameterName, previousZone)
+   */
+  onZoneEnter(callback) {
+    this.callbacks.zoneEnter.push(callback);
+  }
+
+  /**
+   * Called when a parameter leaves a zone
+   *
+   * @param {Function} callback - function(zone, parameterName, nextZone)
+   */
+  onZoneExit(callback) {
+    this.callbacks.zoneExit.push(callback);
+  }
+
+  /**
+   * PRIVATE: Fill in a parameter definition and load its saved value
+   *
+   * @param {string} name - Parameter name
+   * @param {Object} definition - See PARAMETER_DEFAULTS
+   * @returns {Object} The parameter
+   */
+  _createParameter(name, definition) {
+    let parameter = Object.assign(ParameterCharacter.PARAMETER_DEFAULTS, definition, { name: name });
+
+    if (parameter.value === undefined) parameter.value = parameter.min;
+    if (parameter.rest === undefined) parameter.rest = parameter.min;
+    if (parameter.movingDecay === undefined) parameter.movingDecay = parameter.decay;
+
+    // Zones as [{ name, from, to }] in the order they were written
+    parameter.zones = Object.keys(parameter.zones).map((zone) => ({
+      name: zone,
+      from: parameter.zones[zone][0],
+      to: parameter.zones[zone][1]
+    }));
+
+    parameter.initial = constrain(parameter.value, parameter.min, parameter.max);
+    let saved = this._load(parameter);
+    parameter.value = saved !== null ? constrain(saved, parameter.min, parameter.max) : parameter.initial;
+    parameter.smoothed = parameter.value;
+    parameter.saved = saved;
+
+    // The starting zone doesn't fire an event
+    parameter.zone = this._findZone(parameter, parameter.smoothed);
+
+    return parameter;
+  }
+
+  /**
+   * PRIVATE: Turn an output's colors into p5 colors once
+   *
+   * @param {string} name - Output name
+   * @param {Object|Function} definition - See the Outputs comment
+   * @returns {Object|Function} The output
+   */
+  _createOutput(name, definition) {
+    if (typeof definition === 'function') return definition;
+
+    let output = Object.assign({}, definition);
+
+    if (!this.parameters[output.from]) {
+      console.warn('ParameterCharacter: output', name, 'reads unknown parameter', output.from);
+    }
+
+    if (name === 'tint') {
+      if (output.colors) output.colors = output.colors.map((c) => this._color(c));
+      if (output.zones) {
+        let zones = {};
+        for (let zone in output.zones) zones[zone] = this._color(output.zones[zone]);
+        output.zones = zones;
+      }
+      if (output.default !== undefined) output.default = this._color(output.default);
+    }
+
+    return output;
+  }
+
+  /**
+   * PRIVATE: Decay toward rest, then smooth
+   *
+   * @param {Object} parameter - The parameter
+   * @param {number} frameScale - 60fps frames this frame lasted
+   */
+  _updateParameter(parameter, frameScale) {
+    let decay = this.moving ? parameter.movingDecay : parameter.decay;
+    let distance = parameter.rest - parameter.value;
+
+    // Constant decay, never overshooting the resting value
+    let step = Math.min(Math.abs(distance), decay * frameScale);
+    parameter.value += Math.sign(distance) * step;
+
+    // Proportional drag (pow() keeps it the same per second at any frame rate)
+    if (parameter.drag > 0) {
+      parameter.value = lerp(parameter.value, parameter.rest, 1 - pow(1 - parameter.drag, frameScale));
+    }
+
+    parameter.value = constrain(parameter.value, parameter.min, parameter.max);
+
+    let smoothing = 1 - pow(1 - parameter.inertia, frameScale);
+    parameter.smoothed = lerp(parameter.smoothed, parameter.value, smoothing);
+  }
+
+  /**
+   * PRIVATE: Move a parameter between zones, firing exit then enter
+   *
+   * @param {Object} parameter - The parameter
+   */
+  _updateZone(parameter) {
+    let zone = this._findZone(parameter, parameter.smoothed);
+    if (zone === parameter.zone) return;
+
+    let previous = parameter.zone;
+    parameter.zone = zone;
+
+    if (previous !== null) {
+      for (let callback of this.callbacks.zoneExit) callback(previous, parameter.name, zone);
+    }
+    if (zone !== null) {
+      for (let callback of this.callbacks.zoneEnter) callback(zone, parameter.name, previous);
+    }
+  }
+
+  /**
+   * PRIVATE: Find the zone for a value - stays in the current zone until the
+   * value is past its edge by the hysteresis
+   *
+   * @param {Object} parameter - The parameter
+   * @param {number} value - Value to look up
+   * @returns {string|null} Zone name
+   */
+  _findZone(parameter, value) {
+    let h = parameter.hysteresis;
+    let current = parameter.zones.find((zone) => zone.name === parameter.zone);
+
+    if (current && value >= current.from - h && value <= current.to + h) {
+      return current.name;
+    }
+
+    // Zones include their start; the one ending at max includes max as well
+    for (let zone of parameter.zones) {
+      if (value >= zone.from && (value < zone.to || (zone.to >= parameter.max && value <= zone.to))) {
+        return zone.name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * PRIVATE: Work out one output's value
+   *
+   * @param {string} name - Output name
+   * @param {Object|Function} output - The output
+   * @returns {*} Value
+   */
+  _evaluate(name, output) {
+    if (typeof output === 'function') return output(this);
+
+    let parameter = this.parameters[output.from];
+    if (!parameter) return output.default;
+
+    let value = output.raw ? parameter.value : parameter.smoothed;
+
+    // A value for the zone wins
+    if (output.zones && parameter.zone !== null && output.zones[parameter.zone] !== undefined) {
+      let zoneValue = output.zones[parameter.zone];
+
+      if (name !== 'tint' && Array.isArray(zoneValue) && zoneValue.length === 2) {
+        let zone = parameter.zones.find((z) => z.name === parameter.zone);
+        return map(value, zone.from, zone.to, zoneValue[0], zoneValue[1], true);
+      }
+      return zoneValue;
+    }
+
+    if (output.range || output.colors) {
+      let input = output.input || [parameter.min, parameter.max];
+      let t = constrain((value - input[0]) / (input[1] - input[0]), 0, 1);
+      if (output.curve !== undefined) t = pow(t, output.curve);
+
+      if (output.colors) return this._blend(output.colors, t);
+      return lerp(output.range[0], output.range[1], t);
+    }
+
+    return output.default;
+  }
+
+  /**
+   * PRIVATE: Walk to the target (or wander) at the speed output
+   *
+   * @param {number} frameScale - 60fps frames this frame lasted
+   */
+  _updateMovement(frameScale) {
+    let speed = this.outputs.speed !== undefined ? this.outputs.speed : this.SPEED;
+
+    if (this.WANDER) {
+      this.wanderTimer += frameScale;
+      let arrived = this.target && dist(this.sprite.x, this.sprite.y, this.target.x, this.target.y) <= this.STOP_DISTANCE;
+
+      if (this.wanderTimer >= this.WANDER_INTERVAL || arrived || !this.target) {
+        this.target = {
+          x: random(this.bounds.x, this.bounds.x + this.bounds.width),
+          y: random(this.bounds.y, this.bounds.y + this.bounds.height)
+        };
+        this.wanderTimer = 0;
+      }
+    }
+
+    let distance = this.target ? dist(this.sprite.x, this.sprite.y, this.target.x, this.target.y) : 0;
+    this.moving = distance > this.STOP_DISTANCE && speed > 0;
+
+    if (this.moving) {
+      // moveTo() speeds are per frame - scale them like every other rate
+      this.sprite.moveTo(this.target.x, this.target.y, speed * frameScale);
+    } else {
+      this.sprite.vel.x = 0;
+      this.sprite.vel.y = 0;
+    }
+
+    // Face the way it's walking
+    if (this.sprite.vel.x < -0.1) {
+      this.sprite.mirror.x = true;
+    } else if (this.sprite.vel.x > 0.1) {
+      this.sprite.mirror.x = false;
+    }
+  }
+
+  /**
+   * PRIVATE: Put the outputs on the sprite
+   */
+  _applyOutputs() {
+    let outputs = this.outputs;
+
+    // Animation: the output if there is one, otherwise walk while moving
+    let animation = outputs.animation;
+    if (animation === undefined) animation = this.moving ? 'walk' : 'idle';
+    if (this.animationNames.includes(animation) && this.sprite.ani.name !== animation) {
+      this.sprite.changeAni(animation);
+    }
+
+    if (outputs.frameDelay !== undefined) {
+      this.sprite.ani.frameDelay = Math.max(1, Math.round(outputs.frameDelay));
+    }
+    if (outputs.tint !== undefined) {
+      this.sprite.color = outputs.tint;
+    }
+    if (outputs.scale !== undefined) {
+      this.sprite.scale = outputs.scale;
+    }
+    if (outputs.jitter > 0) {
+      this.sprite.x += random(-outputs.jitter, outputs.jitter);
+      this.sprite.y += random(-outputs.jitter, outputs.jitter);
+    }
+  }
+
+  /**
+   * PRIVATE: Blend evenly spaced colors
+   *
+   * @param {p5.Color[]} colors - Colors from min to max
+   * @param {number} t - Position 0-1
+   * @returns {p5.Color} Blended color
+   */
+  _blend(colors, t) {
+    if (colors.length === 1) return colors[0];
+
+    let position = t * (colors.length - 1);
+    let index = Math.min(Math.floor(position), colors.length - 2);
+    return lerpColor(colors[index], colors[index + 1], position - index);
+  }
+
+  /**
+   * PRIVATE: Make a p5 color from [r, g, b], a gray number or a CSS string
+   *
+   * @param {Array|number|string|p5.Color} value - Color
+   * @returns {p5.Color} Color
+   */
+  _color(value) {
+    return Array.isArray(value) ? color(...value) : color(value);
+  }
+
+  /**
+   * PRIVATE: Look up a parameter, with a helpful error for typos
+   *
+   * @param {string} name - Parameter name
+   * @returns {Object} The parameter
+   */
+  _parameter(name) {
+    let parameter = this.parameters[name];
+    if (!parameter) {
+      throw new Error(`ParameterCharacter: no parameter named "${name}"`);
+    }
+    return parameter;
+  }
+
+  /**
+   * PRIVATE: Read a parameter's saved value
+   *
+   * @param {Object} parameter - The parameter
+   * @returns {number|null} Saved value
+   */
+  _load(parameter) {
+    if (!parameter.save) return null;
+
+    try {
+      let saved = localStorage.getItem(parameter.save);
+      return saved !== null && !isNaN(Number(saved)) ? Number(saved) : null;
+    } catch (error) {
+      console.warn('ParameterCharacter: could not load', parameter.name, error);
+      return null;
+    }
+  }
+
+  /**
+   * PRIVATE: Save a parameter's value when it has changed
+   *
+   * @param {Object} parameter - The parameter
+   */
+  _save(parameter) {
+    if (!parameter.save || parameter.value === parameter.saved) return;
+
+    try {
+      localStorage.setItem(parameter.save, parameter.value);
+      parameter.saved = parameter.value;
+    } catch (error) {
+      console.warn('ParameterCharacter: could not save', parameter.name, error);
+    }
+  }
+}
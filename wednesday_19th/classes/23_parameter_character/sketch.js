@@ -0,0 +1,259 @@
+/*
+ParameterCharacter Example - Four Characters, Four Configurations
+
+One class, four built-in presets stacked on the screen. Each character has
+its own band, its own parameter and its own input - and not one line of
+behaviour code in this sketch:
+
+- Health: tap its band to heal it and send it there (it gets tired and stops)
+- Stress: shake the phone (or tap its band) - it wanders faster and jitters
+- Momentum: tap its band repeatedly to build speed - friction slows it down
+- Introversion: hold your finger on its band to make "noise" - it shrinks and panics
+
+The bar above each character shows its zones, the smoothed value (white line)
+and the last zone event.
+
+KEY IDEAS:
+- new ParameterCharacter(x, y, animations, ParameterCharacter.PRESETS.stress)
+- character.add(name, amount) for events, addPerFrame() for things that last
+- Zones with onZoneEnter / onZoneExit events
+- Outputs (speed, frameDelay, tint, scale, jitter) are mapped, not coded
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let idleAnimation;      // Animation assets (shared with 04_character_template_class)
+let walkAnimation;
+let bands = [];         // One per character: { name, parameter, character, y, event }
+let resetButton;        // Reset button UI element
+
+const BAND_HEIGHT = 180;  // 720 / 4
+const BAR_HEIGHT = 12;
+
+// Zone colours for the bars
+const ZONE_COLORS = [[90, 90, 110], [120, 120, 150], [150, 150, 190], [180, 180, 230]];
+
+// ==============================================
+// PRELOAD - Load animations before setup
+// ==============================================
+function preload() {
+  idleAnimation = loadAni('../04_character_template_class/animations/idle/idleAnim_1.png', 9);
+  walkAnimation = loadAni('../04_character_template_class/animations/walk/walkAnim_1.png', 13);
+}
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (9:16 aspect ratio for mobile)
+  createCanvas(405, 720);
+
+  lockGestures();
+  enableGyroTap('Tap to enable shake detection');
+
+  world.gravity.y = 0;
+
+  // One character per preset, each kept inside its own band
+  let presets = ['health', 'stress', 'momentum', 'introversion'];
+  presets.forEach((name, i) => createBand(name, i * BAND_HEIGHT));
+
+  createResetButton();
+}
+
+function createBand(name, y) {
+  // A preset is just an object - change or add to it before using it
+  let config = Object.assign(ParameterCharacter.PRESETS[name], {
+    scale: 0.15,
+    bounds: { x: 50, y: y + 80, width: width - 100, height: BAND_HEIGHT - 110 }
+  });
+
+  let character = new ParameterCharacter(width / 2, y + 120, { idle: idleAnimation, walk: walkAnimation }, config);
+  let band = { name: name, parameter: name, character: character, y: y, event: '' };
+
+  // Zone events - here just written under the bar
+  character.onZoneEnter((zone, parameter, previous) => {
+    band.event = `${previous || '-'} → ${zone}`;
+  });
+
+  bands.push(band);
+}
+
+// ==============================================
+// DRAW - Main loop
+// ==============================================
+function draw() {
+  background(30, 30, 40);
+
+  // Holding a finger on the introversion band is "noise"
+  let noisy = bands[3];
+  if (mouseIsPressed && bandAt(mouseY) === noisy) {
+    noisy.character.addPerFrame('introversion', -1.2);
+  }
+
+  for (let band of bands) {
+    band.character.update();
+    drawBand(band);
+  }
+}
+
+// ==============================================
+// DISPLAY - Band, zone bar and readout
+// ==============================================
+function drawBand(band) {
+  let character = band.character;
+  let parameter = character.getParameter(band.parameter);
+  let barX = 20;
+  let barY = band.y + 38;
+  let barWidth = width - 40;
+
+  push();
+
+  // Band divider
+  stroke(60, 60, 75);
+  line(0, band.y, width, band.y);
+
+  // Title and zone
+  noStroke();
+  fill(255);
+  textAlign(LEFT, TOP);
+  textSize(14);
+  textStyle(BOLD);
+  text(band.name.toUpperCase(), barX, band.y + 12);
+  textStyle(NORMAL);
+  textAlign(RIGHT, TOP);
+  fill(255, 220, 120);
+  text(character.getZone(band.parameter) || '-', width - 20, band.y + 12);
+
+  // Zones
+  parameter.zones.forEach((zone, i) => {
+    let x1 = map(zone.from, parameter.min, parameter.max, barX, barX + barWidth);
+    let x2 = map(zone.to, parameter.min, parameter.max, barX, barX + barWidth);
+    fill(ZONE_COLORS[i % ZONE_COLORS.length]);
+    rect(x1, barY, x2 - x1, BAR_HEIGHT);
+  });
+
+  // Value (bar) and smoothed value (line)
+  let valueX = map(character.get(band.parameter), parameter.min, parameter.max, barX, barX + barWidth);
+  let smoothedX = map(character.getSmoothed(band.parameter), parameter.min, parameter.max, barX, barX + barWidth);
+  fill(255, 200, 80, 160);
+  rect(barX, barY + 3, valueX - barX, BAR_HEIGHT - 6);
+  stroke(255);
+  strokeWeight(2);
+  line(smoothedX, barY - 3, smoothedX, barY + BAR_HEIGHT + 3);
+
+  // Readout: value, speed and the last event
+  noStroke();
+  fill(180);
+  textSize(11);
+  textAlign(LEFT, TOP);
+  let speed = character.getOutput('speed');
+  text(`${nf(character.getSmoothed(band.parameter), 1, 1)}   speed ${speed !== undefined ? nf(speed, 1, 1) : '-'}`, barX, barY + BAR_HEIGHT + 6);
+  textAlign(RIGHT, TOP);
+  text(band.event, width - 20, barY + BAR_HEIGHT + 6);
+
+  pop();
+}
+
+// ==============================================
+// UI - Reset button
+// ==============================================
+function createResetButton() {
+  resetButton = createButton('Reset All');
+  resetButton.position(width - 100, height - 45);
+  resetButton.mousePressed(() => {
+    for (let band of bands) {
+      band.character.reset();
+      band.event = '';
+    }
+  });
+  resetButton.style('padding', '8px 15px');
+  resetButton.style('font-size', '14px');
+  resetButton.style('background-color', '#ff4444');
+  resetButton.style('color', 'white');
+  resetButton.style('border', 'none');
+  resetButton.style('border-radius', '5px');
+  resetButton.style('cursor', 'pointer');
+  resetButton.style('font-family', 'Arial, sans-serif');
+}
+
+// ==============================================
+// INTERACTION - Each band has its own input
+// ==============================================
+function bandAt(y) {
+  return bands[constrain(floor(y / BAND_HEIGHT), 0, bands.length - 1)];
+}
+
+function mousePressed() {
+  let band = bandAt(mouseY);
+
+  if (band.name === 'health') {
+    band.character.add('health', 15);
+    band.character.setTarget(mouseX, constrain(mouseY, band.y + 80, band.y + BAND_HEIGHT - 30));
+  } else if (band.name === 'stress') {
+    band.character.add('stress', 8);
+  } else if (band.name === 'momentum') {
+    band.character.add('momentum', 8);
+    band.character.setTarget(mouseX, constrain(mouseY, band.y + 80, band.y + BAND_HEIGHT - 30));
+  }
+  // Introversion is handled in draw() while the finger is down
+
+  return false;
+}
+
+function touchStarted() {
+  return mousePressed();
+}
+
+function deviceShaken() {
+  if (window.sensorsEnabled) {
+    bands[1].character.add('stress', 8);
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: A character from scratch - no preset
+let sleepy = new ParameterCharacter(200, 300, { idle: idleAnimation, walk: walkAnimation }, {
+  parameters: {
+    energy: { value: 100, decay: 0.05, inertia: 0.1, zones: { asleep: [0, 15], awake: [15, 100] } }
+  },
+  outputs: {
+    speed: { from: 'energy', range: [0.5, 3], zones: { asleep: 0 } },
+    tint: { from: 'energy', colors: ['#6060ff', '#ffffff'] }
+  },
+  wander: true
+});
+
+// Example 2: Two parameters - stress drives the tint, energy the speed
+character = new ParameterCharacter(x, y, animations, {
+  parameters: {
+    stress: { decay: 0.15, zones: { calm: [0, 50], panic: [50, 100] } },
+    energy: { value: 100, decay: 0.05 }
+  },
+  outputs: {
+    speed: { from: 'energy', range: [0, 4] },
+    tint: { from: 'stress', colors: ['white', 'red'] }
+  }
+});
+
+// Example 3: Play a sound when it panics, stop when it calms down
+character.onZoneEnter((zone) => { if (zone === 'panic') scream.loop(); });
+character.onZoneExit((zone) => { if (zone === 'panic') scream.stop(); });
+
+// Example 4: A different animation per zone
+outputs: { animation: { from: 'health', zones: { critical: 'idle', good: 'walk' } } }
+
+// Example 5: No flicker at the edge of a zone
+parameters: { stress: { zones: { calm: [0, 40], panic: [40, 100] }, hysteresis: 5 } }
+
+// Example 6: Your own output, read back with getOutput()
+outputs: { volume: { from: 'stress', range: [0, 1], curve: 2 } }
+music.setVolume(character.getOutput('volume'));
+
+// Example 7: Remember the parameter between visits
+parameters: { stress: { decay: 0.15, save: 'myStress' } }
+*/
@@ -0,0 +1,413 @@
+/**
+ * StateMachine Class
+ *
+ * Named states for a p5play character, with guarded transitions between them.
+ * HealthCharacter picks behaviour1() or behaviour2() from one threshold, and
+ * StressCharacter has an if/else chain on two - fine for two or three
+ * behaviours, hard to follow after that, and they flicker when the value
+ * sits on a threshold.
+ *
+ * WHAT IT DOES:
+ * - Named states (idle, wander, flee, panic, tired, ...) with enter/exit/update hooks
+ * - Guarded transitions: from → to when a function returns true, checked in order
+ * - Transitions from any state ('*') or a list of states
+ * - Minimum dwell time per state, so a value near a threshold can't flicker
+ *   (a transition can ignore it - panic shouldn't wait)
+ * - Changes the sprite's animation (and frameDelay) when a state is entered
+ * - History of transitions and a debug overlay
+ *
+ * HOW TO USE:
+ *
+ *   let fsm = new StateMachine(sprite, { initial: 'idle', minDwell: 500 });
+ *
+ *   fsm.addState('idle', { animation: 'idle' });
+ *   fsm.addState('wander', {
+ *     animation: 'walk',
+ *     enter: () => chooseTarget(),
+ *     update: () => sprite.moveTo(targetX, targetY, 2)
+ *   });
+ *   fsm.addState('panic', { animation: 'walk', frameDelay: 2, minDwell: 2000 });
+ *
+ *   fsm.addTransition('idle', 'wander', () => energy > 60);
+ *   fsm.addTransition('*', 'panic', () => stress > 70, { ignoreDwell: true });
+ *   fsm.addTransition('panic', 'idle', () => stress < 40);
+ *
+ *   function draw() {
+ *     fsm.update();
+ *     fsm.drawDebug(10, 10);
+ *   }
+ *
+ * States and transitions can also be passed to the constructor:
+ *
+ *   new StateMachine(sprite, {
+ *     initial: 'idle',
+ *     states: { idle: { animation: 'idle' }, wander: { animation: 'walk' } },
+ *     transitions: [{ from: 'idle', to: 'wander', when: () => energy > 60 }]
+ *   });
+ */
+
+class StateMachine {
+  /**
+   * Constructor - Create a state machine
+   *
+   * @param {Sprite} sprite - p5play sprite whose animation follows the state (null for none)
+   * @param {Object} options - Configuration options
+   * @param {string} options.initial - First state (default: the first one added)
+   * @param {number} options.minDwell - Default ms a state lasts before it can be left (default 250)
+   * @param {number} options.historyLength - Transitions kept for getHistory() (default 10)
+   * @param {Object} options.states - State definitions by name (see addState)
+   * @param {Object[]} options.transitions - [{ from, to, when, ignoreDwell, name }]
+   */
+  constructor(sprite = null, options = {}) {
+    this.sprite = sprite;
+
+    // Tunable parameters
+    this.MIN_DWELL = options.minDwell !== undefined ? options.minDwell : 250;
+    this.HISTORY_LENGTH = options.historyLength !== undefined ? options.historyLength : 10;
+
+    this.states = {};
+    this.transitions = [];
+    this.initial = options.initial || null;
+
+    // Current state
+    this.current = null;
+    this.previous = null;
+    this.enteredAt = 0;
+    this.history = [];
+
+    // Callbacks
+    this.callbacks = { change: [] };
+
+    for (let name in options.states || {}) {
+      this.addState(name, options.states[name]);
+    }
+    for (let transition of options.transitions || []) {
+      this.addTransition(transition.from, transition.to, transition.when, transition);
+    }
+  }
+
+  /**
+   * Colors for the debug overlay, by state name - others are gray
+   */
+  static get DEBUG_COLORS() {
+    return {
+      idle: [150, 200, 255],
+      wander: [100, 255, 150],
+      flee: [255, 200, 80],
+      panic: [255, 80, 80],
+      tired: [170, 140, 255]
+    };
+  }
+
+  // ============================================
+  // PUBLIC API - Setup
+  // ============================================
+
+  /**
+   * Add a state
+   *
+   * @param {string} name - State name
+   * @param {Object} definition - State definition
+   * @param {string} definition.animation - Sprite animation to change to on enter
+   * @param {number} definition.frameDelay - Animation frameDelay to set on enter
+   * @param {number} definition.minDwell - Ms before it can be left (default: options.minDwell)
+   * @param {Function} definition.enter - function(fsm, fromState) on enter
+   * @param {Function} definition.exit - function(fsm, toState) on exit
+   * @param {Function} definition.update - function(fsm, frameScale) every update while in it
+   * @returns {StateMachine} This, to chain calls
+   */
+  addState(name, definition = {}) {
+    this.states[name] = Object.assign({ name: name }, definition);
+    if (this.initial === null) this.initial = name;
+    return this;
+  }
+
+  /**
+   * Add a transition - checked every update, in the order they were added
+   *
+   * @param {string|string[]} from - State name, list of names, or '*' for any
+   * @param {string} to - State to go to
+   * @param {Function} guard - function(fsm) → true to go (omit = always)
+   * @param {Object} options - Transition options
+   * @param {boolean} options.ignoreDwell - Go even if the minimum dwell hasn't passed
+   * @param {string} options.name - Shown in the history (default 'from → to')
+   * @returns {StateMachine} This, to chain calls
+   */
+  addTransition(from, to, guard, options = {}) {
+    if (!this.states[to]) {
+      console.warn('StateMachine: transition to unknown state', to);
+    }
+
+    this.transitions.push({
+      from: from === '*' ? '*' : [].concat(from),
+      to: to,
+      guard: guard || (() => true),
+      ignoreDwell: options.ignoreDwell || false,
+      name: options.name || null
+    });
+    return this;
+  }
+
+  /**
+   * Enter the initial state (update() does this on its first call)
+   *
+   * @param {string} name - State to start in (default: options.initial)
+   */
+  start(name) {
+    this._enter(name || this.initial, 'start');
+  }
+
+  // ============================================
+  // PUBLIC API - Update
+  // ============================================
+
+  /**
+   * Check the transitions, then run the current state's update hook.
+   * Call once per frame.
+   */
+  update() {
+    if (this.current === null) this.start();
+
+    let state = this.states[this.current];
+    let dwellPassed = this.getTimeInState() >= this._minDwell(state);
+
+    for (let transition of this.transitions) {
+      if (transition.to === this.current) continue;
+      if (transition.from !== '*' && !transition.from.includes(this.current)) continue;
+      if (!dwellPassed && !transition.ignoreDwell) continue;
+
+      if (transition.guard(this)) {
+        this._enter(transition.to, transition.name || `${this.current} → ${transition.to}`);
+        break;
+      }
+    }
+
+    state = this.states[this.current];
+    if (state && state.update) state.update(this, this._frameScale());
+  }
+
+  /**
+   * Go to a state now, ignoring guards and dwell time
+   *
+   * @param {string} name - State to go to
+   * @param {string} reason - Shown in the history (default 'go')
+   */
+  go(name, reason = 'go') {
+    this._enter(name, reason);
+  }
+
+  // ============================================
+  // PUBLIC API - State
+  // ============================================
+
+  /**
+   * Get the current state
+   *
+   * @returns {string|null} State name
+   */
+  getState() {
+    return this.current;
+  }
+
+  /**
+   * Get the state before this one
+   *
+   * @returns {string|null} State name
+   */
+  getPreviousState() {
+    return this.previous;
+  }
+
+  /**
+   * Check the current state
+   *
+   * @param {...string} names - One or more state names
+   * @returns {boolean} True if in any of them
+   */
+  is(...names) {
+    return names.includes(this.current);
+  }
+
+  /**
+   * Time spent in the current state
+   *
+   * @returns {number} Milliseconds
+   */
+  getTimeInState() {
+    return this.current === null ? 0 : millis() - this.enteredAt;
+  }
+
+  /**
+   * Check whether the minimum dwell time has passed
+   *
+   * @returns {boolean} True if normal transitions can leave the state
+   */
+  canLeave() {
+    return this.getTimeInState() >= this._minDwell(this.states[this.current]);
+  }
+
+  /**
+   * Get the recent transitions, oldest first
+   *
+   * @returns {Object[]} [{from, to, reason, time, duration}] - duration is ms spent in 'from'
+   */
+  getHistory() {
+    return this.history.slice();
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Called on every transition
+   *
+   * @param {Function} callback - function(toState, fromState, reason)
+   */
+  onChange(callback) {
+    this.callbacks.change.push(callback);
+  }
+
+  // ============================================
+  // VISUALIZATION
+  // ============================================
+
+  /**
+   * Draw the current state, time in it and the transition history
+   *
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} w - Width (default 190)
+   */
+  drawDebug(x = 10, y = 10, w = 190) {
+    let lineHeight = 16;
+    let rows = Math.min(this.history.length, this.HISTORY_LENGTH);
+    let h = 58 + rows * lineHeight;
+
+    push();
+
+    // Panel
+    noStroke();
+    fill(0, 0, 0, 170);
+    rect(x, y, w, h, 6);
+
+    // Current state and dwell bar
+    let state = this.states[this.current];
+    let dwell = this._minDwell(state);
+    let time = this.getTimeInState();
+
+    fill(this._debugColor(this.current));
+    textAlign(LEFT, TOP);
+    textSize(16);
+    textStyle(BOLD);
+    text(this.current || '-', x + 10, y + 8);
+
+    textStyle(NORMAL);
+    textSize(11);
+    fill(200);
+    textAlign(RIGHT, TOP);
+    text(`${(time / 1000).toFixed(1)}s`, x + w - 10, y + 11);
+
+    // Fills up until the state may be left
+    fill(60);
+    rect(x + 10, y + 30, w - 20, 4, 2);
+    fill(time >= dwell ? color(100, 255, 150) : color(255, 200, 80));
+    rect(x + 10, y + 30, (w - 20) * (dwell > 0 ? Math.min(time / dwell, 1) : 1), 4, 2);
+
+    // History, newest first
+    textAlign(LEFT, TOP);
+    fill(150);
+    text('History', x + 10, y + 40);
+
+    let recent = this.history.slice(-rows).reverse();
+    recent.forEach((entry, i) => {
+      let rowY = y + 56 + i * lineHeight;
+      fill(this._debugColor(entry.from));
+      text(entry.from || '-', x + 10, rowY);
+      fill(150);
+      text('→', x + 70, rowY);
+      fill(this._debugColor(entry.to));
+      text(entry.to, x + 86, rowY);
+      fill(150);
+      textAlign(RIGHT, TOP);
+      text(`${(entry.duration / 1000).toFixed(1)}s`, x + w - 10, rowY);
+      textAlign(LEFT, TOP);
+    });
+
+    pop();
+  }
+
+  /**
+   * PRIVATE: Leave the current state and enter another
+   *
+   * @param {string} name - State to enter
+   * @param {string} reason - Why, for the history
+   */
+  _enter(name, reason) {
+    let next = this.states[name];
+    if (!next) {
+      console.warn('StateMachine: unknown state', name);
+      return;
+    }
+
+    let from = this.current;
+    let now = millis();
+
+    if (from !== null) {
+      let state = this.states[from];
+      if (state.exit) state.exit(this, name);
+    }
+
+    this.history.push({ from: from, to: name, reason: reason, time: now, duration: from !== null ? now - this.enteredAt : 0 });
+    if (this.history.length > this.HISTORY_LENGTH) this.history.shift();
+
+    this.previous = from;
+    this.current = name;
+    this.enteredAt = now;
+
+    // Animation binding
+    if (this.sprite && next.animation && this.sprite.ani.name !== next.animation) {
+      this.sprite.changeAni(next.animation);
+    }
+    if (this.sprite && next.frameDelay !== undefined) {
+      this.sprite.ani.frameDelay = next.frameDelay;
+    }
+
+    if (next.enter) next.enter(this, from);
+
+    for (let callback of this.callbacks.change) {
+      callback(name, from, reason);
+    }
+  }
+
+  /**
+   * PRIVATE: Minimum dwell for a state
+   *
+   * @param {Object} state - The state
+   * @returns {number} Milliseconds
+   */
+  _minDwell(state) {
+    return state && state.minDwell !== undefined ? state.minDwell : this.MIN_DWELL;
+  }
+
+  /**
+   * PRIVATE: How many 60fps frames this frame lasted (for update hooks)
+   *
+   * @returns {number} Frame scale, capped so a paused tab doesn't jump
+   */
+  _frameScale() {
+    if (typeof FrameTime !== 'undefined') return FrameTime.scale();   // One switch for the whole sketch
+    return constrain(deltaTime / (1000 / 60), 0, 4);
+  }
+
+  /**
+   * PRIVATE: Debug color for a state
+   *
+   * @param {string} name - State name
+   * @returns {p5.Color} Color
+   */
+  _debugColor(name) {
+    let rgb = StateMachine.DEBUG_COLORS[name];
+    return rgb ? color(...rgb) : color(200);
+  }
+}
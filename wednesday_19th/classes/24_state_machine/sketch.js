@@ -0,0 +1,301 @@
+/*
+StateMachine Example - Idle, Wander, Flee, Panic, Tired
+
+A character with two parameters - energy and stress - and five behaviours.
+Instead of an if/else chain on thresholds, each behaviour is a state and
+each threshold is a guarded transition. The panel in the corner shows the
+current state, how long it has been in it (the bar fills up until it's
+allowed to leave) and the last transitions.
+
+- Left alone it rests (idle) until it has energy, then wanders
+- Wandering uses energy; when it runs out it's tired until it recovers
+- Put your finger near it and it flees
+- Tap it (or shake the phone) to stress it - at 70 it panics, from anywhere
+
+KEY IDEAS:
+- fsm.addState(name, { animation, frameDelay, minDwell, enter, exit, update })
+- fsm.addTransition(from, to, guard) - checked in order, first one wins
+- minDwell stops flicker; { ignoreDwell: true } for urgent transitions
+- The sprite's animation changes with the state
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let character;          // p5play sprite
+let fsm;                // StateMachine instance
+let idleAnimation;      // Animation assets (shared with 04_character_template_class)
+let walkAnimation;
+
+// Parameters (0-100)
+let energy = 80;
+let stress = 0;
+
+// Wander target
+let targetX, targetY;
+
+// Rates per 60fps frame
+const ENERGY_RECOVERY = 0.3;     // While idle or tired
+const ENERGY_COST = 0.15;        // While wandering
+const ENERGY_COST_RUNNING = 0.4; // While fleeing or panicking
+const STRESS_RECOVERY = 0.12;
+const STRESS_PER_TAP = 25;
+const FLEE_DISTANCE = 130;       // Pointer closer than this = flee
+
+// ==============================================
+// PRELOAD - Load animations before setup
+// ==============================================
+function preload() {
+  idleAnimation = loadAni('../04_character_template_class/animations/idle/idleAnim_1.png', 9);
+  walkAnimation = loadAni('../04_character_template_class/animations/walk/walkAnim_1.png', 13);
+}
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (9:16 aspect ratio for mobile)
+  createCanvas(405, 720);
+
+  lockGestures();
+  enableGyroTap('Tap to enable shake detection');
+
+  world.gravity.y = 0;
+
+  character = new Sprite(width / 2, height / 2);
+  character.scale = 0.2;
+  character.physics = 'kinematic';
+  character.collider = 'none';
+  character.addAni('idle', idleAnimation);
+  character.addAni('walk', walkAnimation);
+
+  setupStateMachine();
+}
+
+// ==============================================
+// STATE MACHINE - States and transitions
+// ==============================================
+function setupStateMachine() {
+  fsm = new StateMachine(character, { initial: 'idle', minDwell: 800 });
+
+  // STATES - what the character does in each
+  fsm.addState('idle', {
+    animation: 'idle',
+    frameDelay: 8,
+    update: (fsm, frameScale) => {
+      standStill();
+      energy += ENERGY_RECOVERY * frameScale;
+    }
+  });
+
+  fsm.addState('wander', {
+    animation: 'walk',
+    frameDelay: 5,
+    enter: () => chooseTarget(),
+    update: (fsm, frameScale) => {
+      if (dist(character.x, character.y, targetX, targetY) < 10) chooseTarget();
+      walkTo(targetX, targetY, 2);
+      energy -= ENERGY_COST * frameScale;
+    }
+  });
+
+  fsm.addState('flee', {
+    animation: 'walk',
+    frameDelay: 3,
+    minDwell: 400,
+    update: (fsm, frameScale) => {
+      // Away from the pointer
+      let angle = atan2(character.y - mouseY, character.x - mouseX);
+      walkTo(character.x + cos(angle) * 50, character.y + sin(angle) * 50, 4);
+      energy -= ENERGY_COST_RUNNING * frameScale;
+    }
+  });
+
+  fsm.addState('panic', {
+    animation: 'walk',
+    frameDelay: 2,
+    minDwell: 2000,
+    update: (fsm, frameScale) => {
+      // Runs in circles, shaking
+      let t = fsm.getTimeInState() / 300;
+      walkTo(width / 2 + cos(t) * 120, height / 2 + sin(t) * 120, 5);
+      character.x += random(-3, 3);
+      character.y += random(-3, 3);
+      energy -= ENERGY_COST_RUNNING * frameScale;
+    }
+  });
+
+  fsm.addState('tired', {
+    animation: 'idle',
+    frameDelay: 16,
+    minDwell: 1500,
+    enter: () => { character.color = color(150, 150, 200); },
+    exit: () => { character.color = color(255); },
+    update: (fsm, frameScale) => {
+      standStill();
+      energy += ENERGY_RECOVERY * 0.5 * frameScale;
+    }
+  });
+
+  // TRANSITIONS - checked in this order, first match wins
+  fsm.addTransition('*', 'panic', () => stress >= 70, { ignoreDwell: true });
+  fsm.addTransition('panic', 'tired', () => stress < 40 && energy < 20);
+  fsm.addTransition('panic', 'idle', () => stress < 40);
+  fsm.addTransition(['idle', 'wander'], 'flee', () => pointerNear());
+  fsm.addTransition('flee', 'tired', () => energy < 10);
+  fsm.addTransition('flee', 'wander', () => !pointerNear());
+  fsm.addTransition('wander', 'tired', () => energy < 20);
+  fsm.addTransition('tired', 'idle', () => energy > 50);
+  fsm.addTransition('idle', 'wander', () => energy > 60);
+
+  fsm.onChange((to, from) => console.log('State:', from, '→', to));
+}
+
+// ==============================================
+// DRAW - Main loop
+// ==============================================
+function draw() {
+  background(30, 30, 40);
+
+  // Stress recovers on its own
+  stress -= STRESS_RECOVERY * FrameTime.scale();
+  stress = constrain(stress, 0, 100);
+
+  // States read and change the parameters
+  fsm.update();
+  energy = constrain(energy, 0, 100);
+
+  // Face the way it's walking
+  if (character.vel.x < -0.1) character.mirror.x = true;
+  else if (character.vel.x > 0.1) character.mirror.x = false;
+
+  drawFleeZone();
+  drawBars();
+  fsm.drawDebug(10, 10);
+}
+
+// ==============================================
+// MOVEMENT - Used by the states
+// ==============================================
+function walkTo(x, y, speed) {
+  x = constrain(x, 60, width - 60);
+  y = constrain(y, 200, height - 80);
+  character.moveTo(x, y, FrameTime.perFrame(speed));
+}
+
+function standStill() {
+  character.vel.x = 0;
+  character.vel.y = 0;
+}
+
+function chooseTarget() {
+  targetX = random(60, width - 60);
+  targetY = random(200, height - 80);
+}
+
+function pointerNear() {
+  return mouseIsPressed && dist(mouseX, mouseY, character.x, character.y) < FLEE_DISTANCE;
+}
+
+// ==============================================
+// DISPLAY - Flee radius and parameter bars
+// ==============================================
+function drawFleeZone() {
+  push();
+  noFill();
+  stroke(255, 255, 255, 40);
+  circle(character.x, character.y, FLEE_DISTANCE * 2);
+  pop();
+}
+
+function drawBars() {
+  push();
+  noStroke();
+  textSize(12);
+  textAlign(LEFT, CENTER);
+
+  let x = 215;
+  let w = width - x - 15;
+
+  // Energy
+  fill(255);
+  text(`Energy ${round(energy)}`, x, 20);
+  fill(60);
+  rect(x, 30, w, 8, 4);
+  fill(100, 200, 255);
+  rect(x, 30, w * energy / 100, 8, 4);
+
+  // Stress, with the panic and calm thresholds
+  fill(255);
+  text(`Stress ${round(stress)}`, x, 55);
+  fill(60);
+  rect(x, 65, w, 8, 4);
+  fill(255, 100, 100);
+  rect(x, 65, w * stress / 100, 8, 4);
+  fill(255);
+  rect(x + w * 0.4, 62, 1, 14);
+  rect(x + w * 0.7, 62, 1, 14);
+
+  fill(160);
+  textAlign(CENTER, BOTTOM);
+  text('Hold near it to scare it · Tap it to stress it', width / 2, height - 15);
+  pop();
+}
+
+// ==============================================
+// INTERACTION - Tap the character or shake to add stress
+// ==============================================
+function mousePressed() {
+  if (dist(mouseX, mouseY, character.x, character.y) < 60) {
+    stress = min(stress + STRESS_PER_TAP, 100);
+  }
+  return false;
+}
+
+function touchStarted() {
+  return mousePressed();
+}
+
+function deviceShaken() {
+  if (window.sensorsEnabled) {
+    stress = min(stress + 8, 100);
+  }
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Everything in the constructor
+fsm = new StateMachine(character, {
+  initial: 'idle',
+  states: {
+    idle: { animation: 'idle' },
+    walk: { animation: 'walk', frameDelay: 4 }
+  },
+  transitions: [
+    { from: 'idle', to: 'walk', when: () => mouseIsPressed },
+    { from: 'walk', to: 'idle', when: () => !mouseIsPressed }
+  ]
+});
+
+// Example 2: A timed state - celebrate for 2 seconds, then back to idle
+fsm.addState('celebrate', { animation: 'jump' });
+fsm.addTransition('celebrate', 'idle', (fsm) => fsm.getTimeInState() > 2000);
+
+// Example 3: Jump to a state from an event, ignoring guards and dwell
+function deviceShaken() { fsm.go('panic', 'shaken'); }
+
+// Example 4: HealthCharacter's two behaviours as states
+fsm.addState('healthy', { animation: 'idle', enter: () => character.color = color(100, 255, 100) });
+fsm.addState('unhealthy', { animation: 'walk', enter: () => character.color = color(255, 100, 100) });
+fsm.addTransition('healthy', 'unhealthy', () => health < 45);    // A gap between the two
+fsm.addTransition('unhealthy', 'healthy', () => health > 55);    // thresholds stops flicker too
+
+// Example 5: A sound when it panics
+fsm.onChange((to, from) => { if (to === 'panic') scream.play(); });
+
+// Example 6: No sprite - a state machine for anything
+let game = new StateMachine(null, { initial: 'menu' });
+*/
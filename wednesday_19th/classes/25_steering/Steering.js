@@ -0,0 +1,519 @@
+/**
+ * Steering Class
+ *
+ * Reynolds steering behaviours for a p5play sprite.
+ * Characters move with sprite.moveTo(targetX, targetY, speed) and a new
+ * random target every few seconds, so they start and stop instantly, walk
+ * straight through each other and need hand-written code to flee or go
+ * home. Steering gives the sprite a velocity that is turned a little each
+ * frame by forces, and behaviours are just forces that can be added up.
+ *
+ * WHAT IT DOES:
+ * - seek, flee (optionally only when close), arrive (slows down inside a radius)
+ * - wander - smooth Reynolds wander (a point moving on a circle ahead of the sprite)
+ * - pursue / evade - aim at where a moving target will be
+ * - avoidWalls - turn away before reaching the edge of an area
+ * - separate, align, cohere and flock - for groups
+ * - Weighted blending: call several behaviours, each with a weight, then update()
+ * - Faces the direction it moves (mirror or rotate)
+ * - Frame-rate independent (forces are per 60fps frame, scaled by deltaTime)
+ *
+ * HOW TO USE:
+ *
+ *   let steering = new Steering(sprite, { maxSpeed: 3, maxForce: 0.15 });
+ *
+ *   function draw() {
+ *     steering.wander();                        // Weight 1
+ *     steering.separate(others, 1.5);           // Don't overlap the others
+ *     steering.flee(mouseX, mouseY, 2, 120);    // Run from the pointer when it's close
+ *     steering.avoidWalls();                    // Stay on screen
+ *     steering.update();                        // Apply the sum and move the sprite
+ *   }
+ *
+ * Every behaviour returns the Steering object, so calls can be chained:
+ *
+ *   steering.arrive(x, y).separate(others, 1.5).avoidWalls().update();
+ */
+
+class Steering {
+  /**
+   * Constructor - Add steering to a sprite
+   *
+   * @param {Sprite} sprite - p5play sprite to move (its vel is set every update)
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxSpeed - Top speed in pixels per 60fps frame (default 3)
+   * @param {number} options.maxForce - How fast it can turn/speed up, per 60fps frame (default 0.15)
+   * @param {number} options.slowRadius - arrive() starts slowing down this far away (default 80)
+   * @param {number} options.wanderDistance - Wander circle distance ahead (default 60)
+   * @param {number} options.wanderRadius - Wander circle radius (default 30)
+   * @param {number} options.wanderJitter - How fast the wander point moves, radians (default 0.3)
+   * @param {number} options.neighborRadius - align() and cohere() look this far (default 80)
+   * @param {number} options.separation - separate() keeps this far apart (default 50)
+   * @param {number} options.wallMargin - avoidWalls() turns this far from the edge (default 50)
+   * @param {number} options.maxPrediction - pursue()/evade() look at most this many frames ahead (default 30)
+   * @param {string|boolean} options.face - 'mirror', 'rotate' or false (default 'mirror')
+   * @param {boolean} options.frameRateIndependent - Scale by deltaTime (default true)
+   */
+  constructor(sprite, options = {}) {
+    this.sprite = sprite;
+
+    // Tunable parameters
+    this.MAX_SPEED = options.maxSpeed !== undefined ? options.maxSpeed : 3;
+    this.MAX_FORCE = options.maxForce !== undefined ? options.maxForce : 0.15;
+    this.SLOW_RADIUS = options.slowRadius !== undefined ? options.slowRadius : 80;
+    this.WANDER_DISTANCE = options.wanderDistance !== undefined ? options.wanderDistance : 60;
+    this.WANDER_RADIUS = options.wanderRadius !== undefined ? options.wanderRadius : 30;
+    this.WANDER_JITTER = options.wanderJitter !== undefined ? options.wanderJitter : 0.3;
+    this.NEIGHBOR_RADIUS = options.neighborRadius !== undefined ? options.neighborRadius : 80;
+    this.SEPARATION = options.separation !== undefined ? options.separation : 50;
+    this.WALL_MARGIN = options.wallMargin !== undefined ? options.wallMargin : 50;
+    this.MAX_PREDICTION = options.maxPrediction !== undefined ? options.maxPrediction : 30;
+    this.FACE = options.face !== undefined ? options.face : 'mirror';
+    this.FRAME_RATE_INDEPENDENT = options.frameRateIndependent !== undefined ? options.frameRateIndependent : true;
+
+    // Motion
+    this.velocity = createVector(0, 0);
+    this.force = createVector(0, 0);       // Sum of this frame's behaviours
+    this.lastForce = createVector(0, 0);   // For drawDebug()
+
+    // Wander state: angle of the point on the circle, and the last heading
+    this.wanderAngle = random(TWO_PI);
+    this.heading = random(TWO_PI);
+    this.wanderTarget = null;
+  }
+
+  // ============================================
+  // PUBLIC API - Behaviours (each adds a weighted force)
+  // ============================================
+
+  /**
+   * Head straight for a point at full speed
+   *
+   * @param {number} x - Target x
+   * @param {number} y - Target y
+   * @param {number} weight - Strength compared to other behaviours (default 1)
+   * @returns {Steering} This, to chain calls
+   */
+  seek(x, y, weight = 1) {
+    return this._add(this._seekForce(x, y), weight);
+  }
+
+  /**
+   * Head straight away from a point
+   *
+   * @param {number} x - Point to flee from
+   * @param {number} y
+   * @param {number} weight - Strength (default 1)
+   * @param {number} radius - Only flee when closer than this (default: always)
+   * @returns {Steering} This, to chain calls
+   */
+  flee(x, y, weight = 1, radius = Infinity) {
+    let position = this.getPosition();
+    if (dist(position.x, position.y, x, y) > radius) return this;
+
+    let desired = createVector(position.x - x, position.y - y).setMag(this.MAX_SPEED);
+    return this._add(this._steer(desired), weight);
+  }
+
+  /**
+   * Head for a point and slow down to stop on it
+   *
+   * @param {number} x - Target x
+   * @param {number} y - Target y
+   * @param {number} weight - Strength (default 1)
+   * @param {number} slowRadius - Start slowing this far away (default options.slowRadius)
+   * @returns {Steering} This, to chain calls
+   */
+  arrive(x, y, weight = 1, slowRadius = this.SLOW_RADIUS) {
+    let position = this.getPosition();
+    let desired = createVector(x - position.x, y - position.y);
+    let distance = desired.mag();
+
+    // Full speed outside the radius, slowing to 0 at the target
+    let speed = distance < slowRadius ? this.MAX_SPEED * (distance / slowRadius) : this.MAX_SPEED;
+    desired.setMag(speed);
+
+    return this._add(this._steer(desired), weight);
+  }
+
+  /**
+   * Wander smoothly - seek a point that drifts around a circle ahead
+   *
+   * @param {number} weight - Strength (default 1)
+   * @returns {Steering} This, to chain calls
+   */
+  wander(weight = 1) {
+    let position = this.getPosition();
+
+    // The point moves a little each frame, so the path curves instead of zig-zagging
+    // (sqrt: a random walk spreads with the square root of time)
+    this.wanderAngle += random(-this.WANDER_JITTER, this.WANDER_JITTER) * Math.sqrt(this._frameScale());
+
+    let center = p5.Vector.fromAngle(this.heading, this.WANDER_DISTANCE).add(position);
+    this.wanderTarget = p5.Vector.fromAngle(this.heading + this.wanderAngle, this.WANDER_RADIUS).add(center);
+
+    return this._add(this._seekForce(this.wanderTarget.x, this.wanderTarget.y), weight);
+  }
+
+  /**
+   * Seek where a moving target is going to be
+   *
+   * @param {Steering|Sprite|Object} target - Another Steering, a sprite, or {x, y}
+   * @param {number} weight - Strength (default 1)
+   * @returns {Steering} This, to chain calls
+   */
+  pursue(target, weight = 1) {
+    let future = this._predict(target);
+    return this._add(this._seekForce(future.x, future.y), weight);
+  }
+
+  /**
+   * Flee from where a moving target is going to be
+   *
+   * @param {Steering|Sprite|Object} target - Another Steering, a sprite, or {x, y}
+   * @param {number} weight - Strength (default 1)
+   * @param {number} radius - Only evade when closer than this (default: always)
+   * @returns {Steering} This, to chain calls
+   */
+  evade(target, weight = 1, radius = Infinity) {
+    let position = this.getPosition();
+    let current = Steering._motionOf(target);
+    if (dist(position.x, position.y, current.x, current.y) > radius) return this;
+
+    let future = this._predict(target);
+    return this.flee(future.x, future.y, weight);
+  }
+
+  /**
+   * Turn away from the edges of an area before reaching them
+   *
+   * @param {Object} bounds - {x, y, width, height} (default: the canvas)
+   * @param {number} weight - Strength (default 2)
+   * @param {number} margin - Distance from the edge where it starts turning (default options.wallMargin)
+   * @returns {Steering} This, to chain calls
+   */
+  avoidWalls(bounds = { x: 0, y: 0, width: width, height: height }, weight = 2, margin = this.WALL_MARGIN) {
+    let position = this.getPosition();
+    let desired = null;
+
+    // Keep going the same way along the wall, but head back in across it
+    if (position.x < bounds.x + margin) {
+      desired = createVector(this.MAX_SPEED, this.velocity.y);
+    } else if (position.x > bounds.x + bounds.width - margin) {
+      desired = createVector(-this.MAX_SPEED, this.velocity.y);
+    }
+
+    if (position.y < bounds.y + margin) {
+      desired = createVector(desired ? desired.x : this.velocity.x, this.MAX_SPEED);
+    } else if (position.y > bounds.y + bounds.height - margin) {
+      desired = createVector(desired ? desired.x : this.velocity.x, -this.MAX_SPEED);
+    }
+
+    if (!desired) return this;
+
+    desired.setMag(this.MAX_SPEED);
+    return this._add(this._steer(desired), weight);
+  }
+
+  /**
+   * Move away from neighbours that are too close - the closer, the stronger
+   *
+   * @param {Array} others - Steering objects or sprites (this one is skipped)
+   * @param {number} weight - Strength (default 1.5)
+   * @param {number} distance - Keep this far apart (default options.separation)
+   * @returns {Steering} This, to chain calls
+   */
+  separate(others, weight = 1.5, distance = this.SEPARATION) {
+    let position = this.getPosition();
+    let sum = createVector(0, 0);
+    let count = 0;
+
+    for (let other of this._neighbors(others, distance)) {
+      let away = createVector(position.x - other.x, position.y - other.y);
+      let d = away.mag();
+
+      // Exactly on top of each other: push in a random direction
+      if (d === 0) away = p5.Vector.random2D();
+      else away.div(d * d);    // Normalized, then weighted by 1/distance
+
+      sum.add(away);
+      count++;
+    }
+
+    if (count === 0) return this;
+
+    sum.setMag(this.MAX_SPEED);
+    return this._add(this._steer(sum), weight);
+  }
+
+  /**
+   * Steer the same way as nearby neighbours
+   *
+   * @param {Array} others - Steering objects or sprites
+   * @param {number} weight - Strength (default 1)
+   * @param {number} radius - Neighbourhood (default options.neighborRadius)
+   * @returns {Steering} This, to chain calls
+   */
+  align(others, weight = 1, radius = this.NEIGHBOR_RADIUS) {
+    let neighbors = this._neighbors(others, radius);
+    if (neighbors.length === 0) return this;
+
+    let sum = createVector(0, 0);
+    for (let other of neighbors) sum.add(other.vx, other.vy);
+    if (sum.mag() === 0) return this;
+
+    sum.setMag(this.MAX_SPEED);
+    return this._add(this._steer(sum), weight);
+  }
+
+  /**
+   * Steer toward the centre of nearby neighbours
+   *
+   * @param {Array} others - Steering objects or sprites
+   * @param {number} weight - Strength (default 1)
+   * @param {number} radius - Neighbourhood (default options.neighborRadius)
+   * @returns {Steering} This, to chain calls
+   */
+  cohere(others, weight = 1, radius = this.NEIGHBOR_RADIUS) {
+    let neighbors = this._neighbors(others, radius);
+    if (neighbors.length === 0) return this;
+
+    let center = createVector(0, 0);
+    for (let other of neighbors) center.add(other.x, other.y);
+    center.div(neighbors.length);
+
+    return this._add(this._seekForce(center.x, center.y), weight);
+  }
+
+  /**
+   * Separation, alignment and cohesion together
+   *
+   * @param {Array} others - Steering objects or sprites
+   * @param {Object} weights - {separation, alignment, cohesion} (default 1.5, 1, 1)
+   * @returns {Steering} This, to chain calls
+   */
+  flock(others, weights = {}) {
+    return this
+      .separate(others, weights.separation !== undefined ? weights.separation : 1.5)
+      .align(others, weights.alignment !== undefined ? weights.alignment : 1)
+      .cohere(others, weights.cohesion !== undefined ? weights.cohesion : 1);
+  }
+
+  // ============================================
+  // PUBLIC API - Update and state
+  // ============================================
+
+  /**
+   * Apply this frame's forces, move the sprite and start the next frame.
+   * Call once per frame, after the behaviours.
+   */
+  update() {
+    let frameScale = this._frameScale();
+
+    this.velocity.add(p5.Vector.mult(this.force, frameScale));
+    this.velocity.limit(this.MAX_SPEED);
+
+    // p5play moves the sprite by vel once per frame, so scale it for the frame's length
+    this.sprite.vel.x = this.velocity.x * frameScale;
+    this.sprite.vel.y = this.velocity.y * frameScale;
+
+    // Radians whatever the angleMode (p5play switches it to degrees)
+    if (this.velocity.mag() > 0.05) {
+      this.heading = Math.atan2(this.velocity.y, this.velocity.x);
+    }
+    this._face();
+
+    this.lastForce = this.force.copy();
+    this.force.set(0, 0);
+  }
+
+  /**
+   * Stop dead (and forget this frame's forces)
+   */
+  stop() {
+    this.velocity.set(0, 0);
+    this.force.set(0, 0);
+    this.sprite.vel.x = 0;
+    this.sprite.vel.y = 0;
+  }
+
+  /**
+   * Get the sprite's position
+   *
+   * @returns {p5.Vector} Position
+   */
+  getPosition() {
+    return createVector(this.sprite.x, this.sprite.y);
+  }
+
+  /**
+   * Get the velocity (pixels per 60fps frame)
+   *
+   * @returns {p5.Vector} A copy of the velocity
+   */
+  getVelocity() {
+    return this.velocity.copy();
+  }
+
+  /**
+   * Get the speed (pixels per 60fps frame)
+   *
+   * @returns {number} Speed
+   */
+  getSpeed() {
+    return this.velocity.mag();
+  }
+
+  /**
+   * Check whether it is moving
+   *
+   * @param {number} threshold - Slower than this counts as stopped (default 0.1)
+   * @returns {boolean} True if moving
+   */
+  isMoving(threshold = 0.1) {
+    return this.getSpeed() > threshold;
+  }
+
+  // ============================================
+  // VISUALIZATION
+  // ============================================
+
+  /**
+   * Draw the velocity (green), the last steering force (red) and the wander circle
+   */
+  drawDebug() {
+    let position = this.getPosition();
+
+    push();
+    strokeWeight(2);
+
+    stroke(0, 255, 100);
+    line(position.x, position.y, position.x + this.velocity.x * 15, position.y + this.velocity.y * 15);
+
+    stroke(255, 80, 80);
+    line(position.x, position.y, position.x + this.lastForce.x * 150, position.y + this.lastForce.y * 150);
+
+    if (this.wanderTarget) {
+      let center = p5.Vector.fromAngle(this.heading, this.WANDER_DISTANCE).add(position);
+      noFill();
+      stroke(255, 255, 255, 80);
+      strokeWeight(1);
+      circle(center.x, center.y, this.WANDER_RADIUS * 2);
+      fill(255, 255, 0);
+      noStroke();
+      circle(this.wanderTarget.x, this.wanderTarget.y, 6);
+      this.wanderTarget = null;
+    }
+
+    pop();
+  }
+
+  /**
+   * PRIVATE: Add a weighted force to this frame's sum
+   *
+   * @param {p5.Vector} force - Steering force
+   * @param {number} weight - Weight
+   * @returns {Steering} This, to chain calls
+   */
+  _add(force, weight) {
+    this.force.add(force.mult(weight));
+    return this;
+  }
+
+  /**
+   * PRIVATE: Steering force toward a point at full speed
+   *
+   * @param {number} x - Target x
+   * @param {number} y - Target y
+   * @returns {p5.Vector} Force
+   */
+  _seekForce(x, y) {
+    let position = this.getPosition();
+    let desired = createVector(x - position.x, y - position.y).setMag(this.MAX_SPEED);
+    return this._steer(desired);
+  }
+
+  /**
+   * PRIVATE: Reynolds steering - desired velocity minus current, limited
+   *
+   * @param {p5.Vector} desired - Desired velocity
+   * @returns {p5.Vector} Force
+   */
+  _steer(desired) {
+    return p5.Vector.sub(desired, this.velocity).limit(this.MAX_FORCE);
+  }
+
+  /**
+   * PRIVATE: Where a target will be by the time this sprite could get there
+   *
+   * @param {Steering|Sprite|Object} target - Moving target
+   * @returns {p5.Vector} Predicted position
+   */
+  _predict(target) {
+    let position = this.getPosition();
+    let motion = Steering._motionOf(target);
+    let distance = dist(position.x, position.y, motion.x, motion.y);
+    let frames = Math.min(distance / Math.max(this.MAX_SPEED, 0.001), this.MAX_PREDICTION);
+
+    return createVector(motion.x + motion.vx * frames, motion.y + motion.vy * frames);
+  }
+
+  /**
+   * PRIVATE: Neighbours within a distance, as {x, y, vx, vy}
+   *
+   * @param {Array} others - Steering objects or sprites
+   * @param {number} radius - Distance
+   * @returns {Object[]} Neighbours
+   */
+  _neighbors(others, radius) {
+    let position = this.getPosition();
+    let result = [];
+
+    for (let other of others) {
+      if (other === this || other === this.sprite) continue;
+
+      let motion = Steering._motionOf(other);
+      if (dist(position.x, position.y, motion.x, motion.y) < radius) {
+        result.push(motion);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * PRIVATE: Mirror or rotate the sprite to face the way it moves
+   */
+  _face() {
+    if (this.FACE === 'mirror') {
+      if (this.velocity.x < -0.1) this.sprite.mirror.x = true;
+      else if (this.velocity.x > 0.1) this.sprite.mirror.x = false;
+    } else if (this.FACE === 'rotate') {
+      this.sprite.rotation = degrees(this.heading);
+    }
+  }
+
+  /**
+   * PRIVATE: How many 60fps frames this frame lasted
+   *
+   * @returns {number} Frame scale, capped so a paused tab doesn't jump
+   */
+  _frameScale() {
+    if (!this.FRAME_RATE_INDEPENDENT) return 1;
+    if (typeof FrameTime !== 'undefined') return FrameTime.scale();   // One switch for the whole sketch
+    return constrain(deltaTime / (1000 / 60), 0, 4);
+  }
+
+  /**
+   * PRIVATE: Position and velocity of a Steering, a sprite or a point
+   *
+   * @param {Steering|Sprite|Object} target - Anything with a position
+   * @returns {Object} {x, y, vx, vy}
+   */
+  static _motionOf(target) {
+    if (target instanceof Steering) {
+      return { x: target.sprite.x, y: target.sprite.y, vx: target.velocity.x, vy: target.velocity.y };
+    }
+    let vel = target.vel || { x: 0, y: 0 };
+    return { x: target.x, y: target.y, vx: vel.x, vy: vel.y };
+  }
+}
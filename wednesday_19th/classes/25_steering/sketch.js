@@ -0,0 +1,274 @@
+/*
+Steering Example - Wander, Flock, Follow and Scatter
+
+Twelve characters moved by steering forces instead of moveTo(). Every
+frame each one adds up a few weighted behaviours and update() turns the
+sum into a velocity - so they curve, speed up and slow down smoothly and
+keep out of each other's way.
+
+Modes (button at the bottom):
+- Wander: smooth wandering, separated, inside the walls
+- Flock: separation + alignment + cohesion - they move as a group
+- Follow: arrive at your finger, slowing down as they get there
+- Scatter: wander, but flee from your finger when it comes close
+
+The predator (red) pursues the nearest character, aiming where it's going;
+the others evade it when it gets close.
+
+KEY IDEAS:
+- steering.wander().separate(others, 1.5).avoidWalls().update()
+- Weights decide which behaviour wins when they disagree
+- pursue/evade predict where a moving target will be
+- Debug: green = velocity, red = steering force, circle = wander target
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let idleAnimation;      // Animation assets (shared with 04_character_template_class)
+let walkAnimation;
+let characters = [];    // { sprite, steering }
+let predator;           // { sprite, steering }
+let modeButton, predatorButton, debugButton;
+
+const MODES = ['Wander', 'Flock', 'Follow', 'Scatter'];
+let mode = 0;
+let predatorOn = true;
+let showDebug = false;
+
+const NUM_CHARACTERS = 12;
+const EVADE_RADIUS = 130;       // Characters evade the predator inside this
+const SCATTER_RADIUS = 150;     // ...and your finger in Scatter mode
+const ARENA = { x: 0, y: 0, width: 405, height: 650 };   // Above the buttons
+
+// ==============================================
+// PRELOAD - Load animations before setup
+// ==============================================
+function preload() {
+  idleAnimation = loadAni('../04_character_template_class/animations/idle/idleAnim_1.png', 9);
+  walkAnimation = loadAni('../04_character_template_class/animations/walk/walkAnim_1.png', 13);
+}
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (9:16 aspect ratio for mobile)
+  createCanvas(405, 720);
+
+  lockGestures();
+  world.gravity.y = 0;
+
+  for (let i = 0; i < NUM_CHARACTERS; i++) {
+    let sprite = createCharacterSprite(random(80, width - 80), random(100, ARENA.height - 100), 0.12);
+
+    // A little variety in speed and agility
+    let steering = new Steering(sprite, {
+      maxSpeed: random(2, 3),
+      maxForce: random(0.1, 0.18),
+      separation: 45
+    });
+    characters.push({ sprite: sprite, steering: steering });
+  }
+
+  let sprite = createCharacterSprite(40, 40, 0.16);
+  sprite.color = color(255, 80, 80);
+  predator = { sprite: sprite, steering: new Steering(sprite, { maxSpeed: 2.6, maxForce: 0.08 }) };
+
+  createButtons();
+}
+
+function createCharacterSprite(x, y, scale) {
+  let sprite = new Sprite(x, y);
+  sprite.scale = scale;
+  sprite.physics = 'kinematic';
+  sprite.collider = 'none';
+  sprite.addAni('idle', idleAnimation);
+  sprite.addAni('walk', walkAnimation);
+  sprite.changeAni('walk');
+  return sprite;
+}
+
+// ==============================================
+// DRAW - Main loop
+// ==============================================
+function draw() {
+  background(30, 30, 40);
+
+  let others = characters.map((c) => c.steering);
+
+  for (let character of characters) {
+    steerCharacter(character.steering, others);
+    updateAnimation(character);
+  }
+
+  steerPredator(others);
+  updateAnimation(predator);
+
+  drawOverlay();
+}
+
+// ==============================================
+// STEERING - Behaviours for each mode
+// ==============================================
+function steerCharacter(steering, others) {
+  let name = MODES[mode];
+  let fingerDown = mouseIsPressed && mouseY < ARENA.height;
+
+  if (name === 'Wander') {
+    steering.wander().separate(others, 1.5);
+  } else if (name === 'Flock') {
+    steering.flock(others, { separation: 1.8, alignment: 1, cohesion: 0.8 }).wander(0.3);
+  } else if (name === 'Follow') {
+    if (fingerDown) steering.arrive(mouseX, mouseY, 1, 100);
+    else steering.arrive(width / 2, ARENA.height / 2, 1, 100);
+    steering.separate(others, 2);
+  } else if (name === 'Scatter') {
+    steering.wander(0.5).separate(others, 1.5);
+    if (fingerDown) steering.flee(mouseX, mouseY, 3, SCATTER_RADIUS);
+  }
+
+  if (predatorOn) steering.evade(predator.steering, 2.5, EVADE_RADIUS);
+
+  steering.avoidWalls(ARENA, 3);
+  steering.update();
+}
+
+function steerPredator(others) {
+  if (!predatorOn) {
+    predator.steering.stop();
+    predator.sprite.visible = false;
+    return;
+  }
+  predator.sprite.visible = true;
+
+  // Chase whichever character is nearest
+  let nearest = others[0];
+  for (let other of others) {
+    if (dist(other.sprite.x, other.sprite.y, predator.sprite.x, predator.sprite.y) <
+        dist(nearest.sprite.x, nearest.sprite.y, predator.sprite.x, predator.sprite.y)) {
+      nearest = other;
+    }
+  }
+
+  predator.steering.pursue(nearest).avoidWalls(ARENA, 3).update();
+}
+
+function updateAnimation(character) {
+  // Walk while moving, with faster steps at higher speed
+  let speed = character.steering.getSpeed();
+
+  if (speed > 0.3) {
+    if (character.sprite.ani.name !== 'walk') character.sprite.changeAni('walk');
+    character.sprite.ani.frameDelay = round(map(speed, 0.3, 3, 10, 3, true));
+  } else if (character.sprite.ani.name !== 'idle') {
+    character.sprite.changeAni('idle');
+    character.sprite.ani.frameDelay = 8;
+  }
+}
+
+// ==============================================
+// DISPLAY - Debug vectors, finger radius, mode
+// ==============================================
+function drawOverlay() {
+  if (showDebug) {
+    for (let character of characters) character.steering.drawDebug();
+    if (predatorOn) {
+      predator.steering.drawDebug();
+      push();
+      noFill();
+      stroke(255, 80, 80, 60);
+      circle(predator.sprite.x, predator.sprite.y, EVADE_RADIUS * 2);
+      pop();
+    }
+  }
+
+  push();
+
+  // Your finger's reach in Scatter mode
+  if (MODES[mode] === 'Scatter' && mouseIsPressed && mouseY < ARENA.height) {
+    noFill();
+    stroke(255, 255, 255, 80);
+    circle(mouseX, mouseY, SCATTER_RADIUS * 2);
+  }
+
+  // Arena edge
+  stroke(70, 70, 90);
+  line(0, ARENA.height, width, ARENA.height);
+
+  noStroke();
+  fill(255);
+  textSize(14);
+  textAlign(LEFT, TOP);
+  text(`Mode: ${MODES[mode]}`, 10, 10);
+
+  pop();
+}
+
+// ==============================================
+// UI - Buttons
+// ==============================================
+function createButtons() {
+  modeButton = makeButton('Mode: Wander', 10, () => {
+    mode = (mode + 1) % MODES.length;
+    modeButton.html(`Mode: ${MODES[mode]}`);
+  });
+  predatorButton = makeButton('Predator: On', 145, () => {
+    predatorOn = !predatorOn;
+    predatorButton.html(`Predator: ${predatorOn ? 'On' : 'Off'}`);
+  });
+  debugButton = makeButton('Debug: Off', 280, () => {
+    showDebug = !showDebug;
+    debugButton.html(`Debug: ${showDebug ? 'On' : 'Off'}`);
+  });
+}
+
+function makeButton(label, x, callback) {
+  let button = createButton(label);
+  button.position(x, height - 55);
+  button.size(115, 40);
+  button.mousePressed(callback);
+  button.style('font-size', '14px');
+  button.style('background-color', '#4444ff');
+  button.style('color', 'white');
+  button.style('border', 'none');
+  button.style('border-radius', '5px');
+  button.style('cursor', 'pointer');
+  button.style('font-family', 'Arial, sans-serif');
+  return button;
+}
+
+// ==============================================
+// INTERACTION - Finger is read in draw()
+// ==============================================
+function touchStarted() {
+  // Let the buttons receive taps, block scrolling on the canvas
+  return mouseY > ARENA.height;
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Replace moveTo() - walk to a click and stop gently
+steering.arrive(targetX, targetY).update();
+
+// Example 2: Replace a "flee" function - only when the gaze is close
+steering.flee(gazeX, gazeY, 1, 120).avoidWalls().update();
+
+// Example 3: A bird that turns to face where it flies
+steering = new Steering(bird, { face: 'rotate', maxSpeed: 5 });
+
+// Example 4: Stop dead (e.g. entering an idle state)
+steering.stop();
+
+// Example 5: Stay inside a pen instead of the whole screen
+steering.avoidWalls({ x: 100, y: 200, width: 200, height: 200 }, 4, 30);
+
+// Example 6: Stressed characters push harder to get away from each other
+steering.separate(others, map(stress, 0, 100, 1, 4), 60);
+
+// Example 7: Stop overlapping in an existing sketch - swap moveTo() for
+steering.arrive(this.targetX, this.targetY).separate(allSteerings, 2).update();
+*/
@@ -0,0 +1,584 @@
+/**
+ * SpriteAtlas Class
+ *
+ * Character animations from one spritesheet image and a JSON atlas, instead
+ * of a numbered PNG per frame. loadAni('animations/walk/walkAnim_1.png', 13)
+ * means 13 downloads for one animation (35 for idle, walk and walkBack) and
+ * a frame count written into the code. An atlas is one image and one JSON
+ * file, exported by Aseprite or TexturePacker, that says where each frame is,
+ * which animation it belongs to and how long it lasts.
+ *
+ * WHAT IT DOES:
+ * - Loads the JSON and the spritesheet in preload()
+ * - Reads Aseprite exports (frame tags, per-frame durations, pivot slice)
+ * - Reads TexturePacker JSON (hash or array): animations from the folder or
+ *   file names (idle/idleAnim_01.png → idle), normalized pivots
+ * - Handles trimmed and rotated frames, so every frame has its original size
+ * - Makes p5play animations for sprite.addAni(), one per tag
+ * - Plays per-frame durations by time (frame-rate independent)
+ * - Moves the image so the pivot (e.g. the feet) is at sprite.x, sprite.y
+ *
+ * HOW TO USE:
+ *
+ *   let atlas;
+ *
+ *   function preload() {
+ *     atlas = new SpriteAtlas('animations/character.json');   // Loads character.png too
+ *   }
+ *
+ *   function setup() {
+ *     character = new Sprite(width / 2, height / 2);
+ *     atlas.addTo(character);              // addAni() for idle, walk, walkBack
+ *     character.changeAni('walk');
+ *   }
+ *
+ *   function draw() {
+ *     atlas.update();                      // Per-frame durations and pivots
+ *   }
+ *
+ * Or take one animation, the same way loadAni() was used:
+ *
+ *   walkAni = atlas.getAni('walk');
+ *   character.addAni('walk', walkAni);     // Plays with frameDelay, no durations
+ *
+ * With an AnimationController, give it the atlas - the controller then plays
+ * the durations and update() only sets the pivots, so frames aren't stepped twice:
+ *
+ *   anim = new AnimationController(character, { atlas: atlas });
+ */
+
+class SpriteAtlas {
+  /**
+   * Constructor - Load an atlas (call in preload)
+   *
+   * @param {string} jsonPath - Path to the JSON atlas
+   * @param {string} imagePath - Path to the spritesheet (default: meta.image, next to the JSON)
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.durations - Play per-frame durations when the atlas has them (default true)
+   * @param {boolean} options.pivots - Put the pivot at the sprite's position (default true)
+   * @param {number} options.defaultDuration - Ms per frame for frames without one (default null = use frameDelay)
+   * @param {boolean} options.frameRateIndependent - Time frames by deltaTime (default true)
+   */
+  constructor(jsonPath, imagePath = null, options = {}) {
+    // Tunable parameters
+    this.DURATIONS = options.durations !== undefined ? options.durations : true;
+    this.PIVOTS = options.pivots !== undefined ? options.pivots : true;
+    this.DEFAULT_DURATION = options.defaultDuration !== undefined ? options.defaultDuration : null;
+    this.FRAME_RATE_INDEPENDENT = options.frameRateIndependent !== undefined ? options.frameRateIndependent : true;
+
+    this.jsonPath = jsonPath;
+    this.imagePath = imagePath;
+
+    // Loaded data
+    this.json = null;
+    this.sheet = null;
+    this.format = null;          // 'aseprite' or 'texturepacker'
+    this.frames = [];            // [{ name, image, duration, pivot }] in atlas order
+    this.tags = {};              // name → { frames, looping }
+    this.loaded = false;
+
+    // Sprites added with addTo(), timed by update()
+    this.entries = [];
+
+    // Callbacks
+    this.callbacks = { load: [] };
+
+    this._load();
+  }
+
+  // ============================================
+  // PUBLIC API - Animations
+  // ============================================
+
+  /**
+   * Check whether the JSON and the spritesheet have loaded
+   *
+   * @returns {boolean} True once the frames are ready
+   */
+  isLoaded() {
+    return this.loaded;
+  }
+
+  /**
+   * Get the animation names in the atlas
+   *
+   * @returns {string[]} Tag names, e.g. ['idle', 'walk', 'walkBack']
+   */
+  getTags() {
+    return Object.keys(this.tags);
+  }
+
+  /**
+   * Get the frames of an animation
+   *
+   * @param {string} tag - Animation name
+   * @returns {Object[]} [{ name, image, duration, pivot }] - duration in ms (or null), pivot in pixels (or null)
+   */
+  getFrames(tag) {
+    if (!this.tags[tag]) {
+      console.warn('SpriteAtlas: unknown tag', tag, '- tags are', this.getTags());
+      return [];
+    }
+    return this.tags[tag].frames.slice();
+  }
+
+  /**
+   * Make a p5play animation from a tag - a drop-in for loadAni()
+   *
+   * @param {string} tag - Animation name
+   * @returns {Ani} p5play animation (null if the tag doesn't exist)
+   */
+  getAni(tag) {
+    let frames = this.getFrames(tag);
+    if (frames.length === 0) return null;
+
+    let ani = new Ani(...frames.map((frame) => frame.image));
+    if (!this.tags[tag].looping) ani.noLoop();
+    return ani;
+  }
+
+  /**
+   * Add animations to a sprite with addAni(), and time them in update()
+   *
+   * @param {Sprite} sprite - p5play sprite
+   * @param {string[]} tags - Animations to add (default: all)
+   * @param {Object} options - Options for this sprite
+   * @param {number} options.speed - Playback speed for durations (default 1)
+   * @returns {SpriteAtlas} This, to chain calls
+   */
+  addTo(sprite, tags = this.getTags(), options = {}) {
+    for (let tag of tags) {
+      let ani = this.getAni(tag);
+      if (ani) sprite.addAni(tag, ani);
+    }
+
+    this.entries.push({
+      sprite: sprite,
+      speed: options.speed !== undefined ? options.speed : 1,
+      timed: true,
+      aniName: null,
+      elapsed: 0
+    });
+    return this;
+  }
+
+  /**
+   * Choose who steps a sprite's frames: the atlas (true), or something else
+   * that reads getDuration() - an AnimationController sets this to false.
+   * update() still sets the pivots either way.
+   *
+   * @param {Sprite} sprite - A sprite passed to addTo()
+   * @param {boolean} timed - True to time the frames here
+   */
+  setTimed(sprite, timed) {
+    let entry = this._entry(sprite);
+    if (!entry) {
+      console.warn('SpriteAtlas: setTimed() on a sprite that was not passed to addTo()');
+      return;
+    }
+    entry.timed = timed;
+  }
+
+  /**
+   * Get how long a frame of an animation lasts
+   *
+   * @param {string} tag - Animation name
+   * @param {number} frame - Frame index
+   * @returns {number|null} Milliseconds, or null if the animation has no durations (or they're off)
+   */
+  getDuration(tag, frame) {
+    let animation = this.tags[tag];
+    if (!this.DURATIONS || !animation || !animation.timed || !animation.frames[frame]) return null;
+    return this._duration(animation.frames[frame]);
+  }
+
+  /**
+   * Change how fast a sprite's timed animations play
+   *
+   * @param {Sprite} sprite - A sprite passed to addTo()
+   * @param {number} speed - 1 = as exported, 2 = twice as fast, 0 = frozen
+   */
+  setSpeed(sprite, speed) {
+    let entry = this._entry(sprite);
+    if (entry) entry.speed = speed;
+  }
+
+  /**
+   * Stop timing a sprite (e.g. before sprite.remove())
+   *
+   * @param {Sprite} sprite - A sprite passed to addTo()
+   */
+  remove(sprite) {
+    this.entries = this.entries.filter((entry) => entry.sprite !== sprite);
+  }
+
+  // ============================================
+  // PUBLIC API - Update
+  // ============================================
+
+  /**
+   * Advance timed animations and apply pivots for the sprites added with addTo().
+   * Call once per frame (after AnimationController.update() if there is one).
+   */
+  update() {
+    if (!this.loaded) return;
+
+    let elapsed = this._elapsed();
+
+    for (let entry of this.entries) {
+      let ani = entry.sprite.ani;
+      let tag = ani ? this.tags[ani.name] : null;
+      if (!tag) continue;
+
+      // changeAni() - start timing the new animation from its current frame
+      if (entry.aniName !== ani.name) {
+        entry.aniName = ani.name;
+        entry.elapsed = 0;
+      }
+
+      if (this.DURATIONS && tag.timed && entry.timed) {
+        this._advance(entry, ani, tag, elapsed * entry.speed);
+      }
+      if (this.PIVOTS) {
+        this._applyPivot(ani, tag.frames[ani.frame]);
+      }
+    }
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Called when the atlas has loaded (after preload, it already has)
+   *
+   * @param {Function} callback - function(atlas)
+   */
+  onLoad(callback) {
+    if (this.loaded) callback(this);
+    else this.callbacks.load.push(callback);
+  }
+
+  // ============================================
+  // VISUALIZATION
+  // ============================================
+
+  /**
+   * Draw the spritesheet with each frame's rectangle, the frames the sprites
+   * are showing highlighted
+   *
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} w - Width (height follows the sheet)
+   */
+  drawDebug(x = 10, y = 10, w = 150) {
+    if (!this.loaded) return;
+
+    let s = w / this.sheet.width;
+    let showing = this.entries
+      .filter((entry) => entry.sprite.ani && this.tags[entry.sprite.ani.name])
+      .map((entry) => this.tags[entry.sprite.ani.name].frames[entry.sprite.ani.frame]);
+
+    push();
+    noStroke();
+    fill(0, 0, 0, 170);
+    rect(x - 4, y - 4, w + 8, this.sheet.height * s + 8, 4);
+    image(this.sheet, x, y, w, this.sheet.height * s);
+
+    noFill();
+    for (let frame of this.frames) {
+      let r = frame.rect;
+      if (showing.includes(frame)) {
+        stroke(255, 220, 0);
+        strokeWeight(2);
+      } else {
+        stroke(255, 255, 255, 60);
+        strokeWeight(1);
+      }
+      rect(x + r.x * s, y + r.y * s, r.w * s, r.h * s);
+    }
+    pop();
+  }
+
+  /**
+   * PRIVATE: Load the JSON, then the spritesheet (both count as preload)
+   */
+  _load() {
+    let pending = this.imagePath ? 2 : 1;
+    let done = () => {
+      pending--;
+      if (pending === 0) this._parse();
+    };
+    let failed = (what) => () => console.warn('SpriteAtlas: could not load', what);
+
+    if (this.imagePath) {
+      this.sheet = loadImage(this.imagePath, done, failed(this.imagePath));
+    }
+
+    loadJSON(this.jsonPath, (json) => {
+      this.json = json;
+
+      if (!this.imagePath) {
+        if (!json.meta || !json.meta.image) {
+          console.warn('SpriteAtlas: no meta.image in', this.jsonPath, '- pass the image path');
+          return;
+        }
+        // meta.image is relative to the JSON file
+        let folder = this.jsonPath.includes('/') ? this.jsonPath.slice(0, this.jsonPath.lastIndexOf('/') + 1) : '';
+        this.imagePath = folder + json.meta.image;
+        pending++;
+        this.sheet = loadImage(this.imagePath, done, failed(this.imagePath));
+      }
+      done();
+    }, failed(this.jsonPath));
+  }
+
+  /**
+   * PRIVATE: Cut the frames out of the sheet and group them into tags
+   */
+  _parse() {
+    let json = this.json;
+    let meta = json.meta || {};
+    let list = Array.isArray(json.frames)
+      ? json.frames
+      : Object.keys(json.frames).map((name) => Object.assign({ filename: name }, json.frames[name]));
+
+    this.format = (meta.app && meta.app.includes('aseprite')) || meta.frameTags ? 'aseprite' : 'texturepacker';
+    let pivotSlice = this.format === 'aseprite' ? this._pivotSlice(meta.slices) : null;
+
+    this.frames = list.map((data, index) => {
+      let source = data.sourceSize || { w: data.frame.w, h: data.frame.h };
+      let pivot = null;
+
+      if (data.pivot) {
+        // TexturePacker: 0-1 of the frame size
+        pivot = { x: data.pivot.x * source.w, y: data.pivot.y * source.h };
+      } else if (pivotSlice) {
+        pivot = this._slicePivot(pivotSlice, index);
+      }
+
+      return {
+        name: data.filename,
+        image: this._cut(data, source),
+        duration: data.duration !== undefined ? data.duration : this.DEFAULT_DURATION,
+        pivot: pivot,
+        rect: data.rotated ? { x: data.frame.x, y: data.frame.y, w: data.frame.h, h: data.frame.w } : data.frame
+      };
+    });
+
+    if (this.format === 'aseprite') this._asepriteTags(meta.frameTags || []);
+    else this._texturePackerTags(json.animations);
+
+    this.loaded = true;
+    for (let callback of this.callbacks.load) {
+      callback(this);
+    }
+  }
+
+  /**
+   * PRIVATE: One frame as its own image, untrimmed and unrotated
+   *
+   * @param {Object} data - Frame from the JSON
+   * @param {Object} source - Original frame size { w, h }
+   * @returns {p5.Image} Frame image
+   */
+  _cut(data, source) {
+    let r = data.frame;
+    let region;
+
+    if (data.rotated) {
+      // TexturePacker turns frames 90° clockwise to pack them - turn it back
+      let turned = this.sheet.get(r.x, r.y, r.h, r.w);
+      turned.loadPixels();
+      region = createImage(r.w, r.h);
+      region.loadPixels();
+      for (let y = 0; y < r.h; y++) {
+        for (let x = 0; x < r.w; x++) {
+          let from = ((r.h - 1 - y) + x * r.h) * 4;
+          let to = (x + y * r.w) * 4;
+          for (let c = 0; c < 4; c++) region.pixels[to + c] = turned.pixels[from + c];
+        }
+      }
+      region.updatePixels();
+    } else {
+      region = this.sheet.get(r.x, r.y, r.w, r.h);
+    }
+
+    if (!data.trimmed) return region;
+
+    // Put the trimmed pixels back where they were in the full frame
+    let offset = data.spriteSourceSize;
+    let image = createImage(source.w, source.h);
+    image.copy(region, 0, 0, r.w, r.h, offset.x, offset.y, r.w, r.h);
+    return image;
+  }
+
+  /**
+   * PRIVATE: Tags from Aseprite's frameTags (forward, reverse, pingpong)
+   *
+   * @param {Object[]} frameTags - [{ name, from, to, direction, repeat }]
+   */
+  _asepriteTags(frameTags) {
+    for (let tag of frameTags) {
+      let frames = this.frames.slice(tag.from, tag.to + 1);
+
+      if (tag.direction === 'reverse' || tag.direction === 'pingpong_reverse') frames.reverse();
+      if (tag.direction === 'pingpong' || tag.direction === 'pingpong_reverse') {
+        frames = frames.concat(frames.slice(1, -1).reverse());
+      }
+
+      this._addTag(tag.name, frames, !tag.repeat);
+    }
+
+    // No tags - the whole sheet is one animation
+    if (frameTags.length === 0) this._addTag('default', this.frames, true);
+  }
+
+  /**
+   * PRIVATE: Tags from an "animations" list, or from folder or file names
+   *
+   * idle/idleAnim_01.png → idle, walk_3.png → walk
+   *
+   * @param {Object} animations - { name: [frame names] } (Phaser/Pixi style, optional)
+   */
+  _texturePackerTags(animations) {
+    if (animations) {
+      for (let name in animations) {
+        let frames = animations[name].map((frameName) => this.frames.find((frame) => frame.name === frameName));
+        this._addTag(name, frames.filter((frame) => frame), true);
+      }
+      return;
+    }
+
+    let groups = {};
+    for (let frame of this.frames) {
+      let name = frame.name.includes('/')
+        ? frame.name.slice(0, frame.name.lastIndexOf('/'))
+        : frame.name.replace(/\.[a-z]+$/i, '').replace(/[\s_\-]*\d+$/, '');
+      if (!groups[name]) groups[name] = [];
+      groups[name].push(frame);
+    }
+
+    for (let name in groups) {
+      // walkAnim_2 before walkAnim_10, even without leading zeros
+      groups[name].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+      this._addTag(name, groups[name], true);
+    }
+  }
+
+  /**
+   * PRIVATE: Store a tag
+   *
+   * @param {string} name - Animation name
+   * @param {Object[]} frames - Frames in playback order
+   * @param {boolean} looping - Loop, or stop on the last frame
+   */
+  _addTag(name, frames, looping) {
+    this.tags[name] = {
+      frames: frames,
+      looping: looping,
+      timed: frames.some((frame) => frame.duration !== null)
+    };
+  }
+
+  /**
+   * PRIVATE: Step a sprite's animation by time, using each frame's duration
+   *
+   * @param {Object} entry - Sprite entry from addTo()
+   * @param {Ani} ani - The sprite's current animation
+   * @param {Object} tag - Its tag
+   * @param {number} ms - Time to advance
+   */
+  _advance(entry, ani, tag, ms) {
+    // The atlas plays it, so p5play's frameDelay doesn't step it as well
+    if (ani.playing) ani.pause();
+
+    let frame = ani.frame;
+    let last = tag.frames.length - 1;
+    entry.elapsed += ms;
+
+    let duration = this._duration(tag.frames[frame]);
+    while (entry.elapsed >= duration) {
+      if (frame === last && !tag.looping) {
+        entry.elapsed = 0;
+        break;
+      }
+      entry.elapsed -= duration;
+      frame = frame === last ? 0 : frame + 1;
+      duration = this._duration(tag.frames[frame]);
+    }
+
+    if (frame !== ani.frame) ani.frame = frame;
+  }
+
+  /**
+   * PRIVATE: Ms this frame lasted - from FrameTime when it's loaded, so its
+   * switch and cap apply here too
+   *
+   * @returns {number} Milliseconds (one 60fps frame when not frame-rate independent)
+   */
+  _elapsed() {
+    if (!this.FRAME_RATE_INDEPENDENT) return 1000 / 60;
+    if (typeof FrameTime !== 'undefined') return FrameTime.scale() * (1000 / 60);
+    return Math.min(deltaTime, 1000 / 15);
+  }
+
+  /**
+   * PRIVATE: A frame's duration, falling back to frameDelay at 60fps
+   *
+   * @param {Object} frame - Frame
+   * @returns {number} Milliseconds (at least 1)
+   */
+  _duration(frame) {
+    return Math.max(frame.duration !== null ? frame.duration : 1000 / 60 * 4, 1);
+  }
+
+  /**
+   * PRIVATE: Offset the image so the frame's pivot sits on the sprite's position
+   *
+   * @param {Ani} ani - The sprite's current animation
+   * @param {Object} frame - The frame it's showing
+   */
+  _applyPivot(ani, frame) {
+    if (!frame || !frame.pivot) return;
+    ani.offset.x = frame.image.width / 2 - frame.pivot.x;
+    ani.offset.y = frame.image.height / 2 - frame.pivot.y;
+  }
+
+  /**
+   * PRIVATE: The Aseprite slice that holds the pivot - one named "pivot", or the first with one
+   *
+   * @param {Object[]} slices - meta.slices
+   * @returns {Object|null} Slice
+   */
+  _pivotSlice(slices = []) {
+    let withPivot = slices.filter((slice) => slice.keys.some((key) => key.pivot));
+    return withPivot.find((slice) => slice.name === 'pivot') || withPivot[0] || null;
+  }
+
+  /**
+   * PRIVATE: A slice's pivot for a frame (keys apply from their frame onwards)
+   *
+   * @param {Object} slice - Aseprite slice
+   * @param {number} index - Frame index in the atlas
+   * @returns {Object|null} Pivot { x, y } in frame pixels
+   */
+  _slicePivot(slice, index) {
+    let key = null;
+    for (let candidate of slice.keys) {
+      if (candidate.frame <= index && candidate.pivot) key = candidate;
+    }
+    if (!key) return null;
+    return { x: key.bounds.x + key.pivot.x, y: key.bounds.y + key.pivot.y };
+  }
+
+  /**
+   * PRIVATE: The addTo() entry for a sprite
+   *
+   * @param {Sprite} sprite - p5play sprite
+   * @returns {Object|undefined} Entry
+   */
+  _entry(sprite) {
+    return this.entries.find((entry) => entry.sprite === sprite);
+  }
+}
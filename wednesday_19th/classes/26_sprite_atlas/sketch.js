@@ -0,0 +1,260 @@
+/*
+SpriteAtlas Example - One Spritesheet Instead of 35 PNGs
+
+The idle, walk and walkBack animations from the character sketches, packed
+into one spritesheet (animations/character.png) with a JSON atlas. Two
+exports of the same sheet:
+
+- Left (yellow): Aseprite JSON - frame tags, a duration for every frame
+  (the idle holds its first frame, like a breath) and a pivot between the feet
+- Right (blue): TexturePacker JSON - animations named by folder
+  (idle/idleAnim_01.png), trimmed frames, normalized pivots, frameDelay timing
+
+Touch the screen and both walk there - walkBack when you touch above them.
+The dot is sprite.x, sprite.y: with the pivot it's the feet, so both stand
+on the spot you touched. The panel shows the sheet and the frames playing.
+
+KEY IDEAS:
+- new SpriteAtlas('animations/character.json') in preload - 2 downloads, not 35
+- atlas.addTo(sprite) = addAni() for every tag in the atlas
+- atlas.update() plays per-frame durations and applies pivots
+- atlas.getAni('walk') is a drop-in for loadAni(path, 13)
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let asepriteAtlas;       // SpriteAtlas from the Aseprite export
+let texturePackerAtlas;  // SpriteAtlas from the TexturePacker export
+let characters = [];     // { sprite, atlas, targetX, targetY, label }
+let sheetButton, speedButton;
+
+let showSheet = true;
+let speeds = [1, 2, 0.5];
+let speedIndex = 0;
+
+const WALK_SPEED = 2.5;
+const SPACING = 70;      // Each stands this far to the side of the touch
+
+// ==============================================
+// PRELOAD - Load the atlases before setup
+// ==============================================
+function preload() {
+  // The JSON names the sheet (meta.image), so it's loaded too
+  asepriteAtlas = new SpriteAtlas('animations/character.json');
+
+  // Or give the image path yourself
+  texturePackerAtlas = new SpriteAtlas('animations/character_texturepacker.json', 'animations/character.png');
+}
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (9:16 aspect ratio for mobile)
+  createCanvas(405, 720);
+
+  lockGestures();
+  world.gravity.y = 0;
+
+  characters.push(createCharacter(width / 2 - SPACING, 500, asepriteAtlas, 'Aseprite', color(255, 220, 0)));
+  characters.push(createCharacter(width / 2 + SPACING, 500, texturePackerAtlas, 'TexturePacker', color(80, 180, 255)));
+
+  createButtons();
+}
+
+function createCharacter(x, y, atlas, label, dotColor) {
+  let sprite = new Sprite(x, y);
+  sprite.scale = 0.4;             // Frames are 200x300 (half the PNG sequence size)
+  sprite.physics = 'kinematic';
+  sprite.collider = 'none';
+
+  atlas.addTo(sprite);            // idle, walk, walkBack
+  sprite.changeAni('idle');
+
+  return { sprite: sprite, atlas: atlas, targetX: x, targetY: y, label: label, dotColor: dotColor };
+}
+
+// ==============================================
+// DRAW - Main loop
+// ==============================================
+function draw() {
+  background(30, 30, 40);
+
+  for (let character of characters) {
+    walkToTarget(character);
+  }
+
+  // Durations and pivots for every sprite added with addTo()
+  asepriteAtlas.update();
+  texturePackerAtlas.update();
+
+  drawTargets();
+  if (showSheet) drawSheets();
+  drawInfo();
+}
+
+// ==============================================
+// MOVEMENT - Walk, walkBack or idle
+// ==============================================
+function walkToTarget(character) {
+  let sprite = character.sprite;
+  let dx = character.targetX - sprite.x;
+  let dy = character.targetY - sprite.y;
+
+  if (dist(0, 0, dx, dy) < 3) {
+    sprite.vel.x = 0;
+    sprite.vel.y = 0;
+    setAni(sprite, 'idle');
+    return;
+  }
+
+  sprite.moveTo(character.targetX, character.targetY, WALK_SPEED);
+
+  // Away from the viewer (up the screen) shows the back
+  if (dy < 0 && abs(dy) > abs(dx)) {
+    setAni(sprite, 'walkBack');
+  } else {
+    setAni(sprite, 'walk');
+    sprite.mirror.x = dx < 0;
+  }
+}
+
+function setAni(sprite, name) {
+  if (sprite.ani.name === name) return;
+  sprite.changeAni(name);
+}
+
+// ==============================================
+// DISPLAY - Targets, pivots, sheets, info
+// ==============================================
+function drawTargets() {
+  push();
+  for (let character of characters) {
+    // Target on the ground
+    noFill();
+    stroke(255, 255, 255, 60);
+    ellipse(character.targetX, character.targetY, 30, 10);
+
+    // sprite.x, sprite.y - the pivot
+    noStroke();
+    fill(character.dotColor);
+    circle(character.sprite.x, character.sprite.y, 8);
+  }
+  pop();
+}
+
+function drawSheets() {
+  asepriteAtlas.drawDebug(10, 40, 110);
+  texturePackerAtlas.drawDebug(width - 120, 40, 110);
+}
+
+function drawInfo() {
+  push();
+  noStroke();
+  textSize(12);
+
+  for (let i = 0; i < characters.length; i++) {
+    let character = characters[i];
+    let ani = character.sprite.ani;
+    let frame = character.atlas.getFrames(ani.name)[ani.frame];
+    let timing = frame && frame.duration !== null ? `${frame.duration}ms` : `frameDelay ${ani.frameDelay}`;
+
+    fill(character.dotColor);
+    textAlign(i === 0 ? LEFT : RIGHT, TOP);
+    let x = i === 0 ? 10 : width - 10;
+    text(character.label, x, 12);
+    fill(200);
+    text(`${ani.name} ${ani.frame + 1}/${ani.length} · ${timing}`, x, 260);
+  }
+
+  fill(160);
+  textAlign(CENTER, TOP);
+  text(`${asepriteAtlas.frames.length} frames · 1 image + 1 JSON`, width / 2, 12);
+  text('Touch to walk there', width / 2, 290);
+  pop();
+}
+
+// ==============================================
+// UI - Buttons
+// ==============================================
+function createButtons() {
+  sheetButton = makeButton('Sheet: On', 10, () => {
+    showSheet = !showSheet;
+    sheetButton.html(`Sheet: ${showSheet ? 'On' : 'Off'}`);
+  });
+  speedButton = makeButton('Speed: 1x', 145, () => {
+    // Durations scale with setSpeed() - the TexturePacker one has none, so frameDelay (4) times it
+    speedIndex = (speedIndex + 1) % speeds.length;
+    asepriteAtlas.setSpeed(characters[0].sprite, speeds[speedIndex]);
+    speedButton.html(`Speed: ${speeds[speedIndex]}x`);
+  });
+}
+
+function makeButton(label, x, callback) {
+  let button = createButton(label);
+  button.position(x, height - 55);
+  button.size(125, 40);
+  button.mousePressed(callback);
+  button.style('font-size', '14px');
+  button.style('background-color', '#4444ff');
+  button.style('color', 'white');
+  button.style('border', 'none');
+  button.style('border-radius', '5px');
+  button.style('cursor', 'pointer');
+  button.style('font-family', 'Arial, sans-serif');
+  return button;
+}
+
+// ==============================================
+// INTERACTION - Touch to set the target
+// ==============================================
+function mousePressed() {
+  if (mouseY > height - 70) return;
+
+  // Keep the feet below the panels
+  let y = constrain(mouseY, 330, height - 90);
+  characters[0].targetX = constrain(mouseX - SPACING, 40, width - 40);
+  characters[0].targetY = y;
+  characters[1].targetX = constrain(mouseX + SPACING, 40, width - 40);
+  characters[1].targetY = y;
+}
+
+function touchStarted() {
+  mousePressed();
+  // Let the buttons receive taps, block scrolling on the canvas
+  return mouseY > height - 70;
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Replace loadAni() in an existing sketch
+function preload() {
+  atlas = new SpriteAtlas('animations/character.json');
+}
+function setup() {
+  character.addAni('idle', atlas.getAni('idle'));   // Was loadAni('animations/idle/idleAnim_1.png', 9)
+  character.addAni('walk', atlas.getAni('walk'));   // Was loadAni('animations/walk/walkAnim_1.png', 13)
+}
+
+// Example 2: Only some tags, and slower
+atlas.addTo(character, ['idle', 'walk'], { speed: 0.5 });
+
+// Example 3: Faster steps when stressed (durations, not frameDelay)
+atlas.setSpeed(character, map(stress, 0, 100, 0.8, 2.5));
+
+// Example 4: Many characters from one atlas - the sheet is loaded once
+for (let i = 0; i < 10; i++) atlas.addTo(new Sprite(random(width), random(height)));
+
+// Example 5: Keep frameDelay timing, sprite position at the image center
+atlas = new SpriteAtlas('animations/character.json', null, { durations: false, pivots: false });
+
+// Example 6: A TexturePacker sheet without durations - give every frame one
+atlas = new SpriteAtlas('animations/sheet.json', null, { defaultDuration: 80 });
+
+// Example 7: Look at the frames yourself
+for (let frame of atlas.getFrames('walk')) console.log(frame.name, frame.duration, frame.pivot);
+*/
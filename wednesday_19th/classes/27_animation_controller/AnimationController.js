@@ -0,0 +1,567 @@
+/**
+ * AnimationController Class
+ *
+ * Plays a p5play sprite's animations: which one loops, how fast, what plays
+ * once on top, and what happens on particular frames. The parameter sketches
+ * set sprite.ani.frameDelay straight from a parameter (WALK_FRAME_DELAY_FAST/SLOW,
+ * updateAnimationSpeeds()) - whole frames at 60fps, so the speed changes in
+ * steps - and changeAni() switches from one animation to the next in one frame.
+ *
+ * WHAT IT DOES:
+ * - Crossfades between animations (the old frame fades out under the new one)
+ * - Playback rate in frames per second, fixed or mapped from a parameter
+ *   through an easing curve - continuous, frame-rate independent
+ * - One-shot animations (hurt, celebrate) that play once and go back to the loop
+ * - Events on frames: footsteps, a sound at the top of a jump, ...
+ *
+ * HOW TO USE:
+ *
+ *   let anim = new AnimationController(character, { crossfade: 150 });
+ *
+ *   // Walk faster with more energy, easing in
+ *   anim.setRate('walk', { from: () => energy, input: [0, 100], fps: [6, 24], curve: 'easeIn' });
+ *   anim.setRate('idle', 8);
+ *
+ *   anim.onFrame('walk', [3, 9], () => footstep.play());
+ *
+ *   function draw() {
+ *     anim.loop(moving ? 'walk' : 'idle');   // Crossfades when it changes
+ *     anim.update();
+ *   }
+ *
+ *   function mousePressed() {
+ *     anim.play('celebrate');                // Once, then back to walk/idle
+ *   }
+ *
+ * The sprite's animations are added as usual (addAni / loadAni / SpriteAtlas).
+ * The controller steps the frames itself, so frameDelay isn't used.
+ *
+ * With a SpriteAtlas, pass it in: animations without a setRate() play the
+ * atlas's per-frame durations, and the atlas stops stepping this sprite
+ * (atlas.update() then only sets the pivots):
+ *
+ *   anim = new AnimationController(character, { atlas: atlas });
+ */
+
+class AnimationController {
+  /**
+   * Constructor - Control a sprite's animations
+   *
+   * @param {Sprite} sprite - p5play sprite with its animations added
+   * @param {Object} options - Configuration options
+   * @param {number} options.crossfade - Default crossfade in ms (default 150, 0 = switch instantly)
+   * @param {number} options.fps - Frames per second for animations without a rate (default 15)
+   * @param {boolean} options.frameRateIndependent - Time frames by deltaTime (default true)
+   * @param {SpriteAtlas} options.atlas - Atlas the sprite was added to - plays its durations (default null)
+   */
+  constructor(sprite, options = {}) {
+    this.sprite = sprite;
+
+    // Tunable parameters
+    this.CROSSFADE = options.crossfade !== undefined ? options.crossfade : 150;
+    this.FPS = options.fps !== undefined ? options.fps : 15;
+    this.FRAME_RATE_INDEPENDENT = options.frameRateIndependent !== undefined ? options.frameRateIndependent : true;
+
+    // Playback rate per animation: a number, a function, or a mapping
+    this.rates = {};
+
+    // Per-frame durations from the atlas - the controller steps the frames, not the atlas
+    this.atlas = options.atlas || null;
+    if (this.atlas) this.atlas.setTimed(sprite, false);
+
+    // What's playing
+    this.looping = sprite.ani ? sprite.ani.name : null;   // The loop to go back to
+    this.oneShot = null;                                   // { name, crossfade, onComplete } while one plays
+    this.elapsed = 0;                                      // Ms into the current frame
+    this.fps = 0;
+
+    // Crossfade: the frame being faded out
+    this.fade = null;                                      // { image, offsetX, offsetY, start, duration }
+    this.baseOpacity = sprite.opacity !== undefined ? sprite.opacity : 1;
+
+    // Callbacks
+    this.callbacks = { frame: [], complete: [], change: [] };
+
+    if (this.looping) this._start(this.looping, 0);
+  }
+
+  /**
+   * Easing curves for setRate() - t from 0 to 1 in, 0 to 1 out
+   */
+  static get EASINGS() {
+    return {
+      linear: (t) => t,
+      easeIn: (t) => t * t,
+      easeOut: (t) => 1 - (1 - t) * (1 - t),
+      easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+      easeInCubic: (t) => t * t * t,
+      easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+      easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+      smoothstep: (t) => t * t * (3 - 2 * t)
+    };
+  }
+
+  // ============================================
+  // PUBLIC API - Playback
+  // ============================================
+
+  /**
+   * Set the looping animation - crossfades to it if it's a different one.
+   * Safe to call every frame. While a one-shot plays, it becomes the one to go back to.
+   *
+   * @param {string} name - Animation name
+   * @param {number} crossfade - Ms (default: options.crossfade)
+   */
+  loop(name, crossfade = this.CROSSFADE) {
+    if (!this._exists(name)) return;
+
+    this.looping = name;
+    if (this.oneShot || this.sprite.ani.name === name) return;
+
+    this._switch(name, crossfade);
+  }
+
+  /**
+   * Play an animation once, then go back to the loop
+   *
+   * @param {string} name - Animation name
+   * @param {Object} options - One-shot options
+   * @param {number} options.crossfade - Ms into and out of it (default: options.crossfade)
+   * @param {string} options.then - Loop to go to afterwards (default: the current loop)
+   * @param {Function} options.onComplete - function(name) when it has finished
+   */
+  play(name, options = {}) {
+    if (!this._exists(name)) return;
+
+    let crossfade = options.crossfade !== undefined ? options.crossfade : this.CROSSFADE;
+    if (options.then) this.looping = options.then;
+
+    this.oneShot = { name: name, crossfade: crossfade, onComplete: options.onComplete || null };
+    this._switch(name, crossfade);
+  }
+
+  /**
+   * Stop a one-shot early and go back to the loop
+   *
+   * @param {number} crossfade - Ms (default: the one-shot's crossfade)
+   */
+  cancel(crossfade) {
+    if (!this.oneShot) return;
+    let fade = crossfade !== undefined ? crossfade : this.oneShot.crossfade;
+    this.oneShot = null;
+    this._switch(this.looping, fade);
+  }
+
+  /**
+   * Set how fast an animation plays
+   *
+   * A number is frames per second. A mapping turns a parameter into fps:
+   *   { from: () => energy, input: [0, 100], fps: [6, 24], curve: 'easeIn' }
+   * - from: function returning the parameter value
+   * - input: [low, high] of the parameter (default [0, 100])
+   * - fps: [fps at low, fps at high]
+   * - curve: an EASINGS name, an exponent (2 = slow start), or function(t) (default linear)
+   * A function (controller) → fps works too.
+   *
+   * @param {string} name - Animation name
+   * @param {number|Object|Function} rate - Frames per second, mapping or function
+   */
+  setRate(name, rate) {
+    if (rate && typeof rate.curve === 'string' && !AnimationController.EASINGS[rate.curve]) {
+      console.warn('AnimationController: unknown curve', rate.curve, '- using linear');
+    }
+    this.rates[name] = rate;
+  }
+
+  /**
+   * Advance the animation, fire frame events, finish one-shots and draw the
+   * crossfade. Call once per frame, in draw().
+   */
+  update() {
+    let ani = this.sprite.ani;
+    if (!ani) return;
+
+    // p5play would step it with frameDelay as well
+    if (ani.playing) ani.pause();
+
+    let ms = this._elapsed();
+    let frameTime = this._frameTime(ani);
+    this.fps = frameTime < Infinity ? 1000 / frameTime : 0;
+
+    if (this.fps > 0) {
+      this.elapsed += ms;
+
+      // A frame event can change the animation - stop stepping the old one
+      while (this.elapsed >= frameTime && this.sprite.ani === ani) {
+        this.elapsed -= frameTime;
+
+        if (ani.frame < ani.length - 1) {
+          ani.frame = ani.frame + 1;
+          this._fireFrame(ani.name, ani.frame);
+        } else if (this.oneShot) {
+          this._finishOneShot();
+          break;
+        } else {
+          ani.frame = 0;
+          this._fireFrame(ani.name, 0);
+        }
+
+        // Atlas frames can each last a different time
+        frameTime = this._frameTime(ani);
+      }
+    }
+
+    this._drawFade();
+  }
+
+  // ============================================
+  // PUBLIC API - State
+  // ============================================
+
+  /**
+   * Get the animation that's showing
+   *
+   * @returns {string} Animation name
+   */
+  getAnimation() {
+    return this.sprite.ani ? this.sprite.ani.name : null;
+  }
+
+  /**
+   * Get the loop (what plays when no one-shot is)
+   *
+   * @returns {string} Animation name
+   */
+  getLoop() {
+    return this.looping;
+  }
+
+  /**
+   * Check whether a one-shot is playing
+   *
+   * @param {string} name - A particular one (optional)
+   * @returns {boolean} True if playing
+   */
+  isPlayingOnce(name) {
+    return this.oneShot !== null && (name === undefined || this.oneShot.name === name);
+  }
+
+  /**
+   * Get the current frame
+   *
+   * @returns {number} Frame index
+   */
+  getFrame() {
+    return this.sprite.ani ? this.sprite.ani.frame : 0;
+  }
+
+  /**
+   * Get the playback rate used this frame
+   *
+   * @returns {number} Frames per second
+   */
+  getFps() {
+    return this.fps;
+  }
+
+  /**
+   * Check whether a crossfade is happening
+   *
+   * @returns {boolean} True while fading
+   */
+  isFading() {
+    return this.fade !== null;
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Called when an animation reaches a frame
+   *
+   * @param {string} name - Animation name ('*' for any)
+   * @param {number|number[]} frames - Frame index or list of them
+   * @param {Function} callback - function(name, frame)
+   */
+  onFrame(name, frames, callback) {
+    this.callbacks.frame.push({ name: name, frames: [].concat(frames), callback: callback });
+  }
+
+  /**
+   * Called when a one-shot has finished
+   *
+   * @param {Function} callback - function(name)
+   */
+  onComplete(callback) {
+    this.callbacks.complete.push(callback);
+  }
+
+  /**
+   * Called when the animation changes
+   *
+   * @param {Function} callback - function(toName, fromName)
+   */
+  onChange(callback) {
+    this.callbacks.change.push(callback);
+  }
+
+  // ============================================
+  // VISUALIZATION
+  // ============================================
+
+  /**
+   * Draw the animation, its frame, fps and the crossfade
+   *
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} w - Width (default 190)
+   */
+  drawDebug(x = 10, y = 10, w = 190) {
+    let ani = this.sprite.ani;
+    if (!ani) return;
+
+    push();
+    noStroke();
+    fill(0, 0, 0, 170);
+    rect(x, y, w, 66, 6);
+
+    textAlign(LEFT, TOP);
+    textSize(16);
+    textStyle(BOLD);
+    fill(this.oneShot ? color(255, 200, 80) : color(150, 200, 255));
+    text(ani.name, x + 10, y + 8);
+
+    textStyle(NORMAL);
+    textSize(11);
+    fill(200);
+    textAlign(RIGHT, TOP);
+    text(`${this.fps.toFixed(1)} fps`, x + w - 10, y + 11);
+
+    // One cell per frame, the current one lit
+    let cell = (w - 20) / ani.length;
+    for (let i = 0; i < ani.length; i++) {
+      fill(i === ani.frame ? color(100, 255, 150) : color(70));
+      rect(x + 10 + i * cell, y + 32, cell - 1, 8);
+    }
+
+    // Crossfade progress
+    textAlign(LEFT, TOP);
+    fill(150);
+    let label = this.oneShot ? `once → ${this.looping}` : 'loop';
+    if (this.fade) label += ` · fading ${Math.round(this._fadeProgress() * 100)}%`;
+    text(label, x + 10, y + 48);
+    pop();
+  }
+
+  /**
+   * PRIVATE: Change animation, fading out the frame that was showing
+   *
+   * @param {string} name - Animation to show
+   * @param {number} crossfade - Ms
+   */
+  _switch(name, crossfade) {
+    let from = this.sprite.ani ? this.sprite.ani.name : null;
+
+    if (crossfade > 0 && this.sprite.ani) {
+      this.fade = this._snapshot(crossfade);
+    } else {
+      this._endFade();
+    }
+
+    this._start(name, 0);
+
+    for (let callback of this.callbacks.change) {
+      callback(name, from);
+    }
+  }
+
+  /**
+   * PRIVATE: Show an animation from a frame
+   *
+   * @param {string} name - Animation name
+   * @param {number} frame - Frame to start on
+   */
+  _start(name, frame) {
+    this.sprite.changeAni(name);
+    this.sprite.ani.pause();
+    this.sprite.ani.frame = frame;
+    this.elapsed = 0;
+    this._fireFrame(name, frame);
+  }
+
+  /**
+   * PRIVATE: A one-shot reached its last frame - back to the loop
+   */
+  _finishOneShot() {
+    let shot = this.oneShot;
+    this.oneShot = null;
+    this._switch(this.looping, shot.crossfade);
+
+    if (shot.onComplete) shot.onComplete(shot.name);
+    for (let callback of this.callbacks.complete) {
+      callback(shot.name);
+    }
+  }
+
+  /**
+   * PRIVATE: The frame that's showing, to keep drawing while it fades out
+   *
+   * @param {number} duration - Fade length in ms
+   * @returns {Object} Snapshot
+   */
+  _snapshot(duration) {
+    let ani = this.sprite.ani;
+
+    return {
+      image: ani[ani.frame],
+      offsetX: ani.offset ? ani.offset.x : 0,
+      offsetY: ani.offset ? ani.offset.y : 0,
+      start: millis(),
+      duration: duration
+    };
+  }
+
+  /**
+   * PRIVATE: Draw the old frame fading out, and fade the sprite in.
+   * p5play draws the sprite after draw(), so the old frame is underneath.
+   */
+  _drawFade() {
+    if (!this.fade) return;
+
+    let t = this._fadeProgress();
+    if (t >= 1) {
+      this._endFade();
+      return;
+    }
+
+    // The old frame stays solid for the first half, so the pair doesn't
+    // go see-through in the middle
+    let sprite = this.sprite;
+    let fade = this.fade;
+    let oldAlpha = Math.min(1, 2 * (1 - t));
+    let scaleX = sprite.scale.x !== undefined ? sprite.scale.x : sprite.scale;
+    let scaleY = sprite.scale.y !== undefined ? sprite.scale.y : sprite.scale;
+
+    // Drawn where the sprite is now, the way p5play draws it
+    push();
+    translate(sprite.x, sprite.y);
+    drawingContext.rotate((sprite.rotation || 0) * Math.PI / 180);   // Degrees, whatever the angleMode
+    scale(sprite.mirror.x ? -scaleX : scaleX, sprite.mirror.y ? -scaleY : scaleY);
+    imageMode(CENTER);
+    tint(255, oldAlpha * 255);
+    image(fade.image, fade.offsetX, fade.offsetY);
+    pop();
+
+    this.sprite.opacity = this.baseOpacity * t;
+  }
+
+  /**
+   * PRIVATE: Crossfade progress
+   *
+   * @returns {number} 0 to 1
+   */
+  _fadeProgress() {
+    return this.fade ? constrain((millis() - this.fade.start) / this.fade.duration, 0, 1) : 1;
+  }
+
+  /**
+   * PRIVATE: Stop fading, sprite fully visible again
+   */
+  _endFade() {
+    if (this.fade) this.sprite.opacity = this.baseOpacity;
+    this.fade = null;
+  }
+
+  /**
+   * PRIVATE: Ms this frame lasted - from FrameTime when it's loaded, so its
+   * switch and cap apply here too
+   *
+   * @returns {number} Milliseconds (one 60fps frame when not frame-rate independent)
+   */
+  _elapsed() {
+    if (!this.FRAME_RATE_INDEPENDENT) return 1000 / 60;
+    if (typeof FrameTime !== 'undefined') return FrameTime.scale() * (1000 / 60);
+    return Math.min(deltaTime, 1000 / 15);
+  }
+
+  /**
+   * PRIVATE: How long the frame showing lasts - the atlas's duration when the
+   * animation has one and no setRate(), otherwise from the rate
+   *
+   * @param {Ani} ani - The sprite's current animation
+   * @returns {number} Milliseconds (Infinity when the rate is 0)
+   */
+  _frameTime(ani) {
+    if (this.atlas && this.rates[ani.name] === undefined) {
+      let duration = this.atlas.getDuration(ani.name, ani.frame);
+      if (duration !== null) return duration;
+    }
+
+    let fps = Math.max(this._rate(ani.name), 0);
+    return fps > 0 ? 1000 / fps : Infinity;
+  }
+
+  /**
+   * PRIVATE: Frames per second for an animation now
+   *
+   * @param {string} name - Animation name
+   * @returns {number} Frames per second
+   */
+  _rate(name) {
+    let rate = this.rates[name];
+
+    if (rate === undefined) return this.FPS;
+    if (typeof rate === 'number') return rate;
+    if (typeof rate === 'function') return rate(this);
+
+    let value = typeof rate.from === 'function' ? rate.from() : rate.from;
+    let input = rate.input || [0, 100];
+    let t = constrain((value - input[0]) / (input[1] - input[0]), 0, 1);
+
+    return lerp(rate.fps[0], rate.fps[1], this._ease(rate.curve, t));
+  }
+
+  /**
+   * PRIVATE: Apply an easing curve
+   *
+   * @param {string|number|Function} curve - EASINGS name, exponent or function
+   * @param {number} t - 0 to 1
+   * @returns {number} Eased 0 to 1
+   */
+  _ease(curve, t) {
+    if (curve === undefined) return t;
+    if (typeof curve === 'function') return curve(t);
+    if (typeof curve === 'number') return Math.pow(t, curve);
+
+    let easing = AnimationController.EASINGS[curve];
+    return easing ? easing(t) : t;
+  }
+
+  /**
+   * PRIVATE: Call the frame events for a frame
+   *
+   * @param {string} name - Animation name
+   * @param {number} frame - Frame index
+   */
+  _fireFrame(name, frame) {
+    for (let event of this.callbacks.frame) {
+      if ((event.name === name || event.name === '*') && event.frames.includes(frame)) {
+        event.callback(name, frame);
+      }
+    }
+  }
+
+  /**
+   * PRIVATE: Check that the sprite has an animation
+   *
+   * @param {string} name - Animation name
+   * @returns {boolean} True if it does
+   */
+  _exists(name) {
+    let anis = this.sprite.anis || this.sprite.animations || {};
+    if (anis[name]) return true;
+    console.warn('AnimationController: the sprite has no animation', name);
+    return false;
+  }
+}
@@ -0,0 +1,265 @@
+/*
+AnimationController Example - Crossfades, Speed Curves, One-Shots, Footsteps
+
+A character walks back and forth. Its energy (the slider) sets how fast the
+walk plays - in frames per second, through an easing curve, so the steps
+speed up smoothly instead of jumping between whole frameDelay values. Below
+a little energy it stops and breathes (idle), crossfading between the two.
+
+- Curve button: how energy turns into fps - the graph shows the curve
+- Look back: plays walkBack once, then it goes back to walking or idling
+- Fade button: crossfade length, 0 is the old changeAni() pop
+- Footprints appear on the frames where a foot touches the ground
+
+KEY IDEAS:
+- anim.setRate('walk', { from: () => energy, fps: [4, 24], curve: 'easeIn' })
+- anim.loop(name) every frame - it only crossfades when the name changes
+- anim.play(name) once, then back to the loop
+- anim.onFrame('walk', [3, 9], callback) for footsteps
+- { atlas } - walkBack has no rate, so it plays the atlas's own durations
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let atlas;              // SpriteAtlas with idle, walk and walkBack (from 26_sprite_atlas)
+let character;          // p5play sprite
+let anim;               // AnimationController
+let energySlider;
+let curveButton, lookButton, fadeButton;
+
+let curves = ['linear', 'easeIn', 'easeOut', 'easeInOut', 'smoothstep'];
+let curveIndex = 1;
+let fades = [200, 500, 0];
+let fadeIndex = 0;
+
+let direction = 1;      // 1 = walking right, -1 = left
+let footprints = [];    // { x, y, born }
+
+const WALK_FPS = [4, 24];        // Walk fps at energy 0 and 100
+const IDLE_FPS = [12, 5];        // Idle breathing: faster when tired
+const STOP_ENERGY = 10;          // Below this it stands still
+const FOOTSTEP_FRAMES = [3, 9];  // Walk frames where a foot lands
+const GROUND_Y = 470;
+
+// ==============================================
+// PRELOAD - Load the atlas before setup
+// ==============================================
+function preload() {
+  atlas = new SpriteAtlas('../26_sprite_atlas/animations/character.json');
+}
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (9:16 aspect ratio for mobile)
+  createCanvas(405, 720);
+
+  lockGestures();
+  world.gravity.y = 0;
+
+  character = new Sprite(width / 2, GROUND_Y);
+  character.scale = 0.5;
+  character.physics = 'kinematic';
+  character.collider = 'none';
+  atlas.addTo(character);
+  character.changeAni('idle');
+
+  setupAnimations();
+  createControls();
+}
+
+// ==============================================
+// ANIMATION CONTROLLER - Rates, events
+// ==============================================
+function setupAnimations() {
+  // The controller times the frames, so the atlas only adds pivots
+  anim = new AnimationController(character, { crossfade: fades[fadeIndex], atlas: atlas });
+
+  // Energy → fps, through the chosen curve (read every frame)
+  anim.setRate('walk', () => rateFromEnergy(WALK_FPS));
+  anim.setRate('idle', () => rateFromEnergy(IDLE_FPS));
+  // walkBack has no rate - it plays the durations in the atlas
+
+  anim.onFrame('walk', FOOTSTEP_FRAMES, () => {
+    footprints.push({ x: character.x, y: character.y, born: millis() });
+  });
+
+  anim.onComplete((name) => console.log('Finished', name));
+}
+
+function rateFromEnergy(fps) {
+  // The same mapping setRate() does for { from, input, fps, curve } -
+  // written out here so the curve can be switched with the button
+  let t = constrain(energySlider.value() / 100, 0, 1);
+  return lerp(fps[0], fps[1], AnimationController.EASINGS[curves[curveIndex]](t));
+}
+
+// ==============================================
+// DRAW - Main loop
+// ==============================================
+function draw() {
+  background(30, 30, 40);
+  drawGround();
+
+  let energy = energySlider.value();
+  let moving = energy > STOP_ENERGY && !anim.isPlayingOnce();
+
+  // Walk between the edges, speed from energy too
+  if (moving) {
+    character.vel.x = direction * map(energy, STOP_ENERGY, 100, 0.5, 3);
+    if (character.x > width - 60) direction = -1;
+    if (character.x < 60) direction = 1;
+    character.mirror.x = direction < 0;
+  } else {
+    character.vel.x = 0;
+  }
+
+  anim.loop(moving ? 'walk' : 'idle');
+  anim.update();        // Steps the frames, draws the crossfade under the sprite
+  atlas.update();       // Pivots only - the controller has the timing
+
+  anim.drawDebug(10, 10, width - 20);
+  drawCurve(10, 90, 150, 100);
+  drawInfo();
+}
+
+// ==============================================
+// DISPLAY - Ground, footprints, curve
+// ==============================================
+function drawGround() {
+  push();
+  stroke(70, 70, 90);
+  line(0, GROUND_Y + 2, width, GROUND_Y + 2);
+
+  // Footprints fade over a second
+  noStroke();
+  footprints = footprints.filter((print) => millis() - print.born < 1000);
+  for (let print of footprints) {
+    fill(255, 220, 150, map(millis() - print.born, 0, 1000, 200, 0));
+    ellipse(print.x, print.y + 4, 14, 5);
+  }
+  pop();
+}
+
+function drawCurve(x, y, w, h) {
+  push();
+  noStroke();
+  fill(0, 0, 0, 170);
+  rect(x, y, w, h + 30, 6);
+
+  let easing = AnimationController.EASINGS[curves[curveIndex]];
+  let left = x + 10;
+  let bottom = y + h;
+  let size = w - 20;
+
+  // The curve: energy → walk fps
+  noFill();
+  stroke(100, 200, 255);
+  strokeWeight(2);
+  beginShape();
+  for (let i = 0; i <= 20; i++) {
+    let t = i / 20;
+    vertex(left + t * size, bottom - easing(t) * (h - 20));
+  }
+  endShape();
+
+  // Where the energy is now
+  let t = energySlider.value() / 100;
+  noStroke();
+  fill(255, 220, 0);
+  circle(left + t * size, bottom - easing(t) * (h - 20), 8);
+
+  fill(200);
+  textSize(11);
+  textAlign(LEFT, TOP);
+  text(curves[curveIndex], left, y + 6);
+  text(`${WALK_FPS[0]}-${WALK_FPS[1]} fps`, left, bottom + 8);
+  pop();
+}
+
+function drawInfo() {
+  push();
+  noStroke();
+  fill(255);
+  textSize(14);
+  textAlign(LEFT, CENTER);
+  text(`Energy ${energySlider.value()}`, 10, height - 110);
+  pop();
+}
+
+// ==============================================
+// UI - Slider and buttons
+// ==============================================
+function createControls() {
+  energySlider = createSlider(0, 100, 50);
+  energySlider.position(110, height - 120);
+  energySlider.size(280);
+
+  curveButton = makeButton(`Curve: ${curves[curveIndex]}`, 10, () => {
+    curveIndex = (curveIndex + 1) % curves.length;
+    curveButton.html(`Curve: ${curves[curveIndex]}`);
+  });
+  lookButton = makeButton('Look back', 145, () => {
+    anim.play('walkBack');
+  });
+  fadeButton = makeButton(`Fade: ${fades[fadeIndex]}ms`, 280, () => {
+    fadeIndex = (fadeIndex + 1) % fades.length;
+    anim.CROSSFADE = fades[fadeIndex];
+    fadeButton.html(`Fade: ${fades[fadeIndex]}ms`);
+  });
+}
+
+function makeButton(label, x, callback) {
+  let button = createButton(label);
+  button.position(x, height - 55);
+  button.size(115, 40);
+  button.mousePressed(callback);
+  button.style('font-size', '13px');
+  button.style('background-color', '#4444ff');
+  button.style('color', 'white');
+  button.style('border', 'none');
+  button.style('border-radius', '5px');
+  button.style('cursor', 'pointer');
+  button.style('font-family', 'Arial, sans-serif');
+  return button;
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: Replace updateAnimationSpeeds() - frameDelay 2-8 is 30-7.5 fps
+anim.setRate('walk', { from: () => introversion, input: [0, 100], fps: [30, 7.5] });
+anim.setRate('idle', { from: () => introversion, input: [0, 100], fps: [30, 5] });
+
+// Example 2: Replace changeAni() - crossfades, and only when it changes
+anim.loop(isMoving ? 'walk' : 'idle');
+
+// Example 3: A hit plays the hurt animation, then whatever was looping
+function hit() {
+  anim.play('hurt', { crossfade: 50 });
+}
+
+// Example 4: Celebrate, then go to idle instead of the walk
+anim.play('celebrate', { then: 'idle', onComplete: () => score++ });
+
+// Example 5: Footstep sounds, louder when running
+anim.onFrame('walk', [3, 9], () => {
+  footstep.setVolume(map(anim.getFps(), 4, 24, 0.2, 1));
+  footstep.play();
+});
+
+// Example 6: Any animation, any frame - e.g. log everything
+anim.onFrame('*', [0], (name) => console.log(name, 'started again'));
+
+// Example 7: A curve as an exponent, like ParameterCharacter outputs
+anim.setRate('walk', { from: () => health, fps: [3, 20], curve: 2.5 });
+
+// Example 8: Atlas animations without passing the atlas - turn its durations
+// off, or atlas.update() and anim.update() would both step the frames
+atlas = new SpriteAtlas(path, null, { durations: false });
+anim = new AnimationController(character);
+*/
@@ -0,0 +1,95 @@
+/**
+ * FrameTime Class
+ *
+ * Frame-rate independence for sketches whose rates are tuned "per frame".
+ * draw() runs 30 times a second on some phones and 120 on others, so
+ * `stress -= 0.15` every frame drains four times faster on the fast one.
+ * FrameTime scales those per-frame numbers by how long the frame really
+ * lasted, measured in 60fps frames - the numbers keep their old meaning
+ * at 60fps and behave the same everywhere else.
+ *
+ * WHAT IT DOES:
+ * - scale(): how many 60fps frames this frame lasted (1 at 60fps, 2 at 30fps)
+ * - perFrame(): a rate or speed per 60fps frame, for this frame
+ * - decay(): a per-frame multiplier (shake *= 0.9) for this frame
+ * - smooth(): lerp() smoothing with the same feel at any frame rate
+ * - One switch for the old per-frame behavior: FrameTime.enabled = false
+ *
+ * All methods are static. Load this file before the sketch.
+ *
+ * HOW TO USE:
+ *
+ *   function draw() {
+ *     stress -= STRESS_RECOVERY * FrameTime.scale();             // Rates
+ *     shake *= FrameTime.decay(SHAKE_DECAY);                      // Decay
+ *     health = FrameTime.smooth(health, targetHealth, INERTIA);   // Smoothing
+ *     character.moveTo(x, y, FrameTime.perFrame(WALK_SPEED));     // Speeds
+ *     wanderTimer += FrameTime.scale();                           // Timers in 60fps frames
+ *   }
+ *
+ * MOVEMENT:
+ * p5play moves a sprite by its velocity once per frame, so moveTo() speeds
+ * and sprite.vel are per frame too - pass them through perFrame().
+ */
+
+class FrameTime {
+  // ============================================
+  // PUBLIC API - Per-frame numbers for this frame
+  // ============================================
+
+  /**
+   * Get how many 60fps frames this frame lasted
+   * Capped so a paused tab doesn't jump when it comes back
+   *
+   * @returns {number} 1 at 60fps, 2 at 30fps, 0.5 at 120Hz (always 1 when disabled)
+   */
+  static scale() {
+    if (!FrameTime.enabled) return 1;
+    return constrain(deltaTime / (1000 / 60), 0, FrameTime.MAX_SCALE);
+  }
+
+  /**
+   * Scale a rate or speed tuned per 60fps frame to this frame
+   *
+   * @param {number} amount - Amount per 60fps frame
+   * @returns {number} Amount for this frame
+   */
+  static perFrame(amount) {
+    return amount * FrameTime.scale();
+  }
+
+  /**
+   * Scale a per-frame multiplier (decay, friction) to this frame
+   *
+   * @param {number} factor - Multiplier per 60fps frame (0.9 = lose 10% a frame)
+   * @returns {number} Multiplier for this frame
+   */
+  static decay(factor) {
+    return pow(factor, FrameTime.scale());
+  }
+
+  /**
+   * lerp() towards a target with the same smoothing at any frame rate
+   * lerp(current, target, 0.12) closes 12% of the gap each frame, so it
+   * settles twice as fast at 120fps. Here the gap left over, (1 - amount),
+   * is raised to the frame scale - the same share closes every second.
+   *
+   * @param {number} current - Current value
+   * @param {number} target - Value to move towards
+   * @param {number} amount - lerp amount per 60fps frame (0-1)
+   * @returns {number} New value
+   */
+  static smooth(current, target, amount) {
+    return lerp(current, target, 1 - pow(1 - amount, FrameTime.scale()));
+  }
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// false = old per-frame behavior (everything runs faster on faster screens)
+FrameTime.enabled = true;
+
+// Longest frame counted, in 60fps frames
+FrameTime.MAX_SCALE = 4;
@@ -0,0 +1,208 @@
+/*
+FrameTime Example - The Same Sketch at 30, 60 and 120fps
+
+Two runners cross the screen and two stress bars recover, all with the same
+per-frame numbers. The top ones add them once per draw() call; the bottom
+ones go through FrameTime. Change the frame rate with the button: the top
+runner and bar speed up and slow down, the bottom ones keep their pace.
+
+- FPS button: 30 / 60 / 120 (your screen may not reach 120)
+- FrameTime button: FrameTime.enabled on/off - off, both rows are per frame
+- Tap the canvas: both bars jump back to full stress
+
+KEY IDEAS:
+- stress -= STRESS_RECOVERY * FrameTime.scale()
+- shake *= FrameTime.decay(SHAKE_DECAY)
+- x += FrameTime.perFrame(SPEED) - speeds and moveTo() too
+- Constants keep their "per frame at 60fps" meaning
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let rows = [];          // { label, scaled, x, stress, laps, lapStart, lapTime }
+let fpsButton, frameTimeButton;
+
+let rates = [60, 30, 120];
+let rateIndex = 0;
+
+const RUN_SPEED = 4;            // Pixels per 60fps frame
+const STRESS_RECOVERY = 0.3;    // Per 60fps frame (18 per second)
+const SHAKE_DECAY = 0.95;       // Per 60fps frame
+const MARGIN = 30;
+
+// ==============================================
+// SETUP - Runs once when page loads
+// ==============================================
+function setup() {
+  // Create portrait canvas (9:16 aspect ratio for mobile)
+  createCanvas(405, 720);
+
+  lockGestures();
+  frameRate(rates[rateIndex]);
+
+  rows.push(createRow('Per frame', false, 200));
+  rows.push(createRow('FrameTime', true, 430));
+
+  createButtons();
+}
+
+function createRow(label, scaled, y) {
+  return { label: label, scaled: scaled, y: y, x: MARGIN, stress: 100, shake: 0, lapStart: millis(), lapTime: 0 };
+}
+
+// ==============================================
+// DRAW - Main loop
+// ==============================================
+function draw() {
+  background(30, 30, 40);
+
+  for (let row of rows) {
+    updateRow(row);
+    drawRow(row);
+  }
+
+  drawInfo();
+}
+
+// ==============================================
+// UPDATE - Per frame, or scaled by FrameTime
+// ==============================================
+function updateRow(row) {
+  if (row.scaled) {
+    row.x += FrameTime.perFrame(RUN_SPEED);
+    row.stress -= STRESS_RECOVERY * FrameTime.scale();
+    row.shake *= FrameTime.decay(SHAKE_DECAY);
+  } else {
+    row.x += RUN_SPEED;
+    row.stress -= STRESS_RECOVERY;
+    row.shake *= SHAKE_DECAY;
+  }
+  row.stress = max(row.stress, 0);
+
+  // Time each lap across the screen
+  if (row.x > width - MARGIN) {
+    row.x = MARGIN;
+    row.lapTime = millis() - row.lapStart;
+    row.lapStart = millis();
+  }
+}
+
+// ==============================================
+// DISPLAY - Runner, stress bar, lap time
+// ==============================================
+function drawRow(row) {
+  let rowColor = row.scaled ? color(80, 200, 120) : color(255, 150, 80);
+  let jitter = random(-row.shake, row.shake);
+
+  push();
+  noStroke();
+  fill(200);
+  textSize(16);
+  textAlign(LEFT, BOTTOM);
+  text(row.label, MARGIN, row.y - 40);
+
+  // Runner
+  stroke(70, 70, 90);
+  line(MARGIN, row.y, width - MARGIN, row.y);
+  noStroke();
+  fill(rowColor);
+  circle(row.x + jitter, row.y - 12, 24);
+
+  // Stress bar
+  fill(60);
+  rect(MARGIN, row.y + 30, width - MARGIN * 2, 16, 4);
+  fill(rowColor);
+  rect(MARGIN, row.y + 30, (width - MARGIN * 2) * row.stress / 100, 16, 4);
+
+  fill(200);
+  textSize(12);
+  textAlign(LEFT, TOP);
+  let lap = row.lapTime > 0 ? `${(row.lapTime / 1000).toFixed(2)}s a lap` : 'timing...';
+  text(`${lap} · stress ${row.stress.toFixed(0)}`, MARGIN, row.y + 54);
+  pop();
+}
+
+function drawInfo() {
+  push();
+  noStroke();
+  fill(255);
+  textSize(14);
+  textAlign(CENTER, TOP);
+  text(`${frameRate().toFixed(0)} fps · FrameTime.scale() ${FrameTime.scale().toFixed(2)}`, width / 2, 20);
+  fill(160);
+  textSize(12);
+  text('At 60fps both rows match - change the frame rate', width / 2, 44);
+  text('Tap to reset the stress bars', width / 2, 62);
+  pop();
+}
+
+// ==============================================
+// UI - Buttons
+// ==============================================
+function createButtons() {
+  fpsButton = makeButton(`FPS: ${rates[rateIndex]}`, 10, () => {
+    rateIndex = (rateIndex + 1) % rates.length;
+    frameRate(rates[rateIndex]);
+    fpsButton.html(`FPS: ${rates[rateIndex]}`);
+  });
+  frameTimeButton = makeButton('FrameTime: On', 145, () => {
+    FrameTime.enabled = !FrameTime.enabled;
+    frameTimeButton.html(`FrameTime: ${FrameTime.enabled ? 'On' : 'Off'}`);
+  });
+}
+
+function makeButton(label, x, callback) {
+  let button = createButton(label);
+  button.position(x, height - 55);
+  button.size(125, 40);
+  button.mousePressed(callback);
+  button.style('font-size', '14px');
+  button.style('background-color', '#4444ff');
+  button.style('color', 'white');
+  button.style('border', 'none');
+  button.style('border-radius', '5px');
+  button.style('cursor', 'pointer');
+  button.style('font-family', 'Arial, sans-serif');
+  return button;
+}
+
+// ==============================================
+// INTERACTION - Tap to reset stress
+// ==============================================
+function mousePressed() {
+  if (mouseY > height - 70) return;
+
+  for (let row of rows) {
+    row.stress = 100;
+    row.shake = 10;
+  }
+}
+
+function touchStarted() {
+  mousePressed();
+  // Let the buttons receive taps, block scrolling on the canvas
+  return mouseY > height - 70;
+}
+
+// ==============================================
+// ADVANCED USAGE EXAMPLES
+// ==============================================
+
+/*
+// Example 1: A parameter sketch - rates, inertia and the walk speed
+targetHealth -= HEALTH_DECAY_RATE * FrameTime.scale();
+health = FrameTime.smooth(health, targetHealth, HEALTH_INERTIA);
+character.moveTo(targetX, targetY, FrameTime.perFrame(currentSpeed));
+
+// Example 2: Timers counted in 60fps frames
+wanderTimer += FrameTime.scale();
+if (wanderTimer >= 120) chooseNewTarget();   // Every 2 seconds at any frame rate
+
+// Example 3: Classes with a frameRateIndependent option use FrameTime when it's loaded
+FrameTime.enabled = false;    // Steering, ParameterCharacter, ... go back to per frame too
+
+// Example 4: Seconds instead of 60fps frames
+let seconds = FrameTime.scale() / 60;
+stress -= 9 * seconds;    // Same as STRESS_RECOVERY = 0.15 per frame
+*/
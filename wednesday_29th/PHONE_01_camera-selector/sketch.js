@@ -5,17 +5,23 @@
 // Shows camera switching, display modes, and mirroring.
 // 
 // KEY FEATURES:
-// - Switch between front/back cameras
+// - Cycle through every camera (front, back lenses, USB webcams)
+// - Resolution and frame rate presets (lower = faster ML5)
 // - Cycle through display modes (fitHeight, fitWidth, fixed)
 // - Toggle mirroring on/off
-// - All camera logic handled by PhoneCamera class
+// - Camera choice is saved with CameraSettings (shared with the THREE ports)
+// - All display logic handled by PhoneCamera class
 // ==============================================
 
 // ==============================================
 // GLOBAL VARIABLES
 // ==============================================
 let cam;                          // PhoneCamera instance
+let cameraSettings;               // CameraSettings (device, resolution, fps)
+let actualSettings = null;        // What the camera really gave us
 let cameraButton;                 // Button to switch cameras
+let resolutionButton;             // Button to change resolution
+let frameRateButton;              // Button to change frame rate
 let scaleModeButton;              // Button to change scale mode
 let flipButton;                   // Button to toggle video flip
 
@@ -28,8 +34,12 @@ function setup() {
   // Lock mobile gestures to prevent browser interference
   lockGestures();
   
-  // Create PhoneCamera: front camera, mirrored, fit to height
-  cam = createPhoneCamera('user', true, 'fitHeight');
+  // Saved camera choice (device, resolution, frame rate)
+  cameraSettings = new CameraSettings();
+  
+  // Create PhoneCamera: the saved front/back camera, mirrored if front, fit to height
+  let facing = cameraSettings.facingMode;
+  cam = createPhoneCamera(facing, facing === 'user', 'fitHeight');
   
   // Set fixed size dimensions (used when mode is 'fixed')
   cam.fixedWidth = 200;
@@ -37,6 +47,8 @@ function setup() {
   
   // Create UI buttons
   createCameraButton();
+  createResolutionButton();
+  createFrameRateButton();
   createScaleModeButton();
   createFlipButton();
   
@@ -46,6 +58,17 @@ function setup() {
   // Optional: Use onReady callback to know when camera is initialized
   cam.onReady(() => {
     console.log('✅ Camera is ready!');
+    
+    // Only open the camera again if the saved choice is a different one
+    if (cameraSettings.matches(cam)) {
+      actualSettings = cameraSettings.getActualSettings(cam);
+      // Names are available now - show which camera is open
+      cameraSettings.listDevices().then(() => {
+        cameraButton.html(cameraSettings.getLabel().slice(0, 12));
+      });
+    } else {
+      applyCameraSettings();
+    }
   });
 }
 
@@ -74,9 +97,9 @@ function draw() {
 // CREATE CAMERA BUTTON
 // ==============================================
 function createCameraButton() {
-  cameraButton = createButton('Front Cam');
+  cameraButton = createButton('Camera');
   
-  let buttonWidth = width / 3;
+  let buttonWidth = width / 5;
   let buttonHeight = 60;
   let buttonX = 0;
   let buttonY = height - buttonHeight;
@@ -95,15 +118,65 @@ function createCameraButton() {
   cameraButton.mousePressed(switchCamera);
 }
 
+// ==============================================
+// CREATE RESOLUTION BUTTON
+// ==============================================
+function createResolutionButton() {
+  resolutionButton = createButton(cameraSettings.getResolution().name);
+  
+  let buttonWidth = width / 5;
+  let buttonHeight = 60;
+  let buttonX = width / 5;
+  let buttonY = height - buttonHeight;
+  
+  resolutionButton.position(buttonX, buttonY);
+  resolutionButton.size(buttonWidth, buttonHeight);
+  resolutionButton.style('font-size', '14px');
+  resolutionButton.style('background-color', '#9B59B6');
+  resolutionButton.style('color', 'white');
+  resolutionButton.style('border', 'none');
+  resolutionButton.style('border-radius', '0');
+  resolutionButton.style('cursor', 'pointer');
+  resolutionButton.style('box-shadow', 'none');
+  resolutionButton.style('z-index', '1000');
+  
+  resolutionButton.mousePressed(cycleResolution);
+}
+
+// ==============================================
+// CREATE FRAME RATE BUTTON
+// ==============================================
+function createFrameRateButton() {
+  frameRateButton = createButton(`${cameraSettings.getFrameRate()} fps`);
+  
+  let buttonWidth = width / 5;
+  let buttonHeight = 60;
+  let buttonX = (width / 5) * 2;
+  let buttonY = height - buttonHeight;
+  
+  frameRateButton.position(buttonX, buttonY);
+  frameRateButton.size(buttonWidth, buttonHeight);
+  frameRateButton.style('font-size', '14px');
+  frameRateButton.style('background-color', '#F5A623');
+  frameRateButton.style('color', 'white');
+  frameRateButton.style('border', 'none');
+  frameRateButton.style('border-radius', '0');
+  frameRateButton.style('cursor', 'pointer');
+  frameRateButton.style('box-shadow', 'none');
+  frameRateButton.style('z-index', '1000');
+  
+  frameRateButton.mousePressed(cycleFrameRate);
+}
+
 // ==============================================
 // CREATE SCALE MODE BUTTON
 // ==============================================
 function createScaleModeButton() {
   scaleModeButton = createButton('Fit Height');
   
-  let buttonWidth = width / 3;
+  let buttonWidth = width / 5;
   let buttonHeight = 60;
-  let buttonX = width / 3;
+  let buttonX = (width / 5) * 3;
   let buttonY = height - buttonHeight;
   
   scaleModeButton.position(buttonX, buttonY);
@@ -126,9 +199,9 @@ function createScaleModeButton() {
 function createFlipButton() {
   flipButton = createButton('Mirror: ON');
   
-  let buttonWidth = width / 3;
+  let buttonWidth = width / 5;
   let buttonHeight = 60;
-  let buttonX = (width / 3) * 2;
+  let buttonX = (width / 5) * 4;
   let buttonY = height - buttonHeight;
   
   flipButton.position(buttonX, buttonY);
@@ -151,11 +224,49 @@ function createFlipButton() {
 function switchCamera() {
   if (!cam.ready) return;
   
-  // Toggle camera with property assignment
-  cam.active = cam.active === 'user' ? 'environment' : 'user';
+  // Next camera in the device list (front/back flip before it is listed),
+  // counting from the camera that is really running
+  cameraSettings.nextDevice(cam);
+  applyCameraSettings();
+}
+
+// ==============================================
+// CYCLE RESOLUTION
+// ==============================================
+function cycleResolution() {
+  if (!cam.ready) return;
   
-  // Update button text
-  cameraButton.html(cam.active === 'user' ? 'Front Cam' : 'Back Cam');
+  // low -> medium -> high -> full -> low
+  cameraSettings.nextResolution();
+  resolutionButton.html(cameraSettings.getResolution().name);
+  applyCameraSettings();
+}
+
+// ==============================================
+// CYCLE FRAME RATE
+// ==============================================
+function cycleFrameRate() {
+  if (!cam.ready) return;
+  
+  // 15 -> 24 -> 30 -> 60 -> 15
+  cameraSettings.nextFrameRate();
+  frameRateButton.html(`${cameraSettings.getFrameRate()} fps`);
+  applyCameraSettings();
+}
+
+// ==============================================
+// APPLY CAMERA SETTINGS
+// ==============================================
+async function applyCameraSettings() {
+  try {
+    // Swap the PhoneCamera's stream for the chosen device/resolution/fps
+    // (passing cam, not cam.video, also mirrors only a front camera)
+    actualSettings = await cameraSettings.applyTo(cam);
+    cameraButton.html(cameraSettings.getLabel().slice(0, 12));
+    flipButton.html(cam.mirror ? 'Mirror: ON' : 'Mirror: OFF');
+  } catch (error) {
+    console.error('Error switching camera:', error);
+  }
 }
 
 // ==============================================
@@ -209,18 +320,23 @@ function drawStatus() {
   push();
   fill(0, 0, 0, 150);
   noStroke();
-  rect(0, 0, width, 80);
+  rect(0, 0, width, 100);
   
   fill(255);
   textAlign(CENTER, CENTER);
   textSize(16);
-  text(`Camera: ${cam.active}`, width/2, 20);
+  text(`Camera: ${cameraSettings.getLabel()}`, width/2, 20);
   text(`Mode: ${cam.mode} | Mirror: ${cam.mirror ? 'ON' : 'OFF'}`, width/2, 45);
   
   // Show dimensions
   let dims = cam.getDimensions();
   textSize(12);
   text(`Display: ${dims.width.toFixed(0)}x${dims.height.toFixed(0)} | Video: ${cam.video.width}x${cam.video.height}`, width/2, 65);
+  
+  // Show the frame rate the camera really delivers
+  if (actualSettings) {
+    text(`Camera: ${round(actualSettings.frameRate || 0)} fps | Sketch: ${round(frameRate())} fps`, width/2, 85);
+  }
   pop();
 }
 
@@ -33,16 +33,17 @@ KEY METHODS:
 - enableMicTap(): Request microphone permissions with tap prompt
 - mic.getLevel(): Get current microphone level (0.0 to 1.0)
 - mic.enabled: Check if microphone is active
-- sprite.changeAni(name): Switch between animations
+- anim.loop(name): Switch between animations (crossfades)
+- anim.setRate(name, mapping): Animation speed from introversion
 - sprite.mirror.x: Flip sprite horizontally
 - sprite.scale: Control sprite size
-- sprite.ani.frameDelay: Control animation speed
 
 LIBRARIES REQUIRED:
 - p5.js v1.11.4
 - p5.sound (required for p5.AudioIn)
 - p5play v3
 - p5-phone v1.6.3 (microphone management)
+- AnimationController.js (wednesday_19th/classes/27_animation_controller)
 */
 
 // ==============================================
@@ -63,15 +64,15 @@ let currentLevel = 0;        // Current microphone level
 
 // Introversion System
 let introversion = 100;      // Introversion score (0-100, starts at max)
-let introversionGainRate = 0.2;    // How fast introversion increases in quiet
-let introversionLossRate = 1.0;    // How fast introversion decreases in noise
+let introversionGainRate = 0.2;    // How fast introversion increases in quiet (per 60fps frame)
+let introversionLossRate = 1.0;    // How fast introversion decreases in noise (per 60fps frame)
 
 // Behavior Thresholds (based on introversion level)
 let panicThreshold = 30;     // Below this, character panics and runs away
 let comfortThreshold = 70;   // Above this, character feels safe to approach
 
 // Movement and Position
-let moveSpeed;               // Vertical movement speed (calculated from introversion)
+let moveSpeed;               // Vertical movement speed per 60fps frame (calculated from introversion)
 let targetY;                 // Desired Y position (bottom when introverted)
 
 // UI Controls
@@ -83,9 +84,8 @@ let maxScale = 1.5;          // Character scale at bottom (close up, large)
 let minY = 100;              // Top boundary - farthest distance
 let maxY;                    // Bottom boundary - closest distance (set in setup)
 
-// Animation Speed Controls
-let walkFrameDelay;          // Walk animation frame delay (calculated from introversion)
-let idleFrameDelay;          // Idle animation frame delay (calculated from introversion)
+// Animation Control
+let anim;                    // AnimationController - crossfades and introversion-driven speed
 
 // ==============================================
 // PRELOAD - Load animations before setup
@@ -135,7 +135,9 @@ function setup() {
   
   // Set initial animation state
   character.changeAni('idle');
-  character.ani.frameDelay = 8;  // Calm breathing initially
+  
+  // Animation speed follows introversion (stressed = faster)
+  setupAnimations();
 }
 
 // ==============================================
@@ -194,7 +196,10 @@ function draw() {
   // Step 7: Draw perspective lines and visual elements
   drawPerspective();
   
-  // Step 8: Draw UI information
+  // Step 8: Play the animation (and draw any crossfade under the character)
+  anim.update();
+  
+  // Step 9: Draw UI information
   drawUI();
 }
 
@@ -210,12 +215,14 @@ function draw() {
  * Loud sounds decrease introversion (stressed, wants to retreat).
  */
 function updateIntroversion() {
+  let frameScale = FrameTime.scale();
+  
   if (currentLevel > soundThreshold) {
     // LOUD - Decrease introversion (getting stressed)
-    introversion -= introversionLossRate;
+    introversion -= introversionLossRate * frameScale;
   } else {
     // QUIET - Increase introversion (getting comfortable)
-    introversion += introversionGainRate;
+    introversion += introversionGainRate * frameScale;
   }
   
   // Keep introversion within valid range
@@ -250,9 +257,6 @@ function moveCharacterTowardTarget() {
     // AT TARGET - Stop and idle
     stopCharacter();
   }
-  
-  // Update animation speed based on stress level
-  updateAnimationSpeeds();
 }
 
 /**
@@ -269,12 +273,10 @@ function moveCharacterDown() {
   }
   
   // Move character down screen (increasing Y position)
-  character.y += moveSpeed;
+  character.y += FrameTime.perFrame(moveSpeed);
   
-  // Optimization: Only switch animation if not already walking
-  if (character.ani.name !== 'walk') {
-    character.changeAni('walk');
-  }
+  // Crossfade to walking (does nothing if already walking)
+  anim.loop('walk');
   
   // Set direction: Face forward (toward viewer)
   character.mirror.x = false;
@@ -288,12 +290,10 @@ function moveCharacterDown() {
  */
 function moveCharacterUp() {
   // Move character up screen (decreasing Y position)
-  character.y -= moveSpeed;
+  character.y -= FrameTime.perFrame(moveSpeed);
   
-  // Optimization: Only switch animation if not already walking backward
-  if (character.ani.name !== 'walkBack') {
-    character.changeAni('walkBack');
-  }
+  // Crossfade to walking backward (does nothing if already walking backward)
+  anim.loop('walkBack');
   
   // No mirroring needed - walkBack animation shows proper back-facing view
   character.mirror.x = false;
@@ -310,31 +310,34 @@ function stopCharacter() {
   character.vel.x = 0;
   character.vel.y = 0;
   
-  // Optimization: Only switch animation if not already idle
-  if (character.ani.name !== 'idle') {
-    character.changeAni('idle');
-  }
+  // Crossfade to idle (does nothing if already idle)
+  anim.loop('idle');
   
   // Reset direction: Face forward
   character.mirror.x = false;
 }
 
 /**
- * Update Animation Speeds
+ * Setup Animations
  * 
- * Adjusts animation playback speed based on introversion level.
+ * Animation playback speed follows the introversion level, every frame.
  * Lower introversion (more stressed) = faster animations (agitated breathing).
  * Higher introversion (comfortable) = slower animations (calm breathing).
+ * 
+ * The speeds are the old frameDelay ranges in frames per second
+ * (frameDelay 2 = 30fps, 8 = 7.5fps, 12 = 5fps). easeOut keeps the
+ * old feel - most of the slowing down happens at low introversion.
  */
-function updateAnimationSpeeds() {
-  // Walk animation: stressed character moves frantically
-  walkFrameDelay = int(map(introversion, 0, 100, 2, 8));
+function setupAnimations() {
+  anim = new AnimationController(character, { crossfade: 200 });
   
-  // Idle animation: stressed character breathes faster
-  idleFrameDelay = int(map(introversion, 0, 100, 2, 12));
+  // Walk animations: stressed character moves frantically
+  let walkRate = { from: () => introversion, input: [0, 100], fps: [30, 7.5], curve: 'easeOut' };
+  anim.setRate('walk', walkRate);
+  anim.setRate('walkBack', walkRate);
   
-  // Apply current frame delay to active animation
-  character.ani.frameDelay = (character.ani.name === 'idle') ? idleFrameDelay : walkFrameDelay;
+  // Idle animation: stressed character breathes faster
+  anim.setRate('idle', { from: () => introversion, input: [0, 100], fps: [30, 5], curve: 'easeOut' });
 }
 
 // ==============================================
@@ -12,10 +12,12 @@ GAZE TRACKING SYSTEM:
 - Smoothing applied for stable tracking
 - Visual gaze sphere shows where user is looking
 - Gaze mapped to canvas coordinates for collision detection
+- Short face drop-outs are bridged by TrackingLoss (hold, predict, fade);
+  a lost gaze can't scare the character
 
 FLEE BEHAVIOR:
 - Gaze sphere collides with character → flee for 1 second
-- Character moves away from gaze position at moveSpeed
+- Character steers away from gaze position (Steering.flee), up to moveSpeed
 - Flee timer prevents immediate re-collision
 - Movement increases tiredness (tirednessBuildRate)
 - Walk animation plays during fleeing
@@ -28,6 +30,7 @@ IDLE BEHAVIOR:
 RETURN-TO-CENTER BEHAVIOR:
 - When tiredness drops below 25, character returns to center
 - Return continues until reaching center (distance < 5 pixels)
+- Steering.arrive slows the character down as it gets close
 - Walk animation plays during return
 - Represents character "going home" when recharged
 
@@ -63,8 +66,10 @@ KEY METHODS:
 - cam.mapKeypoint(kp): Convert ML5 coords to canvas coords
 - sprite.overlaps(other): Set up collision relationship
 - sprite.overlapping(other): Check current collision state
-- sprite.changeAni(name): Switch between idle/walk animations
-- sprite.mirror.x: Flip sprite horizontally based on direction
+- anim.loop(name): Switch between idle/walk animations (crossfades)
+- anim.setRate(name, mapping): Animation speed from tiredness
+- steering.flee() / steering.arrive(): Smooth movement (Steering class)
+- sprite.mirror.x: Flip sprite horizontally based on direction (done by Steering)
 - world.gravity.y = 0: Disable gravity for manual positioning
 
 LIBRARIES REQUIRED:
@@ -72,6 +77,9 @@ LIBRARIES REQUIRED:
 - ml5.js v1.x (FaceMesh face tracking)
 - p5play v3 (sprite and collision system)
 - p5-phone v1.6.3 (camera management and coordinate mapping)
+- Steering.js (wednesday_19th/classes/25_steering)
+- TrackingLoss.js (wednesday_19th/classes/16_tracking_loss)
+- AnimationController.js (wednesday_19th/classes/27_animation_controller)
 */
 
 // ==============================================
@@ -96,6 +104,8 @@ let gazeAngle = 0;           // Raw horizontal gaze angle
 let smoothedGazeAngle = 0;   // Smoothed horizontal angle for stability
 let gazeAngleY = 0;          // Raw vertical gaze angle
 let smoothedGazeY = 0;       // Smoothed vertical position
+let gazeLoss;                // TrackingLoss - bridges short drop-outs
+let gazeConfidence = 0;      // 1 while tracking, falls to 0 as a lost gaze fades
 
 // Gaze Calculation Parameters
 const SMOOTHING_FACTOR = 0.4; // Gaze smoothing (0=none, 1=max)
@@ -107,24 +117,24 @@ let character;               // Main animated character sprite
 let gazeSphere;              // Invisible collision sprite at gaze position
 let idleAni;                 // Idle animation sequence
 let walkAni;                 // Walk animation sequence
+let steering;                // Steering behaviours that move the character
 
 // Tiredness System
 let tiredness = 0;                    // Current tiredness level (0-100)
-const TIREDNESS_BUILD_RATE = 0.3;     // Increase rate when moving
-const TIREDNESS_RECOVERY_RATE = 0.15; // Decrease rate when idle
+const TIREDNESS_BUILD_RATE = 0.3;     // Increase per 60fps frame when moving
+const TIREDNESS_RECOVERY_RATE = 0.15; // Decrease per 60fps frame when idle
 const RETURN_THRESHOLD = 25;          // Tiredness level to trigger return home
 
 // Movement System
 const BASE_MOVE_SPEED = 3.5;          // Base movement speed (pixels/frame)
 let moveSpeed = BASE_MOVE_SPEED;      // Current movement speed (affected by tiredness)
-const FLEE_DURATION = 60;             // Flee time in frames (1 sec at 60fps)
+const FLEE_DURATION = 60;             // Flee time in 60fps frames (1 sec)
 let fleeTimer = 0;                    // Current flee timer countdown
 let isFleeingFromGaze = false;        // Flag: currently fleeing from gaze
 let isReturningToCenter = false;      // Flag: returning to center position
 
-// Animation Speed Controls
-let walkFrameDelay = 4;      // Frames per walk animation frame
-let idleFrameDelay = 8;      // Frames per idle animation frame
+// Animation Control
+let anim;                    // AnimationController - crossfades and tiredness-driven speed
 
 // Collision Parameters
 const CHARACTER_DIAMETER = 100; // Character collision circle size
@@ -197,11 +207,21 @@ function setup() {
   
   // Set initial animation
   character.changeAni('idle');
-  character.ani.frameDelay = idleFrameDelay;
+  
+  // Animation speed follows tiredness
+  setupAnimations();
   
   // Set collision diameter for character
   character.diameter = CHARACTER_DIAMETER;
   
+  // Steering moves the character (and mirrors it to face the way it walks)
+  steering = new Steering(character, {
+    maxSpeed: BASE_MOVE_SPEED,
+    maxForce: 0.5,
+    wallMargin: 60,
+    frameRateIndependent: FrameTime.enabled
+  });
+  
   // Create invisible gaze sphere for collision detection
   gazeSphere = new Sprite(gazeX, gazeY, GAZE_DIAMETER);
   gazeSphere.physics = 'kinematic';
@@ -210,6 +230,9 @@ function setup() {
   
   // Set up overlap relationship
   gazeSphere.overlaps(character);
+  
+  // Hold, predict, then fade the gaze when the face goes missing
+  gazeLoss = new TrackingLoss({ holdTime: 200, predictTime: 200, fadeTime: 800 });
 }
 
 // ==============================================
@@ -224,13 +247,22 @@ function draw() {
     image(cam, 0, 0);
   }
   
+  // Calculate gaze (even when UI is hidden) - held, predicted and faded
+  // through short drop-outs
+  if (faces.length > 0 && calculateGaze()) {
+    gazeLoss.update({ x: gazeX, y: gazeY });
+  } else {
+    let heldGaze = gazeLoss.update(null);
+    if (heldGaze) {
+      gazeX = heldGaze.x;
+      gazeY = heldGaze.y;
+    }
+  }
+  gazeConfidence = gazeLoss.getConfidence();
+  
   // LAYER 2: Draw tracked points (ears and nose) - hide if hideUI is true
   if (!hideUI && faces.length > 0) {
-    calculateGaze();
     drawTrackingPoints();
-  } else if (hideUI && faces.length > 0) {
-    // Still calculate gaze even when UI is hidden
-    calculateGaze();
   }
   
   // Update gaze sphere position
@@ -242,13 +274,13 @@ function draw() {
   
   // Priority 1: Check if currently fleeing (timer active)
   if (fleeTimer > 0) {
-    fleeTimer--;
+    fleeTimer -= FrameTime.scale();
     isReturningToCenter = false;
     // Continue fleeing until timer runs out
     fleeFromGaze();
   }
-  // Priority 2: Check for new collision to start fleeing
-  else if (gazeSphere.overlaps(character) || gazeSphere.overlapping(character)) {
+  // Priority 2: Check for new collision to start fleeing (only with a gaze)
+  else if (gazeConfidence > 0 && (gazeSphere.overlaps(character) || gazeSphere.overlapping(character))) {
     // Gaze is looking at character - start fleeing!
     isFleeingFromGaze = true;
     isReturningToCenter = false;
@@ -266,13 +298,15 @@ function draw() {
     // Gaze is not on character - switch to idle
     isFleeingFromGaze = false;
     isReturningToCenter = false;
-    if (character.ani.name !== 'idle') {
-      character.changeAni('idle');
-    }
+    steering.stop();
+    anim.loop('idle');
   }
   
-  // Update animation speeds based on tiredness
-  updateAnimationSpeeds();
+  // Update movement speed based on tiredness
+  updateMoveSpeed();
+  
+  // Play the animation (and draw any crossfade under the character)
+  anim.update();
   
   // LAYER 3: Sprites are drawn automatically by p5play here (always visible)
   
@@ -282,7 +316,7 @@ function draw() {
   }
   
   // LAYER 5: Draw gaze circle on top (hide if hideUI is true)
-  if (!hideUI) {
+  if (!hideUI && gazeConfidence > 0) {
     drawGazeCircle();
   }
   
@@ -309,7 +343,7 @@ function calculateGaze() {
   let noseData = getKeypoint(NOSE_INDEX, 0);
   
   // Skip if any points are invalid
-  if (!leftEarData || !rightEarData || !noseData) return;
+  if (!leftEarData || !rightEarData || !noseData) return false;
   
   // Get raw 3D keypoints (before mapping to canvas)
   let leftEarRaw = faces[0].keypoints[LEFT_EAR_INDEX];
@@ -347,6 +381,7 @@ function calculateGaze() {
   // Constrain to screen bounds
   gazeX = constrain(gazeX, 0, width);
   gazeY = constrain(gazeY, 0, height);
+  return true;
 }
 
 // ==============================================
@@ -369,40 +404,15 @@ function getKeypoint(index, faceIndex = 0) {
 /**
  * Flee From Gaze
  * 
- * Character moves away from gaze position when being looked at.
- * Direction is calculated as vector away from gaze sphere.
+ * Character steers away from gaze position when being looked at.
+ * avoidWalls() turns it back before it reaches the edge of the screen.
  */
 function fleeFromGaze() {
-  // Calculate vector from gaze to character (flee direction)
-  let fleeX = character.x - gazeX;
-  let fleeY = character.y - gazeY;
-  
-  // Normalize the vector
-  let distance = dist(character.x, character.y, gazeX, gazeY);
-  if (distance > 0) {
-    fleeX = (fleeX / distance) * moveSpeed;
-    fleeY = (fleeY / distance) * moveSpeed;
-  }
-  
-  // Move character away from gaze
-  character.x += fleeX;
-  character.y += fleeY;
+  steering.MAX_SPEED = moveSpeed;
+  steering.flee(gazeX, gazeY).avoidWalls(undefined, 3).update();
   
-  // Keep character on screen
-  character.x = constrain(character.x, 40, width - 40);
-  character.y = constrain(character.y, 40, height - 40);
-  
-  // Switch to walk animation
-  if (character.ani.name !== 'walk') {
-    character.changeAni('walk');
-  }
-  
-  // Mirror character based on movement direction
-  if (fleeX < 0) {
-    character.mirror.x = true;  // Moving left
-  } else if (fleeX > 0) {
-    character.mirror.x = false; // Moving right
-  }
+  // Crossfade to walk animation (does nothing if already walking)
+  anim.loop('walk');
 }
 
 /**
@@ -422,37 +432,19 @@ function returnToCenter() {
     // Mark that we're returning (prevents switching to idle mid-journey)
     isReturningToCenter = true;
     
-    // Switch to walk animation only once when starting to return
-    if (character.ani.name !== 'walk') {
-      character.changeAni('walk');
-    }
+    // Crossfade to walk animation when starting to return
+    anim.loop('walk');
     
-    // Calculate direction to center
-    let dirX = centerX - character.x;
-    let dirY = centerY - character.y;
-    
-    // Normalize and apply movement speed
-    dirX = (dirX / distanceToCenter) * moveSpeed;
-    dirY = (dirY / distanceToCenter) * moveSpeed;
-    
-    // Move toward center
-    character.x += dirX;
-    character.y += dirY;
-    
-    // Mirror based on direction
-    if (dirX < 0) {
-      character.mirror.x = true;
-    } else if (dirX > 0) {
-      character.mirror.x = false;
-    }
+    // Walk toward center, slowing down on the way in
+    steering.MAX_SPEED = moveSpeed;
+    steering.arrive(centerX, centerY).update();
   } else {
     // At center - finished returning
     isReturningToCenter = false;
+    steering.stop();
     
-    // Switch to idle only once
-    if (character.ani.name !== 'idle') {
-      character.changeAni('idle');
-    }
+    // Crossfade to idle
+    anim.loop('idle');
   }
 }
 
@@ -463,12 +455,14 @@ function returnToCenter() {
  * Tiredness decreases when character is idle at center.
  */
 function updateTiredness() {
+  let frameScale = FrameTime.scale();
+  
   if (character.ani.name === 'walk') {
     // Moving - tiredness increases
-    tiredness += TIREDNESS_BUILD_RATE;
+    tiredness += TIREDNESS_BUILD_RATE * frameScale;
   } else {
     // Idle - tiredness decreases
-    tiredness -= TIREDNESS_RECOVERY_RATE;
+    tiredness -= TIREDNESS_RECOVERY_RATE * frameScale;
   }
   
   // Keep tiredness in valid range
@@ -476,26 +470,32 @@ function updateTiredness() {
 }
 
 /**
- * Update Animation Speeds
+ * Setup Animations
  * 
- * Animation speed changes based on tiredness level.
+ * Animation speed changes based on tiredness level, every frame.
  * More tired = slower walk, faster breathing
+ * 
+ * The speeds are the old frameDelay ranges in frames per second
+ * (frameDelay 2 = 30fps, 4 = 15fps, 12 = 5fps), with curves that
+ * keep the old feel of mapping the delay.
  */
-function updateAnimationSpeeds() {
+function setupAnimations() {
+  anim = new AnimationController(character, { crossfade: 200 });
+  
   // Walk animation: tired character walks slower
-  walkFrameDelay = int(map(tiredness, 0, 100, 2, 12));
+  anim.setRate('walk', { from: () => tiredness, input: [0, 100], fps: [30, 5], curve: 'easeOut' });
   
   // Idle animation: tired character breathes faster
-  idleFrameDelay = int(map(tiredness, 0, 100, 12, 4));
-  
-  // Apply frame delay to current animation
-  if (character.ani.name === 'walk') {
-    character.ani.frameDelay = walkFrameDelay;
-  } else {
-    character.ani.frameDelay = idleFrameDelay;
-  }
-  
-  // Update movement speed based on tiredness
+  anim.setRate('idle', { from: () => tiredness, input: [0, 100], fps: [5, 15], curve: 'easeIn' });
+}
+
+/**
+ * Update Move Speed
+ * 
+ * Movement speed changes based on tiredness level.
+ * More tired = slower
+ */
+function updateMoveSpeed() {
   moveSpeed = map(tiredness, 0, 100, 3.0, 0.9);
 }
 
@@ -534,6 +534,7 @@ function drawTrackingPoints() {
  * Draw Gaze Circle
  * 
  * Draws the gaze position sphere and crosshair
+ * (fading out while a lost gaze is bridged)
  */
 function drawGazeCircle() {
   push();
@@ -541,16 +542,16 @@ function drawGazeCircle() {
   // Draw gaze position sphere
   // Color changes if colliding with character
   if (gazeSphere.overlaps(character) || gazeSphere.overlapping(character)) {
-    fill(255, 100, 100, 150);  // Red when colliding
+    fill(255, 100, 100, 150 * gazeConfidence);  // Red when colliding
   } else {
-    fill(100, 200, 255, 150);  // Blue when not colliding
+    fill(100, 200, 255, 150 * gazeConfidence);  // Blue when not colliding
   }
-  stroke(255, 200);
+  stroke(255, 200 * gazeConfidence);
   strokeWeight(3);
   circle(gazeX, gazeY, 60);
   
   // Draw crosshair at gaze position
-  stroke(255, 150);
+  stroke(255, 150 * gazeConfidence);
   strokeWeight(2);
   line(gazeX - 15, gazeY, gazeX + 15, gazeY);
   line(gazeX, gazeY - 15, gazeX, gazeY + 15);
@@ -604,7 +605,7 @@ function drawUI() {
   
   // Display position
   text(`Char: (${int(character.x)}, ${int(character.y)})`, 10, 50);
-  text(`Gaze: (${int(gazeX)}, ${int(gazeY)})`, 10, 70);
+  text(`Gaze: (${int(gazeX)}, ${int(gazeY)}) ${gazeLoss.getState()}`, 10, 70);
   
   // Instructions
   textSize(14);